@@ -0,0 +1,18 @@
+-- Give orders entered as lump sums their lines: one box line (totals kept exactly)
+-- plus install and extras lines where there was revenue
+INSERT INTO order_lines (
+    order_id, line_no, line_type, box_type_id, qty,
+    unit_rrp, unit_net, unit_build_cost, rrp_total, net_total, build_cost_total
+)
+SELECT o.id, line.line_no, line.line_type, line.box_type_id, line.qty,
+       line.unit_rrp, line.unit_net, line.unit_build_cost, line.rrp_total, line.net_total, line.build_cost_total
+FROM orders o
+CROSS JOIN LATERAL (VALUES
+    (1, 'box', o.box_type_id, o.boxes_qty,
+        ROUND(o.box_rrp_total / o.boxes_qty, 4), ROUND(o.box_net_total / o.boxes_qty, 4), ROUND(o.box_build_cost_total / o.boxes_qty, 4),
+        o.box_rrp_total, o.box_net_total, o.box_build_cost_total),
+    (2, 'install', NULL, 1, 0, COALESCE(o.install_revenue, 0), 0, 0, COALESCE(o.install_revenue, 0), 0),
+    (3, 'extras', NULL, 1, 0, COALESCE(o.extras_revenue, 0), 0, 0, COALESCE(o.extras_revenue, 0), 0)
+) AS line(line_no, line_type, box_type_id, qty, unit_rrp, unit_net, unit_build_cost, rrp_total, net_total, build_cost_total)
+WHERE NOT EXISTS (SELECT 1 FROM order_lines l WHERE l.order_id = o.id)
+AND (line.line_type = 'box' OR line.net_total <> 0);
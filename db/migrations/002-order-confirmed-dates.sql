@@ -0,0 +1,3 @@
+-- Orders entered before statuses existed counted as sold when entered, so they
+-- start confirmed on their order date
+UPDATE orders SET confirmed_date = order_date WHERE status = 'confirmed' AND confirmed_date IS NULL;
@@ -0,0 +1,22 @@
+-- Entries from before the catalogue: each free-text reason typed becomes an
+-- uncategorised catalogue reason (matched ignoring case) for directors to tidy up
+INSERT INTO over_cost_reasons (name)
+SELECT DISTINCT ON (LOWER(TRIM(entry.value->>'reason'))) TRIM(entry.value->>'reason')
+FROM production_boxes p
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(p.over_cost_reasons_json) = 'array' THEN p.over_cost_reasons_json ELSE '[]'::jsonb END
+) AS entry(value)
+WHERE COALESCE(TRIM(entry.value->>'reason'), '') <> ''
+AND NOT EXISTS (SELECT 1 FROM production_cost_reasons r WHERE r.production_id = p.id)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO production_cost_reasons (production_id, reason_id, boxes)
+SELECT p.id, ocr.id, SUM(COALESCE(substring(entry.value->>'boxes' from '^\s*([+-]?\d+)')::integer, 0))
+FROM production_boxes p
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(p.over_cost_reasons_json) = 'array' THEN p.over_cost_reasons_json ELSE '[]'::jsonb END
+) AS entry(value)
+JOIN over_cost_reasons ocr ON LOWER(ocr.name) = LOWER(TRIM(entry.value->>'reason'))
+WHERE NOT EXISTS (SELECT 1 FROM production_cost_reasons r WHERE r.production_id = p.id)
+GROUP BY p.id, ocr.id
+HAVING SUM(COALESCE(substring(entry.value->>'boxes' from '^\s*([+-]?\d+)')::integer, 0)) > 0;
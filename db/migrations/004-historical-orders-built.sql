@@ -0,0 +1,34 @@
+-- Orders entered before production allocations existed have none, so without this
+-- every one of them would sit in the backlog. Production built before allocations
+-- went to the oldest orders first: walk the confirmed orders without allocations
+-- oldest first against the running total of boxes built by entries without
+-- allocations, and mark each order built once that total covers it (on the day it
+-- did, or its confirmed date if later). Orders it doesn't cover stay in the backlog.
+WITH order_queue AS (
+    SELECT o.id, o.confirmed_date,
+           SUM(o.boxes_qty) OVER (ORDER BY o.confirmed_date, o.id) AS boxes_through
+    FROM orders o
+    WHERE o.status = 'confirmed'
+    AND o.confirmed_date IS NOT NULL
+    AND o.deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM production_allocations a WHERE a.order_id = o.id)
+),
+production_totals AS (
+    SELECT p.production_date,
+           SUM(SUM(p.boxes_built)) OVER (ORDER BY p.production_date) AS built_through
+    FROM production_boxes p
+    WHERE p.production_date <= CURRENT_DATE
+    AND p.deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM production_allocations a WHERE a.production_id = p.id)
+    GROUP BY p.production_date
+),
+covered AS (
+    SELECT q.id, q.confirmed_date,
+           (SELECT MIN(t.production_date) FROM production_totals t WHERE t.built_through >= q.boxes_through) AS built_on
+    FROM order_queue q
+)
+UPDATE orders o
+SET status = 'built', built_date = GREATEST(c.confirmed_date, c.built_on)
+FROM covered c
+WHERE o.id = c.id
+AND c.built_on IS NOT NULL;
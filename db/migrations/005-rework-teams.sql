@@ -0,0 +1,8 @@
+-- Rework logged before the team catalogue names its team as free text: rework
+-- whose team matches a catalogue team (ignoring case) is put down to that team.
+-- Rework matching no team keeps its text for directors to tidy up.
+UPDATE production_rework w
+SET team_id = t.id, team = NULL
+FROM production_teams t
+WHERE w.team_id IS NULL
+AND LOWER(t.name) = LOWER(TRIM(w.team));
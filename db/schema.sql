@@ -1,3 +1,10 @@
+-- Data migrations already applied (see utils/migrations.js; this file itself only
+-- holds idempotent DDL, re-applied on every start)
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
@@ -8,7 +15,7 @@ CREATE TABLE IF NOT EXISTS users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Settings table (single row)
+-- Settings table (single row; target columns are defaults for FYs without fy_targets)
 CREATE TABLE IF NOT EXISTS settings (
     id SERIAL PRIMARY KEY,
     baseline_floor_per_box NUMERIC DEFAULT 700,
@@ -20,6 +27,64 @@ CREATE TABLE IF NOT EXISTS settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- RAG threshold rules per metric (defaults apply to metrics without a rule)
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS rag_rules_json JSONB;
+
+-- FY targets table (one row per financial year; falls back to settings when absent)
+CREATE TABLE IF NOT EXISTS fy_targets (
+    id SERIAL PRIMARY KEY,
+    fy_label TEXT UNIQUE NOT NULL,
+    yearly_box_target INTEGER NOT NULL,
+    monthly_box_targets_json JSONB NOT NULL,
+    baseline_floor_per_box NUMERIC NOT NULL,
+    rag_amber_floor_pct NUMERIC NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rep targets table (per-rep monthly targets; reps without a row get an even split)
+CREATE TABLE IF NOT EXISTS rep_targets (
+    id SERIAL PRIMARY KEY,
+    fy_label TEXT NOT NULL,
+    fy_month TEXT NOT NULL,
+    sales_rep_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    box_target NUMERIC NOT NULL,
+    baseline_target NUMERIC,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(fy_label, fy_month, sales_rep_id)
+);
+
+-- Factory shutdown days (non-working days on top of UK bank holidays)
+CREATE TABLE IF NOT EXISTS shutdown_days (
+    id SERIAL PRIMARY KEY,
+    shutdown_date DATE UNIQUE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customers (region and channel are reported on through the customer's orders)
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    region TEXT,
+    channel TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Box type catalogue (defaults pre-fill the order form per box)
+CREATE TABLE IF NOT EXISTS box_types (
+    id SERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    default_rrp NUMERIC NOT NULL DEFAULT 0,
+    default_build_cost NUMERIC NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Orders table (order-level input; source of truth)
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
@@ -49,6 +114,174 @@ CREATE TABLE IF NOT EXISTS production_boxes (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Soft delete: deleted rows stay in the Recycle bin until restored or purged
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Customer of each order (optional; older orders have none). box_type_id predates
+-- order lines, which now carry the box type; the line backfill (db/migrations/001) still reads it
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS box_type_id INTEGER REFERENCES box_types(id) ON DELETE SET NULL;
+
+-- Order lines (box, install and extras lines; the order's box totals and install/extras
+-- revenue are summed from them on every save, and line totals are qty x unit to the penny)
+CREATE TABLE IF NOT EXISTS order_lines (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    line_no INTEGER NOT NULL,
+    line_type TEXT NOT NULL CHECK (line_type IN ('box', 'install', 'extras')),
+    box_type_id INTEGER REFERENCES box_types(id) ON DELETE SET NULL,
+    description TEXT,
+    qty INTEGER NOT NULL CHECK (qty >= 1),
+    unit_rrp NUMERIC NOT NULL DEFAULT 0,
+    unit_net NUMERIC NOT NULL DEFAULT 0,
+    unit_build_cost NUMERIC NOT NULL DEFAULT 0,
+    rrp_total NUMERIC NOT NULL DEFAULT 0,
+    net_total NUMERIC NOT NULL DEFAULT 0,
+    build_cost_total NUMERIC NOT NULL DEFAULT 0
+);
+
+-- Order lifecycle: quote -> confirmed -> built -> installed, or cancelled at any point.
+-- Each status keeps the date it was reached (a quote's is the order date). Orders entered
+-- before statuses existed start confirmed on their order date (db/migrations/002)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('quote', 'confirmed', 'built', 'installed', 'cancelled'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS confirmed_date DATE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS built_date DATE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS installed_date DATE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_date DATE;
+
+-- Statuses whose orders count as sold (null for the default: confirmed, built and installed)
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS sold_statuses_json JSONB;
+
+-- Boxes of a production entry built for an order (an entry may allocate some,
+-- all or none of its boxes; an order may be built across several entries)
+CREATE TABLE IF NOT EXISTS production_allocations (
+    id SERIAL PRIMARY KEY,
+    production_id INTEGER NOT NULL REFERENCES production_boxes(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    boxes INTEGER NOT NULL CHECK (boxes > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (production_id, order_id)
+);
+
+-- Over-cost reason catalogue (directors manage it; inactive reasons are hidden
+-- from new production entries but kept on the entries that used them)
+CREATE TABLE IF NOT EXISTS over_cost_reasons (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT 'Uncategorised',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_over_cost_reasons_name ON over_cost_reasons(LOWER(name));
+
+-- Reasons a production entry's boxes went over cost, with the £ overrun of each;
+-- the boxes add up to boxes_over_cost. This is the only store of an entry's reasons:
+-- production_boxes.over_cost_reasons_json is read-only legacy data (the free text
+-- typed before the catalogue, migrated by db/migrations/003) and is no longer written
+CREATE TABLE IF NOT EXISTS production_cost_reasons (
+    id SERIAL PRIMARY KEY,
+    production_id INTEGER NOT NULL REFERENCES production_boxes(id) ON DELETE CASCADE,
+    reason_id INTEGER NOT NULL REFERENCES over_cost_reasons(id),
+    boxes INTEGER NOT NULL CHECK (boxes > 0),
+    overrun NUMERIC NOT NULL DEFAULT 0 CHECK (overrun >= 0),
+    UNIQUE (production_id, reason_id)
+);
+
+-- Build cost of a production entry per box type: standard (defaulting to the
+-- box type's default build cost) and actual, with the overrun above standard.
+-- The entry's cost totals are summed from its lines (NULL when none recorded).
+CREATE TABLE IF NOT EXISTS production_cost_lines (
+    id SERIAL PRIMARY KEY,
+    production_id INTEGER NOT NULL REFERENCES production_boxes(id) ON DELETE CASCADE,
+    line_no INTEGER NOT NULL,
+    box_type_id INTEGER REFERENCES box_types(id) ON DELETE SET NULL,
+    boxes INTEGER NOT NULL CHECK (boxes > 0),
+    standard_cost NUMERIC NOT NULL CHECK (standard_cost >= 0),
+    actual_cost NUMERIC NOT NULL CHECK (actual_cost >= 0),
+    overrun NUMERIC NOT NULL DEFAULT 0 CHECK (overrun >= 0)
+);
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS standard_build_cost NUMERIC;
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS actual_build_cost NUMERIC;
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS cost_overrun NUMERIC;
+
+-- Defect type catalogue (directors manage it; inactive types are hidden from
+-- new production entries but kept on the rework already logged against them)
+CREATE TABLE IF NOT EXISTS defect_types (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_defect_types_name ON defect_types(LOWER(name));
+
+-- Rework logged against a production entry: each instance's defect type, the
+-- stage it was found at, the team responsible, and its boxes, £ cost and hours.
+-- When any is logged the boxes add up to the entry's rework_boxes.
+CREATE TABLE IF NOT EXISTS production_rework (
+    id SERIAL PRIMARY KEY,
+    production_id INTEGER NOT NULL REFERENCES production_boxes(id) ON DELETE CASCADE,
+    defect_type_id INTEGER NOT NULL REFERENCES defect_types(id),
+    stage TEXT NOT NULL CHECK (stage IN ('factory', 'install', 'customer')),
+    team TEXT,
+    boxes INTEGER NOT NULL CHECK (boxes > 0),
+    cost NUMERIC NOT NULL DEFAULT 0 CHECK (cost >= 0),
+    hours NUMERIC NOT NULL DEFAULT 0 CHECK (hours >= 0)
+);
+
+-- Production lines and teams (directors manage them; inactive ones are hidden
+-- from new production entries but kept on the entries already recorded against
+-- them). A team's plan_share_pct is its share of the monthly build plan; teams
+-- without one split what the others leave evenly.
+CREATE TABLE IF NOT EXISTS production_lines (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_production_lines_name ON production_lines(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS production_teams (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    plan_share_pct NUMERIC CHECK (plan_share_pct >= 0 AND plan_share_pct <= 100),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_production_teams_name ON production_teams(LOWER(name));
+
+-- Line, team and shift of each production entry (optional; older entries have
+-- none), so crews building on the same day record separate entries
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS line_id INTEGER REFERENCES production_lines(id);
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES production_teams(id);
+ALTER TABLE production_boxes ADD COLUMN IF NOT EXISTS shift TEXT CHECK (shift IN ('day', 'late', 'night'));
+
+-- Team responsible for each rework instance. The free-text team is only kept
+-- for rework logged before the team catalogue whose name matched no team.
+ALTER TABLE production_rework ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES production_teams(id);
+ALTER TABLE production_rework ALTER COLUMN team DROP NOT NULL;
+
+-- Production build plan (boxes production plans to build, kept apart from the
+-- sales target). Months are keyed by their first day and weeks by their Monday;
+-- months without a plan fall back to the sales target, weeks without one get
+-- their working-day share of the month plans.
+CREATE TABLE IF NOT EXISTS production_plan (
+    id SERIAL PRIMARY KEY,
+    period_type TEXT NOT NULL CHECK (period_type IN ('month', 'week')),
+    period_start DATE NOT NULL,
+    boxes INTEGER NOT NULL CHECK (boxes >= 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(period_type, period_start)
+);
+
 -- Dashboard notes table
 CREATE TABLE IF NOT EXISTS dashboard_notes (
     id SERIAL PRIMARY KEY,
@@ -61,9 +294,86 @@ CREATE TABLE IF NOT EXISTS dashboard_notes (
     UNIQUE(fy_label, fy_month, role)
 );
 
+-- API tokens (service access to /api/v1; only a hash of each token is stored)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    token_prefix TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Month close (one row per calendar month, closed while reopened_at is NULL;
+-- snapshots hold the company dashboard metrics at close)
+CREATE TABLE IF NOT EXISTS period_closes (
+    id SERIAL PRIMARY KEY,
+    period_start DATE UNIQUE NOT NULL,
+    closed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP,
+    reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    sales_snapshot_json JSONB NOT NULL,
+    production_snapshot_json JSONB NOT NULL
+);
+
+-- Month-end KPI snapshots (never updated: each row keeps the metrics, RAG statuses,
+-- targets and settings exactly as computed when it was taken)
+CREATE TABLE IF NOT EXISTS kpi_snapshots (
+    id SERIAL PRIMARY KEY,
+    period_start DATE NOT NULL,
+    fy_label TEXT NOT NULL,
+    fy_month TEXT NOT NULL,
+    snapshot_type TEXT NOT NULL DEFAULT 'manual',
+    taken_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    taken_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    settings_json JSONB NOT NULL,
+    targets_json JSONB NOT NULL,
+    rag_rules_json JSONB NOT NULL,
+    rag_json JSONB NOT NULL,
+    sales_metrics_json JSONB NOT NULL,
+    production_metrics_json JSONB NOT NULL
+);
+
+-- Audit log (one row per write; actor name is copied so history survives user deletion)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_name TEXT NOT NULL,
+    api_token_id INTEGER REFERENCES api_tokens(id) ON DELETE SET NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    action TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'web',
+    before_json JSONB,
+    after_json JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders(order_date);
 CREATE INDEX IF NOT EXISTS idx_orders_sales_rep_id ON orders(sales_rep_id);
 CREATE INDEX IF NOT EXISTS idx_orders_date_rep ON orders(order_date, sales_rep_id);
 CREATE INDEX IF NOT EXISTS idx_production_boxes_date ON production_boxes(production_date);
+CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders(customer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_box_type_id ON orders(box_type_id);
+CREATE INDEX IF NOT EXISTS idx_order_lines_order_id ON order_lines(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_lines_box_type_id ON order_lines(box_type_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_production_allocations_order_id ON production_allocations(order_id);
+CREATE INDEX IF NOT EXISTS idx_production_cost_reasons_reason_id ON production_cost_reasons(reason_id);
+CREATE INDEX IF NOT EXISTS idx_production_cost_lines_production_id ON production_cost_lines(production_id);
+CREATE INDEX IF NOT EXISTS idx_production_rework_production_id ON production_rework(production_id);
+CREATE INDEX IF NOT EXISTS idx_production_rework_defect_type_id ON production_rework(defect_type_id);
+CREATE INDEX IF NOT EXISTS idx_production_boxes_team_id ON production_boxes(team_id);
+CREATE INDEX IF NOT EXISTS idx_production_rework_team_id ON production_rework(team_id);
 CREATE INDEX IF NOT EXISTS idx_dashboard_notes_lookup ON dashboard_notes(fy_label, fy_month, role);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_kpi_snapshots_period ON kpi_snapshots(period_start);
+-- One automatic snapshot per month
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kpi_snapshots_automatic ON kpi_snapshots(period_start) WHERE snapshot_type = 'automatic';
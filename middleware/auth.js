@@ -1,15 +1,87 @@
 /**
  * Authentication Middleware
+ * Web pages use the login session. /api/ requests may instead send an API
+ * token (Authorization: Bearer <token>); token requests act with director
+ * visibility, limited by the token's scopes (see requireScope).
  */
 
+const { authenticateApiToken, hasApiScope } = require('../utils/api-tokens');
+
+/**
+ * Check whether a request is for the JSON API
+ * @param {Object} req
+ * @returns {Boolean}
+ */
+function isApiRequest(req) {
+    return req.originalUrl.startsWith('/api/');
+}
+
+/**
+ * Reject an unauthenticated request (JSON 401 for the API, login redirect otherwise)
+ */
+function denyUnauthenticated(req, res) {
+    if (isApiRequest(req)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.redirect('/login');
+}
+
+/**
+ * Reject a request from the wrong role (JSON 403 for the API)
+ */
+function denyAccess(req, res) {
+    if (isApiRequest(req)) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    res.status(403).send('Access denied');
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {Object} req
+ * @returns {String|null}
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
 /**
- * Require authentication - user must be logged in
+ * Get the user (or API token) making the request
+ * @param {Object} req
+ * @returns {Object} { userId, role, tokenId } - userId is null for API tokens
  */
-function requireAuth(req, res, next) {
+function getAuthUser(req) {
+    if (req.apiToken) {
+        return { userId: null, role: 'director', tokenId: req.apiToken.id };
+    }
+    return { userId: req.session.userId, role: req.session.userRole, tokenId: null };
+}
+
+/**
+ * Require authentication - user must be logged in (or send a valid API token to /api/)
+ */
+async function requireAuth(req, res, next) {
     if (req.session && req.session.userId) {
         return next();
     }
-    res.redirect('/login');
+    
+    const bearerToken = isApiRequest(req) ? getBearerToken(req) : null;
+    if (bearerToken) {
+        try {
+            const apiToken = await authenticateApiToken(bearerToken);
+            if (apiToken) {
+                req.apiToken = apiToken;
+                return next();
+            }
+            return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+        } catch (error) {
+            console.error('API token authentication error:', error);
+            return res.status(500).json({ error: 'Error checking API token' });
+        }
+    }
+    
+    denyUnauthenticated(req, res);
 }
 
 /**
@@ -20,19 +92,37 @@ function requireRole(allowedRoles) {
     const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
     
     return (req, res, next) => {
+        // API tokens act as directors; their scopes are checked by requireScope
+        if (req.apiToken) {
+            return roles.includes('director') ? next() : denyAccess(req, res);
+        }
+        
         if (!req.session || !req.session.userId) {
-            return res.redirect('/login');
+            return denyUnauthenticated(req, res);
         }
         
         if (!req.session.userRole) {
-            return res.status(403).send('Access denied');
+            return denyAccess(req, res);
         }
         
         if (roles.includes(req.session.userRole)) {
             return next();
         }
         
-        res.status(403).send('Access denied');
+        denyAccess(req, res);
+    };
+}
+
+/**
+ * Require an API token scope. Session users are governed by requireRole alone.
+ * @param {String} scope - e.g. "orders:read"
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiToken || hasApiScope(req.apiToken.scopes, scope)) {
+            return next();
+        }
+        res.status(403).json({ error: `API token does not have the ${scope} scope` });
     };
 }
 
@@ -54,7 +144,10 @@ function userLocals(req, res, next) {
 }
 
 module.exports = {
+    isApiRequest,
+    getAuthUser,
     requireAuth,
     requireRole,
+    requireScope,
     userLocals
 };
@@ -0,0 +1,1050 @@
+/**
+ * JSON API Routes (v1)
+ * Orders, production entries and dashboard metrics for external tools.
+ * Role rules match the HTML routes: sales users only see and edit their own
+ * orders, production and directors manage production entries, and only
+ * directors delete. API tokens act as directors within their scopes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { getAuthUser, requireAuth, requireRole, requireScope } = require('../middleware/auth');
+const { getCurrentFY, getFYMonth, getFYDateRange, getFYStartMonth, getFYPeriodMonths, getFYPeriodLabel, isFYWeek, getFYForWeek, getFYStartYear, PERIOD_FULL_YEAR } = require('../utils/fy');
+const { toDateKey } = require('../utils/calendar');
+const { getPeriodMonthShares } = require('../utils/aggregations');
+const { querySalesMetrics, queryProductionMetrics } = require('../utils/sql-aggregations');
+const { getRAGRules, getRAGStatus, getDiscountRAG, getCostComplianceRAG, getQualityRAG } = require('../utils/rag');
+const { getSettings, getSettingsForFY, getSalesReps, getRepTargetRowsForFY, getRepTargetsByMonth, sumRepTargets } = require('../utils/targets');
+const { softDeleteRecords } = require('../utils/recycle-bin');
+const { getPeriodLockError, getRecordsLockError } = require('../utils/period-close');
+const { resolveOrderCatalogue } = require('../utils/catalogue');
+const { validateOrderLines, buildLumpSumLines, getOrderLines, saveOrder } = require('../utils/order-lines');
+const { ORDER_STATUSES, NEW_ORDER_STATUSES, getOrderStatusDates, validateStatusChange, getOrderDateError, changeOrderStatus } = require('../utils/order-status');
+const { parseAllocations, getProductionAllocations, getOrderBuiltBoxes, getOutstandingBoxes, validateAllocations } = require('../utils/production-allocations');
+const { parseCostReasons, getProductionCostReasons, validateCostReasons } = require('../utils/cost-reasons');
+const { parseCostLines, validateCostLines, getProductionCostLines } = require('../utils/production-costs');
+const { parseReworkLog, getProductionRework, validateReworkLog } = require('../utils/rework');
+const { resolveProductionDimensions } = require('../utils/production-dimensions');
+const { saveProductionEntry } = require('../utils/production-entries');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Order fields that set the order's totals as lump sums instead of lines
+const LUMP_SUM_ORDER_FIELDS = ['boxes_qty', 'box_rrp_total', 'box_net_total', 'box_build_cost_total', 'install_revenue', 'extras_revenue', 'box_type_id'];
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) &&
+        toDateKey(new Date(`${value}T00:00:00`)) === value;
+}
+
+/**
+ * Check a value is a number (or numeric string)
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isNumeric(value) {
+    return value !== null && value !== '' && typeof value !== 'boolean' && !isNaN(Number(value));
+}
+
+/**
+ * Resolve the FY period selected by fy / month / week query parameters
+ * @param {Object} query - Request query
+ * @param {Number} fyStartMonth
+ * @param {String} defaultPeriod - Period when no month or week is given
+ * @returns {Object} { fy, period } or { error }
+ */
+function getRequestedPeriod(query, fyStartMonth, defaultPeriod) {
+    const period = query.week || query.month || defaultPeriod;
+    
+    try {
+        // A week's dates don't depend on the FY, so check fy names the FY the week is in
+        // (the one its dashboard week selector lists it under)
+        if (isFYWeek(period)) {
+            const weekFY = getFYForWeek(period, fyStartMonth).label;
+            if (query.fy) {
+                getFYStartYear(query.fy); // Throws for a malformed label
+                if (query.fy !== weekFY) {
+                    return { error: `Invalid period: week ${period} is in FY ${weekFY}, not ${query.fy}` };
+                }
+            }
+            return { fy: weekFY, period };
+        }
+        
+        const fy = query.fy || getCurrentFY(fyStartMonth).label;
+        getFYDateRange(fy, period, fyStartMonth);
+        return { fy, period };
+    } catch (error) {
+        return { error: `Invalid period: ${error.message}` };
+    }
+}
+
+/**
+ * Resolve list date filters: an FY period (fy, month or week) and/or from/to dates
+ * @param {Object} query - Request query
+ * @param {Number} fyStartMonth
+ * @returns {Object} { start, end } as YYYY-MM-DD (either may be null) or { error }
+ */
+function getDateFilter(query, fyStartMonth) {
+    let start = null;
+    let end = null;
+    
+    if (query.fy || query.month || query.week) {
+        const requested = getRequestedPeriod(query, fyStartMonth, PERIOD_FULL_YEAR);
+        if (requested.error) return requested;
+        
+        const range = getFYDateRange(requested.fy, requested.period, fyStartMonth);
+        start = toDateKey(range.start);
+        end = toDateKey(range.end);
+    }
+    
+    if (query.from !== undefined) {
+        if (!isValidDate(query.from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+        if (!start || query.from > start) start = query.from;
+    }
+    if (query.to !== undefined) {
+        if (!isValidDate(query.to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+        if (!end || query.to < end) end = query.to;
+    }
+    
+    return { start, end };
+}
+
+/**
+ * Read page / per_page query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { page, perPage, offset }
+ */
+function getPagination(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(query.per_page) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, perPage, offset: (page - 1) * perPage };
+}
+
+/**
+ * Build the pagination block for a list response
+ * @param {Object} pagination - From getPagination
+ * @param {Number} total - Total matching rows
+ * @returns {Object}
+ */
+function buildPaginationMeta(pagination, total) {
+    return {
+        page: pagination.page,
+        perPage: pagination.perPage,
+        total,
+        totalPages: Math.ceil(total / pagination.perPage)
+    };
+}
+
+/**
+ * Shape an order line row for JSON
+ * @param {Object} line - order_lines row (with box_type_name)
+ * @returns {Object}
+ */
+function serializeOrderLine(line) {
+    return {
+        line_no: line.line_no,
+        line_type: line.line_type,
+        box_type_id: line.box_type_id,
+        box_type_name: line.box_type_name || null,
+        description: line.description,
+        qty: parseInt(line.qty),
+        unit_rrp: parseFloat(line.unit_rrp),
+        unit_net: parseFloat(line.unit_net),
+        unit_build_cost: parseFloat(line.unit_build_cost),
+        rrp_total: parseFloat(line.rrp_total),
+        net_total: parseFloat(line.net_total),
+        build_cost_total: parseFloat(line.build_cost_total)
+    };
+}
+
+/**
+ * Shape an order row for JSON (numbers instead of NUMERIC strings)
+ * @param {Object} order - orders row (optionally with sales_rep_name, customer_name, lines and boxes_built)
+ * @returns {Object}
+ */
+function serializeOrder(order) {
+    return {
+        id: order.id,
+        order_date: toDateKey(order.order_date),
+        order_ref: order.order_ref,
+        sales_rep_id: order.sales_rep_id,
+        sales_rep_name: order.sales_rep_name || null,
+        customer_id: order.customer_id || null,
+        customer_name: order.customer_name || null,
+        status: order.status,
+        confirmed_date: order.confirmed_date ? toDateKey(order.confirmed_date) : null,
+        built_date: order.built_date ? toDateKey(order.built_date) : null,
+        installed_date: order.installed_date ? toDateKey(order.installed_date) : null,
+        cancelled_date: order.cancelled_date ? toDateKey(order.cancelled_date) : null,
+        boxes_qty: parseInt(order.boxes_qty),
+        boxes_built: order.boxes_built || 0,
+        boxes_outstanding: getOutstandingBoxes(order, order.boxes_built || 0),
+        box_rrp_total: parseFloat(order.box_rrp_total),
+        box_net_total: parseFloat(order.box_net_total),
+        box_build_cost_total: parseFloat(order.box_build_cost_total),
+        install_revenue: parseFloat(order.install_revenue) || 0,
+        extras_revenue: parseFloat(order.extras_revenue) || 0,
+        notes: order.notes,
+        lines: (order.lines || []).map(serializeOrderLine),
+        created_at: order.created_at,
+        updated_at: order.updated_at
+    };
+}
+
+/**
+ * Shape a production entry row for JSON
+ * @param {Object} entry - production_boxes row (optionally with cost_lines, over_cost_reasons, rework_log and allocations)
+ * @returns {Object}
+ */
+function serializeProductionEntry(entry) {
+    return {
+        id: entry.id,
+        production_date: toDateKey(entry.production_date),
+        line_id: entry.line_id || null,
+        team_id: entry.team_id || null,
+        shift: entry.shift || null,
+        boxes_built: parseInt(entry.boxes_built),
+        boxes_over_cost: parseInt(entry.boxes_over_cost) || 0,
+        standard_build_cost: entry.standard_build_cost === null || entry.standard_build_cost === undefined ? null : parseFloat(entry.standard_build_cost),
+        actual_build_cost: entry.actual_build_cost === null || entry.actual_build_cost === undefined ? null : parseFloat(entry.actual_build_cost),
+        cost_overrun: entry.cost_overrun === null || entry.cost_overrun === undefined ? null : parseFloat(entry.cost_overrun),
+        cost_lines: (entry.cost_lines || []).map(line => ({
+            box_type_id: line.box_type_id,
+            boxes: parseInt(line.boxes),
+            standard_cost: parseFloat(line.standard_cost),
+            actual_cost: parseFloat(line.actual_cost),
+            overrun: parseFloat(line.overrun) || 0
+        })),
+        over_cost_reasons: (entry.over_cost_reasons || []).map(reason => ({
+            reason_id: reason.reason_id,
+            reason: reason.reason,
+            category: reason.category,
+            boxes: parseInt(reason.boxes),
+            overrun: parseFloat(reason.overrun) || 0
+        })),
+        rework_boxes: parseInt(entry.rework_boxes) || 0,
+        rework_log: (entry.rework_log || []).map(row => ({
+            defect_type_id: row.defect_type_id,
+            defect_type: row.defect_type,
+            stage: row.stage,
+            team_id: row.team_id || null,
+            team: row.team,
+            boxes: parseInt(row.boxes),
+            cost: parseFloat(row.cost) || 0,
+            hours: parseFloat(row.hours) || 0
+        })),
+        allocations: (entry.allocations || []).map(allocation => ({
+            order_id: allocation.order_id,
+            boxes: parseInt(allocation.boxes)
+        })),
+        notes: entry.notes,
+        created_at: entry.created_at
+    };
+}
+
+/**
+ * Validate order fields from a request body merged over an existing order.
+ * The lines come from `lines` when sent; otherwise lump-sum totals (boxes_qty,
+ * box_*_total, install_revenue, extras_revenue, box_type_id) become one box line
+ * plus install/extras lines, which is only allowed while the order has a single box line.
+ * @param {Object} body - Request body
+ * @param {Object} existing - Current values with lines (empty for create)
+ * @returns {Object} { values, lines, errors }
+ */
+function validateOrderInput(body, existing = {}) {
+    const input = { ...existing, ...body };
+    const errors = [];
+    let lines = [];
+    
+    if (!isValidDate(input.order_date)) {
+        errors.push('order_date must be a date (YYYY-MM-DD)');
+    }
+    
+    const existingLines = existing.lines || [];
+    const existingBoxLines = existingLines.filter(line => line.line_type === 'box');
+    const sendsLumpSums = LUMP_SUM_ORDER_FIELDS.some(field => body[field] !== undefined);
+    if (body.lines !== undefined) {
+        if (!Array.isArray(body.lines)) {
+            errors.push('lines must be an array');
+        } else {
+            const validated = validateOrderLines(body.lines);
+            lines = validated.lines;
+            errors.push(...validated.errors);
+        }
+    } else if (existing.id && !sendsLumpSums && existingLines.length > 0) {
+        lines = validateOrderLines(existingLines).lines;
+    } else if (existingBoxLines.length > 1) {
+        errors.push('This order has several box lines; send lines to change its totals');
+    } else {
+        if (!isNumeric(input.boxes_qty) || !Number.isInteger(Number(input.boxes_qty)) || Number(input.boxes_qty) < 1) {
+            errors.push('boxes_qty must be a whole number of at least 1');
+        }
+        ['box_rrp_total', 'box_net_total', 'box_build_cost_total'].forEach(field => {
+            if (!isNumeric(input[field])) errors.push(`${field} is required and must be a number`);
+        });
+        ['install_revenue', 'extras_revenue'].forEach(field => {
+            if (input[field] !== undefined && input[field] !== null && !isNumeric(input[field])) {
+                errors.push(`${field} must be a number`);
+            }
+        });
+        
+        if (errors.length === 0) {
+            const boxTypeId = body.box_type_id !== undefined
+                ? body.box_type_id
+                : (existingBoxLines[0] ? existingBoxLines[0].box_type_id : null);
+            const validated = validateOrderLines(buildLumpSumLines(input, boxTypeId));
+            lines = validated.lines;
+            errors.push(...validated.errors);
+        }
+    }
+    
+    return {
+        errors,
+        lines,
+        values: {
+            order_date: input.order_date,
+            order_ref: input.order_ref || null,
+            customer_id: input.customer_id,
+            notes: input.notes || null
+        }
+    };
+}
+
+/**
+ * Validate production entry fields from a request body merged over an existing entry
+ * @param {Object} body - Request body
+ * @param {Object} existing - Current values (empty for create)
+ * @returns {Object} { values, errors }
+ */
+function validateProductionInput(body, existing = {}) {
+    const input = { ...existing, ...body };
+    const errors = [];
+    
+    if (!isValidDate(input.production_date)) {
+        errors.push('production_date must be a date (YYYY-MM-DD)');
+    }
+    ['boxes_built', 'boxes_over_cost', 'rework_boxes'].forEach(field => {
+        const value = input[field];
+        const required = field === 'boxes_built';
+        if ((value === undefined || value === null) && !required) return;
+        if (!isNumeric(value) || !Number.isInteger(Number(value)) || Number(value) < 0) {
+            errors.push(`${field} must be a whole number of at least 0`);
+        }
+    });
+    
+    return {
+        errors,
+        values: {
+            production_date: input.production_date,
+            line_id: input.line_id,
+            team_id: input.team_id,
+            shift: input.shift,
+            boxes_built: parseInt(input.boxes_built),
+            boxes_over_cost: parseInt(input.boxes_over_cost) || 0,
+            rework_boxes: parseInt(input.rework_boxes) || 0,
+            notes: input.notes || null
+        }
+    };
+}
+
+/**
+ * Validate a production entry's over-cost reasons against the catalogue and its boxes over cost
+ * @param {Array} rawReasons - [{ reason_id | reason, boxes, overrun }]
+ * @param {Number} boxesOverCost
+ * @param {Number|null} entryId - Entry being updated (null for create)
+ * @returns {Promise<Object>} { reasons, errors }
+ */
+async function validateProductionReasons(rawReasons, boxesOverCost, entryId = null) {
+    if (!Array.isArray(rawReasons)) {
+        return { reasons: [], errors: ['over_cost_reasons must be an array of { reason_id or reason, boxes, overrun }'] };
+    }
+    
+    const parsed = parseCostReasons(rawReasons);
+    if (parsed.errors.length > 0) {
+        return { reasons: [], errors: parsed.errors };
+    }
+    const checked = await validateCostReasons(parsed.reasons, boxesOverCost, entryId);
+    return { reasons: checked.reasons || [], errors: checked.errors || [] };
+}
+
+/**
+ * Validate a production entry's cost lines against its boxes built
+ * @param {Array} rawLines - [{ box_type_id, boxes, standard_cost, actual_cost }]
+ * @param {Number} boxesBuilt
+ * @returns {Promise<Object>} { costLines, errors }
+ */
+async function validateProductionCostLines(rawLines, boxesBuilt) {
+    if (!Array.isArray(rawLines)) {
+        return { costLines: [], errors: ['cost_lines must be an array of { box_type_id, boxes, standard_cost, actual_cost }'] };
+    }
+    
+    const parsed = parseCostLines(rawLines);
+    if (parsed.errors.length > 0) {
+        return { costLines: [], errors: parsed.errors };
+    }
+    const checked = await validateCostLines(parsed.lines, boxesBuilt);
+    return { costLines: checked.lines || [], errors: checked.errors || [] };
+}
+
+/**
+ * Validate a production entry's rework log against the defect types and its rework boxes
+ * @param {Array} rawRework - [{ defect_type_id | defect_type, stage, team_id | team, boxes, cost, hours }]
+ * @param {Number} reworkBoxes
+ * @param {Number|null} entryId - Entry being updated (null for create)
+ * @returns {Promise<Object>} { rework, errors }
+ */
+async function validateProductionRework(rawRework, reworkBoxes, entryId = null) {
+    if (!Array.isArray(rawRework)) {
+        return { rework: [], errors: ['rework_log must be an array of { defect_type_id or defect_type, stage, team_id or team, boxes, cost, hours }'] };
+    }
+    
+    const parsed = parseReworkLog(rawRework);
+    if (parsed.errors.length > 0) {
+        return { rework: [], errors: parsed.errors };
+    }
+    const checked = await validateReworkLog(parsed.rework, reworkBoxes, entryId);
+    return { rework: checked.rework || [], errors: checked.errors || [] };
+}
+
+/**
+ * Load an order the current user may access
+ * @param {Object} req
+ * @param {Number} orderId
+ * @returns {Promise<Object>} { order } or { status, error }
+ */
+async function getAccessibleOrder(req, orderId) {
+    const orderResult = await db.query(
+        `SELECT o.*, u.name as sales_rep_name, c.name as customer_name
+         FROM orders o
+         LEFT JOIN users u ON o.sales_rep_id = u.id
+         LEFT JOIN customers c ON o.customer_id = c.id
+         WHERE o.id = $1 AND o.deleted_at IS NULL`,
+        [orderId]
+    );
+    
+    if (orderResult.rows.length === 0) {
+        return { status: 404, error: 'Order not found' };
+    }
+    
+    const order = orderResult.rows[0];
+    order.lines = (await getOrderLines([orderId]))[orderId] || [];
+    order.boxes_built = (await getOrderBuiltBoxes([orderId]))[orderId] || 0;
+    
+    // Sales can only access their own orders
+    const user = getAuthUser(req);
+    if (user.role !== 'director' && order.sales_rep_id !== user.userId) {
+        return { status: 403, error: 'Access denied' };
+    }
+    
+    return { order };
+}
+
+/**
+ * Resolve the sales rep for an order write.
+ * Sales users always own their orders; directors may assign any sales rep.
+ * @param {Object} req
+ * @param {Number|null} currentRepId - Existing rep (updates)
+ * @returns {Promise<Object>} { salesRepId } or { error }
+ */
+async function resolveOrderRep(req, currentRepId) {
+    const user = getAuthUser(req);
+    if (user.role !== 'director') {
+        return { salesRepId: user.userId };
+    }
+    if (req.body.sales_rep_id === undefined) {
+        return { salesRepId: currentRepId !== undefined ? currentRepId : user.userId };
+    }
+    if (req.body.sales_rep_id === null) {
+        return { salesRepId: null };
+    }
+    
+    const repResult = await db.query(
+        "SELECT id FROM users WHERE id = $1 AND role = 'sales'",
+        [parseInt(req.body.sales_rep_id)]
+    );
+    if (repResult.rows.length === 0) {
+        return { error: 'sales_rep_id must be a sales user' };
+    }
+    
+    return { salesRepId: repResult.rows[0].id };
+}
+
+// ----- Orders (sales and directors) -----
+
+/**
+ * GET /api/v1/orders - List orders
+ * Filters: fy, month, week, from, to, sales_rep_id (directors), status; page, per_page
+ */
+router.get('/orders', requireRole(['sales', 'director']), requireScope('orders:read'), async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        const dateFilter = getDateFilter(req.query, getFYStartMonth(baseSettings));
+        if (dateFilter.error) {
+            return res.status(400).json({ error: dateFilter.error });
+        }
+        
+        const user = getAuthUser(req);
+        const isDirector = user.role === 'director';
+        const salesRepId = isDirector
+            ? (req.query.sales_rep_id ? parseInt(req.query.sales_rep_id) : null)
+            : user.userId;
+        if (isDirector && req.query.sales_rep_id && isNaN(salesRepId)) {
+            return res.status(400).json({ error: 'sales_rep_id must be a number' });
+        }
+        if (req.query.status && !ORDER_STATUSES.some(status => status.key === req.query.status)) {
+            return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.map(status => status.key).join(', ')}` });
+        }
+        
+        const pagination = getPagination(req.query);
+        const filters = `WHERE o.deleted_at IS NULL
+             AND ($1::date IS NULL OR o.order_date >= $1::date)
+             AND ($2::date IS NULL OR o.order_date <= $2::date)
+             AND ($3::int IS NULL OR o.sales_rep_id = $3)
+             AND ($4::text IS NULL OR o.status = $4)`;
+        const params = [dateFilter.start, dateFilter.end, salesRepId, req.query.status || null];
+        
+        const countResult = await db.query(`SELECT COUNT(*) FROM orders o ${filters}`, params);
+        const ordersResult = await db.query(
+            `SELECT o.*, u.name as sales_rep_name, c.name as customer_name
+             FROM orders o
+             LEFT JOIN users u ON o.sales_rep_id = u.id
+             LEFT JOIN customers c ON o.customer_id = c.id
+             ${filters}
+             ORDER BY o.order_date DESC, o.id DESC
+             LIMIT $5 OFFSET $6`,
+            [...params, pagination.perPage, pagination.offset]
+        );
+        const orderIds = ordersResult.rows.map(order => order.id);
+        const linesByOrder = await getOrderLines(orderIds);
+        const builtByOrder = await getOrderBuiltBoxes(orderIds);
+        ordersResult.rows.forEach(order => {
+            order.lines = linesByOrder[order.id] || [];
+            order.boxes_built = builtByOrder[order.id] || 0;
+        });
+        
+        res.json({
+            data: ordersResult.rows.map(serializeOrder),
+            pagination: buildPaginationMeta(pagination, parseInt(countResult.rows[0].count))
+        });
+    } catch (error) {
+        console.error('API list orders error:', error);
+        res.status(500).json({ error: 'Error loading orders' });
+    }
+});
+
+/**
+ * GET /api/v1/orders/:id - Get an order
+ */
+router.get('/orders/:id', requireRole(['sales', 'director']), requireScope('orders:read'), async (req, res) => {
+    try {
+        const result = await getAccessibleOrder(req, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ data: serializeOrder(result.order) });
+    } catch (error) {
+        console.error('API get order error:', error);
+        res.status(500).json({ error: 'Error loading order' });
+    }
+});
+
+/**
+ * POST /api/v1/orders - Create an order
+ */
+router.post('/orders', requireRole(['sales', 'director']), requireScope('orders:write'), async (req, res) => {
+    try {
+        const { values, lines, errors } = validateOrderInput(req.body);
+        const status = req.body.status === undefined ? 'confirmed' : req.body.status;
+        if (!NEW_ORDER_STATUSES.includes(status)) {
+            errors.push(`status must be ${NEW_ORDER_STATUSES.join(' or ')} for a new order`);
+        }
+        const rep = await resolveOrderRep(req);
+        if (rep.error) errors.push(rep.error);
+        const catalogue = await resolveOrderCatalogue(values.customer_id, lines.map(line => line.box_type_id));
+        if (catalogue.error) errors.push(catalogue.error);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid order', details: errors });
+        }
+        
+        const lockError = await getPeriodLockError([values.order_date]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const saved = await saveOrder(req, null, {
+            ...values,
+            sales_rep_id: rep.salesRepId,
+            customer_id: catalogue.customerId,
+            status
+        }, lines);
+        
+        const created = await getAccessibleOrder(req, saved.id);
+        res.status(201).json({ data: serializeOrder(created.order) });
+    } catch (error) {
+        console.error('API create order error:', error);
+        res.status(500).json({ error: 'Error creating order' });
+    }
+});
+
+/**
+ * PUT/PATCH /api/v1/orders/:id - Update an order (fields not sent are kept)
+ */
+async function updateOrder(req, res) {
+    try {
+        const orderId = parseInt(req.params.id);
+        const existing = await getAccessibleOrder(req, orderId);
+        if (existing.error) {
+            return res.status(existing.status).json({ error: existing.error });
+        }
+        
+        const { values, lines, errors } = validateOrderInput(req.body, {
+            ...serializeOrder(existing.order),
+            lines: existing.order.lines
+        });
+        if (req.body.status !== undefined && req.body.status !== existing.order.status) {
+            errors.push(`status is changed with POST /api/v1/orders/${orderId}/status`);
+        }
+        if (errors.length === 0) {
+            const orderDateError = getOrderDateError(existing.order, values.order_date);
+            if (orderDateError) errors.push(orderDateError);
+        }
+        const rep = await resolveOrderRep(req, existing.order.sales_rep_id);
+        if (rep.error) errors.push(rep.error);
+        const catalogue = await resolveOrderCatalogue(values.customer_id, lines.map(line => line.box_type_id));
+        if (catalogue.error) errors.push(catalogue.error);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid order', details: errors });
+        }
+        
+        // The months the order is reported in and the new month must be open
+        const lockError = await getPeriodLockError([...getOrderStatusDates(existing.order), values.order_date]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        // Log the stored columns only (not the joined names, lines or boxes built; saveOrder reloads the lines)
+        const { sales_rep_name: salesRepName, customer_name: customerName, lines: linesBefore, boxes_built: boxesBuilt, ...orderBefore } = existing.order;
+        await saveOrder(req, orderBefore, {
+            ...values,
+            sales_rep_id: rep.salesRepId,
+            customer_id: catalogue.customerId
+        }, lines);
+        
+        const updated = await getAccessibleOrder(req, orderId);
+        res.json({ data: serializeOrder(updated.order) });
+    } catch (error) {
+        console.error('API update order error:', error);
+        res.status(500).json({ error: 'Error updating order' });
+    }
+}
+
+router.put('/orders/:id', requireRole(['sales', 'director']), requireScope('orders:write'), updateOrder);
+router.patch('/orders/:id', requireRole(['sales', 'director']), requireScope('orders:write'), updateOrder);
+
+/**
+ * POST /api/v1/orders/:id/status - Move an order to its next status or cancel it
+ * Body: { status, date } (date defaults to today)
+ */
+router.post('/orders/:id/status', requireRole(['sales', 'director']), requireScope('orders:write'), async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const existing = await getAccessibleOrder(req, orderId);
+        if (existing.error) {
+            return res.status(existing.status).json({ error: existing.error });
+        }
+        
+        const date = req.body.date === undefined ? toDateKey(new Date()) : req.body.date;
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid status change', details: ['date must be a date (YYYY-MM-DD)'] });
+        }
+        const statusError = validateStatusChange(existing.order, req.body.status, date);
+        if (statusError) {
+            return res.status(400).json({ error: 'Invalid status change', details: [statusError] });
+        }
+        
+        const lockError = await getPeriodLockError([date]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const { sales_rep_name: salesRepName, customer_name: customerName, lines, boxes_built: boxesBuilt, ...orderBefore } = existing.order;
+        await changeOrderStatus(req, orderBefore, req.body.status, date);
+        
+        const updated = await getAccessibleOrder(req, orderId);
+        res.json({ data: serializeOrder(updated.order) });
+    } catch (error) {
+        console.error('API order status error:', error);
+        res.status(500).json({ error: 'Error updating order status' });
+    }
+});
+
+/**
+ * DELETE /api/v1/orders/:id - Move an order to the recycle bin (director only)
+ */
+router.delete('/orders/:id', requireRole('director'), requireScope('orders:write'), async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        
+        const lockError = await getRecordsLockError('orders', [orderId]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const deleted = await softDeleteRecords(req, 'orders', [orderId]);
+        
+        if (deleted.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        res.status(204).end();
+    } catch (error) {
+        console.error('API delete order error:', error);
+        res.status(500).json({ error: 'Error deleting order' });
+    }
+});
+
+// ----- Production entries (production and directors) -----
+
+/**
+ * GET /api/v1/production - List production entries
+ * Filters: fy, month, week, from, to; page, per_page
+ */
+router.get('/production', requireRole(['production', 'director']), requireScope('production:read'), async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        const dateFilter = getDateFilter(req.query, getFYStartMonth(baseSettings));
+        if (dateFilter.error) {
+            return res.status(400).json({ error: dateFilter.error });
+        }
+        
+        const pagination = getPagination(req.query);
+        const filters = `WHERE deleted_at IS NULL
+             AND ($1::date IS NULL OR production_date >= $1::date)
+             AND ($2::date IS NULL OR production_date <= $2::date)`;
+        const params = [dateFilter.start, dateFilter.end];
+        
+        const countResult = await db.query(`SELECT COUNT(*) FROM production_boxes ${filters}`, params);
+        const entriesResult = await db.query(
+            `SELECT * FROM production_boxes
+             ${filters}
+             ORDER BY production_date DESC, id DESC
+             LIMIT $3 OFFSET $4`,
+            [...params, pagination.perPage, pagination.offset]
+        );
+        const costLinesByEntry = await getProductionCostLines(entriesResult.rows.map(entry => entry.id));
+        const reasonsByEntry = await getProductionCostReasons(entriesResult.rows.map(entry => entry.id));
+        const reworkByEntry = await getProductionRework(entriesResult.rows.map(entry => entry.id));
+        const allocationsByEntry = await getProductionAllocations(entriesResult.rows.map(entry => entry.id));
+        entriesResult.rows.forEach(entry => {
+            entry.cost_lines = costLinesByEntry[entry.id] || [];
+            entry.over_cost_reasons = reasonsByEntry[entry.id] || [];
+            entry.rework_log = reworkByEntry[entry.id] || [];
+            entry.allocations = allocationsByEntry[entry.id] || [];
+        });
+        
+        res.json({
+            data: entriesResult.rows.map(serializeProductionEntry),
+            pagination: buildPaginationMeta(pagination, parseInt(countResult.rows[0].count))
+        });
+    } catch (error) {
+        console.error('API list production error:', error);
+        res.status(500).json({ error: 'Error loading production entries' });
+    }
+});
+
+/**
+ * GET /api/v1/production/:id - Get a production entry
+ */
+router.get('/production/:id', requireRole(['production', 'director']), requireScope('production:read'), async (req, res) => {
+    try {
+        const entryResult = await db.query(
+            'SELECT * FROM production_boxes WHERE id = $1 AND deleted_at IS NULL',
+            [parseInt(req.params.id)]
+        );
+        
+        if (entryResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Production entry not found' });
+        }
+        
+        const entry = entryResult.rows[0];
+        entry.cost_lines = (await getProductionCostLines([entry.id]))[entry.id] || [];
+        entry.over_cost_reasons = (await getProductionCostReasons([entry.id]))[entry.id] || [];
+        entry.rework_log = (await getProductionRework([entry.id]))[entry.id] || [];
+        entry.allocations = (await getProductionAllocations([entry.id]))[entry.id] || [];
+        res.json({ data: serializeProductionEntry(entry) });
+    } catch (error) {
+        console.error('API get production entry error:', error);
+        res.status(500).json({ error: 'Error loading production entry' });
+    }
+});
+
+/**
+ * POST /api/v1/production - Create a production entry
+ */
+router.post('/production', requireRole(['production', 'director']), requireScope('production:write'), async (req, res) => {
+    try {
+        const { values, errors } = validateProductionInput(req.body);
+        const { allocations, errors: allocationErrors } = parseAllocations(req.body.allocations);
+        errors.push(...allocationErrors);
+        let costLines = [];
+        let reasons = [];
+        let rework = [];
+        if (errors.length === 0) {
+            const dimensions = await resolveProductionDimensions(values);
+            Object.assign(values, dimensions.values);
+            if (dimensions.error) errors.push(dimensions.error);
+            const checkedCostLines = await validateProductionCostLines(req.body.cost_lines || [], values.boxes_built);
+            costLines = checkedCostLines.costLines;
+            errors.push(...checkedCostLines.errors);
+            const checked = await validateProductionReasons(req.body.over_cost_reasons || [], values.boxes_over_cost);
+            reasons = checked.reasons;
+            errors.push(...checked.errors);
+            const checkedRework = await validateProductionRework(req.body.rework_log || [], values.rework_boxes);
+            rework = checkedRework.rework;
+            errors.push(...checkedRework.errors);
+            errors.push(...await validateAllocations(allocations, values.boxes_built));
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid production entry', details: errors });
+        }
+        
+        const lockError = await getPeriodLockError([values.production_date]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const saved = await saveProductionEntry(req, null, values, reasons, costLines, rework, allocations);
+        
+        res.status(201).json({ data: serializeProductionEntry(saved) });
+    } catch (error) {
+        // Another save took the orders' boxes since they were checked
+        if (error.validationErrors) {
+            return res.status(409).json({ error: 'Invalid production entry', details: error.validationErrors });
+        }
+        console.error('API create production entry error:', error);
+        res.status(500).json({ error: 'Error creating production entry' });
+    }
+});
+
+/**
+ * PUT/PATCH /api/v1/production/:id - Update a production entry (fields not sent are kept)
+ */
+async function updateProductionEntry(req, res) {
+    try {
+        const entryId = parseInt(req.params.id);
+        const entryResult = await db.query(
+            'SELECT * FROM production_boxes WHERE id = $1 AND deleted_at IS NULL',
+            [entryId]
+        );
+        
+        if (entryResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Production entry not found' });
+        }
+        
+        const current = serializeProductionEntry({
+            ...entryResult.rows[0],
+            cost_lines: (await getProductionCostLines([entryId]))[entryId] || [],
+            over_cost_reasons: (await getProductionCostReasons([entryId]))[entryId] || [],
+            rework_log: (await getProductionRework([entryId]))[entryId] || []
+        });
+        const { values, errors } = validateProductionInput(req.body, current);
+        
+        // Cost lines, reasons, rework and allocations left out of the body are kept,
+        // but must still add up to the boxes built, over cost and reworked and fit
+        // the boxes built
+        const keepAllocations = req.body.allocations === undefined;
+        const parsed = keepAllocations
+            ? { allocations: (await getProductionAllocations([entryId]))[entryId] || [], errors: [] }
+            : parseAllocations(req.body.allocations);
+        errors.push(...parsed.errors);
+        let costLines = [];
+        let reasons = [];
+        let rework = [];
+        if (errors.length === 0) {
+            const dimensions = await resolveProductionDimensions(values, entryResult.rows[0]);
+            Object.assign(values, dimensions.values);
+            if (dimensions.error) errors.push(dimensions.error);
+            const checkedCostLines = await validateProductionCostLines(
+                req.body.cost_lines === undefined ? current.cost_lines : req.body.cost_lines,
+                values.boxes_built
+            );
+            costLines = checkedCostLines.costLines;
+            errors.push(...checkedCostLines.errors);
+            const checked = await validateProductionReasons(
+                req.body.over_cost_reasons === undefined ? current.over_cost_reasons : req.body.over_cost_reasons,
+                values.boxes_over_cost,
+                entryId
+            );
+            reasons = checked.reasons;
+            errors.push(...checked.errors);
+            const checkedRework = await validateProductionRework(
+                req.body.rework_log === undefined ? current.rework_log : req.body.rework_log,
+                values.rework_boxes,
+                entryId
+            );
+            rework = checkedRework.rework;
+            errors.push(...checkedRework.errors);
+            errors.push(...await validateAllocations(parsed.allocations, values.boxes_built, entryId));
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid production entry', details: errors });
+        }
+        
+        const lockError = await getPeriodLockError([entryResult.rows[0].production_date, values.production_date]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const saved = await saveProductionEntry(req, entryResult.rows[0], values, reasons, costLines, rework, keepAllocations ? null : parsed.allocations);
+        
+        res.json({ data: serializeProductionEntry(saved) });
+    } catch (error) {
+        // Another save took the orders' boxes since they were checked
+        if (error.validationErrors) {
+            return res.status(409).json({ error: 'Invalid production entry', details: error.validationErrors });
+        }
+        console.error('API update production entry error:', error);
+        res.status(500).json({ error: 'Error updating production entry' });
+    }
+}
+
+router.put('/production/:id', requireRole(['production', 'director']), requireScope('production:write'), updateProductionEntry);
+router.patch('/production/:id', requireRole(['production', 'director']), requireScope('production:write'), updateProductionEntry);
+
+/**
+ * DELETE /api/v1/production/:id - Move a production entry to the recycle bin (director only)
+ */
+router.delete('/production/:id', requireRole('director'), requireScope('production:write'), async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id);
+        
+        const lockError = await getRecordsLockError('production', [entryId]);
+        if (lockError) {
+            return res.status(409).json({ error: lockError });
+        }
+        
+        const deleted = await softDeleteRecords(req, 'production', [entryId]);
+        
+        if (deleted.length === 0) {
+            return res.status(404).json({ error: 'Production entry not found' });
+        }
+        
+        res.status(204).end();
+    } catch (error) {
+        console.error('API delete production entry error:', error);
+        res.status(500).json({ error: 'Error deleting production entry' });
+    }
+});
+
+// ----- Metrics -----
+
+/**
+ * GET /api/v1/metrics/sales - Sales dashboard metrics with RAG statuses
+ * Query: fy, month or week (defaults to the current month).
+ * Sales users get their own orders scored against their own target.
+ */
+router.get('/metrics/sales', requireRole(['sales', 'director']), requireScope('metrics:read'), async (req, res) => {
+    try {
+        const user = getAuthUser(req);
+        const isDirector = user.role === 'director';
+        const userId = user.userId;
+        const baseSettings = await getSettings();
+        const fyStartMonth = getFYStartMonth(baseSettings);
+        
+        const requested = getRequestedPeriod(req.query, fyStartMonth, getFYMonth(new Date()));
+        if (requested.error) {
+            return res.status(400).json({ error: requested.error });
+        }
+        const { fy, period } = requested;
+        const settings = await getSettingsForFY(fy, baseSettings);
+        
+        // Reps are scored against their own target (as on the dashboard)
+        let ownTarget = null;
+        if (!isDirector) {
+            const reps = await getSalesReps();
+            const repTargetsByMonth = getRepTargetsByMonth(reps, await getRepTargetRowsForFY(fy), settings, getFYPeriodMonths(fy, period, fyStartMonth));
+            const repTargets = sumRepTargets(repTargetsByMonth, isFYWeek(period) ? getPeriodMonthShares(settings, fy, period) : null);
+            ownTarget = repTargets[userId] || { boxTarget: 0, baselineTarget: 0 };
+        }
+        
+        const metrics = await querySalesMetrics(settings, fy, period, {
+            salesRepId: isDirector ? null : userId,
+            targets: ownTarget
+        });
+        const ragRules = getRAGRules(settings);
+        
+        res.json({
+            data: {
+                fy,
+                period,
+                periodLabel: getFYPeriodLabel(period),
+                salesRepId: isDirector ? null : userId,
+                metrics,
+                rag: {
+                    boxes: getRAGStatus(metrics.boxesSold, metrics.boxTarget, ragRules.sales_boxes),
+                    baseline: getRAGStatus(metrics.baselineActual, metrics.baselineTarget, ragRules.sales_baseline),
+                    discount: getDiscountRAG(metrics.discountBoxesLostTotal, ragRules.discount_boxes_lost)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('API sales metrics error:', error);
+        res.status(500).json({ error: 'Error loading sales metrics' });
+    }
+});
+
+/**
+ * GET /api/v1/metrics/production - Production dashboard metrics with RAG statuses
+ * Query: fy, month or week (defaults to the current month)
+ */
+router.get('/metrics/production', requireRole(['production', 'director']), requireScope('metrics:read'), async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        const requested = getRequestedPeriod(req.query, getFYStartMonth(baseSettings), getFYMonth(new Date()));
+        if (requested.error) {
+            return res.status(400).json({ error: requested.error });
+        }
+        const { fy, period } = requested;
+        const settings = await getSettingsForFY(fy, baseSettings);
+        
+        const metrics = await queryProductionMetrics(settings, fy, period);
+        const ragRules = getRAGRules(settings);
+        
+        res.json({
+            data: {
+                fy,
+                period,
+                periodLabel: getFYPeriodLabel(period),
+                metrics,
+                rag: {
+                    boxes: getRAGStatus(metrics.boxesBuilt, metrics.boxTarget, ragRules.production_boxes),
+                    costCompliance: getCostComplianceRAG(metrics.costCompliancePct, ragRules.cost_compliance),
+                    costValueCompliance: getCostComplianceRAG(metrics.valueCompliancePct, ragRules.cost_value_compliance),
+                    quality: getQualityRAG(metrics.qualityMetrics.reworkRate, ragRules.rework_rate)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('API production metrics error:', error);
+        res.status(500).json({ error: 'Error loading production metrics' });
+    }
+});
+
+// Unknown API paths
+router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+/**
+ * Audit Log Routes (Director Only)
+ * Who changed what: filterable history of every write, with CSV export.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { stringify: stringifySync } = require('csv-stringify/sync');
+const db = require('../db');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS, AUDIT_SOURCES, getAuditChanges } = require('../utils/audit');
+
+const PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// All routes require authentication and director role
+router.use(requireAuth);
+router.use(requireRole('director'));
+
+/**
+ * Read the audit filters from the query string and build the WHERE clause
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, where, params } - unknown values are dropped
+ */
+function getAuditFilters(query) {
+    const filters = {
+        entity_type: AUDIT_ENTITY_TYPES.some(type => type.key === query.entity_type) ? query.entity_type : '',
+        entity_id: (query.entity_id || '').trim(),
+        action: AUDIT_ACTIONS.includes(query.action) ? query.action : '',
+        source: AUDIT_SOURCES.includes(query.source) ? query.source : '',
+        actor: (query.actor || '').trim(),
+        from: DATE_PATTERN.test(query.from || '') ? query.from : '',
+        to: DATE_PATTERN.test(query.to || '') ? query.to : ''
+    };
+    
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    
+    if (filters.entity_type) addCondition('entity_type = ?', filters.entity_type);
+    if (filters.entity_id) addCondition('entity_id = ?', filters.entity_id);
+    if (filters.action) addCondition('action = ?', filters.action);
+    if (filters.source) addCondition('source = ?', filters.source);
+    if (filters.actor) addCondition('actor_name ILIKE ?', `%${filters.actor}%`);
+    if (filters.from) addCondition('created_at >= ?::date', filters.from);
+    if (filters.to) addCondition(`created_at < ?::date + INTERVAL '1 day'`, filters.to);
+    
+    return {
+        filters,
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Format a logged value for display and export
+ * @param {*} value
+ * @returns {String}
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * GET /audit - Audit log viewer
+ * Filters: entity_type, entity_id, action, source, actor, from, to; page
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { filters, where, params } = getAuditFilters(req.query);
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        
+        const countResult = await db.query(`SELECT COUNT(*) as count FROM audit_log ${where}`, params);
+        const total = parseInt(countResult.rows[0].count);
+        
+        const entriesResult = await db.query(
+            `SELECT * FROM audit_log ${where}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${PAGE_SIZE} OFFSET ${(page - 1) * PAGE_SIZE}`,
+            params
+        );
+        
+        const entries = entriesResult.rows.map(entry => ({
+            ...entry,
+            changes: getAuditChanges(entry.before_json, entry.after_json)
+        }));
+        
+        const filterQuery = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== '')
+        ).toString();
+        
+        res.render('audit/index', {
+            entries,
+            filters,
+            filterQuery,
+            entityTypes: AUDIT_ENTITY_TYPES,
+            actions: AUDIT_ACTIONS,
+            sources: AUDIT_SOURCES,
+            page,
+            totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+            total,
+            formatAuditValue
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).send('Error loading audit log');
+    }
+});
+
+/**
+ * GET /audit/export - Export the filtered audit log as CSV
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const { where, params } = getAuditFilters(req.query);
+        
+        const entriesResult = await db.query(
+            `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC`,
+            params
+        );
+        
+        const rows = entriesResult.rows.map(entry => ({
+            id: entry.id,
+            created_at: new Date(entry.created_at).toISOString(),
+            actor_name: entry.actor_name,
+            actor_user_id: entry.actor_user_id,
+            api_token_id: entry.api_token_id,
+            source: entry.source,
+            entity_type: entry.entity_type,
+            entity_id: entry.entity_id,
+            action: entry.action,
+            changed_fields: getAuditChanges(entry.before_json, entry.after_json).map(change => change.field).join(' '),
+            before_json: formatAuditValue(entry.before_json),
+            after_json: formatAuditValue(entry.after_json)
+        }));
+        
+        const csvData = stringifySync(rows, {
+            header: true,
+            columns: [
+                'id',
+                'created_at',
+                'actor_name',
+                'actor_user_id',
+                'api_token_id',
+                'source',
+                'entity_type',
+                'entity_id',
+                'action',
+                'changed_fields',
+                'before_json',
+                'after_json'
+            ]
+        });
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename=audit-log-export.csv');
+        res.send(csvData);
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).send('Error exporting audit log');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,966 @@
+/**
+ * Catalogue Routes
+ * Customers (sales and directors) and box types (directors) that orders
+ * reference, and the over-cost reasons, defect types, production lines and
+ * teams (directors) production entries reference. Entries are deactivated
+ * rather than deleted so past orders keep their customer and box type, and
+ * past entries their reasons, defect types, lines and teams.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getCostReasonCategories } = require('../utils/cost-reasons');
+
+// All routes require authentication (sales and directors)
+router.use(requireAuth);
+router.use(requireRole(['sales', 'director']));
+
+/**
+ * Validate customer form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} customerId - Customer being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateCustomer(body, customerId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        region: (body.region || '').trim() || null,
+        channel: (body.channel || '').trim() || null,
+        active: customerId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Customer name is required' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM customers WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, customerId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'A customer with that name already exists' };
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Validate box type form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} boxTypeId - Box type being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateBoxType(body, boxTypeId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        default_rrp: parseFloat(body.default_rrp),
+        default_build_cost: parseFloat(body.default_build_cost),
+        active: boxTypeId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Box type name is required' };
+    }
+    if (isNaN(values.default_rrp) || values.default_rrp < 0 || isNaN(values.default_build_cost) || values.default_build_cost < 0) {
+        return { values, error: 'Default RRP and build cost must be amounts of at least 0' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM box_types WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, boxTypeId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'A box type with that name already exists' };
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Validate over-cost reason form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} reasonId - Reason being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateCostReason(body, reasonId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        category: (body.category || '').trim(),
+        active: reasonId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Reason name is required' };
+    }
+    if (!values.category) {
+        return { values, error: 'Category is required' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM over_cost_reasons WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, reasonId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'An over-cost reason with that name already exists' };
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Validate defect type form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} defectTypeId - Defect type being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateDefectType(body, defectTypeId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        active: defectTypeId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Defect type name is required' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM defect_types WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, defectTypeId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'A defect type with that name already exists' };
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Validate production line form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} lineId - Line being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateProductionLine(body, lineId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        active: lineId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Line name is required' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM production_lines WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, lineId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'A line with that name already exists' };
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Validate production team form fields
+ * @param {Object} body - Request body
+ * @param {Number|null} teamId - Team being edited (null for new)
+ * @returns {Promise<Object>} { values, error }
+ */
+async function validateProductionTeam(body, teamId = null) {
+    const values = {
+        name: (body.name || '').trim(),
+        plan_share_pct: body.plan_share_pct === undefined || String(body.plan_share_pct).trim() === ''
+            ? null
+            : parseFloat(body.plan_share_pct),
+        active: teamId === null || body.active === 'on'
+    };
+    
+    if (!values.name) {
+        return { values, error: 'Team name is required' };
+    }
+    if (values.plan_share_pct !== null && (isNaN(values.plan_share_pct) || values.plan_share_pct < 0 || values.plan_share_pct > 100)) {
+        return { values, error: 'Share of the build plan must be between 0 and 100%' };
+    }
+    
+    const existingResult = await db.query(
+        'SELECT id FROM production_teams WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, teamId || 0]
+    );
+    if (existingResult.rows.length > 0) {
+        return { values, error: 'A team with that name already exists' };
+    }
+    
+    // Active teams' shares can't plan for more than the whole build plan
+    if (values.active && values.plan_share_pct !== null) {
+        const sharesResult = await db.query(
+            'SELECT COALESCE(SUM(plan_share_pct), 0) AS share_pct FROM production_teams WHERE active AND id <> $1',
+            [teamId || 0]
+        );
+        const otherSharePct = parseFloat(sharesResult.rows[0].share_pct) || 0;
+        if (otherSharePct + values.plan_share_pct > 100) {
+            return { values, error: `Other active teams already have ${otherSharePct}% of the build plan; shares can't add up to more than 100%` };
+        }
+    }
+    
+    return { values, error: null };
+}
+
+/**
+ * Render the over-cost reason form with the categories already in use
+ * @param {Object} res
+ * @param {Object|null} reason - Reason values (null for a blank new reason)
+ * @param {Boolean} isEdit
+ * @param {String|null} error
+ */
+async function renderCostReasonForm(res, reason, isEdit, error = null) {
+    res.render('catalogue/cost-reason-form', {
+        reason,
+        isEdit,
+        categories: await getCostReasonCategories(),
+        error
+    });
+}
+
+/**
+ * GET /catalogue - Customers, box types, over-cost reasons, defect types, production lines and teams
+ */
+router.get('/', async (req, res) => {
+    try {
+        const customersResult = await db.query(
+            `SELECT c.*, COUNT(o.id) as orders_count
+             FROM customers c
+             LEFT JOIN orders o ON o.customer_id = c.id AND o.deleted_at IS NULL
+             GROUP BY c.id
+             ORDER BY c.active DESC, c.name`
+        );
+        const boxTypesResult = await db.query(
+            `SELECT bt.*, COUNT(DISTINCT o.id) as orders_count
+             FROM box_types bt
+             LEFT JOIN order_lines l ON l.box_type_id = bt.id
+             LEFT JOIN orders o ON l.order_id = o.id AND o.deleted_at IS NULL
+             GROUP BY bt.id
+             ORDER BY bt.active DESC, bt.name`
+        );
+        const costReasonsResult = await db.query(
+            `SELECT r.*, COUNT(p.id) as entries_count
+             FROM over_cost_reasons r
+             LEFT JOIN production_cost_reasons pcr ON pcr.reason_id = r.id
+             LEFT JOIN production_boxes p ON pcr.production_id = p.id AND p.deleted_at IS NULL
+             GROUP BY r.id
+             ORDER BY r.active DESC, r.category, r.name`
+        );
+        const defectTypesResult = await db.query(
+            `SELECT d.*, COUNT(DISTINCT p.id) as entries_count
+             FROM defect_types d
+             LEFT JOIN production_rework w ON w.defect_type_id = d.id
+             LEFT JOIN production_boxes p ON w.production_id = p.id AND p.deleted_at IS NULL
+             GROUP BY d.id
+             ORDER BY d.active DESC, d.name`
+        );
+        const productionLinesResult = await db.query(
+            `SELECT pl.*, COUNT(p.id) as entries_count
+             FROM production_lines pl
+             LEFT JOIN production_boxes p ON p.line_id = pl.id AND p.deleted_at IS NULL
+             GROUP BY pl.id
+             ORDER BY pl.active DESC, pl.name`
+        );
+        const productionTeamsResult = await db.query(
+            `SELECT pt.*, COUNT(p.id) as entries_count
+             FROM production_teams pt
+             LEFT JOIN production_boxes p ON p.team_id = pt.id AND p.deleted_at IS NULL
+             GROUP BY pt.id
+             ORDER BY pt.active DESC, pt.name`
+        );
+        
+        res.render('catalogue/index', {
+            customers: customersResult.rows,
+            boxTypes: boxTypesResult.rows,
+            costReasons: costReasonsResult.rows,
+            defectTypes: defectTypesResult.rows,
+            productionLines: productionLinesResult.rows,
+            productionTeams: productionTeamsResult.rows,
+            isDirector: req.session.userRole === 'director',
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Catalogue error:', error);
+        res.status(500).send('Error loading catalogue');
+    }
+});
+
+/**
+ * GET /catalogue/customers/new - New customer form
+ */
+router.get('/customers/new', (req, res) => {
+    res.render('catalogue/customer-form', {
+        customer: null,
+        isEdit: false,
+        error: null
+    });
+});
+
+/**
+ * POST /catalogue/customers/new - Create customer
+ */
+router.post('/customers/new', async (req, res) => {
+    try {
+        const { values, error } = await validateCustomer(req.body);
+        if (error) {
+            return res.render('catalogue/customer-form', { customer: values, isEdit: false, error });
+        }
+        
+        const customerResult = await db.query(
+            'INSERT INTO customers (name, region, channel) VALUES ($1, $2, $3) RETURNING *',
+            [values.name, values.region, values.channel]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'customer',
+            entityId: customerResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: customerResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Customer added');
+    } catch (error) {
+        console.error('Create customer error:', error);
+        res.status(500).send('Error creating customer');
+    }
+});
+
+/**
+ * GET /catalogue/customers/:id/edit - Edit customer form
+ */
+router.get('/customers/:id/edit', async (req, res) => {
+    try {
+        const customerResult = await db.query(
+            'SELECT * FROM customers WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (customerResult.rows.length === 0) {
+            return res.status(404).send('Customer not found');
+        }
+        
+        res.render('catalogue/customer-form', {
+            customer: customerResult.rows[0],
+            isEdit: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('Edit customer form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/customers/:id/edit - Update customer
+ */
+router.post('/customers/:id/edit', async (req, res) => {
+    try {
+        const customerId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Customer not found');
+        }
+        
+        const { values, error } = await validateCustomer(req.body, customerId);
+        if (error) {
+            return res.render('catalogue/customer-form', { customer: { ...values, id: customerId }, isEdit: true, error });
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE customers SET
+                name = $1,
+                region = $2,
+                channel = $3,
+                active = $4,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [values.name, values.region, values.channel, values.active, customerId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'customer',
+            entityId: customerId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Customer saved');
+    } catch (error) {
+        console.error('Update customer error:', error);
+        res.status(500).send('Error updating customer');
+    }
+});
+
+/**
+ * GET /catalogue/box-types/new - New box type form (director only)
+ */
+router.get('/box-types/new', requireRole('director'), (req, res) => {
+    res.render('catalogue/box-type-form', {
+        boxType: null,
+        isEdit: false,
+        error: null
+    });
+});
+
+/**
+ * POST /catalogue/box-types/new - Create box type (director only)
+ */
+router.post('/box-types/new', requireRole('director'), async (req, res) => {
+    try {
+        const { values, error } = await validateBoxType(req.body);
+        if (error) {
+            return res.render('catalogue/box-type-form', { boxType: req.body, isEdit: false, error });
+        }
+        
+        const boxTypeResult = await db.query(
+            'INSERT INTO box_types (name, default_rrp, default_build_cost) VALUES ($1, $2, $3) RETURNING *',
+            [values.name, values.default_rrp, values.default_build_cost]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'box_type',
+            entityId: boxTypeResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: boxTypeResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Box type added');
+    } catch (error) {
+        console.error('Create box type error:', error);
+        res.status(500).send('Error creating box type');
+    }
+});
+
+/**
+ * GET /catalogue/box-types/:id/edit - Edit box type form (director only)
+ */
+router.get('/box-types/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const boxTypeResult = await db.query(
+            'SELECT * FROM box_types WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (boxTypeResult.rows.length === 0) {
+            return res.status(404).send('Box type not found');
+        }
+        
+        res.render('catalogue/box-type-form', {
+            boxType: boxTypeResult.rows[0],
+            isEdit: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('Edit box type form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/box-types/:id/edit - Update box type (director only)
+ * Changing the defaults only affects orders entered afterwards
+ */
+router.post('/box-types/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const boxTypeId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM box_types WHERE id = $1', [boxTypeId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Box type not found');
+        }
+        
+        const { values, error } = await validateBoxType(req.body, boxTypeId);
+        if (error) {
+            return res.render('catalogue/box-type-form', {
+                boxType: { ...req.body, id: boxTypeId, active: req.body.active === 'on' },
+                isEdit: true,
+                error
+            });
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE box_types SET
+                name = $1,
+                default_rrp = $2,
+                default_build_cost = $3,
+                active = $4,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [values.name, values.default_rrp, values.default_build_cost, values.active, boxTypeId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'box_type',
+            entityId: boxTypeId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Box type saved');
+    } catch (error) {
+        console.error('Update box type error:', error);
+        res.status(500).send('Error updating box type');
+    }
+});
+
+/**
+ * GET /catalogue/cost-reasons/new - New over-cost reason form (director only)
+ */
+router.get('/cost-reasons/new', requireRole('director'), async (req, res) => {
+    try {
+        await renderCostReasonForm(res, null, false);
+    } catch (error) {
+        console.error('New over-cost reason form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/cost-reasons/new - Create over-cost reason (director only)
+ */
+router.post('/cost-reasons/new', requireRole('director'), async (req, res) => {
+    try {
+        const { values, error } = await validateCostReason(req.body);
+        if (error) {
+            return renderCostReasonForm(res, values, false, error);
+        }
+        
+        const reasonResult = await db.query(
+            'INSERT INTO over_cost_reasons (name, category) VALUES ($1, $2) RETURNING *',
+            [values.name, values.category]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'over_cost_reason',
+            entityId: reasonResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: reasonResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Over-cost reason added');
+    } catch (error) {
+        console.error('Create over-cost reason error:', error);
+        res.status(500).send('Error creating over-cost reason');
+    }
+});
+
+/**
+ * GET /catalogue/cost-reasons/:id/edit - Edit over-cost reason form (director only)
+ */
+router.get('/cost-reasons/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const reasonResult = await db.query(
+            'SELECT * FROM over_cost_reasons WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (reasonResult.rows.length === 0) {
+            return res.status(404).send('Over-cost reason not found');
+        }
+        
+        await renderCostReasonForm(res, reasonResult.rows[0], true);
+    } catch (error) {
+        console.error('Edit over-cost reason form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/cost-reasons/:id/edit - Update over-cost reason (director only)
+ * Renaming or recategorising a reason applies to the entries already using it
+ */
+router.post('/cost-reasons/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const reasonId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM over_cost_reasons WHERE id = $1', [reasonId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Over-cost reason not found');
+        }
+        
+        const { values, error } = await validateCostReason(req.body, reasonId);
+        if (error) {
+            return renderCostReasonForm(res, { ...values, id: reasonId }, true, error);
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE over_cost_reasons SET
+                name = $1,
+                category = $2,
+                active = $3,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4
+             RETURNING *`,
+            [values.name, values.category, values.active, reasonId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'over_cost_reason',
+            entityId: reasonId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Over-cost reason saved');
+    } catch (error) {
+        console.error('Update over-cost reason error:', error);
+        res.status(500).send('Error updating over-cost reason');
+    }
+});
+
+/**
+ * GET /catalogue/defect-types/new - New defect type form (director only)
+ */
+router.get('/defect-types/new', requireRole('director'), (req, res) => {
+    res.render('catalogue/defect-type-form', {
+        defectType: null,
+        isEdit: false,
+        error: null
+    });
+});
+
+/**
+ * POST /catalogue/defect-types/new - Create defect type (director only)
+ */
+router.post('/defect-types/new', requireRole('director'), async (req, res) => {
+    try {
+        const { values, error } = await validateDefectType(req.body);
+        if (error) {
+            return res.render('catalogue/defect-type-form', { defectType: values, isEdit: false, error });
+        }
+        
+        const defectTypeResult = await db.query(
+            'INSERT INTO defect_types (name) VALUES ($1) RETURNING *',
+            [values.name]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'defect_type',
+            entityId: defectTypeResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: defectTypeResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Defect type added');
+    } catch (error) {
+        console.error('Create defect type error:', error);
+        res.status(500).send('Error creating defect type');
+    }
+});
+
+/**
+ * GET /catalogue/defect-types/:id/edit - Edit defect type form (director only)
+ */
+router.get('/defect-types/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const defectTypeResult = await db.query(
+            'SELECT * FROM defect_types WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (defectTypeResult.rows.length === 0) {
+            return res.status(404).send('Defect type not found');
+        }
+        
+        res.render('catalogue/defect-type-form', {
+            defectType: defectTypeResult.rows[0],
+            isEdit: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('Edit defect type form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/defect-types/:id/edit - Update defect type (director only)
+ * Renaming a defect type applies to the rework already logged against it
+ */
+router.post('/defect-types/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const defectTypeId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM defect_types WHERE id = $1', [defectTypeId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Defect type not found');
+        }
+        
+        const { values, error } = await validateDefectType(req.body, defectTypeId);
+        if (error) {
+            return res.render('catalogue/defect-type-form', {
+                defectType: { ...values, id: defectTypeId },
+                isEdit: true,
+                error
+            });
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE defect_types SET
+                name = $1,
+                active = $2,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING *`,
+            [values.name, values.active, defectTypeId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'defect_type',
+            entityId: defectTypeId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Defect type saved');
+    } catch (error) {
+        console.error('Update defect type error:', error);
+        res.status(500).send('Error updating defect type');
+    }
+});
+
+/**
+ * GET /catalogue/production-lines/new - New production line form (director only)
+ */
+router.get('/production-lines/new', requireRole('director'), (req, res) => {
+    res.render('catalogue/production-line-form', {
+        line: null,
+        isEdit: false,
+        error: null
+    });
+});
+
+/**
+ * POST /catalogue/production-lines/new - Create production line (director only)
+ */
+router.post('/production-lines/new', requireRole('director'), async (req, res) => {
+    try {
+        const { values, error } = await validateProductionLine(req.body);
+        if (error) {
+            return res.render('catalogue/production-line-form', { line: values, isEdit: false, error });
+        }
+        
+        const lineResult = await db.query(
+            'INSERT INTO production_lines (name) VALUES ($1) RETURNING *',
+            [values.name]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'production_line',
+            entityId: lineResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: lineResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Line added');
+    } catch (error) {
+        console.error('Create production line error:', error);
+        res.status(500).send('Error creating line');
+    }
+});
+
+/**
+ * GET /catalogue/production-lines/:id/edit - Edit production line form (director only)
+ */
+router.get('/production-lines/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const lineResult = await db.query(
+            'SELECT * FROM production_lines WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (lineResult.rows.length === 0) {
+            return res.status(404).send('Line not found');
+        }
+        
+        res.render('catalogue/production-line-form', {
+            line: lineResult.rows[0],
+            isEdit: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('Edit production line form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/production-lines/:id/edit - Update production line (director only)
+ */
+router.post('/production-lines/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const lineId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM production_lines WHERE id = $1', [lineId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Line not found');
+        }
+        
+        const { values, error } = await validateProductionLine(req.body, lineId);
+        if (error) {
+            return res.render('catalogue/production-line-form', {
+                line: { ...values, id: lineId },
+                isEdit: true,
+                error
+            });
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE production_lines SET
+                name = $1,
+                active = $2,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING *`,
+            [values.name, values.active, lineId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'production_line',
+            entityId: lineId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Line saved');
+    } catch (error) {
+        console.error('Update production line error:', error);
+        res.status(500).send('Error updating line');
+    }
+});
+
+/**
+ * GET /catalogue/production-teams/new - New production team form (director only)
+ */
+router.get('/production-teams/new', requireRole('director'), (req, res) => {
+    res.render('catalogue/production-team-form', {
+        team: null,
+        isEdit: false,
+        error: null
+    });
+});
+
+/**
+ * POST /catalogue/production-teams/new - Create production team (director only)
+ */
+router.post('/production-teams/new', requireRole('director'), async (req, res) => {
+    try {
+        const { values, error } = await validateProductionTeam(req.body);
+        if (error) {
+            return res.render('catalogue/production-team-form', { team: values, isEdit: false, error });
+        }
+        
+        const teamResult = await db.query(
+            'INSERT INTO production_teams (name, plan_share_pct) VALUES ($1, $2) RETURNING *',
+            [values.name, values.plan_share_pct]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'production_team',
+            entityId: teamResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: teamResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Team added');
+    } catch (error) {
+        console.error('Create production team error:', error);
+        res.status(500).send('Error creating team');
+    }
+});
+
+/**
+ * GET /catalogue/production-teams/:id/edit - Edit production team form (director only)
+ */
+router.get('/production-teams/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const teamResult = await db.query(
+            'SELECT * FROM production_teams WHERE id = $1',
+            [parseInt(req.params.id)]
+        );
+        
+        if (teamResult.rows.length === 0) {
+            return res.status(404).send('Team not found');
+        }
+        
+        res.render('catalogue/production-team-form', {
+            team: teamResult.rows[0],
+            isEdit: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('Edit production team form error:', error);
+        res.status(500).send('Error loading form');
+    }
+});
+
+/**
+ * POST /catalogue/production-teams/:id/edit - Update production team (director only)
+ */
+router.post('/production-teams/:id/edit', requireRole('director'), async (req, res) => {
+    try {
+        const teamId = parseInt(req.params.id);
+        const existingResult = await db.query('SELECT * FROM production_teams WHERE id = $1', [teamId]);
+        
+        if (existingResult.rows.length === 0) {
+            return res.status(404).send('Team not found');
+        }
+        
+        const { values, error } = await validateProductionTeam(req.body, teamId);
+        if (error) {
+            return res.render('catalogue/production-team-form', {
+                team: { ...values, id: teamId },
+                isEdit: true,
+                error
+            });
+        }
+        
+        const updateResult = await db.query(
+            `UPDATE production_teams SET
+                name = $1,
+                plan_share_pct = $2,
+                active = $3,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4
+             RETURNING *`,
+            [values.name, values.plan_share_pct, values.active, teamId]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'production_team',
+            entityId: teamId,
+            action: 'update',
+            before: existingResult.rows[0],
+            after: updateResult.rows[0]
+        });
+        
+        res.redirect('/catalogue?success=Team saved');
+    } catch (error) {
+        console.error('Update production team error:', error);
+        res.status(500).send('Error updating team');
+    }
+});
+
+module.exports = router;
@@ -13,6 +13,16 @@ const path = require('path');
 const { createReadStream } = require('fs');
 const { requireAuth, requireRole } = require('../middleware/auth');
 const db = require('../db');
+const { getPeriodLockError } = require('../utils/period-close');
+const { findCustomerId, findBoxTypeId } = require('../utils/catalogue');
+const { validateOrderLines, buildLumpSumLines, getOrderLines, saveOrder } = require('../utils/order-lines');
+const { getProductionAllocations, validateAllocations } = require('../utils/production-allocations');
+const { parseCostReasons, getProductionCostReasons, validateCostReasons } = require('../utils/cost-reasons');
+const { parseCostLines, validateCostLines, getProductionCostLines } = require('../utils/production-costs');
+const { parseReworkLog, getProductionRework, validateReworkLog } = require('../utils/rework');
+const { resolveProductionDimensions, findProductionLineId, findProductionTeamId } = require('../utils/production-dimensions');
+const { saveProductionEntry } = require('../utils/production-entries');
+const { getOrderStatusDates, getOrderDateError } = require('../utils/order-status');
 
 /**
  * Convert DD/MM/YYYY to YYYY-MM-DD for database storage
@@ -64,6 +74,42 @@ function formatDateForCSV(dateString) {
     return `${day}/${month}/${year}`;
 }
 
+/**
+ * Look up a sales rep by email for an imported order
+ * @param {String} email - Blank for no rep
+ * @returns {Promise<Number|null>} User ID (null when blank)
+ */
+async function findSalesRepId(email) {
+    if (!email) return null;
+    
+    const userResult = await db.query(
+        'SELECT id FROM users WHERE email = $1 AND role = $2',
+        [email, 'sales']
+    );
+    if (userResult.rows.length === 0) {
+        throw new Error(`Sales rep not found: ${email}`);
+    }
+    return userResult.rows[0].id;
+}
+
+// Columns of the order lines CSV (one row per line; order fields repeat on each row)
+const ORDER_LINE_CSV_COLUMNS = [
+    'order_id',
+    'order_key',
+    'order_date',
+    'order_ref',
+    'sales_rep_email',
+    'customer',
+    'notes',
+    'line_type',
+    'box_type',
+    'description',
+    'qty',
+    'unit_rrp',
+    'unit_net',
+    'unit_build_cost'
+];
+
 // All routes require authentication and director role
 router.use(requireAuth);
 router.use(requireRole('director'));
@@ -152,18 +198,40 @@ router.post('/import/orders', upload.single('csvfile'), async (req, res) => {
                 }
 
                 // Get sales rep ID from email
-                let salesRepId = null;
-                if (row.sales_rep_email) {
-                    const userResult = await db.query(
-                        'SELECT id FROM users WHERE email = $1 AND role = $2',
-                        [row.sales_rep_email, 'sales']
-                    );
-                    if (userResult.rows.length > 0) {
-                        salesRepId = userResult.rows[0].id;
-                    } else {
-                        throw new Error(`Row ${rowNum}: Sales rep not found: ${row.sales_rep_email}`);
+                const salesRepId = await findSalesRepId(row.sales_rep_email);
+
+                // Customer and box type by name (blank for none)
+                let customerId = null;
+                if (row.customer) {
+                    customerId = await findCustomerId(row.customer);
+                    if (!customerId) {
+                        throw new Error(`Row ${rowNum}: Customer not found: ${row.customer}`);
+                    }
+                }
+                let boxTypeId = null;
+                if (row.box_type) {
+                    boxTypeId = await findBoxTypeId(row.box_type);
+                    if (!boxTypeId) {
+                        throw new Error(`Row ${rowNum}: Box type not found: ${row.box_type}`);
                     }
                 }
+                
+                // Lump sums become one box line plus install/extras lines
+                const lumpSums = {
+                    boxes_qty: row.boxes_qty,
+                    box_rrp_total: row.box_rrp_total,
+                    box_net_total: boxNetTotal,
+                    box_build_cost_total: row.box_build_cost_total,
+                    install_revenue: parseFloat(row.install_revenue) || 0,
+                    extras_revenue: parseFloat(row.extras_revenue) || 0
+                };
+                const fields = {
+                    order_date: parseDateFromCSV(row.order_date),
+                    order_ref: row.order_ref || null,
+                    sales_rep_id: salesRepId,
+                    customer_id: customerId,
+                    notes: row.notes || null
+                };
 
                 // Update/Insert Logic:
                 // - If CSV row has 'id' column with valid ID: Updates existing record (works for ANY FY/month)
@@ -175,65 +243,63 @@ router.post('/import/orders', upload.single('csvfile'), async (req, res) => {
                 if (orderId && orderId > 0) {
                     // Check if order exists
                     const existingOrder = await db.query(
-                        'SELECT id FROM orders WHERE id = $1',
+                        'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
                         [orderId]
                     );
                     
                     if (existingOrder.rows.length > 0) {
+                        const orderDateError = getOrderDateError(existingOrder.rows[0], fields.order_date);
+                        if (orderDateError) {
+                            throw new Error(orderDateError);
+                        }
+                        
+                        // The months the order is reported in and the new month must be open
+                        const lockError = await getPeriodLockError([
+                            ...getOrderStatusDates(existingOrder.rows[0]),
+                            fields.order_date
+                        ]);
+                        if (lockError) {
+                            throw new Error(lockError);
+                        }
+                        
+                        // Orders with several box lines can only be changed line by line
+                        const existingBoxLines = ((await getOrderLines([orderId]))[orderId] || [])
+                            .filter(line => line.line_type === 'box');
+                        if (existingBoxLines.length > 1) {
+                            throw new Error(`Order ID ${orderId} has several box lines; update it with the order lines CSV`);
+                        }
+                        
+                        // Files without customer/box_type columns keep the current ones
+                        const { lines, errors } = validateOrderLines(buildLumpSumLines(
+                            lumpSums,
+                            row.box_type === undefined ? (existingBoxLines[0] ? existingBoxLines[0].box_type_id : null) : boxTypeId
+                        ));
+                        if (errors.length > 0) {
+                            throw new Error(errors.join('. '));
+                        }
+                        
                         // Update existing order
-                        await db.query(
-                            `UPDATE orders SET
-                                order_date = $1,
-                                order_ref = $2,
-                                sales_rep_id = $3,
-                                boxes_qty = $4,
-                                box_rrp_total = $5,
-                                box_net_total = $6,
-                                box_build_cost_total = $7,
-                                install_revenue = $8,
-                                extras_revenue = $9,
-                                notes = $10,
-                                updated_at = CURRENT_TIMESTAMP
-                             WHERE id = $11`,
-                            [
-                                parseDateFromCSV(row.order_date),
-                                row.order_ref || null,
-                                salesRepId,
-                                parseInt(row.boxes_qty),
-                                parseFloat(row.box_rrp_total),
-                                boxNetTotal,
-                                parseFloat(row.box_build_cost_total),
-                                parseFloat(row.install_revenue) || 0,
-                                parseFloat(row.extras_revenue) || 0,
-                                row.notes || null,
-                                orderId
-                            ]
-                        );
+                        await saveOrder(req, existingOrder.rows[0], {
+                            ...fields,
+                            customer_id: row.customer === undefined ? existingOrder.rows[0].customer_id : customerId
+                        }, lines);
                         results.success++;
                     } else {
                         throw new Error(`Row ${rowNum}: Order ID ${orderId} not found`);
                     }
                 } else {
+                    const lockError = await getPeriodLockError([fields.order_date]);
+                    if (lockError) {
+                        throw new Error(lockError);
+                    }
+                    
+                    const { lines, errors } = validateOrderLines(buildLumpSumLines(lumpSums, boxTypeId));
+                    if (errors.length > 0) {
+                        throw new Error(errors.join('. '));
+                    }
+                    
                     // Insert new order
-                    await db.query(
-                        `INSERT INTO orders (
-                            order_date, order_ref, sales_rep_id, boxes_qty,
-                            box_rrp_total, box_net_total, box_build_cost_total,
-                            install_revenue, extras_revenue, notes
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                        [
-                            parseDateFromCSV(row.order_date),
-                            row.order_ref || null,
-                            salesRepId,
-                            parseInt(row.boxes_qty),
-                            parseFloat(row.box_rrp_total),
-                            boxNetTotal,
-                            parseFloat(row.box_build_cost_total),
-                            parseFloat(row.install_revenue) || 0,
-                            parseFloat(row.extras_revenue) || 0,
-                            row.notes || null
-                        ]
-                    );
+                    await saveOrder(req, null, fields, lines);
                     results.success++;
                 }
             } catch (error) {
@@ -257,6 +323,166 @@ router.post('/import/orders', upload.single('csvfile'), async (req, res) => {
         } catch (e) {
             // Ignore cleanup errors
         }
+        
+        res.render('csv/index', {
+            error: `Import failed: ${error.message}`,
+            success: null,
+            importResult: results
+        });
+    }
+});
+
+/**
+ * POST /csv/import/order-lines - Import orders line by line
+ * Rows sharing an order_id (existing order, whose lines are all replaced) or an
+ * order_key (new order) make up one order; its order fields come from its first row.
+ */
+router.post('/import/order-lines', upload.single('csvfile'), async (req, res) => {
+    if (!req.file) {
+        return res.render('csv/index', {
+            error: 'No file uploaded',
+            success: null,
+            importResult: null
+        });
+    }
+    
+    const filePath = req.file.path;
+    const results = {
+        total: 0,
+        success: 0,
+        failed: 0,
+        errors: []
+    };
+    
+    try {
+        const rows = [];
+        
+        // Parse CSV
+        await new Promise((resolve, reject) => {
+            createReadStream(filePath)
+                .pipe(csv())
+                .on('data', (data) => rows.push(data))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+        
+        results.total = rows.length;
+        
+        // Group rows into orders, in file order
+        const orders = new Map();
+        rows.forEach((row, i) => {
+            const rowNum = i + 2;
+            const orderId = row.order_id ? parseInt(row.order_id) : null;
+            const key = orderId ? `id:${orderId}` : (row.order_key ? `key:${row.order_key}` : null);
+            if (!key) {
+                results.failed++;
+                results.errors.push(`Row ${rowNum}: Provide order_id (existing order) or order_key (new order)`);
+                return;
+            }
+            if (!orders.has(key)) {
+                orders.set(key, { orderId, orderKey: row.order_key, rows: [], rowNums: [] });
+            }
+            orders.get(key).rows.push(row);
+            orders.get(key).rowNums.push(rowNum);
+        });
+        
+        // Process each order
+        for (const order of orders.values()) {
+            const first = order.rows[0];
+            const label = `${order.rowNums.length > 1 ? 'Rows' : 'Row'} ${order.rowNums.join(', ')} (${order.orderId ? `order ID ${order.orderId}` : `order ${order.orderKey}`})`;
+            
+            try {
+                if (!first.order_date) {
+                    throw new Error('Missing order_date');
+                }
+                
+                // Customer and line box types by name (blank for none)
+                let customerId = null;
+                if (first.customer) {
+                    customerId = await findCustomerId(first.customer);
+                    if (!customerId) {
+                        throw new Error(`Customer not found: ${first.customer}`);
+                    }
+                }
+                const rawLines = [];
+                for (const row of order.rows) {
+                    let boxTypeId = null;
+                    if (row.box_type) {
+                        boxTypeId = await findBoxTypeId(row.box_type);
+                        if (!boxTypeId) {
+                            throw new Error(`Box type not found: ${row.box_type}`);
+                        }
+                    }
+                    rawLines.push({
+                        line_type: row.line_type,
+                        box_type_id: boxTypeId,
+                        description: row.description,
+                        qty: row.qty,
+                        unit_rrp: row.unit_rrp,
+                        unit_net: row.unit_net,
+                        unit_build_cost: row.unit_build_cost
+                    });
+                }
+                
+                const { lines, errors } = validateOrderLines(rawLines);
+                if (errors.length > 0) {
+                    throw new Error(errors.join('. '));
+                }
+                
+                const fields = {
+                    order_date: parseDateFromCSV(first.order_date),
+                    order_ref: first.order_ref || null,
+                    sales_rep_id: await findSalesRepId(first.sales_rep_email),
+                    customer_id: customerId,
+                    notes: first.notes || null
+                };
+                
+                let existing = null;
+                if (order.orderId) {
+                    const existingOrder = await db.query(
+                        'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
+                        [order.orderId]
+                    );
+                    if (existingOrder.rows.length === 0) {
+                        throw new Error(`Order ID ${order.orderId} not found`);
+                    }
+                    existing = existingOrder.rows[0];
+                    
+                    const orderDateError = getOrderDateError(existing, fields.order_date);
+                    if (orderDateError) {
+                        throw new Error(orderDateError);
+                    }
+                }
+                
+                // The months the order is reported in and the new month must be open
+                const lockError = await getPeriodLockError([...(existing ? getOrderStatusDates(existing) : []), fields.order_date]);
+                if (lockError) {
+                    throw new Error(lockError);
+                }
+                
+                await saveOrder(req, existing, fields, lines);
+                results.success += order.rows.length;
+            } catch (error) {
+                results.failed += order.rows.length;
+                results.errors.push(`${label}: ${error.message}`);
+            }
+        }
+        
+        // Clean up uploaded file
+        await fs.unlink(filePath);
+        
+        res.render('csv/index', {
+            error: null,
+            success: results.failed === 0 ? `Successfully imported ${orders.size} orders (${results.success} lines)` : null,
+            importResult: results
+        });
+    } catch (error) {
+        // Clean up uploaded file
+        try {
+            await fs.unlink(filePath);
+        } catch (e) {
+            // Ignore cleanup errors
+        }
 
         res.render('csv/index', {
             error: `Import failed: ${error.message}`,
@@ -311,14 +537,71 @@ router.post('/import/production', upload.single('csvfile'), async (req, res) =>
                     throw new Error(`Row ${rowNum}: Missing required fields`);
                 }
 
-                // Parse over_cost_reasons_json if provided
-                let reasonsJson = null;
+                // Parse over_cost_reasons_json if provided (reasons by catalogue name)
+                let reasonsJson = [];
                 if (row.over_cost_reasons_json) {
                     try {
                         reasonsJson = JSON.parse(row.over_cost_reasons_json);
                     } catch (e) {
                         throw new Error(`Row ${rowNum}: Invalid JSON in over_cost_reasons_json`);
                     }
+                    if (!Array.isArray(reasonsJson)) {
+                        throw new Error(`Row ${rowNum}: over_cost_reasons_json must be a JSON array`);
+                    }
+                }
+                const parsedReasons = parseCostReasons(reasonsJson);
+                if (parsedReasons.errors.length > 0) {
+                    throw new Error(parsedReasons.errors.join('. '));
+                }
+
+                // Parse rework_log_json if provided (defect types by catalogue name)
+                let reworkJson = [];
+                if (row.rework_log_json) {
+                    try {
+                        reworkJson = JSON.parse(row.rework_log_json);
+                    } catch (e) {
+                        throw new Error(`Row ${rowNum}: Invalid JSON in rework_log_json`);
+                    }
+                    if (!Array.isArray(reworkJson)) {
+                        throw new Error(`Row ${rowNum}: rework_log_json must be a JSON array`);
+                    }
+                }
+
+                // Parse cost_lines_json if provided (box types by name)
+                let costLinesJson = [];
+                if (row.cost_lines_json) {
+                    try {
+                        costLinesJson = JSON.parse(row.cost_lines_json);
+                    } catch (e) {
+                        throw new Error(`Row ${rowNum}: Invalid JSON in cost_lines_json`);
+                    }
+                    if (!Array.isArray(costLinesJson)) {
+                        throw new Error(`Row ${rowNum}: cost_lines_json must be a JSON array`);
+                    }
+                    for (const line of costLinesJson) {
+                        if (line && typeof line === 'object' && line.box_type) {
+                            line.box_type_id = await findBoxTypeId(String(line.box_type));
+                            if (!line.box_type_id) {
+                                throw new Error(`Row ${rowNum}: Box type not found: ${line.box_type}`);
+                            }
+                        }
+                    }
+                }
+
+                // Line and team by catalogue name; shift by key (day, late or night)
+                let lineId = null;
+                if (row.line) {
+                    lineId = await findProductionLineId(row.line);
+                    if (!lineId) {
+                        throw new Error(`Row ${rowNum}: Line not found: ${row.line}`);
+                    }
+                }
+                let teamId = null;
+                if (row.team) {
+                    teamId = await findProductionTeamId(row.team);
+                    if (!teamId) {
+                        throw new Error(`Row ${rowNum}: Team not found: ${row.team}`);
+                    }
                 }
 
                 // Update/Insert Logic:
@@ -328,54 +611,119 @@ router.post('/import/production', upload.single('csvfile'), async (req, res) =>
                 // The system uses primary key (id) only for lookups, not date-based filtering
                 const entryId = row.id ? parseInt(row.id) : null;
                 
+                // Files without the cost_lines_json column keep an updated entry's
+                // cost lines; either way they must add up to the boxes built
+                if (row.cost_lines_json === undefined && entryId && entryId > 0) {
+                    costLinesJson = (await getProductionCostLines([entryId]))[entryId] || [];
+                }
+                const parsedCostLines = parseCostLines(costLinesJson);
+                if (parsedCostLines.errors.length > 0) {
+                    throw new Error(parsedCostLines.errors.join('. '));
+                }
+                const checkedCostLines = await validateCostLines(parsedCostLines.lines, parseInt(row.boxes_built));
+                if (checkedCostLines.errors) {
+                    throw new Error(checkedCostLines.errors.join('. '));
+                }
+                
+                // Likewise files without the rework_log_json column keep an updated
+                // entry's rework log, which must add up to the rework boxes
+                if (row.rework_log_json === undefined && entryId && entryId > 0) {
+                    reworkJson = (await getProductionRework([entryId]))[entryId] || [];
+                }
+                const parsedRework = parseReworkLog(reworkJson);
+                if (parsedRework.errors.length > 0) {
+                    throw new Error(parsedRework.errors.join('. '));
+                }
+                const checkedRework = await validateReworkLog(
+                    parsedRework.rework,
+                    parseInt(row.rework_boxes) || 0,
+                    entryId && entryId > 0 ? entryId : null
+                );
+                if (checkedRework.errors) {
+                    throw new Error(checkedRework.errors.join('. '));
+                }
+                
+                // Reasons must match the catalogue and add up to the boxes over cost
+                const checkedReasons = await validateCostReasons(
+                    parsedReasons.reasons,
+                    parseInt(row.boxes_over_cost) || 0,
+                    entryId && entryId > 0 ? entryId : null
+                );
+                if (checkedReasons.errors) {
+                    throw new Error(checkedReasons.errors.join('. '));
+                }
+                
                 if (entryId && entryId > 0) {
                     // Check if entry exists
                     const existingEntry = await db.query(
-                        'SELECT id FROM production_boxes WHERE id = $1',
+                        'SELECT * FROM production_boxes WHERE id = $1 AND deleted_at IS NULL',
                         [entryId]
                     );
                     
                     if (existingEntry.rows.length > 0) {
-                        // Update existing entry
-                        await db.query(
-                            `UPDATE production_boxes SET
-                                production_date = $1,
-                                boxes_built = $2,
-                                boxes_over_cost = $3,
-                                over_cost_reasons_json = $4,
-                                rework_boxes = $5,
-                                notes = $6
-                             WHERE id = $7`,
-                            [
-                                parseDateFromCSV(row.production_date),
-                                parseInt(row.boxes_built),
-                                parseInt(row.boxes_over_cost) || 0,
-                                reasonsJson ? JSON.stringify(reasonsJson) : null,
-                                parseInt(row.rework_boxes) || 0,
-                                row.notes || null,
-                                entryId
-                            ]
+                        // Neither the month it moves from nor the one it moves to may be closed
+                        const lockError = await getPeriodLockError([
+                            existingEntry.rows[0].production_date,
+                            parseDateFromCSV(row.production_date)
+                        ]);
+                        if (lockError) {
+                            throw new Error(lockError);
+                        }
+                        
+                        // The entry keeps its allocations to orders, which must still fit the boxes built
+                        const allocationErrors = await validateAllocations(
+                            (await getProductionAllocations([entryId]))[entryId] || [],
+                            parseInt(row.boxes_built),
+                            entryId
                         );
+                        if (allocationErrors.length > 0) {
+                            throw new Error(allocationErrors.join('. '));
+                        }
+                        
+                        // Files without line/team/shift columns keep the current ones
+                        const existing = existingEntry.rows[0];
+                        const dimensions = await resolveProductionDimensions({
+                            line_id: row.line === undefined ? existing.line_id : lineId,
+                            team_id: row.team === undefined ? existing.team_id : teamId,
+                            shift: row.shift === undefined ? existing.shift : row.shift
+                        }, existing);
+                        if (dimensions.error) {
+                            throw new Error(dimensions.error);
+                        }
+                        
+                        // Update existing entry
+                        await saveProductionEntry(req, existing, {
+                            production_date: parseDateFromCSV(row.production_date),
+                            ...dimensions.values,
+                            boxes_built: parseInt(row.boxes_built),
+                            boxes_over_cost: parseInt(row.boxes_over_cost) || 0,
+                            rework_boxes: parseInt(row.rework_boxes) || 0,
+                            notes: row.notes || null
+                        }, checkedReasons.reasons, checkedCostLines.lines, checkedRework.rework, null);
                         results.success++;
                     } else {
                         throw new Error(`Row ${rowNum}: Production entry ID ${entryId} not found`);
                     }
                 } else {
-                    // Insert new production entry
-                    await db.query(
-                        `INSERT INTO production_boxes (
-                            production_date, boxes_built, boxes_over_cost,
-                            over_cost_reasons_json, rework_boxes, notes
-                        ) VALUES ($1, $2, $3, $4, $5, $6)`,
-                        [
-                            parseDateFromCSV(row.production_date),
-                            parseInt(row.boxes_built),
-                            parseInt(row.boxes_over_cost) || 0,
-                            reasonsJson ? JSON.stringify(reasonsJson) : null,
-                            parseInt(row.rework_boxes) || 0,
-                            row.notes || null
-                        ]
-                    );
+                    const lockError = await getPeriodLockError([parseDateFromCSV(row.production_date)]);
+                    if (lockError) {
+                        throw new Error(lockError);
+                    }
+                    
+                    const dimensions = await resolveProductionDimensions({ line_id: lineId, team_id: teamId, shift: row.shift });
+                    if (dimensions.error) {
+                        throw new Error(dimensions.error);
+                    }
+                    
+                    // Insert new production entry (not allocated to any order)
+                    await saveProductionEntry(req, null, {
+                        production_date: parseDateFromCSV(row.production_date),
+                        ...dimensions.values,
+                        boxes_built: parseInt(row.boxes_built),
+                        boxes_over_cost: parseInt(row.boxes_over_cost) || 0,
+                        rework_boxes: parseInt(row.rework_boxes) || 0,
+                        notes: row.notes || null
+                    }, checkedReasons.reasons, checkedCostLines.lines, checkedRework.rework, []);
                     results.success++;
                 }
             } catch (error) {
@@ -416,9 +764,16 @@ router.get('/export/orders', async (req, res) => {
     try {
         // Export all orders regardless of financial year or month
         const ordersResult = await db.query(
-            `SELECT o.*, u.email as sales_rep_email, u.name as sales_rep_name
+            `SELECT o.*, u.email as sales_rep_email, u.name as sales_rep_name,
+                    c.name as customer,
+                    (SELECT string_agg(DISTINCT bt.name, '; ')
+                     FROM order_lines l
+                     JOIN box_types bt ON l.box_type_id = bt.id
+                     WHERE l.order_id = o.id AND l.line_type = 'box') as box_type
              FROM orders o
              LEFT JOIN users u ON o.sales_rep_id = u.id
+             LEFT JOIN customers c ON o.customer_id = c.id
+             WHERE o.deleted_at IS NULL
              ORDER BY o.order_date DESC, o.created_at DESC`
         );
 
@@ -426,6 +781,10 @@ router.get('/export/orders', async (req, res) => {
             ...order,
             discount: ((parseFloat(order.box_rrp_total) || 0) - (parseFloat(order.box_net_total) || 0)).toFixed(2),
             order_date: formatDateForCSV(order.order_date),
+            confirmed_date: formatDateForCSV(order.confirmed_date),
+            built_date: formatDateForCSV(order.built_date),
+            installed_date: formatDateForCSV(order.installed_date),
+            cancelled_date: formatDateForCSV(order.cancelled_date),
             created_at: formatDateForCSV(order.created_at),
             updated_at: formatDateForCSV(order.updated_at)
         }));
@@ -438,6 +797,8 @@ router.get('/export/orders', async (req, res) => {
                 'order_date',
                 'order_ref',
                 'sales_rep_email',
+                'customer',
+                'box_type',
                 'boxes_qty',
                 'box_rrp_total',
                 'discount',
@@ -446,6 +807,11 @@ router.get('/export/orders', async (req, res) => {
                 'install_revenue',
                 'extras_revenue',
                 'notes',
+                'status',
+                'confirmed_date',
+                'built_date',
+                'installed_date',
+                'cancelled_date',
                 'created_at',
                 'updated_at'
             ]
@@ -460,6 +826,44 @@ router.get('/export/orders', async (req, res) => {
     }
 });
 
+/**
+ * GET /csv/export/order-lines - Export orders line by line (one row per line)
+ */
+router.get('/export/order-lines', async (req, res) => {
+    try {
+        const linesResult = await db.query(
+            `SELECT o.id as order_id, o.order_date, o.order_ref, o.notes,
+                    u.email as sales_rep_email, c.name as customer, bt.name as box_type, l.*
+             FROM order_lines l
+             JOIN orders o ON l.order_id = o.id
+             LEFT JOIN users u ON o.sales_rep_id = u.id
+             LEFT JOIN customers c ON o.customer_id = c.id
+             LEFT JOIN box_types bt ON l.box_type_id = bt.id
+             WHERE o.deleted_at IS NULL
+             ORDER BY o.order_date DESC, o.id DESC, l.line_no`
+        );
+        
+        const lines = linesResult.rows.map(line => ({
+            ...line,
+            order_key: '',
+            order_date: formatDateForCSV(line.order_date)
+        }));
+        
+        // Convert to CSV
+        const csvData = stringifySync(lines, {
+            header: true,
+            columns: ORDER_LINE_CSV_COLUMNS.concat(['line_no', 'rrp_total', 'net_total', 'build_cost_total'])
+        });
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename=order-lines-export.csv');
+        res.send(csvData);
+    } catch (error) {
+        console.error('Export order lines error:', error);
+        res.status(500).send('Error exporting order lines');
+    }
+});
+
 /**
  * GET /csv/export/production - Export all production entries as CSV
  * Exports ALL production entries from ALL financial years/months - no date filtering applied
@@ -468,15 +872,46 @@ router.get('/export/production', async (req, res) => {
     try {
         // Export all production entries regardless of financial year or month
         const productionResult = await db.query(
-            'SELECT * FROM production_boxes ORDER BY production_date DESC, created_at DESC'
+            `SELECT p.*, pl.name as line, pt.name as team
+             FROM production_boxes p
+             LEFT JOIN production_lines pl ON p.line_id = pl.id
+             LEFT JOIN production_teams pt ON p.team_id = pt.id
+             WHERE p.deleted_at IS NULL
+             ORDER BY p.production_date DESC, p.created_at DESC`
         );
 
+        // Lines, teams, reasons, cost line box types and defect types are exported under their current catalogue names
+        const reasonsByEntry = await getProductionCostReasons(productionResult.rows.map(entry => entry.id));
+        const costLinesByEntry = await getProductionCostLines(productionResult.rows.map(entry => entry.id));
+        const reworkByEntry = await getProductionRework(productionResult.rows.map(entry => entry.id));
         const entries = productionResult.rows.map(entry => ({
             ...entry,
             production_date: formatDateForCSV(entry.production_date),
             created_at: formatDateForCSV(entry.created_at),
-            over_cost_reasons_json: entry.over_cost_reasons_json 
-                ? JSON.stringify(entry.over_cost_reasons_json) 
+            over_cost_reasons_json: reasonsByEntry[entry.id]
+                ? JSON.stringify(reasonsByEntry[entry.id].map(reason => ({
+                    reason: reason.reason,
+                    boxes: reason.boxes,
+                    overrun: parseFloat(reason.overrun) || 0
+                })))
+                : '',
+            cost_lines_json: costLinesByEntry[entry.id]
+                ? JSON.stringify(costLinesByEntry[entry.id].map(line => ({
+                    box_type: line.box_type_name || '',
+                    boxes: line.boxes,
+                    standard_cost: parseFloat(line.standard_cost),
+                    actual_cost: parseFloat(line.actual_cost)
+                })))
+                : '',
+            rework_log_json: reworkByEntry[entry.id]
+                ? JSON.stringify(reworkByEntry[entry.id].map(rework => ({
+                    defect_type: rework.defect_type,
+                    stage: rework.stage,
+                    team: rework.team,
+                    boxes: rework.boxes,
+                    cost: parseFloat(rework.cost) || 0,
+                    hours: parseFloat(rework.hours) || 0
+                })))
                 : ''
         }));
 
@@ -486,10 +921,18 @@ router.get('/export/production', async (req, res) => {
             columns: [
                 'id',
                 'production_date',
+                'line',
+                'team',
+                'shift',
                 'boxes_built',
                 'boxes_over_cost',
                 'over_cost_reasons_json',
+                'cost_lines_json',
+                'standard_build_cost',
+                'actual_build_cost',
+                'cost_overrun',
                 'rework_boxes',
+                'rework_log_json',
                 'notes',
                 'created_at'
             ]
@@ -514,6 +957,8 @@ router.get('/template/orders', (req, res) => {
             order_date: '15/07/2024',
             order_ref: 'ORD-001',
             sales_rep_email: 'alice@example.com',
+            customer: 'Example Customer Ltd',
+            box_type: 'Standard',
             boxes_qty: '2',
             box_rrp_total: '2800.00',
             discount: '200.00',
@@ -530,6 +975,8 @@ router.get('/template/orders', (req, res) => {
             'order_date',
             'order_ref',
             'sales_rep_email',
+            'customer',
+            'box_type',
             'boxes_qty',
             'box_rrp_total',
             'discount',
@@ -546,6 +993,33 @@ router.get('/template/orders', (req, res) => {
     res.send(template);
 });
 
+/**
+ * GET /csv/template/order-lines - Download order lines CSV template
+ */
+router.get('/template/order-lines', (req, res) => {
+    const order = {
+        order_id: '',
+        order_key: 'NEW-1',
+        order_date: '15/07/2024',
+        order_ref: 'ORD-001',
+        sales_rep_email: 'alice@example.com',
+        customer: 'Example Customer Ltd',
+        notes: 'Example order'
+    };
+    const template = stringifySync([
+        { ...order, line_type: 'box', box_type: 'Standard', description: '', qty: '2', unit_rrp: '1400.00', unit_net: '1300.00', unit_build_cost: '700.00' },
+        { ...order, line_type: 'box', box_type: 'Large', description: '', qty: '1', unit_rrp: '1800.00', unit_net: '1800.00', unit_build_cost: '900.00' },
+        { ...order, line_type: 'install', box_type: '', description: 'Installation', qty: '1', unit_rrp: '', unit_net: '500.00', unit_build_cost: '' }
+    ], {
+        header: true,
+        columns: ORDER_LINE_CSV_COLUMNS
+    });
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=order-lines-template.csv');
+    res.send(template);
+});
+
 /**
  * GET /csv/template/production - Download production CSV template
  */
@@ -554,10 +1028,15 @@ router.get('/template/production', (req, res) => {
         {
             id: '',
             production_date: '15/07/2024',
+            line: 'Line 1',
+            team: 'Assembly',
+            shift: 'day',
             boxes_built: '5',
             boxes_over_cost: '1',
-            over_cost_reasons_json: '[{"reason": "material", "boxes": 1}]',
-            rework_boxes: '0',
+            over_cost_reasons_json: '[{"reason": "Material price increase", "boxes": 1, "overrun": 45.50}]',
+            cost_lines_json: '[{"box_type": "Standard", "boxes": 5, "actual_cost": 3545.50}]',
+            rework_boxes: '1',
+            rework_log_json: '[{"defect_type": "Door misaligned", "stage": "install", "team": "Assembly", "boxes": 1, "cost": 60, "hours": 1.5}]',
             notes: 'Example production entry'
         }
     ], {
@@ -565,10 +1044,15 @@ router.get('/template/production', (req, res) => {
         columns: [
             'id',
             'production_date',
+            'line',
+            'team',
+            'shift',
             'boxes_built',
             'boxes_over_cost',
             'over_cost_reasons_json',
+            'cost_lines_json',
             'rework_boxes',
+            'rework_log_json',
             'notes'
         ]
     });
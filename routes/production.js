@@ -6,9 +6,25 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { requireAuth, requireRole } = require('../middleware/auth');
-const { getCurrentFY, getFYMonth, getFYDateRange, getAllFYs, getAllFYMonths } = require('../utils/fy');
-const { aggregateProductionMetrics, getMonthlyBoxTarget } = require('../utils/aggregations');
-const { getRAGStatus, getCostComplianceRAG, getQualityRAG, getRAGClass } = require('../utils/rag');
+const { getCurrentFY, getFYMonth, getFYDateRange, getAllFYs, getAllFYMonths, getFYStartMonth, isFYPeriod, getFYPeriodMonths, getFYPeriodLabel, isFYWeek, getFYWeeks, getWeekKey, getComparisonPeriods, PERIOD_YTD, PERIOD_FULL_YEAR } = require('../utils/fy');
+const { queryProductionMetrics, queryProductionBreakdown, queryProductionDimensionBreakdown, queryPlanVsDemand } = require('../utils/sql-aggregations');
+const { getMonthlyBoxTarget, getMonthlyPlanBoxes, getPeriodPlanBoxes } = require('../utils/aggregations');
+const { getRAGRules, getRAGStatus, getCostComplianceRAG, getQualityRAG, getRAGClass } = require('../utils/rag');
+const { getSettings, getSettingsForFY } = require('../utils/targets');
+const { PRODUCTION_HEADLINE_METRICS, buildComparisonRows, formatComparisonValue, formatComparisonDelta } = require('../utils/comparisons');
+const { recordAudit } = require('../utils/audit');
+const { softDeleteRecords } = require('../utils/recycle-bin');
+const { getPeriodLockError, getRecordsLockError, getPeriodClose } = require('../utils/period-close');
+const { toDateKey } = require('../utils/calendar');
+const { toLineArray } = require('../utils/order-lines');
+const { getOrderStatus, validateStatusChange, changeOrderStatus } = require('../utils/order-status');
+const { getOrderLabel, parseAllocations, getProductionAllocations, validateAllocations, getAllocatableOrders, queryBacklogOrders, summarizeBacklogAges } = require('../utils/production-allocations');
+const { getCostReasonOptions, parseCostReasons, getProductionCostReasons, validateCostReasons } = require('../utils/cost-reasons');
+const { parseCostLines, validateCostLines, getProductionCostLines, getCostLineBoxTypes } = require('../utils/production-costs');
+const { REWORK_STAGES, getReworkStage, getDefectTypeOptions, parseReworkLog, getProductionRework, validateReworkLog, queryReworkTrend } = require('../utils/rework');
+const { PRODUCTION_SHIFTS, PRODUCTION_DIMENSIONS, getProductionShift, getProductionLineOptions, getProductionTeamOptions, resolveProductionDimensions, addTeamTargets } = require('../utils/production-dimensions');
+const { saveProductionEntry } = require('../utils/production-entries');
+const { getProductionPlan, parseProductionPlan, getChangedPlanDates, saveProductionPlan } = require('../utils/production-plan');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -16,52 +32,129 @@ router.use(requireAuth);
 // Production and directors can access
 router.use(requireRole(['production', 'director']));
 
+/**
+ * Production metrics for a comparison period
+ * @param {Object|null} comparison - { fyLabel, period } from getComparisonPeriods
+ * @param {Object} baseSettings - Settings row
+ * @returns {Promise<Object|null>} Metrics, or null without a comparison
+ */
+async function getComparisonProductionMetrics(comparison, baseSettings) {
+    if (!comparison) return null;
+    
+    const settings = await getSettingsForFY(comparison.fyLabel, baseSettings);
+    return queryProductionMetrics(settings, comparison.fyLabel, comparison.period);
+}
+
 /**
  * GET /production/dashboard - Production Dashboard
  */
 router.get('/dashboard', async (req, res) => {
     try {
-        const fy = req.query.fy || getCurrentFY().label;
-        const month = req.query.month || getFYMonth(new Date());
-        
-        // Get settings
-        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
-        const settings = settingsResult.rows[0] || {
-            baseline_floor_per_box: 700,
-            yearly_box_target: 900,
-            monthly_box_targets_json: {},
-            install_capacity_high_season_per_week: 15
-        };
-        
-        // Get date range for selected FY month
-        const dateRange = getFYDateRange(fy, month);
-        
-        // Get production data
+        // Get settings (FY start month drives the default FY)
+        const baseSettings = await getSettings();
+        const fyStartMonth = getFYStartMonth(baseSettings);
+        
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        
+        // A selected week takes the place of the FY month
+        const month = req.query.week || req.query.month || getFYMonth(new Date());
+        const isWeek = isFYWeek(month);
+        
+        // Resolve targets for the FY being viewed
+        const settings = await getSettingsForFY(fy, baseSettings);
+        
+        // Get date range for selected FY month (or YTD / full year / week)
+        const dateRange = getFYDateRange(fy, month, fyStartMonth);
+        
+        // Production entries listed for the period
         const productionResult = await db.query(
-            `SELECT * FROM production_boxes 
-             WHERE production_date >= $1 AND production_date <= $2 
-             ORDER BY production_date DESC`,
+            `SELECT p.*, pl.name as line_name, pt.name as team_name
+             FROM production_boxes p
+             LEFT JOIN production_lines pl ON p.line_id = pl.id
+             LEFT JOIN production_teams pt ON p.team_id = pt.id
+             WHERE p.production_date >= $1 AND p.production_date <= $2 
+             AND p.deleted_at IS NULL
+             ORDER BY p.production_date DESC, p.id DESC`,
             [dateRange.start, dateRange.end]
         );
-        const productionData = productionResult.rows;
-        
-        // Get all orders for backlog calculation
-        const ordersResult = await db.query(
-            `SELECT * FROM orders 
-             WHERE order_date <= $1 
-             ORDER BY order_date DESC`,
-            [dateRange.end]
+        const allocations = await getProductionAllocations(productionResult.rows.map(entry => entry.id));
+        const productionData = productionResult.rows.map(entry => ({ ...entry, allocations: allocations[entry.id] || [] }));
+        
+        // Aggregate metrics in the database (backlog is as at the period end)
+        const metrics = await queryProductionMetrics(settings, fy, month);
+        const monthlyBoxTarget = metrics.boxTarget;
+        
+        // Calculate RAG statuses against the configured thresholds
+        const ragRules = getRAGRules(settings);
+        const boxesRAG = getRAGStatus(metrics.boxesBuilt, monthlyBoxTarget, ragRules.production_boxes);
+        const costComplianceRAG = getCostComplianceRAG(metrics.costCompliancePct, ragRules.cost_compliance);
+        const valueComplianceRAG = getCostComplianceRAG(metrics.valueCompliancePct, ragRules.cost_value_compliance);
+        const qualityRAG = getQualityRAG(metrics.qualityMetrics.reworkRate, ragRules.rework_rate);
+        
+        // Weekly rework rate up to the period end (or today, if sooner)
+        const today = new Date();
+        const reworkTrend = (await queryReworkTrend(dateRange.end < today ? dateRange.end : today)).map(week => ({
+            ...week,
+            qualityRAG: getQualityRAG(week.reworkRate, ragRules.rework_rate)
+        }));
+        
+        // Boxes built, cost compliance and rework rate by team, line or shift;
+        // teams are measured against their share of the period's build plan
+        const dimension = PRODUCTION_DIMENSIONS.find(d => d.key === req.query.by) || PRODUCTION_DIMENSIONS[0];
+        let dimensionBreakdown = await queryProductionDimensionBreakdown(settings, fy, month, dimension.key);
+        if (dimension.key === 'team') {
+            dimensionBreakdown = addTeamTargets(dimensionBreakdown, await getProductionTeamOptions(), monthlyBoxTarget);
+        }
+        dimensionBreakdown = dimensionBreakdown.map(row => ({
+            ...row,
+            boxesRAG: row.target ? getRAGStatus(row.boxesBuilt, row.target.boxTarget, ragRules.production_boxes) : null,
+            costComplianceRAG: getCostComplianceRAG(row.costCompliancePct, ragRules.cost_compliance),
+            valueComplianceRAG: getCostComplianceRAG(row.valueCompliancePct, ragRules.cost_value_compliance),
+            qualityRAG: getQualityRAG(row.reworkRate, ragRules.rework_rate)
+        }));
+        
+        // Rework each team was responsible for, against the boxes that team built
+        const teamFigures = dimension.key === 'team'
+            ? dimensionBreakdown
+            : await queryProductionDimensionBreakdown(settings, fy, month, 'team');
+        const reworkTeams = metrics.qualityMetrics.teams.map(team => {
+            const figures = teamFigures.find(row => row.label !== null && row.label === team.team);
+            const reworkRate = figures && figures.boxesBuilt > 0 ? (team.boxes / figures.boxesBuilt) * 100 : null;
+            return {
+                ...team,
+                boxesBuilt: figures ? figures.boxesBuilt : null,
+                reworkRate,
+                qualityRAG: reworkRate === null ? null : getQualityRAG(reworkRate, ragRules.rework_rate)
+            };
+        });
+        
+        // Same period last FY and the previous period (month and week views)
+        const comparisonPeriods = getComparisonPeriods(fy, month, fyStartMonth);
+        const comparisons = buildComparisonRows(
+            PRODUCTION_HEADLINE_METRICS,
+            metrics,
+            await getComparisonProductionMetrics(comparisonPeriods.priorYear, baseSettings),
+            await getComparisonProductionMetrics(comparisonPeriods.priorPeriod, baseSettings)
         );
-        const orders = ordersResult.rows;
         
-        // Aggregate metrics
-        const metrics = aggregateProductionMetrics(productionData, orders, settings, fy, month);
-        const monthlyBoxTarget = getMonthlyBoxTarget(settings, month);
+        // Month-by-month breakdown and yearly plan for YTD / full-year views
+        let breakdown = null;
+        let yearlyBoxTarget = null;
+        if (isFYPeriod(month)) {
+            yearlyBoxTarget = getPeriodPlanBoxes(settings, fy, PERIOD_FULL_YEAR);
+            
+            const periodMonths = getFYPeriodMonths(fy, month, fyStartMonth);
+            breakdown = (await queryProductionBreakdown(settings, fy, periodMonths)).map(row => ({
+                ...row,
+                boxesRAG: getRAGStatus(row.metrics.boxesBuilt, row.boxTarget, ragRules.production_boxes),
+                costComplianceRAG: getCostComplianceRAG(row.metrics.costCompliancePct, ragRules.cost_compliance),
+                valueComplianceRAG: getCostComplianceRAG(row.metrics.valueCompliancePct, ragRules.cost_value_compliance),
+                qualityRAG: getQualityRAG(row.metrics.qualityMetrics.reworkRate, ragRules.rework_rate)
+            }));
+        }
         
-        // Calculate RAG statuses
-        const boxesRAG = getRAGStatus(metrics.boxesBuilt, monthlyBoxTarget, settings.rag_amber_floor_pct);
-        const costComplianceRAG = getCostComplianceRAG(metrics.costCompliancePct);
-        const qualityRAG = getQualityRAG(metrics.qualityMetrics.reworkRate);
+        // Build plan against boxes sold and built, month by month across the FY
+        const planVsDemand = await queryPlanVsDemand(settings, fy);
         
         // Get dashboard note
         const noteResult = await db.query(
@@ -73,8 +166,8 @@ router.get('/dashboard', async (req, res) => {
         const dashboardNote = noteResult.rows[0]?.note || '';
         
         // Get all FYs and months for dropdowns
-        const allFYs = getAllFYs();
-        const allMonths = getAllFYMonths();
+        const allFYs = getAllFYs(2, fyStartMonth);
+        const allMonths = getAllFYMonths(fyStartMonth);
         
         res.render('production/dashboard', {
             fy,
@@ -83,12 +176,36 @@ router.get('/dashboard', async (req, res) => {
             monthlyBoxTarget,
             boxesRAG,
             costComplianceRAG,
+            valueComplianceRAG,
             qualityRAG,
+            reworkTrend,
+            getReworkStage,
+            comparisons,
+            comparisonPeriods,
+            formatComparisonValue,
+            formatComparisonDelta,
+            breakdown,
+            dimension,
+            dimensionOptions: PRODUCTION_DIMENSIONS,
+            dimensionBreakdown,
+            reworkTeams,
+            getProductionShift,
+            yearlyBoxTarget,
+            planVsDemand,
             dashboardNote,
             productionData,
             allFYs,
             allMonths,
-            settings
+            periodOptions: [PERIOD_YTD, PERIOD_FULL_YEAR],
+            weekOptions: getFYWeeks(fy, fyStartMonth),
+            selectedWeek: isWeek ? month : getWeekKey(new Date()),
+            periodLabel: getFYPeriodLabel(month),
+            isPeriod: isFYPeriod(month),
+            isWeek,
+            periodClose: await getPeriodClose(fy, month, fyStartMonth),
+            settings,
+            error: req.query.error,
+            success: req.query.success
         });
     } catch (error) {
         console.error('Production dashboard error:', error);
@@ -103,6 +220,11 @@ router.post('/dashboard/note', async (req, res) => {
     try {
         const { fy, month, note } = req.body;
         
+        const existingNote = await db.query(
+            `SELECT * FROM dashboard_notes WHERE fy_label = $1 AND fy_month = $2 AND role = 'production'`,
+            [fy, month]
+        );
+        
         await db.query(
             `INSERT INTO dashboard_notes (fy_label, fy_month, role, note)
              VALUES ($1, $2, 'production', $3)
@@ -111,13 +233,22 @@ router.post('/dashboard/note', async (req, res) => {
         );
         
         // Update if exists
-        await db.query(
+        const noteResult = await db.query(
             `UPDATE dashboard_notes 
              SET note = $3, updated_at = CURRENT_TIMESTAMP
-             WHERE fy_label = $1 AND fy_month = $2 AND role = 'production'`,
+             WHERE fy_label = $1 AND fy_month = $2 AND role = 'production'
+             RETURNING *`,
             [fy, month, note]
         );
         
+        await recordAudit(req, {
+            entityType: 'dashboard_note',
+            entityId: noteResult.rows[0].id,
+            action: existingNote.rows.length > 0 ? 'update' : 'create',
+            before: existingNote.rows[0] || null,
+            after: noteResult.rows[0]
+        });
+        
         res.redirect(`/production/dashboard?fy=${fy}&month=${month}`);
     } catch (error) {
         console.error('Save note error:', error);
@@ -126,13 +257,87 @@ router.post('/dashboard/note', async (req, res) => {
 });
 
 /**
- * GET /production/entries/new - New production entry form
+ * Render the production entry form with the lines, teams and shifts, the box
+ * types to cost, the over-cost reasons and defect types to choose from and the
+ * orders boxes can be allocated to
+ * @param {Object} res
+ * @param {Object|null} entry - Entry values with cost_lines, reasons, rework and allocations (null for a blank new entry)
+ * @param {Boolean} isEdit
+ * @param {String|null} error
  */
-router.get('/entries/new', (req, res) => {
+async function renderProductionForm(res, entry, isEdit, error = null) {
+    const costLines = entry ? toLineArray(entry.cost_lines) : [];
+    const reasons = entry ? toLineArray(entry.reasons) : [];
+    const rework = entry ? toLineArray(entry.rework) : [];
+    const allocations = entry ? toLineArray(entry.allocations) : [];
+    
     res.render('production/production-form', {
-        entry: null,
-        isEdit: false
+        entry,
+        isEdit,
+        lines: await getProductionLineOptions(entry ? [entry.line_id] : []),
+        teams: await getProductionTeamOptions(entry ? [entry.team_id] : []),
+        shifts: PRODUCTION_SHIFTS,
+        costLines: costLines.length > 0 ? costLines : [{}],
+        boxTypes: await getCostLineBoxTypes(costLines.map(line => line.box_type_id)),
+        reasons: reasons.length > 0 ? reasons : [{}],
+        reasonOptions: await getCostReasonOptions(reasons.map(reason => reason.reason_id)),
+        rework: rework.length > 0 ? rework : [{}],
+        defectTypes: await getDefectTypeOptions(rework.map(row => row.defect_type_id)),
+        reworkStages: REWORK_STAGES,
+        reworkTeams: await getProductionTeamOptions(rework.map(row => row.team_id)),
+        allocations: allocations.length > 0 ? allocations : [{}],
+        orders: await getAllocatableOrders(isEdit ? entry.id : null, allocations.map(allocation => allocation.order_id)),
+        getOrderLabel,
+        error
     });
+}
+
+/**
+ * Validate the line, team and shift, cost lines, over-cost reasons, rework log and allocations submitted with a production entry form
+ * @param {Object} body - Request body (line_id, team_id, shift, boxes_built, boxes_over_cost, rework_boxes, cost_lines[], reasons[], rework[] and allocations[])
+ * @param {Object|null} existing - Stored entry being edited (null for a new entry)
+ * @returns {Promise<Object>} { dimensions, costLines, reasons, rework, allocations } or { error }
+ */
+async function validateProductionForm(body, existing = null) {
+    const entryId = existing ? existing.id : null;
+    const parsedCostLines = parseCostLines(body.cost_lines);
+    const parsedReasons = parseCostReasons(body.reasons);
+    const parsedRework = parseReworkLog(body.rework);
+    const { allocations, errors } = parseAllocations(body.allocations);
+    errors.unshift(...parsedCostLines.errors, ...parsedReasons.errors, ...parsedRework.errors);
+    
+    let dimensions = null;
+    let costLines = [];
+    let reasons = [];
+    let rework = [];
+    if (errors.length === 0) {
+        const resolved = await resolveProductionDimensions(body, existing);
+        if (resolved.error) errors.push(resolved.error);
+        dimensions = resolved.values;
+        const checkedCostLines = await validateCostLines(parsedCostLines.lines, parseInt(body.boxes_built) || 0);
+        errors.push(...(checkedCostLines.errors || []));
+        costLines = checkedCostLines.lines || [];
+        const checked = await validateCostReasons(parsedReasons.reasons, parseInt(body.boxes_over_cost) || 0, entryId);
+        errors.push(...(checked.errors || []));
+        reasons = checked.reasons || [];
+        const checkedRework = await validateReworkLog(parsedRework.rework, parseInt(body.rework_boxes) || 0, entryId);
+        errors.push(...(checkedRework.errors || []));
+        rework = checkedRework.rework || [];
+        errors.push(...await validateAllocations(allocations, parseInt(body.boxes_built) || 0, entryId));
+    }
+    return errors.length > 0 ? { error: errors.join('. ') } : { dimensions, costLines, reasons, rework, allocations };
+}
+
+/**
+ * GET /production/entries/new - New production entry form
+ */
+router.get('/entries/new', async (req, res) => {
+    try {
+        await renderProductionForm(res, null, false);
+    } catch (error) {
+        console.error('New production entry form error:', error);
+        res.status(500).send('Error loading form');
+    }
 });
 
 /**
@@ -144,40 +349,31 @@ router.post('/entries/new', async (req, res) => {
             production_date,
             boxes_built,
             boxes_over_cost,
-            over_cost_reasons_json,
             rework_boxes,
             notes
         } = req.body;
         
-        // Parse JSON if provided as string
-        let reasonsJson = null;
-        if (over_cost_reasons_json) {
-            try {
-                reasonsJson = typeof over_cost_reasons_json === 'string'
-                    ? JSON.parse(over_cost_reasons_json)
-                    : over_cost_reasons_json;
-            } catch (e) {
-                reasonsJson = [];
-            }
+        const form = await validateProductionForm(req.body);
+        const error = form.error || await getPeriodLockError([production_date]);
+        if (error) {
+            return renderProductionForm(res, req.body, false, error);
         }
         
-        await db.query(
-            `INSERT INTO production_boxes (
-                production_date, boxes_built, boxes_over_cost,
-                over_cost_reasons_json, rework_boxes, notes
-            ) VALUES ($1, $2, $3, $4, $5, $6)`,
-            [
-                production_date,
-                parseInt(boxes_built),
-                parseInt(boxes_over_cost) || 0,
-                reasonsJson ? JSON.stringify(reasonsJson) : null,
-                parseInt(rework_boxes) || 0,
-                notes || null
-            ]
-        );
+        await saveProductionEntry(req, null, {
+            production_date,
+            ...form.dimensions,
+            boxes_built: parseInt(boxes_built),
+            boxes_over_cost: parseInt(boxes_over_cost) || 0,
+            rework_boxes: parseInt(rework_boxes) || 0,
+            notes: notes || null
+        }, form.reasons, form.costLines, form.rework, form.allocations);
         
         res.redirect('/production/dashboard');
     } catch (error) {
+        // Another save took the orders' boxes since the form was checked
+        if (error.validationErrors) {
+            return renderProductionForm(res, req.body, false, error.message);
+        }
         console.error('Create production entry error:', error);
         res.status(500).send('Error creating production entry');
     }
@@ -191,7 +387,7 @@ router.get('/entries/:id/edit', async (req, res) => {
         const entryId = parseInt(req.params.id);
         
         const entryResult = await db.query(
-            'SELECT * FROM production_boxes WHERE id = $1',
+            'SELECT * FROM production_boxes WHERE id = $1 AND deleted_at IS NULL',
             [entryId]
         );
         
@@ -200,11 +396,12 @@ router.get('/entries/:id/edit', async (req, res) => {
         }
         
         const entry = entryResult.rows[0];
+        entry.cost_lines = (await getProductionCostLines([entryId]))[entryId] || [];
+        entry.reasons = (await getProductionCostReasons([entryId]))[entryId] || [];
+        entry.rework = (await getProductionRework([entryId]))[entryId] || [];
+        entry.allocations = (await getProductionAllocations([entryId]))[entryId] || [];
         
-        res.render('production/production-form', {
-            entry,
-            isEdit: true
-        });
+        await renderProductionForm(res, entry, true, await getPeriodLockError([entry.production_date]));
     } catch (error) {
         console.error('Edit production entry form error:', error);
         res.status(500).send('Error loading form');
@@ -218,20 +415,19 @@ router.post('/entries/:id/delete', requireRole('director'), async (req, res) =>
     try {
         const entryId = parseInt(req.params.id);
         
-        // Check if entry exists
-        const entryCheck = await db.query(
-            'SELECT id FROM production_boxes WHERE id = $1',
-            [entryId]
-        );
+        const lockError = await getRecordsLockError('production', [entryId]);
+        if (lockError) {
+            return res.redirect(`/production/dashboard?error=${encodeURIComponent(lockError)}`);
+        }
         
-        if (entryCheck.rows.length === 0) {
+        // Move production entry to the recycle bin
+        const deleted = await softDeleteRecords(req, 'production', [entryId]);
+        
+        if (deleted.length === 0) {
             return res.redirect('/production/dashboard?error=Production entry not found');
         }
         
-        // Delete production entry
-        await db.query('DELETE FROM production_boxes WHERE id = $1', [entryId]);
-        
-        res.redirect('/production/dashboard?success=Production entry deleted successfully');
+        res.redirect('/production/dashboard?success=Production entry moved to the recycle bin');
     } catch (error) {
         console.error('Delete production entry error:', error);
         res.redirect('/production/dashboard?error=Error deleting production entry');
@@ -248,48 +444,174 @@ router.post('/entries/:id/edit', async (req, res) => {
             production_date,
             boxes_built,
             boxes_over_cost,
-            over_cost_reasons_json,
             rework_boxes,
             notes
         } = req.body;
         
-        // Parse JSON if provided as string
-        let reasonsJson = null;
-        if (over_cost_reasons_json) {
-            try {
-                reasonsJson = typeof over_cost_reasons_json === 'string'
-                    ? JSON.parse(over_cost_reasons_json)
-                    : over_cost_reasons_json;
-            } catch (e) {
-                reasonsJson = [];
-            }
+        const entryCheck = await db.query(
+            'SELECT * FROM production_boxes WHERE id = $1 AND deleted_at IS NULL',
+            [entryId]
+        );
+        
+        if (entryCheck.rows.length === 0) {
+            return res.status(404).send('Production entry not found');
         }
         
-        await db.query(
-            `UPDATE production_boxes SET
-                production_date = $1,
-                boxes_built = $2,
-                boxes_over_cost = $3,
-                over_cost_reasons_json = $4,
-                rework_boxes = $5,
-                notes = $6
-             WHERE id = $7`,
-            [
-                production_date,
-                parseInt(boxes_built),
-                parseInt(boxes_over_cost) || 0,
-                reasonsJson ? JSON.stringify(reasonsJson) : null,
-                parseInt(rework_boxes) || 0,
-                notes || null,
-                entryId
-            ]
-        );
+        // Cost lines must add up to the boxes built, reasons to the boxes over cost,
+        // rework to the rework boxes, allocations must fit the boxes built, and both
+        // the current and the new month must be open
+        const form = await validateProductionForm(req.body, entryCheck.rows[0]);
+        const error = form.error || await getPeriodLockError([entryCheck.rows[0].production_date, production_date]);
+        if (error) {
+            return renderProductionForm(res, { ...req.body, id: entryId }, true, error);
+        }
+        
+        await saveProductionEntry(req, entryCheck.rows[0], {
+            production_date,
+            ...form.dimensions,
+            boxes_built: parseInt(boxes_built),
+            boxes_over_cost: parseInt(boxes_over_cost) || 0,
+            rework_boxes: parseInt(rework_boxes) || 0,
+            notes: notes || null
+        }, form.reasons, form.costLines, form.rework, form.allocations);
         
         res.redirect('/production/dashboard');
     } catch (error) {
+        // Another save took the orders' boxes since the form was checked
+        if (error.validationErrors) {
+            return renderProductionForm(res, { ...req.body, id: parseInt(req.params.id) }, true, error.message);
+        }
         console.error('Update production entry error:', error);
         res.status(500).send('Error updating production entry');
     }
 });
 
+/**
+ * GET /production/plan - Build plan by month and week for an FY
+ */
+router.get('/plan', async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        const fyStartMonth = getFYStartMonth(baseSettings);
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        
+        const settings = await getSettingsForFY(fy, baseSettings);
+        const plan = settings.production_plan;
+        
+        // Weeks without a plan of their own take their share of the month plans
+        const monthPlanSettings = { ...settings, production_plan: { months: plan.months, weeks: {} } };
+        
+        res.render('production/plan', {
+            fy,
+            allFYs: getAllFYs(2, fyStartMonth),
+            plan,
+            months: getAllFYMonths(fyStartMonth).map(month => ({
+                month,
+                salesTarget: getMonthlyBoxTarget(settings, month),
+                planBoxes: getMonthlyPlanBoxes(settings, month)
+            })),
+            weeks: getFYWeeks(fy, fyStartMonth).map(week => ({
+                ...week,
+                sharedBoxes: getPeriodPlanBoxes(monthPlanSettings, fy, week.key),
+                planBoxes: getPeriodPlanBoxes(settings, fy, week.key)
+            })),
+            yearlyPlan: getPeriodPlanBoxes(settings, fy, PERIOD_FULL_YEAR),
+            yearlyTarget: parseInt(settings.yearly_box_target) || 0,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Production plan form error:', error);
+        res.status(500).send('Error loading production plan');
+    }
+});
+
+/**
+ * POST /production/plan - Save the build plan for an FY
+ * Blank months and weeks have no plan of their own
+ */
+router.post('/plan', async (req, res) => {
+    const { fy } = req.body;
+    const redirectBase = `/production/plan?fy=${encodeURIComponent(fy)}`;
+    
+    try {
+        const fyStartMonth = getFYStartMonth(await getSettings());
+        
+        const { plan, errors } = parseProductionPlan(req.body, fy, fyStartMonth);
+        if (errors.length > 0) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(errors.join('; '))}`);
+        }
+        
+        // Plans for closed months stay as they were when the month was closed
+        const before = await getProductionPlan(fy, fyStartMonth);
+        const lockError = await getPeriodLockError(getChangedPlanDates(before, plan, fy, fyStartMonth));
+        if (lockError) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(lockError)}`);
+        }
+        
+        await saveProductionPlan(req, fy, fyStartMonth, plan, before);
+        
+        res.redirect(`${redirectBase}&success=Production plan saved`);
+    } catch (error) {
+        console.error('Save production plan error:', error);
+        res.redirect(`${redirectBase}&error=Error saving production plan`);
+    }
+});
+
+/**
+ * GET /production/backlog - Orders with boxes left to build, oldest first, by age
+ */
+router.get('/backlog', async (req, res) => {
+    try {
+        const today = toDateKey(new Date());
+        const backlogOrders = await queryBacklogOrders(today);
+        
+        res.render('production/backlog', {
+            backlogOrders,
+            ageBands: summarizeBacklogAges(backlogOrders),
+            backlogBoxes: backlogOrders.reduce((sum, order) => sum + order.boxes_outstanding, 0),
+            isDirector: req.session.userRole === 'director',
+            today,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Backlog report error:', error);
+        res.status(500).send('Error loading backlog');
+    }
+});
+
+/**
+ * POST /production/backlog/:id/built - Mark an order built (e.g. built before
+ * allocations were recorded), taking it out of the backlog
+ */
+router.post('/backlog/:id/built', async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const { built_date } = req.body;
+        
+        const orderResult = await db.query(
+            'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
+            [orderId]
+        );
+        
+        if (orderResult.rows.length === 0) {
+            return res.redirect('/production/backlog?error=Order not found');
+        }
+        
+        const order = orderResult.rows[0];
+        const error = validateStatusChange(order, 'built', built_date) || await getPeriodLockError([built_date]);
+        if (error) {
+            return res.redirect(`/production/backlog?error=${encodeURIComponent(error)}`);
+        }
+        
+        await changeOrderStatus(req, order, 'built', built_date);
+        
+        res.redirect(`/production/backlog?success=${encodeURIComponent(`${getOrderLabel(order)} is now ${getOrderStatus('built').label.toLowerCase()}`)}`);
+    } catch (error) {
+        console.error('Mark order built error:', error);
+        res.redirect('/production/backlog?error=Error updating order status');
+    }
+});
+
 module.exports = router;
@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { RECYCLE_BIN_TYPES, softDeleteRecords, restoreRecords, purgeRecords } = require('../utils/recycle-bin');
+const { getRecordsLockError } = require('../utils/period-close');
 
 // All routes require authentication and director role
 router.use(requireAuth);
@@ -21,6 +23,7 @@ router.get('/', async (req, res) => {
             `SELECT o.*, u.name as sales_rep_name, u.email as sales_rep_email
              FROM orders o
              LEFT JOIN users u ON o.sales_rep_id = u.id
+             WHERE o.deleted_at IS NULL
              ORDER BY o.order_date DESC, o.created_at DESC
              LIMIT 1000`
         );
@@ -28,13 +31,20 @@ router.get('/', async (req, res) => {
         // Get all production entries (unfiltered by FY/month)
         const productionResult = await db.query(
             `SELECT * FROM production_boxes
+             WHERE deleted_at IS NULL
              ORDER BY production_date DESC, created_at DESC
              LIMIT 1000`
         );
 
+        const binResult = await db.query(
+            `SELECT (SELECT COUNT(*) FROM orders WHERE deleted_at IS NOT NULL)
+                  + (SELECT COUNT(*) FROM production_boxes WHERE deleted_at IS NOT NULL) AS count`
+        );
+
         res.render('records/index', {
             orders: ordersResult.rows,
             productionEntries: productionResult.rows,
+            binCount: parseInt(binResult.rows[0].count),
             error: req.query.error,
             success: req.query.success
         });
@@ -45,26 +55,24 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * POST /records/orders/:id/delete - Delete order
+ * POST /records/orders/:id/delete - Move order to the recycle bin
  */
 router.post('/orders/:id/delete', async (req, res) => {
     try {
         const orderId = parseInt(req.params.id);
         
-        // Check if order exists
-        const orderCheck = await db.query(
-            'SELECT id FROM orders WHERE id = $1',
-            [orderId]
-        );
+        const lockError = await getRecordsLockError('orders', [orderId]);
+        if (lockError) {
+            return res.redirect(`/records?error=${encodeURIComponent(lockError)}`);
+        }
         
-        if (orderCheck.rows.length === 0) {
+        const deleted = await softDeleteRecords(req, 'orders', [orderId]);
+        
+        if (deleted.length === 0) {
             return res.redirect('/records?error=Order not found');
         }
         
-        // Delete order
-        await db.query('DELETE FROM orders WHERE id = $1', [orderId]);
-        
-        res.redirect('/records?success=Order deleted successfully');
+        res.redirect('/records?success=Order moved to the recycle bin');
     } catch (error) {
         console.error('Delete order error:', error);
         res.redirect('/records?error=Error deleting order');
@@ -72,26 +80,24 @@ router.post('/orders/:id/delete', async (req, res) => {
 });
 
 /**
- * POST /records/production/:id/delete - Delete production entry
+ * POST /records/production/:id/delete - Move production entry to the recycle bin
  */
 router.post('/production/:id/delete', async (req, res) => {
     try {
         const entryId = parseInt(req.params.id);
         
-        // Check if entry exists
-        const entryCheck = await db.query(
-            'SELECT id FROM production_boxes WHERE id = $1',
-            [entryId]
-        );
+        const lockError = await getRecordsLockError('production', [entryId]);
+        if (lockError) {
+            return res.redirect(`/records?error=${encodeURIComponent(lockError)}`);
+        }
         
-        if (entryCheck.rows.length === 0) {
+        const deleted = await softDeleteRecords(req, 'production', [entryId]);
+        
+        if (deleted.length === 0) {
             return res.redirect('/records?error=Production entry not found');
         }
         
-        // Delete production entry
-        await db.query('DELETE FROM production_boxes WHERE id = $1', [entryId]);
-        
-        res.redirect('/records?success=Production entry deleted successfully');
+        res.redirect('/records?success=Production entry moved to the recycle bin');
     } catch (error) {
         console.error('Delete production entry error:', error);
         res.redirect('/records?error=Error deleting production entry');
@@ -100,21 +106,122 @@ router.post('/production/:id/delete', async (req, res) => {
 
 /**
  * POST /records/orders/delete-all - Delete ALL orders (DANGEROUS - director only)
+ * Orders go to the recycle bin and can be restored together from there.
+ * Refused while any order is dated in a closed month.
  */
 router.post('/orders/delete-all', async (req, res) => {
     try {
-        // Get count before deletion for confirmation message
-        const countResult = await db.query('SELECT COUNT(*) as count FROM orders');
-        const count = parseInt(countResult.rows[0].count);
+        const lockError = await getRecordsLockError('orders', null);
+        if (lockError) {
+            return res.redirect(`/records?error=${encodeURIComponent(lockError)}`);
+        }
         
-        // Delete all orders
-        await db.query('DELETE FROM orders');
+        const deleted = await softDeleteRecords(req, 'orders', null);
         
-        res.redirect(`/records?success=All ${count} orders deleted successfully`);
+        res.redirect(`/records?success=All ${deleted.length} orders moved to the recycle bin`);
     } catch (error) {
         console.error('Delete all orders error:', error);
         res.redirect('/records?error=Error deleting all orders');
     }
 });
 
+/**
+ * GET /records/recycle-bin - Deleted orders and production entries
+ */
+router.get('/recycle-bin', async (req, res) => {
+    try {
+        const ordersResult = await db.query(
+            `SELECT o.*, u.name as sales_rep_name, d.name as deleted_by_name
+             FROM orders o
+             LEFT JOIN users u ON o.sales_rep_id = u.id
+             LEFT JOIN users d ON o.deleted_by = d.id
+             WHERE o.deleted_at IS NOT NULL
+             ORDER BY o.deleted_at DESC, o.order_date DESC`
+        );
+        
+        const productionResult = await db.query(
+            `SELECT p.*, d.name as deleted_by_name
+             FROM production_boxes p
+             LEFT JOIN users d ON p.deleted_by = d.id
+             WHERE p.deleted_at IS NOT NULL
+             ORDER BY p.deleted_at DESC, p.production_date DESC`
+        );
+        
+        res.render('records/recycle-bin', {
+            orders: ordersResult.rows,
+            productionEntries: productionResult.rows,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Recycle bin error:', error);
+        res.status(500).send('Error loading recycle bin');
+    }
+});
+
+/**
+ * Read the selected record IDs from a recycle bin form
+ * @param {Object} body - req.body ("ids" checkbox values)
+ * @returns {Array} Record IDs
+ */
+function getSelectedIds(body) {
+    return [].concat(body.ids || [])
+        .map(id => parseInt(id))
+        .filter(id => id > 0);
+}
+
+/**
+ * POST /records/recycle-bin/:type/restore - Restore selected records (or all=1 for everything)
+ */
+router.post('/recycle-bin/:type/restore', async (req, res) => {
+    const recordType = RECYCLE_BIN_TYPES[req.params.type];
+    if (!recordType) {
+        return res.status(404).send('Not found');
+    }
+    
+    try {
+        const ids = req.body.all === '1' ? null : getSelectedIds(req.body);
+        if (ids && ids.length === 0) {
+            return res.redirect(`/records/recycle-bin?error=${encodeURIComponent(`Select the ${recordType.label} to restore`)}`);
+        }
+        
+        // Restoring into a closed month would change its reported figures
+        const lockError = await getRecordsLockError(req.params.type, ids, true);
+        if (lockError) {
+            return res.redirect(`/records/recycle-bin?error=${encodeURIComponent(lockError)}`);
+        }
+        
+        const restored = await restoreRecords(req, req.params.type, ids);
+        
+        res.redirect(`/records/recycle-bin?success=${encodeURIComponent(`Restored ${restored.length} ${recordType.label}`)}`);
+    } catch (error) {
+        console.error('Restore records error:', error);
+        res.redirect(`/records/recycle-bin?error=${encodeURIComponent(`Error restoring ${recordType.label}`)}`);
+    }
+});
+
+/**
+ * POST /records/recycle-bin/:type/purge - Permanently delete selected records
+ */
+router.post('/recycle-bin/:type/purge', async (req, res) => {
+    const recordType = RECYCLE_BIN_TYPES[req.params.type];
+    if (!recordType) {
+        return res.status(404).send('Not found');
+    }
+    
+    try {
+        const ids = getSelectedIds(req.body);
+        if (ids.length === 0) {
+            return res.redirect(`/records/recycle-bin?error=${encodeURIComponent(`Select the ${recordType.label} to purge`)}`);
+        }
+        
+        const purged = await purgeRecords(req, req.params.type, ids);
+        
+        res.redirect(`/records/recycle-bin?success=${encodeURIComponent(`Permanently deleted ${purged.length} ${recordType.label}`)}`);
+    } catch (error) {
+        console.error('Purge records error:', error);
+        res.redirect(`/records/recycle-bin?error=${encodeURIComponent(`Error purging ${recordType.label}`)}`);
+    }
+});
+
 module.exports = router;
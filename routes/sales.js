@@ -6,10 +6,21 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { requireAuth, requireRole } = require('../middleware/auth');
-const { getCurrentFY, getFYMonth, getFYDateRange, getAllFYs, getAllFYMonths } = require('../utils/fy');
-const { aggregateSalesMetrics, getMonthlyBoxTarget } = require('../utils/aggregations');
-const { getRAGStatus, getDiscountRAG, getRAGClass, formatStatusText } = require('../utils/rag');
+const { getCurrentFY, getFYMonth, getFYForDate, getFYDateRange, getAllFYs, getAllFYMonths, getFYStartMonth, isFYPeriod, getFYPeriodMonths, getFYPeriodLabel, isFYWeek, getFYWeeks, getWeekKey, getComparisonPeriods, PERIOD_YTD, PERIOD_FULL_YEAR } = require('../utils/fy');
+const { getPeriodMonthShares } = require('../utils/aggregations');
+const { getRAGRules, getRAGStatus, getDiscountRAG, getRAGClass, formatStatusText } = require('../utils/rag');
 const { calculateOrderMetrics } = require('../utils/calculations');
+const { querySalesMetrics, querySalesDimensionBreakdown, querySalesBreakdown, queryRepLeaderboard, querySalesByDay } = require('../utils/sql-aggregations');
+const { forecastSales, getForecastHistoryStart } = require('../utils/forecast');
+const { SALES_HEADLINE_METRICS, buildComparisonRows, formatComparisonValue, formatComparisonDelta } = require('../utils/comparisons');
+const { getSettings, getSettingsForFY, getSalesReps, getRepTargetRowsForFY, getRepTargetsByMonth, sumRepTargets } = require('../utils/targets');
+const { recordAudit } = require('../utils/audit');
+const { softDeleteRecords } = require('../utils/recycle-bin');
+const { getPeriodLockError, getRecordsLockError, getPeriodClose } = require('../utils/period-close');
+const { SALES_DIMENSIONS, getCustomerOptions, getBoxTypeOptions, resolveOrderCatalogue } = require('../utils/catalogue');
+const { ORDER_LINE_TYPES, toLineArray, validateOrderLines, buildLumpSumLines, getOrderLines, saveOrder } = require('../utils/order-lines');
+const { getOrderBuiltBoxes, getOutstandingBoxes } = require('../utils/production-allocations');
+const { ORDER_STATUSES, NEW_ORDER_STATUSES, ORDER_STATUS_DATES_SQL, getOrderStatus, getSoldStatuses, getOrderStatusDates, getSalesEventsSQL, getNextOrderStatuses, validateStatusChange, getOrderDateError, changeOrderStatus } = require('../utils/order-status');
 
 // All routes require authentication
 router.use(requireAuth);
@@ -17,74 +28,168 @@ router.use(requireAuth);
 // Sales and directors can access
 router.use(requireRole(['sales', 'director']));
 
+/**
+ * Sales metrics for a comparison period
+ * @param {Object|null} comparison - { fyLabel, period } from getComparisonPeriods
+ * @param {Object} baseSettings - Settings row
+ * @param {Number|null} salesRepId - Limit to one rep's orders (null for all)
+ * @returns {Promise<Object|null>} Metrics, or null without a comparison
+ */
+async function getComparisonSalesMetrics(comparison, baseSettings, salesRepId) {
+    if (!comparison) return null;
+    
+    const settings = await getSettingsForFY(comparison.fyLabel, baseSettings);
+    return querySalesMetrics(settings, comparison.fyLabel, comparison.period, { salesRepId });
+}
+
 /**
  * GET /sales/dashboard - Sales Dashboard
  */
 router.get('/dashboard', async (req, res) => {
     try {
-        const fy = req.query.fy || getCurrentFY().label;
-        const month = req.query.month || getFYMonth(new Date());
         const isDirector = req.session.userRole === 'director';
         const userId = req.session.userId;
         
-        // Get settings
-        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
-        const settings = settingsResult.rows[0] || {
-            baseline_floor_per_box: 700,
-            yearly_box_target: 900,
-            rag_amber_floor_pct: 0.90,
-            monthly_box_targets_json: {},
-            install_capacity_high_season_per_week: 15
-        };
+        // Get settings (FY start month drives the default FY)
+        const baseSettings = await getSettings();
+        const fyStartMonth = getFYStartMonth(baseSettings);
+        
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
         
-        // Get date range for selected FY month
-        const dateRange = getFYDateRange(fy, month);
+        // A selected week takes the place of the FY month
+        const month = req.query.week || req.query.month || getFYMonth(new Date());
+        const isWeek = isFYWeek(month);
         
-        // Get orders - filtered by user if sales, all if director
+        // Resolve targets for the FY being viewed
+        const settings = await getSettingsForFY(fy, baseSettings);
+        
+        // Get date range for selected FY month (or YTD / full year / week)
+        const dateRange = getFYDateRange(fy, month, fyStartMonth);
+        const periodMonths = getFYPeriodMonths(fy, month, fyStartMonth);
+        
+        // Get orders entered, sold or moved on in the period - filtered by user if sales, all if director
         let ordersResult;
         if (isDirector) {
             ordersResult = await db.query(
-                `SELECT o.*, u.name as sales_rep_name 
+                `SELECT o.*, u.name as sales_rep_name, c.name as customer_name 
                  FROM orders o 
                  LEFT JOIN users u ON o.sales_rep_id = u.id 
-                 WHERE o.order_date >= $1 AND o.order_date <= $2 
+                 LEFT JOIN customers c ON o.customer_id = c.id 
+                 WHERE EXISTS (SELECT 1 FROM unnest(${ORDER_STATUS_DATES_SQL}) AS status_date WHERE status_date >= $1 AND status_date <= $2)
+                 AND o.deleted_at IS NULL
                  ORDER BY o.order_date DESC`,
                 [dateRange.start, dateRange.end]
             );
         } else {
             ordersResult = await db.query(
-                `SELECT o.*, u.name as sales_rep_name 
+                `SELECT o.*, u.name as sales_rep_name, c.name as customer_name 
                  FROM orders o 
                  LEFT JOIN users u ON o.sales_rep_id = u.id 
-                 WHERE o.order_date >= $1 AND o.order_date <= $2 
+                 LEFT JOIN customers c ON o.customer_id = c.id 
+                 WHERE EXISTS (SELECT 1 FROM unnest(${ORDER_STATUS_DATES_SQL}) AS status_date WHERE status_date >= $1 AND status_date <= $2)
                  AND o.sales_rep_id = $3
+                 AND o.deleted_at IS NULL
                  ORDER BY o.order_date DESC`,
                 [dateRange.start, dateRange.end, userId]
             );
         }
         const orders = ordersResult.rows;
         
-        // Get team totals for sales users
+        // Get team totals for sales users (sales net of cancellations)
         let teamTotals = null;
         if (!isDirector) {
             const teamResult = await db.query(
-                `SELECT SUM(boxes_qty) as total_boxes, 
-                        COUNT(*) as total_orders
-                 FROM orders 
-                 WHERE order_date >= $1 AND order_date <= $2`,
+                `SELECT SUM(boxes_qty * sale_sign) as total_boxes, 
+                        SUM(sale_sign) as total_orders
+                 FROM ${getSalesEventsSQL(settings)} sales 
+                 WHERE sale_date >= $1 AND sale_date <= $2
+                 AND deleted_at IS NULL`,
                 [dateRange.start, dateRange.end]
             );
             teamTotals = teamResult.rows[0];
         }
         
-        // Aggregate metrics
-        const metrics = aggregateSalesMetrics(orders, settings, fy, month);
-        const monthlyBoxTarget = getMonthlyBoxTarget(settings, month);
+        // Resolve per-rep targets (even split of company target unless set), summed over the
+        // period; weeks take a working-day share of each month's target
+        const reps = await getSalesReps();
+        const repTargetRows = await getRepTargetRowsForFY(fy);
+        const repTargetsByMonth = getRepTargetsByMonth(reps, repTargetRows, settings, periodMonths);
+        const repTargets = sumRepTargets(repTargetsByMonth, isWeek ? getPeriodMonthShares(settings, fy, month) : null);
+        const noTarget = { boxTarget: 0, baselineTarget: 0 };
+        
+        // Aggregate metrics in the database - reps are scored against their own target
+        const ownTarget = isDirector ? null : (repTargets[userId] || noTarget);
+        const metrics = await querySalesMetrics(settings, fy, month, {
+            salesRepId: isDirector ? null : userId,
+            targets: ownTarget
+        });
+        const monthlyBoxTarget = metrics.boxTarget;
+        
+        // Calculate RAG statuses against the configured thresholds
+        const ragRules = getRAGRules(settings);
+        const boxesRAG = getRAGStatus(metrics.boxesSold, monthlyBoxTarget, ragRules.sales_boxes);
+        const baselineRAG = getRAGStatus(metrics.baselineActual, metrics.baselineTarget, ragRules.sales_baseline);
+        const discountRAG = getDiscountRAG(metrics.discountBoxesLostTotal, ragRules.discount_boxes_lost);
+        
+        // Rep leaderboard (directors only)
+        let leaderboard = null;
+        if (isDirector) {
+            leaderboard = (await queryRepLeaderboard(settings, fy, month, reps, repTargets)).map(row => ({
+                ...row,
+                boxesRAG: row.hasTarget ? getRAGStatus(row.metrics.boxesSold, row.metrics.boxTarget, ragRules.sales_boxes) : null,
+                baselineRAG: row.hasTarget ? getRAGStatus(row.metrics.baselineActual, row.metrics.baselineTarget, ragRules.sales_baseline) : null,
+                discountRAG: getDiscountRAG(row.metrics.discountBoxesLostTotal, ragRules.discount_boxes_lost)
+            }));
+        }
+        
+        // Same period last FY and the previous period (month and week views)
+        const comparisonPeriods = getComparisonPeriods(fy, month, fyStartMonth);
+        const salesRepId = isDirector ? null : userId;
+        
+        // Boxes, baseline and discount impact by customer, box type, region or channel
+        const dimension = SALES_DIMENSIONS.find(d => d.key === req.query.by) || SALES_DIMENSIONS[0];
+        const dimensionBreakdown = await querySalesDimensionBreakdown(settings, fy, month, dimension.key, salesRepId);
+        const comparisons = buildComparisonRows(
+            SALES_HEADLINE_METRICS,
+            metrics,
+            await getComparisonSalesMetrics(comparisonPeriods.priorYear, baseSettings, salesRepId),
+            await getComparisonSalesMetrics(comparisonPeriods.priorPeriod, baseSettings, salesRepId)
+        );
         
-        // Calculate RAG statuses
-        const boxesRAG = getRAGStatus(metrics.boxesSold, monthlyBoxTarget, settings.rag_amber_floor_pct);
-        const baselineRAG = getRAGStatus(metrics.baselineActual, metrics.baselineTarget, settings.rag_amber_floor_pct);
-        const discountRAG = getDiscountRAG(metrics.discountBoxesLostTotal);
+        // Month-end / FY-end projection for the current FY (directors only)
+        let forecast = null;
+        if (isDirector && fy === getCurrentFY(fyStartMonth).label) {
+            const history = await querySalesByDay(settings, getForecastHistoryStart(settings), new Date());
+            forecast = forecastSales(history, settings);
+            
+            [forecast.month, forecast.fy].forEach(projection => {
+                projection.boxesRAG = getRAGStatus(projection.projectedBoxes, projection.boxTarget, ragRules.sales_boxes);
+                projection.baselineRAG = getRAGStatus(projection.projectedBaseline, projection.baselineTarget, ragRules.sales_baseline);
+            });
+        }
+        
+        // Month-by-month breakdown and yearly target for YTD / full-year views
+        let breakdown = null;
+        let yearlyBoxTarget = null;
+        if (isFYPeriod(month)) {
+            if (isDirector) {
+                yearlyBoxTarget = parseInt(settings.yearly_box_target) || 0;
+            } else {
+                const yearTargets = sumRepTargets(getRepTargetsByMonth(reps, repTargetRows, settings, getAllFYMonths(fyStartMonth)));
+                yearlyBoxTarget = (yearTargets[userId] || noTarget).boxTarget;
+            }
+            
+            const monthTargets = isDirector
+                ? null
+                : periodMonths.map(m => repTargetsByMonth[m][userId] || noTarget);
+            
+            breakdown = (await querySalesBreakdown(settings, fy, periodMonths, { salesRepId, monthTargets })).map(row => ({
+                ...row,
+                boxesRAG: getRAGStatus(row.metrics.boxesSold, row.metrics.boxTarget, ragRules.sales_boxes),
+                baselineRAG: getRAGStatus(row.metrics.baselineActual, row.metrics.baselineTarget, ragRules.sales_baseline),
+                discountRAG: getDiscountRAG(row.metrics.discountBoxesLostTotal, ragRules.discount_boxes_lost)
+            }));
+        }
         
         // Get dashboard note
         const noteResult = await db.query(
@@ -96,8 +201,8 @@ router.get('/dashboard', async (req, res) => {
         const dashboardNote = noteResult.rows[0]?.note || '';
         
         // Get all FYs and months for dropdowns
-        const allFYs = getAllFYs();
-        const allMonths = getAllFYMonths();
+        const allFYs = getAllFYs(2, fyStartMonth);
+        const allMonths = getAllFYMonths(fyStartMonth);
         
         res.render('sales/dashboard', {
             fy,
@@ -110,10 +215,32 @@ router.get('/dashboard', async (req, res) => {
             dashboardNote,
             orders,
             teamTotals,
+            leaderboard,
+            forecast,
+            comparisons,
+            comparisonPeriods,
+            formatComparisonValue,
+            formatComparisonDelta,
+            breakdown,
+            dimension,
+            dimensionOptions: SALES_DIMENSIONS,
+            dimensionBreakdown,
+            orderStatuses: ORDER_STATUSES,
+            soldStatusLabels: getSoldStatuses(settings).map(key => getOrderStatus(key).label.toLowerCase()),
+            yearlyBoxTarget,
             isDirector,
             allFYs,
             allMonths,
-            settings
+            periodOptions: [PERIOD_YTD, PERIOD_FULL_YEAR],
+            weekOptions: getFYWeeks(fy, fyStartMonth),
+            selectedWeek: isWeek ? month : getWeekKey(new Date()),
+            periodLabel: getFYPeriodLabel(month),
+            isPeriod: isFYPeriod(month),
+            isWeek,
+            periodClose: await getPeriodClose(fy, month, fyStartMonth),
+            settings,
+            error: req.query.error,
+            success: req.query.success
         });
     } catch (error) {
         console.error('Sales dashboard error:', error);
@@ -128,14 +255,28 @@ router.post('/dashboard/note', async (req, res) => {
     try {
         const { fy, month, note } = req.body;
         
-        await db.query(
+        const existingNote = await db.query(
+            `SELECT * FROM dashboard_notes WHERE fy_label = $1 AND fy_month = $2 AND role = 'sales'`,
+            [fy, month]
+        );
+        
+        const noteResult = await db.query(
             `INSERT INTO dashboard_notes (fy_label, fy_month, role, note)
              VALUES ($1, $2, 'sales', $3)
              ON CONFLICT (fy_label, fy_month, role) 
-             DO UPDATE SET note = $3, updated_at = CURRENT_TIMESTAMP`,
+             DO UPDATE SET note = $3, updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
             [fy, month, note]
         );
         
+        await recordAudit(req, {
+            entityType: 'dashboard_note',
+            entityId: noteResult.rows[0].id,
+            action: existingNote.rows.length > 0 ? 'update' : 'create',
+            before: existingNote.rows[0] || null,
+            after: noteResult.rows[0]
+        });
+        
         res.redirect(`/sales/dashboard?fy=${fy}&month=${month}`);
     } catch (error) {
         console.error('Save note error:', error);
@@ -144,18 +285,134 @@ router.post('/dashboard/note', async (req, res) => {
 });
 
 /**
- * GET /sales/orders/new - New order form
+ * GET /sales/pipeline - Open orders by status, with quotes not yet confirmed
  */
-router.get('/orders/new', async (req, res) => {
+router.get('/pipeline', async (req, res) => {
     try {
-        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
-        const settings = settingsResult.rows[0] || { baseline_floor_per_box: 700 };
+        const isDirector = req.session.userRole === 'director';
+        const settings = await getSettings();
+        
+        const ordersResult = await db.query(
+            `SELECT o.*, u.name as sales_rep_name, c.name as customer_name
+             FROM orders o
+             LEFT JOIN users u ON o.sales_rep_id = u.id
+             LEFT JOIN customers c ON o.customer_id = c.id
+             WHERE o.status IN ('quote', 'confirmed', 'built')
+             AND o.deleted_at IS NULL
+             AND ($1::int IS NULL OR o.sales_rep_id = $1)
+             ORDER BY o.order_date, o.id`,
+            [isDirector ? null : req.session.userId]
+        );
+        const orders = ordersResult.rows;
         
-        res.render('sales/order-form', {
-            order: null,
-            settings,
-            isEdit: false
+        // Boxes and value waiting at each open status
+        const stages = ORDER_STATUSES
+            .filter(status => ['quote', 'confirmed', 'built'].includes(status.key))
+            .map(status => {
+                const stageOrders = orders.filter(order => order.status === status.key);
+                return {
+                    status,
+                    ordersCount: stageOrders.length,
+                    boxes: stageOrders.reduce((sum, order) => sum + (parseInt(order.boxes_qty) || 0), 0),
+                    netValue: stageOrders.reduce((sum, order) => sum + (parseFloat(order.box_net_total) || 0), 0)
+                };
+            });
+        
+        const today = new Date();
+        const quotes = orders
+            .filter(order => order.status === 'quote')
+            .map(order => ({
+                ...order,
+                ageDays: Math.max(Math.floor((today - new Date(order.order_date)) / (24 * 60 * 60 * 1000)), 0)
+            }));
+        
+        res.render('sales/pipeline', {
+            stages,
+            quotes,
+            soldStatuses: getSoldStatuses(settings).map(key => getOrderStatus(key).label),
+            isDirector,
+            today: new Date().toISOString().split('T')[0],
+            error: req.query.error,
+            success: req.query.success
         });
+    } catch (error) {
+        console.error('Sales pipeline error:', error);
+        res.status(500).send('Error loading pipeline');
+    }
+});
+
+/**
+ * Render the order form, scored against targets for the FY the order falls in
+ * @param {Object} res
+ * @param {Object|null} order - Order values with lines (null for a blank new order)
+ * @param {Boolean} isEdit
+ * @param {String|null} error
+ */
+async function renderOrderForm(res, order, isEdit, error = null) {
+    const baseSettings = await getSettings();
+    const orderDate = order && order.order_date ? new Date(order.order_date) : new Date();
+    const orderFY = getFYForDate(orderDate, getFYStartMonth(baseSettings));
+    const settings = await getSettingsForFY(orderFY.label, baseSettings);
+    const lines = order ? toLineArray(order.lines) : [];
+    const boxesBuilt = isEdit ? (await getOrderBuiltBoxes([order.id]))[order.id] || 0 : 0;
+    
+    res.render('sales/order-form', {
+        order,
+        lines: lines.length > 0 ? lines : [{ line_type: 'box' }],
+        lineTypes: ORDER_LINE_TYPES,
+        orderStatuses: ORDER_STATUSES,
+        newOrderStatuses: ORDER_STATUSES.filter(status => NEW_ORDER_STATUSES.includes(status.key)),
+        nextStatuses: isEdit && order.status ? getNextOrderStatuses(order) : [],
+        buildProgress: isEdit ? { built: boxesBuilt, outstanding: getOutstandingBoxes(order, boxesBuilt) } : null,
+        settings,
+        customers: await getCustomerOptions(order ? [order.customer_id] : []),
+        boxTypes: await getBoxTypeOptions(lines.map(line => line.box_type_id)),
+        isEdit,
+        error
+    });
+}
+
+/**
+ * Validate a submitted order form
+ * @param {Object} body - Request body (order fields and lines[])
+ * @param {Array} lockDates - Dates whose months must be open
+ * @param {Object|null} existing - Stored order being edited (null for a new order)
+ * @returns {Promise<Object>} { customerId, lines } or { error }
+ */
+async function validateOrderForm(body, lockDates, existing = null) {
+    const { lines, errors } = validateOrderLines(body.lines);
+    if (!body.order_date) {
+        errors.unshift('Order date is required');
+    } else if (existing) {
+        const orderDateError = getOrderDateError(existing, body.order_date);
+        if (orderDateError) errors.unshift(orderDateError);
+    }
+    if (!existing && !NEW_ORDER_STATUSES.includes(body.status)) {
+        errors.push('Choose whether the order is a quote or confirmed');
+    }
+    if (errors.length > 0) {
+        return { error: errors.join('. ') };
+    }
+    
+    const lockError = await getPeriodLockError(lockDates);
+    if (lockError) {
+        return { error: lockError };
+    }
+    
+    const catalogue = await resolveOrderCatalogue(body.customer_id, lines.map(line => line.box_type_id));
+    if (catalogue.error) {
+        return { error: catalogue.error };
+    }
+    
+    return { customerId: catalogue.customerId, lines };
+}
+
+/**
+ * GET /sales/orders/new - New order form
+ */
+router.get('/orders/new', async (req, res) => {
+    try {
+        await renderOrderForm(res, null, false);
     } catch (error) {
         console.error('New order form error:', error);
         res.status(500).send('Error loading form');
@@ -167,39 +424,21 @@ router.get('/orders/new', async (req, res) => {
  */
 router.post('/orders/new', async (req, res) => {
     try {
-        const {
-            order_date,
-            order_ref,
-            boxes_qty,
-            box_rrp_total,
-            box_net_total,
-            box_build_cost_total,
-            install_revenue,
-            extras_revenue,
-            notes
-        } = req.body;
+        const { order_date, order_ref, notes, status } = req.body;
         
-        const userId = req.session.userId;
+        const form = await validateOrderForm(req.body, [order_date]);
+        if (form.error) {
+            return renderOrderForm(res, req.body, false, form.error);
+        }
         
-        await db.query(
-            `INSERT INTO orders (
-                order_date, order_ref, sales_rep_id, boxes_qty,
-                box_rrp_total, box_net_total, box_build_cost_total,
-                install_revenue, extras_revenue, notes
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-            [
-                order_date,
-                order_ref || null,
-                userId,
-                parseInt(boxes_qty),
-                parseFloat(box_rrp_total),
-                parseFloat(box_net_total),
-                parseFloat(box_build_cost_total),
-                parseFloat(install_revenue) || 0,
-                parseFloat(extras_revenue) || 0,
-                notes || null
-            ]
-        );
+        await saveOrder(req, null, {
+            order_date,
+            order_ref,
+            sales_rep_id: req.session.userId,
+            customer_id: form.customerId,
+            notes,
+            status
+        }, form.lines);
         
         res.redirect('/sales/dashboard');
     } catch (error) {
@@ -218,7 +457,7 @@ router.get('/orders/:id/edit', async (req, res) => {
         const isDirector = req.session.userRole === 'director';
         
         const orderResult = await db.query(
-            'SELECT * FROM orders WHERE id = $1',
+            'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
             [orderId]
         );
         
@@ -233,14 +472,11 @@ router.get('/orders/:id/edit', async (req, res) => {
             return res.status(403).send('Access denied');
         }
         
-        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
-        const settings = settingsResult.rows[0] || { baseline_floor_per_box: 700 };
+        // Orders saved before lines existed show as their lump sums
+        order.lines = (await getOrderLines([orderId]))[orderId] || buildLumpSumLines(order, order.box_type_id);
         
-        res.render('sales/order-form', {
-            order,
-            settings,
-            isEdit: true
-        });
+        // Warn up front if a month the order is reported in is closed
+        await renderOrderForm(res, order, true, await getPeriodLockError(getOrderStatusDates(order)));
     } catch (error) {
         console.error('Edit order form error:', error);
         res.status(500).send('Error loading form');
@@ -258,7 +494,7 @@ router.post('/orders/:id/edit', async (req, res) => {
         
         // Check permission
         const orderCheck = await db.query(
-            'SELECT sales_rep_id FROM orders WHERE id = $1',
+            'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
             [orderId]
         );
         
@@ -266,48 +502,26 @@ router.post('/orders/:id/edit', async (req, res) => {
             return res.status(404).send('Order not found');
         }
         
-        if (!isDirector && orderCheck.rows[0].sales_rep_id !== userId) {
+        const existing = orderCheck.rows[0];
+        if (!isDirector && existing.sales_rep_id !== userId) {
             return res.status(403).send('Access denied');
         }
         
-        const {
+        const { order_date, order_ref, notes } = req.body;
+        
+        // The months the order is reported in and the new month must be open
+        const form = await validateOrderForm(req.body, [...getOrderStatusDates(existing), order_date], existing);
+        if (form.error) {
+            return renderOrderForm(res, { ...existing, ...req.body, id: orderId }, true, form.error);
+        }
+        
+        await saveOrder(req, existing, {
             order_date,
             order_ref,
-            boxes_qty,
-            box_rrp_total,
-            box_net_total,
-            box_build_cost_total,
-            install_revenue,
-            extras_revenue,
+            sales_rep_id: existing.sales_rep_id,
+            customer_id: form.customerId,
             notes
-        } = req.body;
-        
-        await db.query(
-            `UPDATE orders SET
-                order_date = $1,
-                order_ref = $2,
-                boxes_qty = $3,
-                box_rrp_total = $4,
-                box_net_total = $5,
-                box_build_cost_total = $6,
-                install_revenue = $7,
-                extras_revenue = $8,
-                notes = $9,
-                updated_at = CURRENT_TIMESTAMP
-             WHERE id = $10`,
-            [
-                order_date,
-                order_ref || null,
-                parseInt(boxes_qty),
-                parseFloat(box_rrp_total),
-                parseFloat(box_net_total),
-                parseFloat(box_build_cost_total),
-                parseFloat(install_revenue) || 0,
-                parseFloat(extras_revenue) || 0,
-                notes || null,
-                orderId
-            ]
-        );
+        }, form.lines);
         
         res.redirect('/sales/dashboard');
     } catch (error) {
@@ -317,26 +531,66 @@ router.post('/orders/:id/edit', async (req, res) => {
 });
 
 /**
- * POST /sales/orders/:id/delete - Delete order (director only)
+ * POST /sales/orders/:id/status - Move an order to its next status (or cancel it)
  */
-router.post('/orders/:id/delete', requireRole('director'), async (req, res) => {
+router.post('/orders/:id/status', async (req, res) => {
+    const returnTo = req.body.return_to === 'pipeline' ? '/sales/pipeline' : '/sales/dashboard';
     try {
         const orderId = parseInt(req.params.id);
+        const userId = req.session.userId;
+        const isDirector = req.session.userRole === 'director';
+        const { status, status_date } = req.body;
         
-        // Check if order exists
-        const orderCheck = await db.query(
-            'SELECT id FROM orders WHERE id = $1',
+        const orderResult = await db.query(
+            'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
             [orderId]
         );
         
-        if (orderCheck.rows.length === 0) {
-            return res.redirect('/sales/dashboard?error=Order not found');
+        if (orderResult.rows.length === 0) {
+            return res.status(404).send('Order not found');
         }
         
-        // Delete order
-        await db.query('DELETE FROM orders WHERE id = $1', [orderId]);
+        const order = orderResult.rows[0];
+        if (!isDirector && order.sales_rep_id !== userId) {
+            return res.status(403).send('Access denied');
+        }
         
-        res.redirect('/sales/dashboard?success=Order deleted successfully');
+        // The new status is reported in the month it is dated
+        const error = validateStatusChange(order, status, status_date) || await getPeriodLockError([status_date]);
+        if (error) {
+            return res.redirect(`${returnTo}?error=${encodeURIComponent(error)}`);
+        }
+        
+        await changeOrderStatus(req, order, status, status_date);
+        
+        const label = order.order_ref || `Order ${orderId}`;
+        res.redirect(`${returnTo}?success=${encodeURIComponent(`${label} is now ${getOrderStatus(status).label.toLowerCase()}`)}`);
+    } catch (error) {
+        console.error('Order status error:', error);
+        res.redirect(`${returnTo}?error=Error updating order status`);
+    }
+});
+
+/**
+ * POST /sales/orders/:id/delete - Delete order (director only)
+ */
+router.post('/orders/:id/delete', requireRole('director'), async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        
+        const lockError = await getRecordsLockError('orders', [orderId]);
+        if (lockError) {
+            return res.redirect(`/sales/dashboard?error=${encodeURIComponent(lockError)}`);
+        }
+        
+        // Move order to the recycle bin
+        const deleted = await softDeleteRecords(req, 'orders', [orderId]);
+        
+        if (deleted.length === 0) {
+            return res.redirect('/sales/dashboard?error=Order not found');
+        }
+        
+        res.redirect('/sales/dashboard?success=Order moved to the recycle bin');
     } catch (error) {
         console.error('Delete order error:', error);
         res.redirect('/sales/dashboard?error=Error deleting order');
@@ -352,7 +606,7 @@ router.post('/orders/:id/duplicate', async (req, res) => {
         const userId = req.session.userId;
         
         const orderResult = await db.query(
-            'SELECT * FROM orders WHERE id = $1',
+            'SELECT * FROM orders WHERE id = $1 AND deleted_at IS NULL',
             [orderId]
         );
         
@@ -361,27 +615,25 @@ router.post('/orders/:id/duplicate', async (req, res) => {
         }
         
         const order = orderResult.rows[0];
+        const duplicateDate = new Date().toISOString().split('T')[0];
+        
+        const lockError = await getPeriodLockError([duplicateDate]);
+        if (lockError) {
+            return res.redirect(`/sales/dashboard?error=${encodeURIComponent(lockError)}`);
+        }
         
-        // Create duplicate with new date (today)
-        await db.query(
-            `INSERT INTO orders (
-                order_date, order_ref, sales_rep_id, boxes_qty,
-                box_rrp_total, box_net_total, box_build_cost_total,
-                install_revenue, extras_revenue, notes
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-            [
-                new Date().toISOString().split('T')[0],
-                order.order_ref ? order.order_ref + ' (copy)' : null,
-                userId,
-                order.boxes_qty,
-                order.box_rrp_total,
-                order.box_net_total,
-                order.box_build_cost_total,
-                order.install_revenue,
-                order.extras_revenue,
-                order.notes ? order.notes + ' (duplicated)' : null
-            ]
+        // Create duplicate with new date (today), copying the lines
+        const { lines } = validateOrderLines(
+            (await getOrderLines([orderId]))[orderId] || buildLumpSumLines(order, order.box_type_id)
         );
+        await saveOrder(req, null, {
+            order_date: duplicateDate,
+            order_ref: order.order_ref ? order.order_ref + ' (copy)' : null,
+            sales_rep_id: userId,
+            customer_id: order.customer_id,
+            notes: order.notes ? order.notes + ' (duplicated)' : null,
+            status: order.status === 'quote' ? 'quote' : 'confirmed'
+        }, lines);
         
         res.redirect('/sales/dashboard');
     } catch (error) {
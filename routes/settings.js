@@ -6,18 +6,113 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { requireAuth, requireRole } = require('../middleware/auth');
-const { getAllFYMonths } = require('../utils/fy');
+const { getAllFYMonths, getAllFYs, getCurrentFY, getFYMonth, getFYLabel, getFYStartMonth, getFYStartYear, getFYDateRange, getFYForWeek, isFYWeek, remapFYLabel, remapMonthlyTargets, CALENDAR_MONTH_NAMES } = require('../utils/fy');
+const { getUKBankHolidays, countWorkingDays, toDateKey } = require('../utils/calendar');
+const { getMonthlyBoxTarget } = require('../utils/aggregations');
+const { querySalesMetrics, queryProductionMetrics } = require('../utils/sql-aggregations');
+const { RAG_METRICS, RAG_DIRECTIONS, DEFAULT_RAG_RULES, getStoredRAGRules, getRAGRules, getMetricRAG, getRAGReadings, parseRAGRules, describeRAGRule } = require('../utils/rag');
+const { getSettings, getSettingsForFY, getShutdownDates, getSalesReps, getRepTargetRows, getRepTargets, remapFYTargetRows } = require('../utils/targets');
+const { recordAudit, recordAuditEntries } = require('../utils/audit');
+const { getMonthStartKey, getPeriodStartKey, formatPeriodMonth, getFYPeriodCloses, closePeriod, reopenPeriod } = require('../utils/period-close');
+const { LIFECYCLE_STATUSES, getSoldStatuses, parseSoldStatuses } = require('../utils/order-status');
 
 // All routes require authentication and director role
 router.use(requireAuth);
 router.use(requireRole('director'));
 
+/**
+ * Re-label (fy_label, fy_month) rows of one table after the FY start month changes.
+ * Each month row moves to the FY that now contains its calendar month, and each
+ * week row to the FY that now contains the week's Thursday (the FY its week
+ * selector lists it under); YTD and full-year rows keep their FY. Labels take the
+ * new start month's format. Rows are updated furthest-first so unique keys never clash.
+ * @param {Object} client - Transaction client
+ * @param {String} table - Table with fy_label/fy_month columns
+ * @param {Number} fromStartMonth
+ * @param {Number} toStartMonth
+ */
+async function relabelFYMonthRows(client, table, fromStartMonth, toStartMonth) {
+    const rowsResult = await client.query(`SELECT id, fy_label, fy_month FROM ${table}`);
+    
+    // A row can stay in its FY's start year and still change label when the
+    // year switches to or from starting in January ("2025/26" <-> "2025")
+    const moves = rowsResult.rows
+        .map(row => {
+            const fromYear = getFYStartYear(row.fy_label);
+            let newLabel = getFYLabel(fromYear, toStartMonth);
+            if (isFYWeek(row.fy_month)) {
+                newLabel = getFYForWeek(row.fy_month, toStartMonth).label;
+            } else if (CALENDAR_MONTH_NAMES.includes(row.fy_month)) {
+                newLabel = remapFYLabel(row.fy_label, row.fy_month, fromStartMonth, toStartMonth);
+            }
+            const shift = getFYStartYear(newLabel) - fromYear;
+            return { id: row.id, newLabel, sortKey: shift > 0 ? -fromYear : fromYear, changed: newLabel !== row.fy_label };
+        })
+        .filter(move => move.changed);
+    
+    // Moving forward a year: update latest first; moving back: earliest first
+    moves.sort((a, b) => a.sortKey - b.sortKey);
+    
+    for (const move of moves) {
+        await client.query(
+            `UPDATE ${table} SET fy_label = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+            [move.newLabel, move.id]
+        );
+    }
+}
+
+/**
+ * Re-key all FY-labelled data after the FY start month changes
+ * @param {Object} client - Transaction client
+ * @param {Number} fromStartMonth
+ * @param {Number} toStartMonth
+ */
+async function remapFYKeyedData(client, fromStartMonth, toStartMonth) {
+    await relabelFYMonthRows(client, 'dashboard_notes', fromStartMonth, toStartMonth);
+    await relabelFYMonthRows(client, 'rep_targets', fromStartMonth, toStartMonth);
+    
+    // FY targets: each month's target moves with its calendar month
+    const settingsResult = await client.query('SELECT * FROM settings LIMIT 1');
+    const targetsResult = await client.query('SELECT * FROM fy_targets');
+    const remappedTargets = remapFYTargetRows(targetsResult.rows, settingsResult.rows[0] || {}, fromStartMonth, toStartMonth);
+    
+    await client.query('DELETE FROM fy_targets');
+    for (const targets of remappedTargets) {
+        await client.query(
+            `INSERT INTO fy_targets (
+                fy_label, yearly_box_target, monthly_box_targets_json,
+                baseline_floor_per_box, rag_amber_floor_pct
+            ) VALUES ($1, $2, $3, $4, $5)`,
+            [
+                targets.fy_label,
+                targets.yearly_box_target,
+                JSON.stringify(targets.monthly_box_targets_json),
+                targets.baseline_floor_per_box,
+                targets.rag_amber_floor_pct
+            ]
+        );
+    }
+}
+
+/**
+ * Get FY labels the settings page can edit: recent years, next year and any stored
+ * @param {Number} fyStartMonth
+ * @returns {Promise<Array>} Sorted FY labels
+ */
+async function getEditableFYs(fyStartMonth) {
+    const nextFY = getFYLabel(getFYStartYear(getCurrentFY(fyStartMonth).label) + 1, fyStartMonth);
+    const storedResult = await db.query('SELECT fy_label FROM fy_targets');
+    
+    const labels = new Set([...getAllFYs(2, fyStartMonth), nextFY, ...storedResult.rows.map(row => row.fy_label)]);
+    return [...labels].sort((a, b) => getFYStartYear(a) - getFYStartYear(b));
+}
+
 /**
  * GET /settings - Settings form
  */
 router.get('/', async (req, res) => {
     try {
-        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
+        let settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
         let settings = settingsResult.rows[0];
         
         // If no settings exist, create default
@@ -39,20 +134,22 @@ router.get('/', async (req, res) => {
             settings = settingsResult.rows[0];
         }
         
-        // Parse monthly targets JSON
-        let monthlyTargets = {};
-        if (settings.monthly_box_targets_json) {
-            monthlyTargets = typeof settings.monthly_box_targets_json === 'string'
-                ? JSON.parse(settings.monthly_box_targets_json)
-                : settings.monthly_box_targets_json;
-        }
+        const fyStartMonth = getFYStartMonth(settings);
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
         
-        const allMonths = getAllFYMonths();
+        // Resolve targets for the selected FY (falls back to settings defaults)
+        const fySettings = await getSettingsForFY(fy, settings);
+        const monthlyTargets = remapMonthlyTargets(fySettings.monthly_box_targets_json, fyStartMonth);
         
         res.render('settings/index', {
-            settings,
+            settings: fySettings,
+            fy,
+            allFYs: await getEditableFYs(fyStartMonth),
             monthlyTargets,
-            allMonths,
+            allMonths: getAllFYMonths(fyStartMonth),
+            calendarMonths: CALENDAR_MONTH_NAMES,
+            orderStatuses: LIFECYCLE_STATUSES,
+            soldStatuses: getSoldStatuses(fySettings),
             error: null
         });
     } catch (error) {
@@ -67,6 +164,7 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
         const {
+            fy,
             baseline_floor_per_box,
             yearly_box_target,
             rag_amber_floor_pct,
@@ -74,8 +172,13 @@ router.post('/', async (req, res) => {
             fy_start_month
         } = req.body;
         
-        // Build monthly targets object from form data
-        const allMonths = getAllFYMonths();
+        const currentResult = await db.query('SELECT * FROM settings LIMIT 1');
+        const currentSettings = currentResult.rows[0] || {};
+        const oldStartMonth = getFYStartMonth(currentSettings);
+        const newStartMonth = getFYStartMonth({ fy_start_month });
+        
+        // Build monthly targets object from form data (keyed by calendar month)
+        const allMonths = getAllFYMonths(oldStartMonth);
         const monthlyTargets = {};
         let totalMonthlyTargets = 0;
         
@@ -85,58 +188,580 @@ router.post('/', async (req, res) => {
             totalMonthlyTargets += value;
         });
         
-        // Validate monthly targets sum to yearly target
+        // Validate monthly targets sum to yearly target, and that something counts as sold
         const yearlyTarget = parseInt(yearly_box_target);
-        if (totalMonthlyTargets !== yearlyTarget) {
-            const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
-            let settings = settingsResult.rows[0] || {};
-            let existingMonthlyTargets = {};
-            if (settings.monthly_box_targets_json) {
-                existingMonthlyTargets = typeof settings.monthly_box_targets_json === 'string'
-                    ? JSON.parse(settings.monthly_box_targets_json)
-                    : settings.monthly_box_targets_json;
-            }
-            
+        const sold = parseSoldStatuses(req.body.sold_statuses);
+        if (totalMonthlyTargets !== yearlyTarget || sold.error) {
             return res.render('settings/index', {
                 settings: {
-                    ...settings,
+                    ...currentSettings,
                     baseline_floor_per_box: parseFloat(baseline_floor_per_box),
                     yearly_box_target: yearlyTarget,
                     rag_amber_floor_pct: parseFloat(rag_amber_floor_pct),
                     install_capacity_high_season_per_week: parseInt(install_capacity_high_season_per_week),
-                    fy_start_month: parseInt(fy_start_month)
+                    fy_start_month: newStartMonth
                 },
+                fy,
+                allFYs: await getEditableFYs(oldStartMonth),
                 monthlyTargets,
                 allMonths,
-                error: `Monthly targets (${totalMonthlyTargets}) must sum to yearly target (${yearlyTarget})`
+                calendarMonths: CALENDAR_MONTH_NAMES,
+                orderStatuses: LIFECYCLE_STATUSES,
+                soldStatuses: sold.soldStatuses || [],
+                error: sold.error || `Monthly targets (${totalMonthlyTargets}) must sum to yearly target (${yearlyTarget})`
             });
         }
         
-        // Update settings
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const fyTargetsBefore = await client.query(
+                'SELECT * FROM fy_targets WHERE fy_label = $1',
+                [fy]
+            );
+            
+            // Update general settings
+            const settingsResult = await client.query(
+                `UPDATE settings SET
+                    install_capacity_high_season_per_week = $1,
+                    fy_start_month = $2,
+                    sold_statuses_json = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE id = (SELECT id FROM settings LIMIT 1)
+                 RETURNING *`,
+                [
+                    parseInt(install_capacity_high_season_per_week),
+                    newStartMonth,
+                    JSON.stringify(sold.soldStatuses)
+                ]
+            );
+            
+            // Save targets for the selected FY only - other years keep their own
+            const fyTargetsResult = await client.query(
+                `INSERT INTO fy_targets (
+                    fy_label, yearly_box_target, monthly_box_targets_json,
+                    baseline_floor_per_box, rag_amber_floor_pct
+                ) VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (fy_label)
+                DO UPDATE SET
+                    yearly_box_target = $2,
+                    monthly_box_targets_json = $3,
+                    baseline_floor_per_box = $4,
+                    rag_amber_floor_pct = $5,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *`,
+                [
+                    fy,
+                    yearlyTarget,
+                    JSON.stringify(monthlyTargets),
+                    parseFloat(baseline_floor_per_box),
+                    parseFloat(rag_amber_floor_pct)
+                ]
+            );
+            
+            await recordAuditEntries(req, [
+                {
+                    entityType: 'settings',
+                    entityId: settingsResult.rows[0].id,
+                    action: 'update',
+                    before: currentSettings,
+                    after: settingsResult.rows[0]
+                },
+                {
+                    entityType: 'fy_targets',
+                    entityId: fy,
+                    action: fyTargetsBefore.rows.length > 0 ? 'update' : 'create',
+                    before: fyTargetsBefore.rows[0] || null,
+                    after: fyTargetsResult.rows[0]
+                }
+            ], client);
+            
+            // Stored data keyed by FY label follows its calendar month into the new FY
+            if (oldStartMonth !== newStartMonth) {
+                await remapFYKeyedData(client, oldStartMonth, newStartMonth);
+            }
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        const savedFY = oldStartMonth === newStartMonth
+            ? fy
+            : remapFYLabel(fy, allMonths[0], oldStartMonth, newStartMonth);
+        
+        res.redirect(`/settings?fy=${encodeURIComponent(savedFY)}&success=1`);
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(500).send('Error updating settings');
+    }
+});
+
+/**
+ * GET /settings/rep-targets - Per-rep monthly targets form
+ */
+router.get('/rep-targets', async (req, res) => {
+    try {
+        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
+        const fyStartMonth = getFYStartMonth(settingsResult.rows[0]);
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        const month = req.query.month || getFYMonth(new Date());
+        
+        const fySettings = await getSettingsForFY(fy, settingsResult.rows[0]);
+        const reps = await getSalesReps();
+        const repTargetRows = await getRepTargetRows(fy, month);
+        
+        res.render('settings/rep-targets', {
+            fy,
+            month,
+            allFYs: await getEditableFYs(fyStartMonth),
+            allMonths: getAllFYMonths(fyStartMonth),
+            reps,
+            repTargetRows,
+            repTargets: getRepTargets(reps, repTargetRows, fySettings, month),
+            companyTarget: getMonthlyBoxTarget(fySettings, month),
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Rep targets form error:', error);
+        res.status(500).send('Error loading rep targets');
+    }
+});
+
+/**
+ * POST /settings/rep-targets - Save per-rep monthly targets
+ * Blank box target clears the rep's row (back to an even split)
+ */
+router.post('/rep-targets', async (req, res) => {
+    const { fy, month } = req.body;
+    const redirectBase = `/settings/rep-targets?fy=${encodeURIComponent(fy)}&month=${encodeURIComponent(month)}`;
+    
+    try {
+        const reps = await getSalesReps();
+        
+        const invalidRep = reps.find(rep => {
+            const boxTarget = req.body[`box_target_${rep.id}`];
+            const baselineTarget = req.body[`baseline_target_${rep.id}`];
+            return (boxTarget && (isNaN(parseFloat(boxTarget)) || parseFloat(boxTarget) < 0)) ||
+                   (baselineTarget && (isNaN(parseFloat(baselineTarget)) || parseFloat(baselineTarget) < 0));
+        });
+        if (invalidRep) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(`Targets for ${invalidRep.name} must be non-negative numbers`)}`);
+        }
+        
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const existingResult = await client.query(
+                'SELECT * FROM rep_targets WHERE fy_label = $1 AND fy_month = $2',
+                [fy, month]
+            );
+            const auditEntries = [];
+            
+            for (const rep of reps) {
+                const boxTarget = req.body[`box_target_${rep.id}`];
+                const baselineTarget = req.body[`baseline_target_${rep.id}`];
+                const before = existingResult.rows.find(row => row.sales_rep_id === rep.id) || null;
+                
+                if (boxTarget === undefined || boxTarget === '') {
+                    await client.query(
+                        'DELETE FROM rep_targets WHERE fy_label = $1 AND fy_month = $2 AND sales_rep_id = $3',
+                        [fy, month, rep.id]
+                    );
+                    if (before) {
+                        auditEntries.push({ entityType: 'rep_targets', entityId: before.id, action: 'delete', before, after: null });
+                    }
+                    continue;
+                }
+                
+                const targetResult = await client.query(
+                    `INSERT INTO rep_targets (fy_label, fy_month, sales_rep_id, box_target, baseline_target)
+                     VALUES ($1, $2, $3, $4, $5)
+                     ON CONFLICT (fy_label, fy_month, sales_rep_id)
+                     DO UPDATE SET box_target = $4, baseline_target = $5, updated_at = CURRENT_TIMESTAMP
+                     RETURNING *`,
+                    [
+                        fy,
+                        month,
+                        rep.id,
+                        parseFloat(boxTarget),
+                        baselineTarget === undefined || baselineTarget === '' ? null : parseFloat(baselineTarget)
+                    ]
+                );
+                
+                // Only targets that changed are logged
+                const after = targetResult.rows[0];
+                const unchanged = before &&
+                    parseFloat(before.box_target) === parseFloat(after.box_target) &&
+                    String(before.baseline_target) === String(after.baseline_target);
+                if (!unchanged) {
+                    auditEntries.push({ entityType: 'rep_targets', entityId: after.id, action: before ? 'update' : 'create', before, after });
+                }
+            }
+            
+            await recordAuditEntries(req, auditEntries, client);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        res.redirect(`${redirectBase}&success=Rep targets saved`);
+    } catch (error) {
+        console.error('Save rep targets error:', error);
+        res.redirect(`${redirectBase}&error=Error saving rep targets`);
+    }
+});
+
+/**
+ * GET /settings/calendar - Working calendar (bank holidays and shutdown days)
+ */
+router.get('/calendar', async (req, res) => {
+    try {
+        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
+        const fyStartMonth = getFYStartMonth(settingsResult.rows[0]);
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        const fyRange = getFYDateRange(fy, 'FY', fyStartMonth);
+        
+        const shutdownResult = await db.query(
+            `SELECT * FROM shutdown_days
+             WHERE shutdown_date >= $1 AND shutdown_date <= $2
+             ORDER BY shutdown_date`,
+            [fyRange.start, fyRange.end]
+        );
+        
+        const fyStartKey = toDateKey(fyRange.start);
+        const fyEndKey = toDateKey(fyRange.end);
+        const bankHolidays = [fyRange.start.getFullYear(), fyRange.end.getFullYear()]
+            .filter((year, index, years) => years.indexOf(year) === index)
+            .flatMap(year => getUKBankHolidays(year))
+            .filter(key => key >= fyStartKey && key <= fyEndKey);
+        
+        // Working days per FY month after holidays and shutdowns
+        const shutdownDates = await getShutdownDates();
+        const workingDays = getAllFYMonths(fyStartMonth).map(month => {
+            const range = getFYDateRange(fy, month, fyStartMonth);
+            return { month, days: countWorkingDays(range.start, range.end, shutdownDates) };
+        });
+        
+        res.render('settings/calendar', {
+            fy,
+            allFYs: await getEditableFYs(fyStartMonth),
+            bankHolidays,
+            shutdownDays: shutdownResult.rows,
+            workingDays,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Working calendar error:', error);
+        res.status(500).send('Error loading working calendar');
+    }
+});
+
+/**
+ * POST /settings/calendar/shutdowns - Add shutdown days (single day or date range)
+ */
+router.post('/calendar/shutdowns', async (req, res) => {
+    const { fy, start_date, end_date, description } = req.body;
+    const redirectBase = `/settings/calendar?fy=${encodeURIComponent(fy || '')}`;
+    
+    try {
+        // Parse as local dates so each day keeps its calendar date
+        const start = new Date(`${start_date}T00:00:00`);
+        const end = end_date ? new Date(`${end_date}T00:00:00`) : start;
+        
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.redirect(`${redirectBase}&error=Enter a valid start date`);
+        }
+        if (end < start) {
+            return res.redirect(`${redirectBase}&error=End date must be on or after the start date`);
+        }
+        if ((end - start) / (24 * 60 * 60 * 1000) > 366) {
+            return res.redirect(`${redirectBase}&error=Shutdowns can cover at most one year`);
+        }
+        
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const existingResult = await client.query(
+                'SELECT * FROM shutdown_days WHERE shutdown_date >= $1 AND shutdown_date <= $2',
+                [toDateKey(start), toDateKey(end)]
+            );
+            const auditEntries = [];
+            
+            for (const date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+                const shutdownResult = await client.query(
+                    `INSERT INTO shutdown_days (shutdown_date, description)
+                     VALUES ($1, $2)
+                     ON CONFLICT (shutdown_date) DO UPDATE SET description = $2
+                     RETURNING *`,
+                    [toDateKey(date), description || null]
+                );
+                
+                const after = shutdownResult.rows[0];
+                const before = existingResult.rows.find(row => row.id === after.id) || null;
+                auditEntries.push({ entityType: 'shutdown_day', entityId: after.id, action: before ? 'update' : 'create', before, after });
+            }
+            
+            await recordAuditEntries(req, auditEntries, client);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        res.redirect(`${redirectBase}&success=Shutdown days saved`);
+    } catch (error) {
+        console.error('Save shutdown days error:', error);
+        res.redirect(`${redirectBase}&error=Error saving shutdown days`);
+    }
+});
+
+/**
+ * POST /settings/calendar/shutdowns/:id/delete - Remove a shutdown day
+ */
+router.post('/calendar/shutdowns/:id/delete', async (req, res) => {
+    const redirectBase = `/settings/calendar?fy=${encodeURIComponent(req.body.fy || '')}`;
+    
+    try {
+        const deleteResult = await db.query(
+            'DELETE FROM shutdown_days WHERE id = $1 RETURNING *',
+            [parseInt(req.params.id)]
+        );
+        
+        if (deleteResult.rows.length > 0) {
+            await recordAudit(req, {
+                entityType: 'shutdown_day',
+                entityId: deleteResult.rows[0].id,
+                action: 'delete',
+                before: deleteResult.rows[0],
+                after: null
+            });
+        }
+        
+        res.redirect(`${redirectBase}&success=Shutdown day removed`);
+    } catch (error) {
+        console.error('Delete shutdown day error:', error);
+        res.redirect(`${redirectBase}&error=Error removing shutdown day`);
+    }
+});
+
+/**
+ * Format a RAG metric reading for the thresholds preview
+ * @param {Object} metric - RAG_METRICS entry
+ * @param {Object} reading - { value, target? }
+ * @returns {String}
+ */
+function formatRAGReading(metric, reading) {
+    const money = value => `£${value.toLocaleString('en-GB', { maximumFractionDigits: 0 })}`;
+    
+    if (metric.unit === 'target') {
+        const pct = reading.target > 0 ? ` (${((reading.value / reading.target) * 100).toFixed(1)}%)` : ' (no target)';
+        return metric.key === 'sales_baseline'
+            ? `${money(reading.value)} of ${money(reading.target)}${pct}`
+            : `${reading.value} of ${reading.target}${pct}`;
+    }
+    if (metric.unit === 'percent') return `${reading.value.toFixed(1)}%`;
+    return reading.value.toFixed(2);
+}
+
+/**
+ * Render the RAG thresholds page, previewing the current month under the
+ * saved rules and (when valid) the rules in the form
+ * @param {Object} res - Express response
+ * @param {Object} baseSettings - Settings row
+ * @param {Object} formRules - Unresolved rules shown in the form
+ * @param {Object} options - { error, success, isPreview }
+ */
+async function renderRAGSettings(res, baseSettings, formRules, { error = null, success = null, isPreview = false } = {}) {
+    const fyStartMonth = getFYStartMonth(baseSettings);
+    const fy = getCurrentFY(fyStartMonth).label;
+    const month = getFYMonth(new Date());
+    const fySettings = await getSettingsForFY(fy, baseSettings);
+    
+    const sales = await querySalesMetrics(fySettings, fy, month);
+    const production = await queryProductionMetrics(fySettings, fy, month);
+    const readings = getRAGReadings(sales, production);
+    
+    const savedRules = getRAGRules(fySettings);
+    const defaultRules = getRAGRules(fySettings, DEFAULT_RAG_RULES);
+    const previewRules = isPreview && !error ? getRAGRules(fySettings, formRules) : null;
+    
+    const preview = RAG_METRICS.map(metric => {
+        const reading = readings[metric.key];
+        const suffix = metric.unit === 'boxes' ? '' : '%';
+        return {
+            metric,
+            reading: formatRAGReading(metric, reading),
+            defaultRule: describeRAGRule(defaultRules[metric.key], suffix),
+            savedRule: describeRAGRule(savedRules[metric.key], suffix),
+            savedRAG: getMetricRAG(reading, savedRules[metric.key]),
+            previewRule: previewRules ? describeRAGRule(previewRules[metric.key], suffix) : null,
+            previewRAG: previewRules ? getMetricRAG(reading, previewRules[metric.key]) : null
+        };
+    });
+    
+    res.render('settings/rag', {
+        fy,
+        month,
+        ragMetrics: RAG_METRICS,
+        ragDirections: RAG_DIRECTIONS,
+        formRules,
+        amberFloorPct: Math.round((parseFloat(fySettings.rag_amber_floor_pct) || 0.90) * 10000) / 100,
+        preview,
+        isPreview: Boolean(previewRules),
+        error,
+        success
+    });
+}
+
+/**
+ * GET /settings/rag - RAG threshold rules
+ */
+router.get('/rag', async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        await renderRAGSettings(res, baseSettings, getStoredRAGRules(baseSettings), {
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('RAG thresholds form error:', error);
+        res.status(500).send('Error loading RAG thresholds');
+    }
+});
+
+/**
+ * POST /settings/rag - Preview or save RAG threshold rules
+ * action=preview re-scores the current month without saving
+ */
+router.post('/rag', async (req, res) => {
+    try {
+        const baseSettings = await getSettings();
+        const fySettings = await getSettingsForFY(getCurrentFY(getFYStartMonth(baseSettings)).label, baseSettings);
+        const { rules, errors } = parseRAGRules(req.body, parseFloat(fySettings.rag_amber_floor_pct) || 0.90);
+        
+        if (errors.length > 0) {
+            return renderRAGSettings(res, baseSettings, rules, { error: errors.join('. ') });
+        }
+        if (req.body.action === 'preview') {
+            return renderRAGSettings(res, baseSettings, rules, { isPreview: true });
+        }
+        
         await db.query(
             `UPDATE settings SET
-                baseline_floor_per_box = $1,
-                yearly_box_target = $2,
-                rag_amber_floor_pct = $3,
-                monthly_box_targets_json = $4,
-                install_capacity_high_season_per_week = $5,
-                fy_start_month = $6,
+                rag_rules_json = $1,
                 updated_at = CURRENT_TIMESTAMP
              WHERE id = (SELECT id FROM settings LIMIT 1)`,
-            [
-                parseFloat(baseline_floor_per_box),
-                yearlyTarget,
-                parseFloat(rag_amber_floor_pct),
-                JSON.stringify(monthlyTargets),
-                parseInt(install_capacity_high_season_per_week),
-                parseInt(fy_start_month)
-            ]
+            [JSON.stringify(rules)]
         );
         
-        res.redirect('/settings?success=1');
+        await recordAudit(req, {
+            entityType: 'rag_rules',
+            entityId: baseSettings.id,
+            action: 'update',
+            before: { rules: baseSettings.rag_rules_json || null },
+            after: { rules }
+        });
+        
+        res.redirect('/settings/rag?success=RAG thresholds saved');
     } catch (error) {
-        console.error('Update settings error:', error);
-        res.status(500).send('Error updating settings');
+        console.error('Save RAG thresholds error:', error);
+        res.redirect('/settings/rag?error=Error saving RAG thresholds');
+    }
+});
+
+/**
+ * GET /settings/periods - Month close: close or reopen each month of an FY
+ */
+router.get('/periods', async (req, res) => {
+    try {
+        const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
+        const fyStartMonth = getFYStartMonth(settingsResult.rows[0]);
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        const currentMonthStart = getMonthStartKey(new Date());
+        
+        const closes = await getFYPeriodCloses(fy, fyStartMonth);
+        const periods = getAllFYMonths(fyStartMonth).map(month => {
+            const periodStart = getPeriodStartKey(fy, month, fyStartMonth);
+            return {
+                month,
+                periodStart,
+                label: formatPeriodMonth(periodStart),
+                isFuture: periodStart > currentMonthStart,
+                close: closes.find(close => getMonthStartKey(close.period_start) === periodStart) || null
+            };
+        });
+        
+        res.render('settings/periods', {
+            fy,
+            allFYs: await getEditableFYs(fyStartMonth),
+            periods,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('Month close error:', error);
+        res.status(500).send('Error loading month close');
+    }
+});
+
+/**
+ * POST /settings/periods/close - Close a month and snapshot its figures
+ */
+router.post('/periods/close', async (req, res) => {
+    const { fy, month } = req.body;
+    const redirectBase = `/settings/periods?fy=${encodeURIComponent(fy || '')}`;
+    
+    try {
+        const result = await closePeriod(req, fy, month);
+        if (result.error) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(result.error)}`);
+        }
+        
+        res.redirect(`${redirectBase}&success=${encodeURIComponent(`${formatPeriodMonth(result.close.period_start)} closed`)}`);
+    } catch (error) {
+        console.error('Close month error:', error);
+        res.redirect(`${redirectBase}&error=Error closing month`);
+    }
+});
+
+/**
+ * POST /settings/periods/reopen - Reopen a closed month
+ */
+router.post('/periods/reopen', async (req, res) => {
+    const { fy, period_start } = req.body;
+    const redirectBase = `/settings/periods?fy=${encodeURIComponent(fy || '')}`;
+    
+    try {
+        const periodStart = getMonthStartKey(period_start);
+        if (!periodStart) {
+            return res.redirect(`${redirectBase}&error=Choose a month to reopen`);
+        }
+        
+        const result = await reopenPeriod(req, periodStart);
+        if (result.error) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(result.error)}`);
+        }
+        
+        res.redirect(`${redirectBase}&success=${encodeURIComponent(`${formatPeriodMonth(periodStart)} reopened`)}`);
+    } catch (error) {
+        console.error('Reopen month error:', error);
+        res.redirect(`${redirectBase}&error=Error reopening month`);
     }
 });
 
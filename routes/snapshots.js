@@ -0,0 +1,88 @@
+/**
+ * KPI Snapshot Routes (Director Only)
+ * Browse month-end snapshots, take one on demand and see how the live
+ * figures have drifted since.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getAllFYs, getAllFYMonths, getCurrentFY, getFYMonth, getFYStartMonth } = require('../utils/fy');
+const { RAG_METRICS } = require('../utils/rag');
+const { formatComparisonValue, formatComparisonDelta } = require('../utils/comparisons');
+const { getSettings } = require('../utils/targets');
+const { takeKPISnapshot, getFYKPISnapshots, getKPISnapshot, getKPISnapshotDrift } = require('../utils/kpi-snapshots');
+
+// All routes require authentication and director role
+router.use(requireAuth);
+router.use(requireRole('director'));
+
+/**
+ * GET /snapshots - Snapshots taken for the months of an FY
+ */
+router.get('/', async (req, res) => {
+    try {
+        const fyStartMonth = getFYStartMonth(await getSettings());
+        const fy = req.query.fy || getCurrentFY(fyStartMonth).label;
+        
+        res.render('snapshots/index', {
+            fy,
+            allFYs: getAllFYs(2, fyStartMonth),
+            allMonths: getAllFYMonths(fyStartMonth),
+            currentMonth: getFYMonth(new Date()),
+            snapshots: await getFYKPISnapshots(fy, fyStartMonth),
+            ragMetrics: RAG_METRICS,
+            error: req.query.error,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('KPI snapshots error:', error);
+        res.status(500).send('Error loading KPI snapshots');
+    }
+});
+
+/**
+ * POST /snapshots - Take a snapshot of an FY month now
+ */
+router.post('/', async (req, res) => {
+    const { fy, month } = req.body;
+    const redirectBase = `/snapshots?fy=${encodeURIComponent(fy || '')}`;
+    
+    try {
+        const result = await takeKPISnapshot(req, fy, month);
+        if (result.error) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(result.error)}`);
+        }
+        
+        res.redirect(`/snapshots/${result.snapshot.id}?success=Snapshot taken`);
+    } catch (error) {
+        console.error('Take KPI snapshot error:', error);
+        res.redirect(`${redirectBase}&error=Error taking snapshot`);
+    }
+});
+
+/**
+ * GET /snapshots/:id - One snapshot alongside the live figures
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const snapshot = await getKPISnapshot(parseInt(req.params.id));
+        
+        if (!snapshot) {
+            return res.status(404).send('Snapshot not found');
+        }
+        
+        res.render('snapshots/view', {
+            snapshot,
+            drift: await getKPISnapshotDrift(snapshot),
+            formatComparisonValue,
+            formatComparisonDelta,
+            success: req.query.success
+        });
+    } catch (error) {
+        console.error('View KPI snapshot error:', error);
+        res.status(500).send('Error loading KPI snapshot');
+    }
+});
+
+module.exports = router;
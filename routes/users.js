@@ -7,6 +7,8 @@ const router = express.Router();
 const bcrypt = require('bcrypt');
 const db = require('../db');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { API_TOKEN_SCOPES, generateApiToken } = require('../utils/api-tokens');
+const { recordAudit } = require('../utils/audit');
 
 // All routes require authentication and director role
 router.use(requireAuth);
@@ -75,11 +77,19 @@ router.post('/new', async (req, res) => {
         const passwordHash = await bcrypt.hash(password, 10);
         
         // Insert user
-        await db.query(
-            'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4)',
+        const userResult = await db.query(
+            'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING *',
             [name, email, passwordHash, role]
         );
         
+        await recordAudit(req, {
+            entityType: 'user',
+            entityId: userResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: userResult.rows[0]
+        });
+        
         res.redirect('/users?success=1');
     } catch (error) {
         console.error('Create user error:', error);
@@ -158,20 +168,36 @@ router.post('/:id/edit', async (req, res) => {
             });
         }
         
+        const beforeResult = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+        if (beforeResult.rows.length === 0) {
+            return res.status(404).send('User not found');
+        }
+        
         // Update user (with or without password)
-        if (password && password.length > 0) {
+        const passwordChanged = Boolean(password && password.length > 0);
+        let updateResult;
+        if (passwordChanged) {
             const passwordHash = await bcrypt.hash(password, 10);
-            await db.query(
-                'UPDATE users SET name = $1, email = $2, password_hash = $3, role = $4 WHERE id = $5',
+            updateResult = await db.query(
+                'UPDATE users SET name = $1, email = $2, password_hash = $3, role = $4 WHERE id = $5 RETURNING *',
                 [name, email, passwordHash, role, userId]
             );
         } else {
-            await db.query(
-                'UPDATE users SET name = $1, email = $2, role = $3 WHERE id = $4',
+            updateResult = await db.query(
+                'UPDATE users SET name = $1, email = $2, role = $3 WHERE id = $4 RETURNING *',
                 [name, email, role, userId]
             );
         }
         
+        // Password hashes are never logged - only the fact that it changed
+        await recordAudit(req, {
+            entityType: 'user',
+            entityId: userId,
+            action: 'update',
+            before: beforeResult.rows[0],
+            after: passwordChanged ? { ...updateResult.rows[0], password_changed: true } : updateResult.rows[0]
+        });
+        
         res.redirect('/users?success=1');
     } catch (error) {
         console.error('Update user error:', error);
@@ -202,7 +228,17 @@ router.post('/:id/delete', async (req, res) => {
         }
         
         // Delete user
-        await db.query('DELETE FROM users WHERE id = $1', [userId]);
+        const deleteResult = await db.query('DELETE FROM users WHERE id = $1 RETURNING *', [userId]);
+        
+        if (deleteResult.rows.length > 0) {
+            await recordAudit(req, {
+                entityType: 'user',
+                entityId: userId,
+                action: 'delete',
+                before: deleteResult.rows[0],
+                after: null
+            });
+        }
         
         res.redirect('/users?success=1');
     } catch (error) {
@@ -211,4 +247,116 @@ router.post('/:id/delete', async (req, res) => {
     }
 });
 
+/**
+ * Render the API tokens page
+ * @param {Object} res - Express response
+ * @param {Object} options - { error, success, newToken }
+ */
+async function renderApiTokens(res, { error = null, success = null, newToken = null } = {}) {
+    const tokensResult = await db.query(
+        `SELECT t.*, u.name as created_by_name
+         FROM api_tokens t
+         LEFT JOIN users u ON t.created_by = u.id
+         ORDER BY t.revoked_at IS NOT NULL, t.created_at DESC`
+    );
+    
+    res.render('users/tokens', {
+        tokens: tokensResult.rows,
+        scopes: API_TOKEN_SCOPES,
+        newToken,
+        error,
+        success
+    });
+}
+
+/**
+ * GET /users/tokens - API tokens
+ */
+router.get('/tokens', async (req, res) => {
+    try {
+        await renderApiTokens(res, { error: req.query.error, success: req.query.success });
+    } catch (error) {
+        console.error('List API tokens error:', error);
+        res.status(500).send('Error loading API tokens');
+    }
+});
+
+/**
+ * POST /users/tokens - Issue an API token (shown once)
+ */
+router.post('/tokens', async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const requestedScopes = [].concat(req.body.scopes || []);
+        const scopes = API_TOKEN_SCOPES.map(scope => scope.key).filter(key => requestedScopes.includes(key));
+        
+        if (!name) {
+            return res.redirect('/users/tokens?error=Token name is required');
+        }
+        if (scopes.length === 0) {
+            return res.redirect('/users/tokens?error=Choose at least one scope');
+        }
+        
+        let expiresAt = null;
+        if (req.body.expires_on) {
+            expiresAt = new Date(`${req.body.expires_on}T00:00:00`);
+            if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                return res.redirect('/users/tokens?error=Expiry date must be in the future');
+            }
+        }
+        
+        const { token, prefix, hash } = generateApiToken();
+        const tokenResult = await db.query(
+            `INSERT INTO api_tokens (name, token_prefix, token_hash, scopes, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [name, prefix, hash, scopes, req.session.userId, expiresAt]
+        );
+        
+        await recordAudit(req, {
+            entityType: 'api_token',
+            entityId: tokenResult.rows[0].id,
+            action: 'create',
+            before: null,
+            after: tokenResult.rows[0]
+        });
+        
+        await renderApiTokens(res, { newToken: { name, token } });
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.redirect('/users/tokens?error=Error creating API token');
+    }
+});
+
+/**
+ * POST /users/tokens/:id/revoke - Revoke an API token
+ */
+router.post('/tokens/:id/revoke', async (req, res) => {
+    try {
+        const revokeResult = await db.query(
+            `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING *`,
+            [parseInt(req.params.id)]
+        );
+        
+        if (revokeResult.rows.length === 0) {
+            return res.redirect('/users/tokens?error=Token not found or already revoked');
+        }
+        
+        await recordAudit(req, {
+            entityType: 'api_token',
+            entityId: revokeResult.rows[0].id,
+            action: 'revoke',
+            before: { ...revokeResult.rows[0], revoked_at: null },
+            after: revokeResult.rows[0]
+        });
+        
+        res.redirect(`/users/tokens?success=${encodeURIComponent(`Token "${revokeResult.rows[0].name}" revoked`)}`);
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.redirect('/users/tokens?error=Error revoking API token');
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Check the SQL dashboard aggregations against the JavaScript ones
+ * Run this with: node scripts/verify-aggregations.js
+ * Make sure DATABASE_URL is set in your environment (npm test runs the same
+ * check against seeded test data; this runs it against a real database)
+ *
+ * Every month, week, YTD and full-year period of the FYs on the dashboards
+ * is aggregated both ways (company-wide and per rep for sales); any metric
+ * that differs is listed and the script exits with status 1.
+ */
+
+require('dotenv').config();
+const { compareAggregations } = require('../utils/aggregation-check');
+
+async function verifyAggregations() {
+    try {
+        const { checked, mismatches } = await compareAggregations();
+        
+        if (mismatches.length > 0) {
+            mismatches.forEach(mismatch => console.error(`❌ ${mismatch}`));
+            console.error(`${mismatches.length} difference(s) across ${checked} aggregations`);
+            process.exit(1);
+        }
+        
+        console.log(`✅ SQL and JavaScript aggregations match (${checked} aggregations checked)`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error verifying aggregations:', error);
+        process.exit(1);
+    }
+}
+
+verifyAggregations();
@@ -10,7 +10,9 @@ const fs = require('fs').promises;
 require('dotenv').config();
 
 const db = require('./db');
-const { userLocals } = require('./middleware/auth');
+const { userLocals, isApiRequest } = require('./middleware/auth');
+const { startKPISnapshotSchedule } = require('./utils/kpi-snapshots');
+const { applySchema, runMigrations } = require('./utils/migrations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,6 +73,10 @@ app.use('/settings', require('./routes/settings'));
 app.use('/users', require('./routes/users'));
 app.use('/records', require('./routes/records'));
 app.use('/csv', require('./routes/csv'));
+app.use('/audit', require('./routes/audit'));
+app.use('/snapshots', require('./routes/snapshots'));
+app.use('/catalogue', require('./routes/catalogue'));
+app.use('/api/v1', require('./routes/api'));
 
 // Root redirect
 app.get('/', (req, res) => {
@@ -90,6 +96,11 @@ app.get('/', (req, res) => {
 // Error handling
 app.use((err, req, res, next) => {
     console.error('Error:', err);
+    if (isApiRequest(req)) {
+        // e.g. malformed JSON bodies (400) from express.json
+        const status = err.status || 500;
+        return res.status(status).json({ error: status === 500 ? 'Internal Server Error' : err.message });
+    }
     res.status(500).send('Internal Server Error');
 });
 
@@ -98,16 +109,21 @@ async function initializeDatabase() {
     try {
         // Check if tables exist by trying to query settings
         const result = await db.query('SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = \'public\' AND table_name = \'settings\'');
+        const isNewDatabase = parseInt(result.rows[0].count) === 0;
         
-        if (parseInt(result.rows[0].count) === 0) {
+        if (isNewDatabase) {
             console.log('Database tables not found. Running schema...');
-            
-            // Read and execute schema
-            const schemaSQL = await fs.readFile(path.join(__dirname, 'db', 'schema.sql'), 'utf8');
-            await db.query(schemaSQL);
-            
-            console.log('Schema created successfully.');
-            
+        } else {
+            console.log('Database already initialized. Applying schema updates...');
+        }
+        
+        // Read and execute schema (idempotent - adds any new tables/columns to existing databases)
+        await applySchema();
+        
+        console.log(isNewDatabase ? 'Schema created successfully.' : 'Schema up to date.');
+        
+        // Seeds go in before the migrations so the sample data gets backfilled too
+        if (isNewDatabase) {
             // Check if we should seed
             const settingsCheck = await db.query('SELECT COUNT(*) FROM settings');
             if (parseInt(settingsCheck.rows[0].count) === 0) {
@@ -124,9 +140,11 @@ async function initializeDatabase() {
                     // Continue anyway - some seeds may have succeeded
                 }
             }
-        } else {
-            console.log('Database already initialized.');
         }
+        
+        // Data backfills run once each, then never again
+        const migrations = await runMigrations();
+        migrations.forEach(name => console.log(`Applied migration ${name}`));
     } catch (error) {
         console.error('Database initialization error:', error);
         // Don't exit - let the app start and show errors
@@ -156,6 +174,9 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
         
+        // Take each month's KPI snapshot once it has ended
+        startKPISnapshotSchedule();
+        
         // Start listening - Railway requires binding to 0.0.0.0
         console.log(`Starting HTTP server on 0.0.0.0:${PORT}...`);
         app.listen(PORT, '0.0.0.0', () => {
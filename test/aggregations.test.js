@@ -0,0 +1,109 @@
+/**
+ * The SQL dashboard aggregations must agree with the JavaScript ones, across
+ * every period of the dashboard FYs, on the sample data plus orders and
+ * entries that exercise statuses, cancellations and production detail.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+
+let testDatabase;
+let db;
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    const repId = (await db.query(`SELECT id FROM users WHERE email = 'alice@example.com'`)).rows[0].id;
+    const orderIds = {};
+    const orders = [
+        // Sold then cancelled: its reversal takes the install revenue back out
+        { ref: 'T-CANCELLED', daysAgo: 60, status: 'cancelled', confirmedAgo: 60, cancelledAgo: 10, install: 450 },
+        // Built with no install, installed with one, and a quote that never sold
+        { ref: 'T-NO-INSTALL', daysAgo: 45, status: 'built', confirmedAgo: 44, builtAgo: 20, install: 0 },
+        { ref: 'T-INSTALLED', daysAgo: 30, status: 'installed', confirmedAgo: 30, builtAgo: 15, installedAgo: 5, install: 600 },
+        { ref: 'T-QUOTE', daysAgo: 12, status: 'quote', install: 300 },
+        // A credit on the install line
+        { ref: 'T-CREDIT', daysAgo: 8, status: 'confirmed', confirmedAgo: 8, install: -150 }
+    ];
+    for (const order of orders) {
+        const result = await db.query(
+            `INSERT INTO orders (order_date, order_ref, sales_rep_id, boxes_qty, box_rrp_total, box_net_total,
+                                 box_build_cost_total, install_revenue, extras_revenue, status,
+                                 confirmed_date, built_date, installed_date, cancelled_date)
+             VALUES (CURRENT_DATE - $1::int, $2, $3, 2, 2800, 2600, 1400, $4, 100, $5,
+                     CURRENT_DATE - $6::int, CURRENT_DATE - $7::int, CURRENT_DATE - $8::int, CURRENT_DATE - $9::int)
+             RETURNING id`,
+            [order.daysAgo, order.ref, repId, order.install, order.status,
+                order.confirmedAgo ?? null, order.builtAgo ?? null, order.installedAgo ?? null, order.cancelledAgo ?? null]
+        );
+        orderIds[order.ref] = result.rows[0].id;
+    }
+
+    const entryResult = await db.query(
+        `INSERT INTO production_boxes (production_date, boxes_built, boxes_over_cost, rework_boxes,
+                                       standard_build_cost, actual_build_cost, cost_overrun, notes)
+         VALUES (CURRENT_DATE - 20, 4, 1, 1, 2800, 3000, 200, 'Test entry') RETURNING id`
+    );
+    const entryId = entryResult.rows[0].id;
+    const reasonId = (await db.query('SELECT id FROM over_cost_reasons ORDER BY id LIMIT 1')).rows[0].id;
+    const defectId = (await db.query(`INSERT INTO defect_types (name) VALUES ('Test defect') RETURNING id`)).rows[0].id;
+
+    await db.query(
+        `INSERT INTO production_cost_lines (production_id, line_no, boxes, standard_cost, actual_cost, overrun)
+         VALUES ($1, 1, 4, 2800, 3000, 200)`,
+        [entryId]
+    );
+    await db.query('INSERT INTO production_cost_reasons (production_id, reason_id, boxes, overrun) VALUES ($1, $2, 1, 200)', [entryId, reasonId]);
+    // One rework box put down to a catalogue team, one to a legacy free-text team
+    const teamId = (await db.query(`INSERT INTO production_teams (name) VALUES ('Assembly') RETURNING id`)).rows[0].id;
+    await db.query('UPDATE production_boxes SET team_id = $1, rework_boxes = 2 WHERE id = $2', [teamId, entryId]);
+    await db.query(
+        `INSERT INTO production_rework (production_id, defect_type_id, stage, team_id, team, boxes, cost, hours)
+         VALUES ($1, $2, 'factory', $3, NULL, 1, 75, 2), ($1, $2, 'install', NULL, 'Team A', 1, 40, 1)`,
+        [entryId, defectId, teamId]
+    );
+    await db.query(
+        'INSERT INTO production_allocations (production_id, order_id, boxes) VALUES ($1, $2, 2), ($1, $3, 2)',
+        [entryId, orderIds['T-NO-INSTALL'], orderIds['T-INSTALLED']]
+    );
+});
+
+after(async () => {
+    await testDatabase.drop();
+});
+
+test('SQL and JavaScript aggregations agree on every dashboard period', async () => {
+    const { compareAggregations } = require('../utils/aggregation-check');
+    const { checked, mismatches } = await compareAggregations();
+
+    assert.ok(checked > 0, 'no aggregations were compared');
+    assert.deepStrictEqual(mismatches, []);
+});
+
+test('only orders with install revenue count as installed boxes', async () => {
+    const { getSettings } = require('../utils/targets');
+    const { getFYStartMonth, getCurrentFY, PERIOD_FULL_YEAR } = require('../utils/fy');
+    const { aggregateProductionMetrics } = require('../utils/aggregations');
+    const { loadAggregationData } = require('../utils/aggregation-check');
+
+    const settings = await getSettings();
+    const fy = getCurrentFY(getFYStartMonth(settings)).label;
+    const { orders } = await loadAggregationData();
+    const installedBoxes = refs => aggregateProductionMetrics(
+        [], orders.filter(order => refs.includes(order.order_ref)), settings, fy, PERIOD_FULL_YEAR
+    ).flowMetrics.installLoad.installedBoxes;
+
+    assert.strictEqual(installedBoxes(['T-INSTALLED']), 2);
+    assert.strictEqual(installedBoxes(['T-NO-INSTALL', 'T-CREDIT']), 0);
+    // The cancellation's reversal takes the sale's installed boxes back out
+    assert.strictEqual(installedBoxes(['T-CANCELLED']), 0);
+});
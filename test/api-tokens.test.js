@@ -0,0 +1,130 @@
+/**
+ * API tokens: only active tokens authenticate, scopes limit what a token can
+ * do (write includes read), writes are audited as the token, and requested
+ * periods are checked.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+let tokens = {};
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+    const { generateApiToken } = require('../utils/api-tokens');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    const issued = [
+        { name: 'Reader', scopes: ['orders:read', 'metrics:read'] },
+        { name: 'Writer', scopes: ['orders:write'] },
+        { name: 'Revoked', scopes: ['orders:write'], revoked: true },
+        { name: 'Expired', scopes: ['orders:write'], expired: true }
+    ];
+    for (const { name, scopes, revoked, expired } of issued) {
+        const { token, prefix, hash } = generateApiToken();
+        await db.query(
+            `INSERT INTO api_tokens (name, token_prefix, token_hash, scopes, revoked_at, expires_at)
+             VALUES ($1, $2, $3, $4,
+                     CASE WHEN $5 THEN CURRENT_TIMESTAMP END,
+                     CASE WHEN $6 THEN CURRENT_TIMESTAMP - INTERVAL '1 day' END)`,
+            [name, prefix, hash, scopes, Boolean(revoked), Boolean(expired)]
+        );
+        tokens[name] = token;
+    }
+
+    app = await startTestApp(null);
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * Call the API with a token
+ * @param {String} method
+ * @param {String} apiPath - Path under /api/v1
+ * @param {String|null} token
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function callApi(method, apiPath, token, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${app.url}/api/v1${apiPath}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('only active tokens authenticate', async () => {
+    assert.strictEqual((await callApi('GET', '/orders', null)).status, 401);
+    assert.strictEqual((await callApi('GET', '/orders', 'csgb_not-a-token')).status, 401);
+    assert.strictEqual((await callApi('GET', '/orders', tokens['Revoked'])).status, 401);
+    assert.strictEqual((await callApi('GET', '/orders', tokens['Expired'])).status, 401);
+
+    assert.strictEqual((await callApi('GET', '/orders', tokens['Reader'])).status, 200);
+    const used = await db.query(`SELECT last_used_at FROM api_tokens WHERE name = 'Reader'`);
+    assert.ok(used.rows[0].last_used_at, 'last use not recorded');
+});
+
+test('scopes limit a token; write scopes include read', async () => {
+    const { hasApiScope } = require('../utils/api-tokens');
+
+    assert.strictEqual(hasApiScope(['orders:write'], 'orders:read'), true);
+    assert.strictEqual(hasApiScope(['orders:read'], 'orders:write'), false);
+    assert.strictEqual(hasApiScope(['orders:write'], 'production:read'), false);
+
+    const order = { order_date: '2026-06-01', order_ref: 'API-1', boxes_qty: 1, box_rrp_total: 1400, box_net_total: 1300, box_build_cost_total: 700 };
+    const denied = await callApi('POST', '/orders', tokens['Reader'], order);
+    assert.deepStrictEqual([denied.status, denied.body.error], [403, 'API token does not have the orders:write scope']);
+    assert.strictEqual((await callApi('GET', '/production', tokens['Reader'])).status, 403);
+
+    assert.strictEqual((await callApi('GET', '/orders', tokens['Writer'])).status, 200);
+    assert.strictEqual((await callApi('POST', '/orders', tokens['Writer'], order)).status, 201);
+});
+
+test('writes made with a token are audited as the token', async () => {
+    const audit = await db.query(
+        `SELECT a.actor_user_id, a.actor_name, a.source, t.name AS token_name
+         FROM audit_log a
+         LEFT JOIN api_tokens t ON t.id = a.api_token_id
+         WHERE a.entity_type = 'order' AND a.action = 'create' AND a.after_json->>'order_ref' = 'API-1'`
+    );
+    assert.deepStrictEqual(audit.rows, [
+        { actor_user_id: null, actor_name: 'API token: Writer', source: 'api', token_name: 'Writer' }
+    ]);
+});
+
+test('a malformed fy, or one that does not contain the week, is rejected', async () => {
+    const { getCurrentFY, getFYWeeks } = require('../utils/fy');
+    const fy = getCurrentFY(7).label;
+    const week = getFYWeeks(fy, 7)[0].key;
+
+    const metrics = query => callApi('GET', `/metrics/sales?${new URLSearchParams(query)}`, tokens['Reader']);
+    assert.strictEqual((await metrics({ fy, week })).status, 200);
+    assert.strictEqual((await metrics({ week })).status, 200);
+
+    const malformed = await metrics({ fy: 'next', week });
+    assert.deepStrictEqual([malformed.status, malformed.body.error], [400, 'Invalid period: Invalid FY label: next']);
+    const otherFY = `${parseInt(fy) - 1}/${String(parseInt(fy)).slice(-2)}`;
+    const wrongFY = await metrics({ fy: otherFY, week });
+    assert.deepStrictEqual(
+        [wrongFY.status, wrongFY.body.error],
+        [400, `Invalid period: week ${week} is in FY ${fy}, not ${otherFY}`]
+    );
+});
@@ -0,0 +1,99 @@
+/**
+ * Audit log: writes are recorded with their actor and source, and password
+ * and token hashes never reach the log.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp, uploadCSV } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+let director;
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    director = (await db.query(`SELECT id, name FROM users WHERE email = 'diana@example.com'`)).rows[0];
+    app = await startTestApp({ userId: director.id, userName: director.name, userRole: 'director' });
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * Post a form as the signed-in director
+ * @param {String} formPath
+ * @param {Object} fields
+ * @returns {Promise<Response>}
+ */
+function postForm(formPath, fields) {
+    return fetch(`${app.url}${formPath}`, {
+        method: 'POST',
+        body: new URLSearchParams(fields),
+        redirect: 'manual'
+    });
+}
+
+test('password and token hashes are left out of the audit log', async () => {
+    await postForm('/users/new', { name: 'Erin Sales', email: 'erin@example.com', password: 'secret123', role: 'sales' });
+    await postForm('/users/tokens', { name: 'Reporting', scopes: 'metrics:read' });
+
+    const audit = await db.query(
+        `SELECT entity_type, actor_user_id, actor_name, source, after_json
+         FROM audit_log WHERE entity_type IN ('user', 'api_token') AND action = 'create' ORDER BY id`
+    );
+    assert.deepStrictEqual(
+        audit.rows.map(row => [row.entity_type, row.actor_user_id, row.actor_name, row.source]),
+        [['user', director.id, director.name, 'web'], ['api_token', director.id, director.name, 'web']]
+    );
+
+    const [user, token] = audit.rows.map(row => row.after_json);
+    assert.strictEqual(user.email, 'erin@example.com');
+    assert.ok(!('password_hash' in user), 'password hash logged');
+    assert.deepStrictEqual(token.scopes, ['metrics:read']);
+    assert.ok(!('token_hash' in token), 'token hash logged');
+});
+
+test('CSV imports are audited with the csv source', async () => {
+    const page = await uploadCSV(`${app.url}/csv/import/orders`, [
+        'order_date,order_ref,sales_rep_email,boxes_qty,box_rrp_total,box_net_total,box_build_cost_total',
+        '01/06/2026,AUDIT-CSV,alice@example.com,2,2800,2600,1400'
+    ].join('\n'));
+    assert.match(page, /Successfully imported 1 orders/);
+
+    const audit = await db.query(
+        `SELECT actor_name, source, action FROM audit_log
+         WHERE entity_type = 'order' AND after_json->>'order_ref' = 'AUDIT-CSV'`
+    );
+    assert.deepStrictEqual(audit.rows, [{ actor_name: director.name, source: 'csv', action: 'create' }]);
+});
+
+test('changes list only the fields that differ', () => {
+    const { getAuditChanges } = require('../utils/audit');
+
+    assert.deepStrictEqual(
+        getAuditChanges(
+            { boxes_qty: 2, notes: 'First', lines: [{ qty: 2 }] },
+            { boxes_qty: 2, notes: null, lines: [{ qty: 3 }], status: 'built' }
+        ),
+        [
+            { field: 'notes', before: 'First', after: null },
+            { field: 'lines', before: [{ qty: 2 }], after: [{ qty: 3 }] },
+            { field: 'status', before: null, after: 'built' }
+        ]
+    );
+    assert.deepStrictEqual(getAuditChanges(null, { id: 1 }), [{ field: 'id', before: null, after: 1 }]);
+});
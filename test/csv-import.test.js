@@ -0,0 +1,109 @@
+/**
+ * CSV imports: production rows resolve catalogue names (teams on the entry
+ * and in its rework log), multi-line orders group by order key, and rows in a
+ * closed month or naming unknown catalogue entries are rejected on their own.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp, uploadCSV } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+let teamId;
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    teamId = (await db.query(`INSERT INTO production_teams (name) VALUES ('Assembly') RETURNING id`)).rows[0].id;
+    await db.query(`INSERT INTO defect_types (name) VALUES ('Door misaligned')`);
+    await db.query(
+        `INSERT INTO period_closes (period_start, sales_snapshot_json, production_snapshot_json)
+         VALUES ('2026-03-01', '{}', '{}')`
+    );
+
+    const director = (await db.query(`SELECT id, name FROM users WHERE email = 'diana@example.com'`)).rows[0];
+    app = await startTestApp({ userId: director.id, userName: director.name, userRole: 'director' });
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * Quote a CSV field
+ * @param {String} value
+ * @returns {String}
+ */
+function csvField(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get the row errors listed on an import results page
+ * @param {String} page
+ * @returns {Array}
+ */
+function getImportErrors(page) {
+    return [...page.matchAll(/<li>([^<]*)<\/li>/g)]
+        .map(match => match[1].replace(/&#34;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&'));
+}
+
+test('production rows resolve teams by name and reject closed months and unknown teams', async () => {
+    const rework = team => csvField(JSON.stringify([{ defect_type: 'Door misaligned', stage: 'factory', team, boxes: 1, cost: 60 }]));
+    const page = await uploadCSV(`${app.url}/csv/import/production`, [
+        'production_date,team,boxes_built,rework_boxes,rework_log_json,notes',
+        `10/06/2026,assembly,5,1,${rework('ASSEMBLY')},CSV-OK`,
+        `05/03/2026,Assembly,5,1,${rework('Assembly')},CSV-LOCKED`,
+        `11/06/2026,Assembly,5,1,${rework('Paint shop')},CSV-UNKNOWN`
+    ].join('\n'));
+
+    assert.deepStrictEqual(getImportErrors(page), [
+        'Row 3: Mar 2026 is closed. Ask a director to reopen it before changing records dated there.',
+        'Row 4: Team "Paint shop" not found'
+    ]);
+
+    const entries = await db.query(
+        `SELECT p.notes, p.team_id, w.team_id AS rework_team_id, w.team AS rework_team, w.boxes
+         FROM production_boxes p
+         JOIN production_rework w ON w.production_id = p.id
+         WHERE p.notes LIKE 'CSV-%'`
+    );
+    assert.deepStrictEqual(entries.rows, [
+        { notes: 'CSV-OK', team_id: teamId, rework_team_id: teamId, rework_team: null, boxes: 1 }
+    ]);
+});
+
+test('order lines group into orders by key, with credits, and each order is rejected on its own', async () => {
+    const page = await uploadCSV(`${app.url}/csv/import/order-lines`, [
+        'order_key,order_date,order_ref,sales_rep_email,line_type,qty,unit_rrp,unit_net,unit_build_cost',
+        'A,01/06/2026,CSV-LINES,alice@example.com,box,2,1400,1300,700',
+        'A,01/06/2026,CSV-LINES,alice@example.com,install,1,,-150,',
+        'B,05/03/2026,CSV-LOCKED,alice@example.com,box,1,1400,1300,700',
+        'C,01/06/2026,CSV-BAD,alice@example.com,box,1,1400,-1300,700'
+    ].join('\n'));
+
+    const errors = getImportErrors(page);
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /^Row 4 \(order B\): Mar 2026 is closed/);
+    assert.strictEqual(errors[1], 'Row 5 (order C): Line 1: unit net price must be a number of at least 0');
+
+    const orders = await db.query(
+        `SELECT order_ref, boxes_qty, box_net_total, install_revenue FROM orders WHERE order_ref LIKE 'CSV-%'`
+    );
+    assert.deepStrictEqual(
+        orders.rows.map(row => [row.order_ref, row.boxes_qty, parseFloat(row.box_net_total), parseFloat(row.install_revenue)]),
+        [['CSV-LINES', 2, 2600, -150]]
+    );
+});
@@ -0,0 +1,102 @@
+/**
+ * Changing the FY start month re-labels FY-keyed rows: month rows follow their
+ * calendar month, week rows the FY containing the week's Thursday and YTD rows
+ * keep their FY, and changing it back puts every row where it was.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+
+// [fy_label under a July start, fy_month, fy_label under a January start]
+const NOTES = [
+    ['2025/26', 'Sep', '2025'],
+    ['2025/26', 'Mar', '2026'],
+    ['2025/26', '2026-W01', '2026'], // Mon 29 Dec 2025 - Sun 4 Jan 2026
+    ['2020/21', '2020-W53', '2020'], // Mon 28 Dec 2020 - Sun 3 Jan 2021
+    ['2026/27', '2026-W27', '2026'], // Mon 29 Jun 2026 - Sun 5 Jul 2026
+    ['2025/26', 'YTD', '2025']
+];
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    for (const [fyLabel, fyMonth] of NOTES) {
+        await db.query(
+            `INSERT INTO dashboard_notes (fy_label, fy_month, role, note) VALUES ($1, $2, 'sales', $2)`,
+            [fyLabel, fyMonth]
+        );
+    }
+
+    const director = (await db.query(`SELECT id, name FROM users WHERE email = 'diana@example.com'`)).rows[0];
+    app = await startTestApp({ userId: director.id, userName: director.name, userRole: 'director' });
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * Save the settings form with a new FY start month (other settings unchanged)
+ * @param {Number} fyStartMonth
+ * @returns {Promise<Response>}
+ */
+async function saveFYStartMonth(fyStartMonth) {
+    const { getSettings } = require('../utils/targets');
+    const { getCurrentFY, getFYStartMonth } = require('../utils/fy');
+    const settings = await getSettings();
+    const monthlyTargets = settings.monthly_box_targets_json;
+
+    const form = new URLSearchParams({
+        fy: getCurrentFY(getFYStartMonth(settings)).label,
+        baseline_floor_per_box: settings.baseline_floor_per_box,
+        yearly_box_target: Object.values(monthlyTargets).reduce((sum, target) => sum + target, 0),
+        rag_amber_floor_pct: settings.rag_amber_floor_pct,
+        install_capacity_high_season_per_week: settings.install_capacity_high_season_per_week,
+        fy_start_month: fyStartMonth
+    });
+    Object.entries(monthlyTargets).forEach(([month, target]) => {
+        form.append(`month_${month}`, target);
+    });
+    ['confirmed', 'built', 'installed'].forEach(status => form.append('sold_statuses', status));
+
+    return fetch(`${app.url}/settings`, { method: 'POST', body: form, redirect: 'manual' });
+}
+
+/**
+ * Get each note's FY label, in NOTES order
+ * @returns {Promise<Array>}
+ */
+async function getNoteLabels() {
+    const notesResult = await db.query(`SELECT fy_label, fy_month FROM dashboard_notes WHERE role = 'sales'`);
+    return NOTES.map(([, fyMonth]) => notesResult.rows.find(row => row.fy_month === fyMonth).fy_label);
+}
+
+test('notes move to the FY that now contains their month or week', async () => {
+    const response = await saveFYStartMonth(1);
+    assert.strictEqual(response.status, 302);
+    assert.match(response.headers.get('location'), /success=1/);
+
+    assert.deepStrictEqual(await getNoteLabels(), NOTES.map(([, , januaryLabel]) => januaryLabel));
+});
+
+test('changing the start month back restores the original labels', async () => {
+    const response = await saveFYStartMonth(7);
+    assert.strictEqual(response.status, 302);
+
+    assert.deepStrictEqual(await getNoteLabels(), NOTES.map(([julyLabel]) => julyLabel));
+});
@@ -0,0 +1,80 @@
+/**
+ * Test App
+ * The app's routes as server.js mounts them, listening on a free port. Page
+ * requests are signed in as the given session (no login); /api/ requests
+ * without one authenticate with their API token.
+ */
+
+const express = require('express');
+const path = require('path');
+
+// Mount path -> routes module, as in server.js
+const ROUTES = {
+    '/': 'auth',
+    '/sales': 'sales',
+    '/production': 'production',
+    '/settings': 'settings',
+    '/users': 'users',
+    '/records': 'records',
+    '/csv': 'csv',
+    '/audit': 'audit',
+    '/snapshots': 'snapshots',
+    '/catalogue': 'catalogue',
+    '/api/v1': 'api'
+};
+
+/**
+ * Start the app
+ * @param {Object|null} session - { userId, userName, userRole } to sign page requests in as
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startTestApp(session = null) {
+    const { userLocals } = require('../../middleware/auth');
+    const app = express();
+
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '..', '..', 'views'));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { ...session };
+        next();
+    });
+    app.use(userLocals);
+    // The tests check stored data, not how pages format dates
+    app.locals.formatDate = dateString => (dateString ? String(dateString) : '-');
+
+    Object.entries(ROUTES).forEach(([mountPath, routes]) => {
+        app.use(mountPath, require(`../../routes/${routes}`));
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
+
+/**
+ * Upload a CSV file to an import form
+ * @param {String} url - Import URL
+ * @param {String} content - CSV text
+ * @returns {Promise<String>} The page shown after the import
+ */
+async function uploadCSV(url, content) {
+    const form = new FormData();
+    form.append('csvfile', new Blob([content], { type: 'text/csv' }), 'import.csv');
+    const response = await fetch(url, { method: 'POST', body: form });
+    return response.text();
+}
+
+module.exports = {
+    startTestApp,
+    uploadCSV
+};
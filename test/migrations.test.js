@@ -0,0 +1,110 @@
+/**
+ * Upgrading a database created by the first release: the schema and every
+ * migration apply over its data, order lines keep the orders' totals (uneven
+ * lump sums and credits included), historical orders production has already
+ * covered leave the backlog, and a second start applies nothing.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+
+let testDatabase;
+let db;
+let applied;
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await db.query(await fs.readFile(path.join(__dirname, 'fixtures', 'baseline-schema.sql'), 'utf8'));
+    await db.query(
+        `INSERT INTO orders (order_date, order_ref, boxes_qty, box_rrp_total, box_net_total, box_build_cost_total,
+                             install_revenue, extras_revenue)
+         VALUES (CURRENT_DATE - 30, 'OLD-1', 2, 2800, 2600, 1400, 500, 0),
+                (CURRENT_DATE - 20, 'OLD-2', 3, 4200, 4000, 2100.01, -150, 0),
+                (CURRENT_DATE - 10, 'OLD-3', 4, 5600, 5200, 2800, 800, -20)`
+    );
+    await db.query(
+        `INSERT INTO production_boxes (production_date, boxes_built, boxes_over_cost, over_cost_reasons_json, rework_boxes)
+         VALUES (CURRENT_DATE - 25, 4, 1, '[{"reason": "material", "boxes": 1}]', 0),
+                (CURRENT_DATE - 5, 2, 0, '[]', 0)`
+    );
+
+    await applySchema();
+    applied = await runMigrations();
+});
+
+after(async () => {
+    await testDatabase.drop();
+});
+
+/**
+ * Load the upgraded orders by reference
+ * @returns {Promise<Object>} order_ref -> { status, built_days_ago }
+ */
+async function getOrders() {
+    const result = await db.query(
+        'SELECT order_ref, status, CURRENT_DATE - built_date AS built_days_ago FROM orders ORDER BY order_ref'
+    );
+    return Object.fromEntries(result.rows.map(row => [row.order_ref, { status: row.status, built_days_ago: row.built_days_ago }]));
+}
+
+test('every migration applies to a first-release database', async () => {
+    const { getMigrationNames } = require('../utils/migrations');
+    assert.deepStrictEqual(applied, await getMigrationNames());
+});
+
+test('order lines keep historical totals, including credits and uneven lump sums', async () => {
+    const { getOrderLines, validateOrderLines } = require('../utils/order-lines');
+    const { calculateOrderTotals } = require('../utils/calculations');
+
+    const orders = (await db.query('SELECT * FROM orders ORDER BY order_ref')).rows;
+    const linesByOrder = await getOrderLines(orders.map(order => order.id));
+    orders.forEach(order => {
+        const stored = {
+            boxes_qty: order.boxes_qty,
+            box_rrp_total: parseFloat(order.box_rrp_total),
+            box_net_total: parseFloat(order.box_net_total),
+            box_build_cost_total: parseFloat(order.box_build_cost_total),
+            install_revenue: parseFloat(order.install_revenue),
+            extras_revenue: parseFloat(order.extras_revenue)
+        };
+        // As stored, and as they would be saved again from the order form or API
+        const { lines, errors } = validateOrderLines(linesByOrder[order.id]);
+        assert.deepStrictEqual(errors, [], order.order_ref);
+        assert.deepStrictEqual(calculateOrderTotals(linesByOrder[order.id]), stored, order.order_ref);
+        assert.deepStrictEqual(calculateOrderTotals(lines), stored, order.order_ref);
+    });
+});
+
+test('historical orders covered by production are marked built, oldest first', async () => {
+    assert.deepStrictEqual(await getOrders(), {
+        // 4 boxes built 25 days ago cover the first order (2 boxes)...
+        'OLD-1': { status: 'built', built_days_ago: 25 },
+        // ...and the 6 built by 5 days ago the second (5 boxes in all)
+        'OLD-2': { status: 'built', built_days_ago: 5 },
+        // 9 boxes would be needed for the third
+        'OLD-3': { status: 'confirmed', built_days_ago: null }
+    });
+});
+
+test('only orders production has not covered are in the backlog', async () => {
+    const { queryBacklogOrders } = require('../utils/production-allocations');
+    const { toDateKey } = require('../utils/calendar');
+
+    const backlog = await queryBacklogOrders(toDateKey(new Date()));
+    assert.deepStrictEqual(backlog.map(order => [order.order_ref, parseInt(order.boxes_outstanding)]), [['OLD-3', 4]]);
+});
+
+test('a restart applies no migration again', async () => {
+    const { applySchema, runMigrations } = require('../utils/migrations');
+    await db.query(`UPDATE orders SET status = 'confirmed', built_date = NULL WHERE order_ref = 'OLD-1'`);
+
+    await applySchema();
+    assert.deepStrictEqual(await runMigrations(), []);
+    assert.strictEqual((await getOrders())['OLD-1'].status, 'confirmed');
+});
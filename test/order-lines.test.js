@@ -0,0 +1,121 @@
+/**
+ * Order lines: credits on install and extras lines, and lump sums that don't
+ * split evenly over their boxes keeping their exact totals through saves, the
+ * form and the lump-sum CSV import.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp, uploadCSV } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+let req;
+
+// 300 boxes at £1,200 RRP, £1,000 net and £500 build cost: none split evenly
+const UNEVEN_LUMP_SUMS = { boxes_qty: 300, box_rrp_total: 1200, box_net_total: 1000, box_build_cost_total: 500 };
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    const director = (await db.query(`SELECT id, name FROM users WHERE email = 'diana@example.com'`)).rows[0];
+    req = { session: { userId: director.id, userName: director.name }, originalUrl: '/test' };
+    app = await startTestApp({ userId: director.id, userName: director.name, userRole: 'director' });
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * Load an order's stored totals
+ * @param {Number} orderId
+ * @returns {Promise<Object>} { box_rrp_total, box_net_total, box_build_cost_total, install_revenue, extras_revenue } as numbers
+ */
+async function getStoredTotals(orderId) {
+    const order = (await db.query('SELECT * FROM orders WHERE id = $1', [orderId])).rows[0];
+    return Object.fromEntries(
+        ['box_rrp_total', 'box_net_total', 'box_build_cost_total', 'install_revenue', 'extras_revenue']
+            .map(field => [field, parseFloat(order[field])])
+    );
+}
+
+test('install and extras lines can be credits, box lines cannot', () => {
+    const { validateOrderLines } = require('../utils/order-lines');
+    const { calculateOrderTotals } = require('../utils/calculations');
+
+    const { lines, errors } = validateOrderLines([
+        { line_type: 'box', qty: 2, unit_rrp: 1400, unit_net: 1300, unit_build_cost: 700 },
+        { line_type: 'install', unit_net: -150 },
+        { line_type: 'extras', unit_net: '-25.50' }
+    ]);
+    assert.deepStrictEqual(errors, []);
+    const totals = calculateOrderTotals(lines);
+    assert.strictEqual(totals.install_revenue, -150);
+    assert.strictEqual(totals.extras_revenue, -25.5);
+
+    assert.deepStrictEqual(validateOrderLines([
+        { line_type: 'box', qty: 2, unit_rrp: 1400, unit_net: -1300, unit_build_cost: 700 }
+    ]).errors, ['Line 1: unit net price must be a number of at least 0']);
+    assert.deepStrictEqual(validateOrderLines([
+        { line_type: 'box', qty: 2, unit_rrp: 1400, unit_net: 1300, unit_build_cost: 700 },
+        { line_type: 'install', unit_net: 'credit' }
+    ]).errors, ['Line 2: unit price must be a number']);
+});
+
+test('a lump sum that does not split evenly keeps its totals', async () => {
+    const { validateOrderLines, buildLumpSumLines, saveOrder } = require('../utils/order-lines');
+
+    const { lines, errors } = validateOrderLines(buildLumpSumLines({ ...UNEVEN_LUMP_SUMS, install_revenue: -150 }));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(
+        [lines[0].unit_rrp, lines[0].unit_net, lines[0].unit_build_cost],
+        [4, 3.3333, 1.6667]
+    );
+
+    const order = await saveOrder(req, null, { order_date: '2026-06-01', order_ref: 'LUMP-1' }, lines);
+    assert.deepStrictEqual(await getStoredTotals(order.id), {
+        box_rrp_total: 1200, box_net_total: 1000, box_build_cost_total: 500, install_revenue: -150, extras_revenue: 0
+    });
+    assert.deepStrictEqual(
+        order.lines.map(line => [line.line_type, parseFloat(line.net_total), parseFloat(line.build_cost_total)]),
+        [['box', 1000, 500], ['install', -150, 0]]
+    );
+});
+
+test('saving stored lines unchanged keeps their totals; changed unit prices recalculate them', async () => {
+    const { validateOrderLines, getOrderLines, saveOrder } = require('../utils/order-lines');
+
+    const existing = (await db.query(`SELECT * FROM orders WHERE order_ref = 'LUMP-1'`)).rows[0];
+    const storedLines = (await getOrderLines([existing.id]))[existing.id];
+    await saveOrder(req, existing, { order_date: '2026-06-01', order_ref: 'LUMP-1' }, validateOrderLines(storedLines).lines);
+    assert.strictEqual((await getStoredTotals(existing.id)).box_net_total, 1000);
+
+    const repriced = storedLines.map(line => (line.line_type === 'box' ? { ...line, unit_net: 3.5 } : line));
+    await saveOrder(req, existing, { order_date: '2026-06-01', order_ref: 'LUMP-1' }, validateOrderLines(repriced).lines);
+    assert.strictEqual((await getStoredTotals(existing.id)).box_net_total, 1050);
+});
+
+test('the lump-sum orders CSV import keeps uneven totals and credits', async () => {
+    const page = await uploadCSV(`${app.url}/csv/import/orders`, [
+        'order_date,order_ref,sales_rep_email,boxes_qty,box_rrp_total,box_net_total,box_build_cost_total,install_revenue,extras_revenue',
+        '01/06/2026,LUMP-CSV,alice@example.com,300,1200,1000,500,-150,-20'
+    ].join('\n'));
+    assert.match(page, /Successfully imported 1 orders/);
+
+    const orderId = (await db.query(`SELECT id FROM orders WHERE order_ref = 'LUMP-CSV'`)).rows[0].id;
+    assert.deepStrictEqual(await getStoredTotals(orderId), {
+        box_rrp_total: 1200, box_net_total: 1000, box_build_cost_total: 500, install_revenue: -150, extras_revenue: -20
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Records dated in a closed month are locked: an order on any of its status
+ * dates, not just its order date.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers/database');
+
+let testDatabase;
+let db;
+let orderId;
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await runMigrations();
+
+    // Ordered in an open month and cancelled in March 2026, which is closed
+    const orderResult = await db.query(
+        `INSERT INTO orders (order_date, order_ref, boxes_qty, box_rrp_total, box_net_total, box_build_cost_total,
+                             status, confirmed_date, cancelled_date)
+         VALUES ('2026-02-10', 'LOCK-1', 2, 2800, 2600, 1400, 'cancelled', '2026-02-10', '2026-03-05')
+         RETURNING id`
+    );
+    orderId = orderResult.rows[0].id;
+    await db.query(
+        `INSERT INTO period_closes (period_start, sales_snapshot_json, production_snapshot_json)
+         VALUES ('2026-03-01', '{}', '{}')`
+    );
+});
+
+after(async () => {
+    await testDatabase.drop();
+});
+
+test('an order with a status date in a closed month is locked', async () => {
+    const { getRecordsLockError } = require('../utils/period-close');
+
+    assert.match(await getRecordsLockError('orders', [orderId]), /Mar 2026/);
+    assert.match(await getRecordsLockError('orders', null), /Mar 2026/);
+});
+
+test('a deleted order with a status date in a closed month cannot be restored', async () => {
+    const { getRecordsLockError } = require('../utils/period-close');
+
+    assert.strictEqual(await getRecordsLockError('orders', [orderId], true), null);
+    await db.query('UPDATE orders SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [orderId]);
+    assert.match(await getRecordsLockError('orders', [orderId], true), /Mar 2026/);
+});
+
+test('reopening the month unlocks the order', async () => {
+    const { getRecordsLockError } = require('../utils/period-close');
+
+    await db.query(`UPDATE period_closes SET reopened_at = CURRENT_TIMESTAMP WHERE period_start = '2026-03-01'`);
+    assert.strictEqual(await getRecordsLockError('orders', [orderId], true), null);
+});
@@ -0,0 +1,90 @@
+/**
+ * Allocating production to orders: concurrent saves can't both take an order's
+ * last boxes, and an allocation to an order since deleted is reported as such.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+
+let testDatabase;
+let db;
+let req;
+let orderIds = {};
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    const user = (await db.query(`SELECT id, name FROM users WHERE email = 'charlie@example.com'`)).rows[0];
+    req = { session: { userId: user.id, userName: user.name }, originalUrl: '/test' };
+
+    const ordersResult = await db.query(
+        `INSERT INTO orders (order_date, order_ref, boxes_qty, box_rrp_total, box_net_total, box_build_cost_total,
+                             status, confirmed_date)
+         VALUES (CURRENT_DATE, 'ALLOC-1', 4, 5600, 5200, 2800, 'confirmed', CURRENT_DATE),
+                (CURRENT_DATE, 'ALLOC-2', 2, 2800, 2600, 1400, 'confirmed', CURRENT_DATE)
+         RETURNING id, order_ref`
+    );
+    orderIds = Object.fromEntries(ordersResult.rows.map(row => [row.order_ref, row.id]));
+});
+
+after(async () => {
+    await testDatabase.drop();
+});
+
+/**
+ * Save a new production entry with allocations and nothing else
+ * @param {Number} boxesBuilt
+ * @param {Array} allocations - [{ order_id, boxes }]
+ * @returns {Promise<Object>} Saved entry
+ */
+function saveEntry(boxesBuilt, allocations) {
+    const { saveProductionEntry } = require('../utils/production-entries');
+    return saveProductionEntry(req, null, {
+        production_date: new Date().toISOString().slice(0, 10),
+        boxes_built: boxesBuilt,
+        boxes_over_cost: 0,
+        rework_boxes: 0,
+        notes: null,
+        line_id: null,
+        team_id: null,
+        shift: null
+    }, [], [], [], allocations);
+}
+
+test('two saves at once cannot both allocate an order\'s last boxes', async () => {
+    const { validateAllocations } = require('../utils/production-allocations');
+    const allocations = [{ order_id: orderIds['ALLOC-1'], boxes: 4 }];
+
+    // Both pass the check made before saving...
+    assert.deepStrictEqual(await validateAllocations(allocations, 4), []);
+    // ...but only one save gets the boxes
+    const results = await Promise.allSettled([saveEntry(4, allocations), saveEntry(4, allocations)]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    const rejected = results.find(result => result.status === 'rejected').reason;
+    assert.deepStrictEqual(rejected.validationErrors, ['ALLOC-1 has 0 boxes left to build']);
+
+    const allocated = await db.query('SELECT SUM(boxes) AS boxes FROM production_allocations WHERE order_id = $1', [orderIds['ALLOC-1']]);
+    assert.strictEqual(parseInt(allocated.rows[0].boxes), 4);
+});
+
+test('an allocation to a deleted order says the order was deleted', async () => {
+    const { getProductionAllocations, validateAllocations } = require('../utils/production-allocations');
+    const entry = await saveEntry(2, [{ order_id: orderIds['ALLOC-2'], boxes: 2 }]);
+    await db.query('UPDATE orders SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [orderIds['ALLOC-2']]);
+
+    const current = (await getProductionAllocations([entry.id]))[entry.id];
+    assert.deepStrictEqual(await validateAllocations(current, 2, entry.id), [
+        'ALLOC-2 has been deleted; restore it from the recycle bin or remove its allocation'
+    ]);
+    // A new allocation to it is to an order that doesn't exist
+    assert.deepStrictEqual(await validateAllocations(current, 2), [`Order ${orderIds['ALLOC-2']} not found`]);
+});
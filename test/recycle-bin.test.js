@@ -0,0 +1,106 @@
+/**
+ * Recycle bin: deleted records drop out of lists until restored, purging only
+ * removes records already in the bin, and each change is audited.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let app;
+let req;
+let orderIds = {};
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'seeds.sql'), 'utf8'));
+    await runMigrations();
+
+    const director = (await db.query(`SELECT id, name FROM users WHERE email = 'diana@example.com'`)).rows[0];
+    req = { session: { userId: director.id, userName: director.name, userRole: 'director' }, originalUrl: '/test' };
+    app = await startTestApp(req.session);
+
+    const ordersResult = await db.query(
+        `INSERT INTO orders (order_date, order_ref, boxes_qty, box_rrp_total, box_net_total, box_build_cost_total)
+         VALUES (CURRENT_DATE, 'BIN-1', 1, 1400, 1300, 700), (CURRENT_DATE, 'BIN-2', 1, 1400, 1300, 700)
+         RETURNING id, order_ref`
+    );
+    orderIds = Object.fromEntries(ordersResult.rows.map(row => [row.order_ref, row.id]));
+});
+
+after(async () => {
+    await app.close();
+    await testDatabase.drop();
+});
+
+/**
+ * List the BIN- order refs the API returns
+ * @returns {Promise<Array>}
+ */
+async function listBinOrderRefs() {
+    const response = await fetch(`${app.url}/api/v1/orders?per_page=500`);
+    const { data } = await response.json();
+    return data.map(order => order.order_ref).filter(ref => ref && ref.startsWith('BIN-')).sort();
+}
+
+/**
+ * Get the audit actions recorded for an order
+ * @param {Number} orderId
+ * @returns {Promise<Array>}
+ */
+async function getAuditActions(orderId) {
+    const audit = await db.query(
+        `SELECT action FROM audit_log WHERE entity_type = 'order' AND entity_id = $1 ORDER BY id`,
+        [String(orderId)]
+    );
+    return audit.rows.map(row => row.action);
+}
+
+test('deleted orders drop out of lists until restored', async () => {
+    const { softDeleteRecords, restoreRecords } = require('../utils/recycle-bin');
+
+    const deleted = await softDeleteRecords(req, 'orders', [orderIds['BIN-1']]);
+    assert.deepStrictEqual(deleted.map(row => row.order_ref), ['BIN-1']);
+    assert.deepStrictEqual(await listBinOrderRefs(), ['BIN-2']);
+    assert.strictEqual((await fetch(`${app.url}/api/v1/orders/${orderIds['BIN-1']}`)).status, 404);
+
+    // Deleting again skips it; restoring brings it back
+    assert.deepStrictEqual(await softDeleteRecords(req, 'orders', [orderIds['BIN-1']]), []);
+    const restored = await restoreRecords(req, 'orders', [orderIds['BIN-1']]);
+    assert.deepStrictEqual(restored.map(row => [row.order_ref, row.deleted_at]), [['BIN-1', null]]);
+    assert.deepStrictEqual(await listBinOrderRefs(), ['BIN-1', 'BIN-2']);
+
+    assert.deepStrictEqual(await getAuditActions(orderIds['BIN-1']), ['delete', 'restore']);
+});
+
+test('only orders in the recycle bin can be purged', async () => {
+    const { softDeleteRecords, purgeRecords } = require('../utils/recycle-bin');
+
+    assert.deepStrictEqual(await purgeRecords(req, 'orders', [orderIds['BIN-2']]), []);
+    await softDeleteRecords(req, 'orders', [orderIds['BIN-2']]);
+    const purged = await purgeRecords(req, 'orders', [orderIds['BIN-2']]);
+    assert.deepStrictEqual(purged.map(row => row.order_ref), ['BIN-2']);
+
+    const remaining = await db.query('SELECT id FROM orders WHERE id = $1', [orderIds['BIN-2']]);
+    assert.strictEqual(remaining.rows.length, 0);
+
+    const audit = await db.query(
+        `SELECT action, actor_name, before_json->>'order_ref' AS order_ref, after_json FROM audit_log
+         WHERE entity_type = 'order' AND entity_id = $1 ORDER BY id`,
+        [String(orderIds['BIN-2'])]
+    );
+    assert.deepStrictEqual(audit.rows, [
+        { action: 'delete', actor_name: 'Diana Director', order_ref: 'BIN-2', after_json: audit.rows[0].after_json },
+        { action: 'purge', actor_name: 'Diana Director', order_ref: 'BIN-2', after_json: null }
+    ]);
+    assert.ok(audit.rows[0].after_json.deleted_at, 'delete not recorded');
+});
@@ -0,0 +1,106 @@
+/**
+ * Rework is put down to teams from the team catalogue: free-text teams logged
+ * before it are linked by name, names given on import resolve to teams, and
+ * legacy text matching no team only stays on the entry that has it.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+let testDatabase;
+let db;
+let entryId;
+let defectId;
+let teamIds = {};
+
+before(async () => {
+    testDatabase = await createTestDatabase();
+    db = require('../db');
+    const { applySchema, runMigrations } = require('../utils/migrations');
+
+    await applySchema();
+    await runMigrations();
+
+    const teamsResult = await db.query(
+        `INSERT INTO production_teams (name, active) VALUES ('Assembly', true), ('Night crew', false) RETURNING id, name`
+    );
+    teamIds = Object.fromEntries(teamsResult.rows.map(row => [row.name, row.id]));
+    defectId = (await db.query(`INSERT INTO defect_types (name) VALUES ('Door misaligned') RETURNING id`)).rows[0].id;
+    entryId = (await db.query(
+        `INSERT INTO production_boxes (production_date, boxes_built, rework_boxes) VALUES (CURRENT_DATE, 5, 2) RETURNING id`
+    )).rows[0].id;
+
+    // Logged before the team catalogue: one name matches a team, one matches none
+    await db.query(
+        `INSERT INTO production_rework (production_id, defect_type_id, stage, team, boxes)
+         VALUES ($1, $2, 'factory', ' assembly', 1), ($1, $2, 'install', 'Old crew', 1)`,
+        [entryId, defectId]
+    );
+    await db.query(await fs.readFile(path.join(__dirname, '..', 'db', 'migrations', '005-rework-teams.sql'), 'utf8'));
+});
+
+after(async () => {
+    await testDatabase.drop();
+});
+
+test('free-text teams matching a catalogue team are linked to it; others keep their text', async () => {
+    const { getProductionRework } = require('../utils/rework');
+
+    const rework = (await getProductionRework([entryId]))[entryId];
+    assert.deepStrictEqual(rework.map(row => [row.team_id, row.team]), [[teamIds['Assembly'], 'Assembly'], [null, 'Old crew']]);
+    const stored = await db.query('SELECT team FROM production_rework WHERE production_id = $1 ORDER BY id', [entryId]);
+    assert.deepStrictEqual(stored.rows.map(row => row.team), [null, 'Old crew']);
+});
+
+test('teams given by name resolve to the catalogue; unknown and legacy names only where allowed', async () => {
+    const { parseReworkLog, validateReworkLog } = require('../utils/rework');
+    const validate = async (rows, productionId) => validateReworkLog(parseReworkLog(rows).rework, 1, productionId);
+    const row = { defect_type: 'Door misaligned', stage: 'factory', boxes: 1 };
+
+    const byName = await validate([{ ...row, team: 'ASSEMBLY' }]);
+    assert.deepStrictEqual([byName.rework[0].team_id, byName.rework[0].team], [teamIds['Assembly'], 'Assembly']);
+
+    assert.deepStrictEqual((await validate([{ ...row, team: 'Paint shop' }])).errors, ['Team "Paint shop" not found']);
+    assert.deepStrictEqual((await validate([{ ...row, team_id: teamIds['Night crew'] }])).errors, ['Team "Night crew" is no longer in use']);
+    assert.deepStrictEqual(parseReworkLog([row]).errors, ['Rework 1: choose the team responsible']);
+
+    // The legacy team stays on its own entry, but can't be used on another
+    const legacy = await validate([{ ...row, team: 'Old crew' }], entryId);
+    assert.deepStrictEqual([legacy.rework[0].team_id, legacy.rework[0].team], [null, 'Old crew']);
+    assert.deepStrictEqual((await validate([{ ...row, team: 'Old crew' }])).errors, ['Team "Old crew" not found']);
+});
+
+test('the dashboard shows rework by catalogue team with the team\'s own figures, and the form keeps legacy teams', async () => {
+    const { queryProductionMetrics } = require('../utils/sql-aggregations');
+    const { getSettings } = require('../utils/targets');
+    const { getFYStartMonth, getCurrentFY, PERIOD_FULL_YEAR } = require('../utils/fy');
+
+    await db.query(`UPDATE production_teams SET name = 'Assembly A' WHERE id = $1`, [teamIds['Assembly']]);
+    await db.query('UPDATE production_boxes SET team_id = $1 WHERE id = $2', [teamIds['Assembly'], entryId]);
+
+    const settings = await getSettings();
+    const fy = getCurrentFY(getFYStartMonth(settings)).label;
+    const metrics = await queryProductionMetrics(settings, fy, PERIOD_FULL_YEAR);
+    assert.deepStrictEqual(metrics.qualityMetrics.teams.map(team => [team.team, team.boxes]), [['Assembly A', 1], ['Old crew', 1]]);
+
+    // The dashboard shows the team's boxes built (5) and its rework rate (1 of them)
+    const app = await startTestApp({ userId: 1, userName: 'Test', userRole: 'production' });
+    try {
+        const page = await (await fetch(`${app.url}/production/dashboard`)).text();
+        const row = /<td>Assembly A<\/td>([\s\S]*?)<\/tr>/.exec(page.slice(page.indexOf('By Team Responsible')));
+        assert.ok(row, 'no rework row for the team');
+        assert.deepStrictEqual(row[1].match(/<td>\s*([^<]*?)\s*<\/td>/g).slice(-1), ['<td>5</td>']);
+        assert.match(row[1], /20\.0%/);
+
+        // The entry's form offers the catalogue teams and keeps the legacy one
+        const form = await (await fetch(`${app.url}/production/entries/${entryId}/edit`)).text();
+        assert.match(form, /<option value="">Old crew \(not in the team catalogue\)<\/option>/);
+        assert.match(form, /name="rework\[1\]\[team\]" value="Old crew"/);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,127 @@
+/**
+ * Aggregation Check
+ * The dashboards aggregate in SQL (utils/sql-aggregations.js) and the JavaScript
+ * aggregations (utils/aggregations.js) are the reference they must agree with.
+ * This aggregates every month, week, YTD and full-year period of the given FYs
+ * both ways (company-wide and per rep for sales) and lists any metric that
+ * differs. Used by npm test and scripts/verify-aggregations.js.
+ */
+
+const db = require('../db');
+const { getAllFYs, getAllFYMonths, getFYStartMonth, getFYWeeks, PERIOD_YTD, PERIOD_FULL_YEAR } = require('./fy');
+const { aggregateSalesMetrics, aggregateProductionMetrics } = require('./aggregations');
+const { querySalesMetrics, queryProductionMetrics } = require('./sql-aggregations');
+const { getSettings, getSettingsForFY, getSalesReps } = require('./targets');
+const { getProductionAllocations } = require('./production-allocations');
+const { getProductionCostReasons } = require('./cost-reasons');
+const { getOrderBuildCostVariances } = require('./production-costs');
+const { getProductionRework } = require('./rework');
+
+// Allowance for floating point differences between JavaScript and NUMERIC sums
+const TOLERANCE = 1e-6;
+
+/**
+ * List differences between two metric objects
+ * @param {*} expected - JavaScript result
+ * @param {*} actual - SQL result
+ * @param {String} path - Key path for messages
+ * @returns {Array} Array of "path: expected vs actual" strings
+ */
+function diffMetrics(expected, actual, path = '') {
+    if (expected instanceof Date || actual instanceof Date) {
+        return String(expected) === String(actual) ? [] : [`${path}: ${expected} vs ${actual}`];
+    }
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        return Math.abs(expected - actual) <= TOLERANCE ? [] : [`${path}: ${expected} vs ${actual}`];
+    }
+    if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].flatMap(key => diffMetrics(expected[key], actual[key], path ? `${path}.${key}` : key));
+    }
+    return expected === actual ? [] : [`${path}: ${JSON.stringify(expected)} vs ${JSON.stringify(actual)}`];
+}
+
+/**
+ * Load every live order and production entry the way the JavaScript aggregations take them
+ * @returns {Promise<Object>} { orders, production }
+ */
+async function loadAggregationData() {
+    const orderRows = (await db.query('SELECT * FROM orders WHERE deleted_at IS NULL')).rows;
+    const variances = await getOrderBuildCostVariances(orderRows);
+    const orders = orderRows.map(order => ({ ...order, build_cost_variance: variances[order.id] || 0 }));
+
+    const productionRows = (await db.query('SELECT * FROM production_boxes WHERE deleted_at IS NULL')).rows;
+    const ids = productionRows.map(entry => entry.id);
+    const allocations = await getProductionAllocations(ids);
+    const costReasons = await getProductionCostReasons(ids);
+    const rework = await getProductionRework(ids);
+    const production = productionRows.map(entry => ({
+        ...entry,
+        over_cost_reasons: costReasons[entry.id] || [],
+        rework_log: rework[entry.id] || [],
+        allocations: allocations[entry.id] || []
+    }));
+
+    return { orders, production };
+}
+
+/**
+ * Aggregate every period of the FYs both ways and compare
+ * @param {Array|null} fyLabels - FYs to check (null for those on the dashboards)
+ * @returns {Promise<Object>} { checked: number of aggregations compared, mismatches: ["FY period name - difference"] }
+ */
+async function compareAggregations(fyLabels = null) {
+    const baseSettings = await getSettings();
+    const fyStartMonth = getFYStartMonth(baseSettings);
+    const reps = await getSalesReps();
+    const { orders, production } = await loadAggregationData();
+
+    let checked = 0;
+    const mismatches = [];
+
+    for (const fy of fyLabels || getAllFYs(2, fyStartMonth)) {
+        const settings = await getSettingsForFY(fy, baseSettings);
+        const periods = [
+            ...getAllFYMonths(fyStartMonth),
+            ...getFYWeeks(fy, fyStartMonth).map(week => week.key),
+            PERIOD_YTD,
+            PERIOD_FULL_YEAR
+        ];
+
+        for (const period of periods) {
+            const checks = [{
+                name: 'sales',
+                expected: aggregateSalesMetrics(orders, settings, fy, period),
+                actual: await querySalesMetrics(settings, fy, period)
+            }, {
+                name: 'production',
+                expected: aggregateProductionMetrics(production, orders, settings, fy, period),
+                actual: await queryProductionMetrics(settings, fy, period)
+            }];
+
+            for (const rep of reps) {
+                const repOrders = orders.filter(order => order.sales_rep_id === rep.id);
+                checks.push({
+                    name: `sales (${rep.name})`,
+                    expected: aggregateSalesMetrics(repOrders, settings, fy, period),
+                    actual: await querySalesMetrics(settings, fy, period, { salesRepId: rep.id })
+                });
+            }
+
+            checks.forEach(check => {
+                checked++;
+                diffMetrics(check.expected, check.actual).forEach(difference => {
+                    mismatches.push(`${fy} ${period} ${check.name} - ${difference}`);
+                });
+            });
+        }
+    }
+
+    return { checked, mismatches };
+}
+
+module.exports = {
+    diffMetrics,
+    loadAggregationData,
+    compareAggregations
+};
@@ -3,26 +3,29 @@
  */
 
 const { calculateOrderMetrics } = require('./calculations');
-const { getFYDateRange } = require('./fy');
+const { getFYDateRange, getFYStartMonth, isFYWeek } = require('./fy');
+const { countWorkingDays, getWorkingDayShares, getWorkingDayProgress } = require('./calendar');
+const { getSalesEvents } = require('./order-status');
 
 /**
- * Aggregate sales metrics for a given FY month
+ * Aggregate sales metrics for a given FY month (or YTD / full-year / week period).
+ * Orders count when sold and are reversed when cancelled (see getSalesEvents).
  * @param {Array} orders - Array of order objects
  * @param {Object} settings - Settings object
  * @param {String} fyLabel - Financial year label
- * @param {String} fyMonth - Month name (Jul-Jun)
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {Object} targets - Optional { boxTarget, baselineTarget } overriding the company target (e.g. per rep)
  * @returns {Object} Aggregated metrics
  */
-function aggregateSalesMetrics(orders, settings, fyLabel, fyMonth) {
+function aggregateSalesMetrics(orders, settings, fyLabel, fyMonth, targets = null) {
     const baselineFloorPerBox = parseFloat(settings.baseline_floor_per_box) || 700;
-    const monthlyBoxTarget = getMonthlyBoxTarget(settings, fyMonth);
-    const baselineTarget = monthlyBoxTarget * baselineFloorPerBox;
-    
-    // Filter orders for the specific FY month
-    const dateRange = getFYDateRange(fyLabel, fyMonth);
-    const monthOrders = orders.filter(order => {
-        const orderDate = new Date(order.order_date);
-        return orderDate >= dateRange.start && orderDate <= dateRange.end;
+    const dateRange = getFYDateRange(fyLabel, fyMonth, getFYStartMonth(settings));
+    const sales = getSalesEvents(orders, settings);
+    
+    // Filter sales for the specific FY month
+    const monthOrders = sales.filter(sale => {
+        const saleDate = new Date(sale.sale_date);
+        return saleDate >= dateRange.start && saleDate <= dateRange.end;
     });
     
     // Calculate per-order metrics
@@ -30,70 +33,90 @@ function aggregateSalesMetrics(orders, settings, fyLabel, fyMonth) {
         calculateOrderMetrics(order, baselineFloorPerBox)
     );
     
-    // Aggregate totals
-    const boxesSold = monthOrders.reduce((sum, order) => 
-        sum + (parseInt(order.boxes_qty) || 0), 0
-    );
+    const totals = {
+        boxesSold: monthOrders.reduce((sum, order) => 
+            sum + (parseInt(order.boxes_qty) || 0), 0
+        ),
+        ordersCount: monthOrders.reduce((sum, sale) => sum + sale.sale_sign, 0),
+        baselineActual: orderMetrics.reduce((sum, m) => 
+            sum + m.actualBaseline, 0
+        ),
+        buildCostVariance: monthOrders.reduce((sum, order) => 
+            sum + (parseFloat(order.build_cost_variance) || 0), 0
+        ),
+        discountImpactTotal: orderMetrics.reduce((sum, m) => 
+            sum + m.discountImpact, 0
+        ),
+        totalRrp: monthOrders.reduce((sum, order) => 
+            sum + (parseFloat(order.box_rrp_total) || 0), 0
+        ),
+        boxRevenue: monthOrders.reduce((sum, order) => 
+            sum + (parseFloat(order.box_net_total) || 0), 0
+        ),
+        installRevenue: monthOrders.reduce((sum, order) => 
+            sum + (parseFloat(order.install_revenue) || 0), 0
+        ),
+        extrasRevenue: monthOrders.reduce((sum, order) => 
+            sum + (parseFloat(order.extras_revenue) || 0), 0
+        ),
+        rollingBoxes: calculateRolling4WeekBoxes(sales, getRollingWindow(dateRange))
+    };
     
-    const baselineActual = orderMetrics.reduce((sum, m) => 
-        sum + m.actualBaseline, 0
-    );
+    return buildSalesMetrics(totals, settings, fyLabel, fyMonth, targets);
+}
+
+/**
+ * Derive sales metrics from period totals.
+ * Shared by the JavaScript and SQL aggregations so both report identically.
+ * @param {Object} totals - { boxesSold, ordersCount, baselineActual, buildCostVariance, discountImpactTotal,
+ *                            totalRrp, boxRevenue, installRevenue, extrasRevenue, rollingBoxes }
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {Object} targets - Optional { boxTarget, baselineTarget } overriding the company target
+ * @returns {Object} Aggregated metrics
+ */
+function buildSalesMetrics(totals, settings, fyLabel, fyMonth, targets = null) {
+    const baselineFloorPerBox = parseFloat(settings.baseline_floor_per_box) || 700;
+    const monthlyBoxTarget = targets ? targets.boxTarget : getPeriodBoxTarget(settings, fyLabel, fyMonth);
+    const baselineTarget = targets ? targets.baselineTarget : monthlyBoxTarget * baselineFloorPerBox;
+    const dateRange = getFYDateRange(fyLabel, fyMonth, getFYStartMonth(settings));
     
-    const discountImpactTotal = orderMetrics.reduce((sum, m) => 
-        sum + m.discountImpact, 0
-    );
+    const { boxesSold, ordersCount, baselineActual, buildCostVariance, discountImpactTotal, totalRrp, boxRevenue, installRevenue, extrasRevenue } = totals;
+    
+    // Baseline restated with the actual build cost of boxes built so far
+    const baselineOnActuals = baselineActual - buildCostVariance;
     
     const discountBoxesLostTotal = baselineFloorPerBox > 0
         ? discountImpactTotal / baselineFloorPerBox
         : 0;
     
-    // Calculate total RRP for discount percentage
-    const totalRrp = monthOrders.reduce((sum, order) => 
-        sum + (parseFloat(order.box_rrp_total) || 0), 0
-    );
-    
     // Average discount percentage
     const averageDiscountPct = totalRrp > 0 
         ? (discountImpactTotal / totalRrp) * 100 
         : 0;
     
     // Observed sales mix
-    const totalSalesValue = monthOrders.reduce((sum, order) => {
-        const net = parseFloat(order.box_net_total) || 0;
-        const install = parseFloat(order.install_revenue) || 0;
-        const extras = parseFloat(order.extras_revenue) || 0;
-        return sum + net + install + extras;
-    }, 0);
-    
-    const boxRevenue = monthOrders.reduce((sum, order) => 
-        sum + (parseFloat(order.box_net_total) || 0), 0
-    );
-    
-    const installRevenue = monthOrders.reduce((sum, order) => 
-        sum + (parseFloat(order.install_revenue) || 0), 0
-    );
-    
-    const extrasRevenue = monthOrders.reduce((sum, order) => 
-        sum + (parseFloat(order.extras_revenue) || 0), 0
-    );
-    
+    const totalSalesValue = boxRevenue + installRevenue + extrasRevenue;
     const boxMixPct = totalSalesValue > 0 ? (boxRevenue / totalSalesValue) * 100 : 0;
     const installMixPct = totalSalesValue > 0 ? (installRevenue / totalSalesValue) * 100 : 0;
     const extrasMixPct = totalSalesValue > 0 ? (extrasRevenue / totalSalesValue) * 100 : 0;
     
     // Shape & Momentum
-    const ordersCount = monthOrders.length;
     const avgBoxesPerOrder = ordersCount > 0 ? boxesSold / ordersCount : 0;
     const avgBaselinePerBox = boxesSold > 0 ? baselineActual / boxesSold : 0;
     
-    // Rolling 4-week boxes/week (calculate from last 28 days of month)
-    const rolling4WeekBoxes = calculateRolling4WeekBoxes(orders, dateRange.end);
-    const rolling4WeekBoxesPerWeek = rolling4WeekBoxes / 4;
+    // Rolling 4-week boxes/week (trailing 28 days to today or the period end)
+    const rolling4WeekBoxesPerWeek = totals.rollingBoxes / 4;
     
     return {
         boxesSold,
+        boxTarget: monthlyBoxTarget,
+        progress: getTargetProgress(monthlyBoxTarget, boxesSold, dateRange, settings),
         baselineActual,
         baselineTarget,
+        baselineOnActuals,
+        buildCostVariance,
         averageDiscountPct,
         discountImpactTotal,
         discountBoxesLostTotal,
@@ -110,23 +133,60 @@ function aggregateSalesMetrics(orders, settings, fyLabel, fyMonth) {
             ordersCount,
             avgBoxesPerOrder,
             avgBaselinePerBox,
-            rolling4WeekBoxesPerWeek
+            rolling4WeekBoxesPerWeek,
+            rollingWindowEnd: getRollingWindow(dateRange).end
         }
     };
 }
 
 /**
- * Aggregate production metrics for a given FY month
- * @param {Array} productionData - Array of production_boxes objects
- * @param {Array} orders - Array of order objects (for backlog calculation)
+ * Aggregate sales metrics per rep for the director leaderboard
+ * @param {Array} orders - Array of order objects (all reps)
+ * @param {Array} reps - Array of {id, name} sales reps
+ * @param {Object} repTargets - Map of rep id -> { boxTarget, baselineTarget }
  * @param {Object} settings - Settings object
  * @param {String} fyLabel - Financial year label
- * @param {String} fyMonth - Month name (Jul-Jun)
+ * @param {String} fyMonth - Month name (Jan-Dec)
+ * @returns {Array} Array of { rep, hasTarget, metrics } sorted by boxes sold
+ */
+function aggregateRepLeaderboard(orders, reps, repTargets, settings, fyLabel, fyMonth) {
+    const repsById = new Map(reps.map(rep => [rep.id, rep]));
+    
+    // Include anyone else who booked orders this month (e.g. directors)
+    orders.forEach(order => {
+        if (order.sales_rep_id && !repsById.has(order.sales_rep_id)) {
+            repsById.set(order.sales_rep_id, {
+                id: order.sales_rep_id,
+                name: order.sales_rep_name || 'Unknown'
+            });
+        }
+    });
+    
+    return [...repsById.values()].map(rep => {
+        const target = repTargets[rep.id] || null;
+        const repOrders = orders.filter(order => order.sales_rep_id === rep.id);
+        
+        return {
+            rep,
+            hasTarget: target !== null,
+            metrics: aggregateSalesMetrics(repOrders, settings, fyLabel, fyMonth, target || { boxTarget: 0, baselineTarget: 0 })
+        };
+    }).sort((a, b) => b.metrics.boxesSold - a.metrics.boxesSold);
+}
+
+/**
+ * Aggregate production metrics for a given FY month (or YTD / full-year / week period)
+ * @param {Array} productionData - Array of production_boxes objects with their over_cost_reasons and allocations
+ * @param {Array} orders - Array of order objects (for backlog and install load)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
  * @returns {Object} Aggregated metrics
  */
 function aggregateProductionMetrics(productionData, orders, settings, fyLabel, fyMonth) {
-    const monthlyBoxTarget = getMonthlyBoxTarget(settings, fyMonth);
-    const dateRange = getFYDateRange(fyLabel, fyMonth);
+    const dateRange = getFYDateRange(fyLabel, fyMonth, getFYStartMonth(settings));
+    const rollingWindow = getRollingWindow(dateRange);
+    const sales = getSalesEvents(orders, settings);
     
     // Filter production data for the specific FY month
     const monthProduction = productionData.filter(prod => {
@@ -134,51 +194,113 @@ function aggregateProductionMetrics(productionData, orders, settings, fyLabel, f
         return prodDate >= dateRange.start && prodDate <= dateRange.end;
     });
     
-    // Aggregate production totals
-    const boxesBuilt = monthProduction.reduce((sum, prod) => 
-        sum + (parseInt(prod.boxes_built) || 0), 0
-    );
+    const totals = {
+        boxesBuilt: monthProduction.reduce((sum, prod) => 
+            sum + (parseInt(prod.boxes_built) || 0), 0
+        ),
+        boxesOverCost: monthProduction.reduce((sum, prod) => 
+            sum + (parseInt(prod.boxes_over_cost) || 0), 0
+        ),
+        reworkBoxes: monthProduction.reduce((sum, prod) => 
+            sum + (parseInt(prod.rework_boxes) || 0), 0
+        ),
+        
+        // Build cost of entries with costs recorded
+        costedBoxes: monthProduction.filter(prod => prod.standard_build_cost !== null && prod.standard_build_cost !== undefined)
+          .reduce((sum, prod) => sum + (parseInt(prod.boxes_built) || 0), 0),
+        standardCost: monthProduction.reduce((sum, prod) => 
+            sum + (parseFloat(prod.standard_build_cost) || 0), 0
+        ),
+        actualCost: monthProduction.reduce((sum, prod) => 
+            sum + (parseFloat(prod.actual_build_cost) || 0), 0
+        ),
+        costOverrun: monthProduction.reduce((sum, prod) => 
+            sum + (parseFloat(prod.cost_overrun) || 0), 0
+        ),
+        reasons: aggregateCostLeakageReasons(monthProduction),
+        categories: aggregateCostLeakageCategories(monthProduction),
+        rework: aggregateReworkLog(monthProduction),
+        rollingBoxes: calculateRolling4WeekProduction(productionData, rollingWindow),
+        
+        // Boxes of open orders not yet built at the period end
+        backlogBoxes: calculateBacklogBoxes(orders, productionData, dateRange.end),
+        
+        // Install load (from orders with install revenue)
+        installedBoxes: sales.filter(sale => {
+            const saleDate = new Date(sale.sale_date);
+            return saleDate >= dateRange.start && saleDate <= dateRange.end;
+        }).filter(hasInstall)
+          .reduce((sum, sale) => sum + (parseInt(sale.boxes_qty) || 0), 0),
+        rollingInstalledBoxes: calculateInstalledBoxes(sales, rollingWindow)
+    };
     
-    const boxesOverCost = monthProduction.reduce((sum, prod) => 
-        sum + (parseInt(prod.boxes_over_cost) || 0), 0
-    );
+    return buildProductionMetrics(totals, settings, fyLabel, fyMonth);
+}
+
+/**
+ * Derive production metrics from period totals.
+ * Shared by the JavaScript and SQL aggregations so both report identically.
+ * @param {Object} totals - { boxesBuilt, boxesOverCost, reworkBoxes, costedBoxes, standardCost, actualCost,
+ *                            costOverrun, reasons, categories, rework, rollingBoxes, backlogBoxes,
+ *                            installedBoxes, rollingInstalledBoxes }
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @returns {Object} Aggregated metrics
+ */
+function buildProductionMetrics(totals, settings, fyLabel, fyMonth) {
+    const dateRange = getFYDateRange(fyLabel, fyMonth, getFYStartMonth(settings));
+    const rollingWindow = getRollingWindow(dateRange);
+    const boxTarget = getPeriodPlanBoxes(settings, fyLabel, fyMonth);
+    const shutdownDates = settings.shutdown_dates || [];
     
-    const reworkBoxes = monthProduction.reduce((sum, prod) => 
-        sum + (parseInt(prod.rework_boxes) || 0), 0
-    );
+    const { boxesBuilt, boxesOverCost, reworkBoxes, installedBoxes } = totals;
     
     // Cost compliance percentage
     const costCompliancePct = boxesBuilt > 0
         ? ((boxesBuilt - boxesOverCost) / boxesBuilt) * 100
         : 100;
     
-    // Cost leakage reasons
-    const costLeakageReasons = aggregateCostLeakageReasons(monthProduction);
-    
-    // Rolling 4-week average
-    const rolling4WeekBoxes = calculateRolling4WeekProduction(productionData, dateRange.end);
-    const rolling4WeekAvg = rolling4WeekBoxes / 4;
+    // Cost compliance by value: share of the standard cost not overrun
+    const { costedBoxes, standardCost, actualCost, costOverrun } = totals;
+    const valueCompliancePct = standardCost > 0
+        ? Math.max(1 - costOverrun / standardCost, 0) * 100
+        : 100;
+    const reasonOverrun = totals.reasons.reduce((sum, reason) => sum + reason.overrun, 0);
     
-    // Backlog (boxes sold - boxes built)
-    const boxesSold = orders.filter(order => {
-        const orderDate = new Date(order.order_date);
-        return orderDate <= dateRange.end;
-    }).reduce((sum, order) => sum + (parseInt(order.boxes_qty) || 0), 0);
+    // Rolling 4-week average (trailing 28 days to today or the period end)
+    const rolling4WeekAvg = totals.rollingBoxes / 4;
     
-    const backlog = boxesSold - boxesBuilt;
+    // Backlog (boxes on open orders not yet built for them)
+    const backlog = totals.backlogBoxes;
     
     // Quality metrics
     const reworkRate = boxesBuilt > 0 ? (reworkBoxes / boxesBuilt) * 100 : 0;
-    
-    // Install load (from orders with install revenue)
-    const installedBoxes = orders.filter(order => {
-        const orderDate = new Date(order.order_date);
-        return orderDate >= dateRange.start && orderDate <= dateRange.end;
-    }).filter(order => (parseFloat(order.install_revenue) || 0) > 0)
-      .reduce((sum, order) => sum + (parseInt(order.boxes_qty) || 0), 0);
-    
-    const installsPerWeek = calculateInstallsPerWeek(orders, dateRange);
-    const installCapacity = parseInt(settings.install_capacity_high_season_per_week) || 15;
+    const firstTimeRightPct = boxesBuilt > 0 ? ((boxesBuilt - reworkBoxes) / boxesBuilt) * 100 : 100;
+    const loggedReworkBoxes = totals.rework.reduce((sum, row) => sum + row.boxes, 0);
+    
+    // Defect types most boxes first, each with its cumulative share (Pareto)
+    let cumulativeBoxes = 0;
+    const defects = summarizeRework(totals.rework, row => ({ key: row.defect_type, defectType: row.defect_type }))
+        .map(defect => {
+            cumulativeBoxes += defect.boxes;
+            return {
+                ...defect,
+                sharePct: loggedReworkBoxes > 0 ? (defect.boxes / loggedReworkBoxes) * 100 : 0,
+                cumulativePct: loggedReworkBoxes > 0 ? (cumulativeBoxes / loggedReworkBoxes) * 100 : 0
+            };
+        });
+    
+    // Installs per week (last 4 weeks)
+    const installsPerWeek = totals.rollingInstalledBoxes / 4;
+    
+    // Weekly capacity scaled by working days: the selected week, or the average
+    // week across the rolling window
+    const baseCapacity = parseInt(settings.install_capacity_high_season_per_week) || 15;
+    const capacityDays = isFYWeek(fyMonth)
+        ? countWorkingDays(dateRange.start, dateRange.end, shutdownDates)
+        : countWorkingDays(rollingWindow.start, rollingWindow.end, shutdownDates) / 4;
+    const installCapacity = Math.round(baseCapacity * (capacityDays / 5) * 10) / 10;
     
     // Observed install shape
     const collectedBoxes = boxesBuilt; // Assuming built boxes are collected
@@ -186,24 +308,44 @@ function aggregateProductionMetrics(productionData, orders, settings, fyLabel, f
     
     return {
         boxesBuilt,
+        boxTarget,
+        progress: getTargetProgress(boxTarget, boxesBuilt, dateRange, settings),
         costCompliancePct,
+        valueCompliancePct,
         costLeakage: {
             boxesOverCost,
-            reasons: costLeakageReasons
+            costedBoxes,
+            standardCost,
+            actualCost,
+            overrunValue: costOverrun,
+            overrunPerBox: costedBoxes > 0 ? costOverrun / costedBoxes : 0,
+            unattributedOverrun: Math.max(costOverrun - reasonOverrun, 0),
+            reasons: totals.reasons,
+            categories: totals.categories
         },
         flowMetrics: {
             boxesBuilt,
             rolling4WeekAvg,
+            rollingWindowEnd: rollingWindow.end,
             installLoad: {
                 installedBoxes,
                 installsPerWeek,
-                capacity: installCapacity
+                capacity: installCapacity,
+                baseCapacity
             },
             backlog
         },
         qualityMetrics: {
             reworkBoxes,
-            reworkRate
+            reworkRate,
+            firstTimeRightPct,
+            loggedReworkBoxes,
+            unloggedReworkBoxes: Math.max(reworkBoxes - loggedReworkBoxes, 0),
+            reworkCost: totals.rework.reduce((sum, row) => sum + row.cost, 0),
+            reworkHours: totals.rework.reduce((sum, row) => sum + row.hours, 0),
+            defects,
+            stages: summarizeRework(totals.rework, row => ({ key: row.stage, stage: row.stage })),
+            teams: summarizeRework(totals.rework, row => ({ key: row.team, team: row.team }))
         },
         installShape: {
             installedBoxes,
@@ -228,94 +370,324 @@ function getMonthlyBoxTarget(settings, fyMonth) {
 }
 
 /**
- * Aggregate cost leakage reasons from production data
- * @param {Array} productionData
- * @returns {Array} Sorted array of {reason, count, boxes}
+ * Get the share of each month's target that falls in a period.
+ * Whole months count in full; weeks are pro-rated by working days.
+ * @param {Object} settings
+ * @param {String} fyLabel
+ * @param {String} period - Month name, "YTD", "FY" or week key
+ * @returns {Object} Map of month name -> share (0-1)
  */
-function aggregateCostLeakageReasons(productionData) {
-    const reasonMap = {};
+function getPeriodMonthShares(settings, fyLabel, period) {
+    const dateRange = getFYDateRange(fyLabel, period, getFYStartMonth(settings));
+    return getWorkingDayShares(dateRange.start, dateRange.end, settings.shutdown_dates || []);
+}
+
+/**
+ * Get box target for an FY month or period (sum of the period's share of monthly targets)
+ * @param {Object} settings
+ * @param {String} fyLabel
+ * @param {String} period - Month name, "YTD", "FY" or week key
+ * @returns {Number} Rounded to 1 decimal place
+ */
+function getPeriodBoxTarget(settings, fyLabel, period) {
+    const shares = getPeriodMonthShares(settings, fyLabel, period);
+    const target = Object.entries(shares)
+        .reduce((sum, [month, share]) => sum + getMonthlyBoxTarget(settings, month) * share, 0);
+    return Math.round(target * 10) / 10;
+}
+
+/**
+ * Get the production build plan for an FY month (the sales target when the
+ * month has no plan of its own)
+ * @param {Object} settings - Settings object (production_plan)
+ * @param {String} fyMonth
+ * @returns {Number}
+ */
+function getMonthlyPlanBoxes(settings, fyMonth) {
+    const plan = settings.production_plan || { months: {}, weeks: {} };
+    return plan.months[fyMonth] !== undefined
+        ? plan.months[fyMonth]
+        : getMonthlyBoxTarget(settings, fyMonth);
+}
+
+/**
+ * Get the production build plan for an FY month or period. A planned week
+ * uses its own plan; anything else sums its share of the monthly plans.
+ * @param {Object} settings - Settings object (production_plan)
+ * @param {String} fyLabel
+ * @param {String} period - Month name, "YTD", "FY" or week key
+ * @returns {Number} Rounded to 1 decimal place
+ */
+function getPeriodPlanBoxes(settings, fyLabel, period) {
+    const plan = settings.production_plan || { months: {}, weeks: {} };
+    if (isFYWeek(period) && plan.weeks[period] !== undefined) {
+        return plan.weeks[period];
+    }
+
+    const shares = getPeriodMonthShares(settings, fyLabel, period);
+    const planBoxes = Object.entries(shares)
+        .reduce((sum, [month, share]) => sum + getMonthlyPlanBoxes(settings, month) * share, 0);
+    return Math.round(planBoxes * 10) / 10;
+}
+
+/**
+ * Progress against a period target by working days
+ * @param {Number} boxTarget - Target for the whole period
+ * @param {Number} boxesActual - Boxes achieved so far
+ * @param {Object} dateRange - { start, end } of the period
+ * @param {Object} settings - Settings object (shutdown_dates)
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Object} { targetToDate, totalDays, elapsedDays, remainingDays, remainingBoxes, requiredDailyRate }
+ */
+function getTargetProgress(boxTarget, boxesActual, dateRange, settings, asOf = new Date()) {
+    const days = getWorkingDayProgress(dateRange, settings.shutdown_dates || [], asOf);
+    
+    const targetToDate = days.totalDays > 0
+        ? Math.round((boxTarget * days.elapsedDays / days.totalDays) * 10) / 10
+        : 0;
+    const remainingBoxes = Math.max(boxTarget - boxesActual, 0);
+    
+    // No run-rate once the period has no working days left
+    const requiredDailyRate = days.remainingDays > 0
+        ? remainingBoxes / days.remainingDays
+        : null;
+    
+    return {
+        targetToDate,
+        ...days,
+        remainingBoxes,
+        requiredDailyRate
+    };
+}
+
+/**
+ * Get the trailing 4-week window for a period: the 28 days up to today,
+ * or up to the period end if that is earlier
+ * @param {Object} dateRange - { start, end } of the period
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getRollingWindow(dateRange, asOf = new Date()) {
+    const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    const end = dateRange.end < today ? new Date(dateRange.end) : today;
+
+    const start = new Date(end);
+    start.setDate(start.getDate() - 27);
+
+    return { start, end };
+}
+
+/**
+ * Month-by-month sales metrics for a period
+ * @param {Array} orders - Orders covering the period
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {Array} months - Month names in the period
+ * @param {Array} monthTargets - Optional per-month { boxTarget, baselineTarget } (e.g. a rep's)
+ * @returns {Array} Array of { month, metrics }
+ */
+function aggregateSalesBreakdown(orders, settings, fyLabel, months, monthTargets = null) {
+    return months.map((month, index) => ({
+        month,
+        metrics: aggregateSalesMetrics(orders, settings, fyLabel, month, monthTargets ? monthTargets[index] : null)
+    }));
+}
+
+/**
+ * Month-by-month production metrics for a period
+ * @param {Array} productionData - Production entries covering the period
+ * @param {Array} orders - Orders up to the period end
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {Array} months - Month names in the period
+ * @returns {Array} Array of { month, boxTarget, metrics }
+ */
+function aggregateProductionBreakdown(productionData, orders, settings, fyLabel, months) {
+    return months.map(month => ({
+        month,
+        boxTarget: getMonthlyPlanBoxes(settings, month),
+        metrics: aggregateProductionMetrics(productionData, orders, settings, fyLabel, month)
+    }));
+}
+
+/**
+ * Sum production entries' over-cost reasons by a key
+ * @param {Array} productionData - production_boxes objects with their over_cost_reasons
+ * @param {Function} getGroup - reason row => { key, ...fields of the group }
+ * @returns {Array} Groups with count, boxes and overrun, most boxes first (ties by key)
+ */
+function sumCostLeakage(productionData, getGroup) {
+    const groups = {};
     
     productionData.forEach(prod => {
-        if (!prod.over_cost_reasons_json) return;
-        
-        const reasons = typeof prod.over_cost_reasons_json === 'string'
-            ? JSON.parse(prod.over_cost_reasons_json)
-            : prod.over_cost_reasons_json;
-        
-        if (Array.isArray(reasons)) {
-            reasons.forEach(r => {
-                const reason = r.reason || 'unknown';
-                if (!reasonMap[reason]) {
-                    reasonMap[reason] = { reason, count: 0, boxes: 0 };
-                }
-                reasonMap[reason].count++;
-                reasonMap[reason].boxes += parseInt(r.boxes) || 0;
-            });
+        (prod.over_cost_reasons || []).forEach(reason => {
+            const { key, ...fields } = getGroup(reason);
+            if (!groups[key]) {
+                groups[key] = { key, ...fields, count: 0, boxes: 0, overrun: 0 };
+            }
+            groups[key].count++;
+            groups[key].boxes += parseInt(reason.boxes) || 0;
+            groups[key].overrun += parseFloat(reason.overrun) || 0;
+        });
+    });
+    
+    // Ties by name, matching the SQL ordering
+    return Object.values(groups)
+        .sort((a, b) => (b.boxes - a.boxes) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(({ key, ...group }) => group);
+}
+
+/**
+ * Aggregate cost leakage by catalogue reason
+ * @param {Array} productionData - production_boxes objects with their over_cost_reasons
+ * @returns {Array} Array of { reason, category, count, boxes, overrun }, most boxes first
+ */
+function aggregateCostLeakageReasons(productionData) {
+    return sumCostLeakage(productionData, reason => ({ key: reason.reason, reason: reason.reason, category: reason.category }));
+}
+
+/**
+ * Aggregate cost leakage by reason category
+ * @param {Array} productionData - production_boxes objects with their over_cost_reasons
+ * @returns {Array} Array of { category, count, boxes, overrun }, most boxes first
+ */
+function aggregateCostLeakageCategories(productionData) {
+    return sumCostLeakage(productionData, reason => ({ key: reason.category, category: reason.category }));
+}
+
+/**
+ * Collect the rework logged against production entries, one row per instance
+ * (the SQL aggregation returns the same rows grouped, with their count)
+ * @param {Array} productionData - production_boxes objects with their rework_log
+ * @returns {Array} Array of { defect_type, stage, team, count, boxes, cost, hours }
+ */
+function aggregateReworkLog(productionData) {
+    return productionData.flatMap(prod => (prod.rework_log || []).map(row => ({
+        defect_type: row.defect_type,
+        stage: row.stage,
+        team: row.team,
+        count: 1,
+        boxes: parseInt(row.boxes) || 0,
+        cost: parseFloat(row.cost) || 0,
+        hours: parseFloat(row.hours) || 0
+    })));
+}
+
+/**
+ * Sum rework rows by a key
+ * @param {Array} rows - From aggregateReworkLog (or grouped by queryReworkLog)
+ * @param {Function} getGroup - row => { key, ...fields of the group }
+ * @returns {Array} Groups with count, boxes, cost and hours, most boxes first (ties by key)
+ */
+function summarizeRework(rows, getGroup) {
+    const groups = {};
+    
+    rows.forEach(row => {
+        const { key, ...fields } = getGroup(row);
+        if (!groups[key]) {
+            groups[key] = { key, ...fields, count: 0, boxes: 0, cost: 0, hours: 0 };
         }
+        groups[key].count += row.count;
+        groups[key].boxes += row.boxes;
+        groups[key].cost += row.cost;
+        groups[key].hours += row.hours;
     });
     
-    return Object.values(reasonMap)
-        .sort((a, b) => b.boxes - a.boxes)
-        .slice(0, 5); // Top 5
+    return Object.values(groups)
+        .sort((a, b) => (b.boxes - a.boxes) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(({ key, ...group }) => group);
 }
 
 /**
  * Calculate rolling 4-week boxes sold
- * @param {Array} orders
- * @param {Date} endDate
+ * @param {Array} sales - From getSalesEvents
+ * @param {Object} window - { start, end } from getRollingWindow
  * @returns {Number}
  */
-function calculateRolling4WeekBoxes(orders, endDate) {
-    const startDate = new Date(endDate);
-    startDate.setDate(startDate.getDate() - 28);
-    
-    return orders.filter(order => {
-        const orderDate = new Date(order.order_date);
-        return orderDate >= startDate && orderDate <= endDate;
-    }).reduce((sum, order) => sum + (parseInt(order.boxes_qty) || 0), 0);
+function calculateRolling4WeekBoxes(sales, window) {
+    return sales.filter(sale => {
+        const saleDate = new Date(sale.sale_date);
+        return saleDate >= window.start && saleDate <= window.end;
+    }).reduce((sum, sale) => sum + (parseInt(sale.boxes_qty) || 0), 0);
 }
 
 /**
  * Calculate rolling 4-week production
  * @param {Array} productionData
- * @param {Date} endDate
+ * @param {Object} window - { start, end } from getRollingWindow
  * @returns {Number}
  */
-function calculateRolling4WeekProduction(productionData, endDate) {
-    const startDate = new Date(endDate);
-    startDate.setDate(startDate.getDate() - 28);
-    
+function calculateRolling4WeekProduction(productionData, window) {
     return productionData.filter(prod => {
         const prodDate = new Date(prod.production_date);
-        return prodDate >= startDate && prodDate <= endDate;
+        return prodDate >= window.start && prodDate <= window.end;
     }).reduce((sum, prod) => sum + (parseInt(prod.boxes_built) || 0), 0);
 }
 
 /**
- * Calculate installs per week (last 4 weeks)
- * @param {Array} orders
- * @param {Object} dateRange
+ * Calculate the backlog on a date: boxes of orders confirmed by then, and not
+ * cancelled or marked built by then, less the boxes production entries dated
+ * up to then allocated to them (see utils/production-allocations.js)
+ * @param {Array} orders - Array of order objects
+ * @param {Array} productionData - Array of production_boxes objects with their allocations
+ * @param {Date} asOf
  * @returns {Number}
  */
-function calculateInstallsPerWeek(orders, dateRange) {
-    const startDate = new Date(dateRange.end);
-    startDate.setDate(startDate.getDate() - 28);
-    
-    const installOrders = orders.filter(order => {
-        const orderDate = new Date(order.order_date);
-        return orderDate >= startDate && orderDate <= dateRange.end &&
-               (parseFloat(order.install_revenue) || 0) > 0;
+function calculateBacklogBoxes(orders, productionData, asOf) {
+    const reached = date => Boolean(date) && new Date(date) <= asOf;
+    
+    const builtByOrder = {};
+    productionData.filter(prod => reached(prod.production_date)).forEach(prod => {
+        (prod.allocations || []).forEach(allocation => {
+            builtByOrder[allocation.order_id] = (builtByOrder[allocation.order_id] || 0) + (parseInt(allocation.boxes) || 0);
+        });
     });
     
-    const totalBoxes = installOrders.reduce((sum, order) => 
+    return orders
+        .filter(order => reached(order.confirmed_date) && !reached(order.cancelled_date) && !reached(order.built_date))
+        .reduce((sum, order) => sum + Math.max((parseInt(order.boxes_qty) || 0) - (builtByOrder[order.id] || 0), 0), 0);
+}
+
+/**
+ * Check whether a sale is of an order with install revenue (a reversal carries
+ * the order's amounts negated, so its sign is taken out first)
+ * @param {Object} sale - From getSalesEvents
+ * @returns {Boolean}
+ */
+function hasInstall(sale) {
+    return (parseFloat(sale.install_revenue) || 0) * sale.sale_sign > 0;
+}
+
+/**
+ * Calculate boxes on orders with installs in the rolling window
+ * @param {Array} sales - From getSalesEvents
+ * @param {Object} window - { start, end } from getRollingWindow
+ * @returns {Number}
+ */
+function calculateInstalledBoxes(sales, window) {
+    const installOrders = sales.filter(sale => {
+        const saleDate = new Date(sale.sale_date);
+        return saleDate >= window.start && saleDate <= window.end && hasInstall(sale);
+    });
+    
+    return installOrders.reduce((sum, order) => 
         sum + (parseInt(order.boxes_qty) || 0), 0
     );
-    
-    return totalBoxes / 4; // Average per week
 }
 
 module.exports = {
     aggregateSalesMetrics,
+    buildSalesMetrics,
+    aggregateRepLeaderboard,
     aggregateProductionMetrics,
-    getMonthlyBoxTarget
+    buildProductionMetrics,
+    aggregateSalesBreakdown,
+    aggregateProductionBreakdown,
+    getMonthlyBoxTarget,
+    getPeriodMonthShares,
+    getPeriodBoxTarget,
+    getMonthlyPlanBoxes,
+    getPeriodPlanBoxes,
+    getTargetProgress,
+    getRollingWindow
 };
@@ -0,0 +1,80 @@
+/**
+ * API Tokens
+ * Bearer tokens for service-to-service access to /api/v1. Tokens are shown
+ * once when issued; only a SHA-256 hash is stored.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const TOKEN_PREFIX = 'csgb_';
+
+// Scopes a token can be granted (write scopes include read)
+const API_TOKEN_SCOPES = [
+    { key: 'metrics:read', label: 'Read dashboard metrics' },
+    { key: 'orders:read', label: 'Read orders' },
+    { key: 'orders:write', label: 'Create, update and delete orders' },
+    { key: 'production:read', label: 'Read production entries' },
+    { key: 'production:write', label: 'Create, update and delete production entries' }
+];
+
+/**
+ * Hash a token for storage and lookup
+ * @param {String} token
+ * @returns {String} Hex SHA-256 digest
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new random token
+ * @returns {Object} { token, prefix, hash } - token is only available now
+ */
+function generateApiToken() {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+        token,
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        hash: hashApiToken(token)
+    };
+}
+
+/**
+ * Check whether granted scopes allow a scope (write scopes include read)
+ * @param {Array} scopes - Granted scopes
+ * @param {String} scope - Required scope, e.g. "orders:read"
+ * @returns {Boolean}
+ */
+function hasApiScope(scopes, scope) {
+    if (scopes.includes(scope)) return true;
+    return scope.endsWith(':read') && scopes.includes(scope.replace(/:read$/, ':write'));
+}
+
+/**
+ * Find the active (not revoked or expired) token for a bearer value and
+ * record its use
+ * @param {String} token - Bearer token from the Authorization header
+ * @returns {Promise<Object|null>} { id, name, scopes } or null
+ */
+async function authenticateApiToken(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const tokenResult = await db.query(
+        `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         RETURNING id, name, scopes`,
+        [hashApiToken(token)]
+    );
+
+    return tokenResult.rows[0] || null;
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    generateApiToken,
+    hasApiScope,
+    authenticateApiToken
+};
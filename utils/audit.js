@@ -0,0 +1,147 @@
+/**
+ * Audit Log
+ * Records who changed what: one audit_log row per write with the actor,
+ * entity, action and the row's values before and after the change.
+ */
+
+const db = require('../db');
+const { getAuthUser } = require('../middleware/auth');
+
+// Entity types written to audit_log (keys are stored, labels shown in the viewer)
+const AUDIT_ENTITY_TYPES = [
+    { key: 'order', label: 'Order' },
+    { key: 'production_entry', label: 'Production entry' },
+    { key: 'customer', label: 'Customer' },
+    { key: 'box_type', label: 'Box type' },
+    { key: 'over_cost_reason', label: 'Over-cost reason' },
+    { key: 'defect_type', label: 'Defect type' },
+    { key: 'production_line', label: 'Production line' },
+    { key: 'production_team', label: 'Production team' },
+    { key: 'production_plan', label: 'Production plan' },
+    { key: 'dashboard_note', label: 'Dashboard note' },
+    { key: 'settings', label: 'Settings' },
+    { key: 'fy_targets', label: 'FY targets' },
+    { key: 'rep_targets', label: 'Rep targets' },
+    { key: 'shutdown_day', label: 'Shutdown day' },
+    { key: 'rag_rules', label: 'RAG thresholds' },
+    { key: 'user', label: 'User' },
+    { key: 'api_token', label: 'API token' },
+    { key: 'period_close', label: 'Month close' },
+    { key: 'kpi_snapshot', label: 'KPI snapshot' }
+];
+
+const AUDIT_ACTIONS = ['create', 'update', 'status', 'delete', 'restore', 'purge', 'revoke', 'close', 'reopen'];
+
+const AUDIT_SOURCES = ['web', 'api', 'csv'];
+
+// Columns never copied into the audit log
+const REDACTED_FIELDS = ['password_hash', 'token_hash'];
+
+/**
+ * Work out where a write came from
+ * @param {Object} req
+ * @returns {String} 'api', 'csv' or 'web'
+ */
+function getAuditSource(req) {
+    if (req.apiToken || req.originalUrl.startsWith('/api/')) return 'api';
+    if (req.originalUrl.startsWith('/csv/')) return 'csv';
+    return 'web';
+}
+
+/**
+ * Get the actor for an audit entry
+ * @param {Object} req
+ * @returns {Object} { userId, name, tokenId }
+ */
+function getAuditActor(req) {
+    const authUser = getAuthUser(req);
+    const name = req.apiToken
+        ? `API token: ${req.apiToken.name}`
+        : (req.session.userName || `User ${authUser.userId}`);
+    return { userId: authUser.userId, name, tokenId: authUser.tokenId };
+}
+
+/**
+ * Prepare a row for storage: drop secrets and keep plain JSON values
+ * @param {Object|null} values - Row or object of values
+ * @returns {Object|null}
+ */
+function toAuditValues(values) {
+    if (!values) return null;
+    const cleaned = JSON.parse(JSON.stringify(values));
+    REDACTED_FIELDS.forEach(field => {
+        delete cleaned[field];
+    });
+    return cleaned;
+}
+
+/**
+ * Record several audit entries in one insert
+ * @param {Object} req - Request of the user (or API token) making the change
+ * @param {Array} entries - [{ entityType, entityId, action, before, after }]
+ * @param {Object} executor - db pool or a transaction client (default: db)
+ * @returns {Promise<void>}
+ */
+async function recordAuditEntries(req, entries, executor = db) {
+    if (entries.length === 0) return;
+
+    const actor = getAuditActor(req);
+    const rows = entries.map(entry => ({
+        entity_type: entry.entityType,
+        entity_id: entry.entityId === null || entry.entityId === undefined ? null : String(entry.entityId),
+        action: entry.action,
+        before_json: toAuditValues(entry.before),
+        after_json: toAuditValues(entry.after)
+    }));
+
+    await executor.query(
+        `INSERT INTO audit_log (
+            actor_user_id, actor_name, api_token_id, source,
+            entity_type, entity_id, action, before_json, after_json
+        )
+        SELECT $1, $2, $3, $4, e.entity_type, e.entity_id, e.action, e.before_json, e.after_json
+        FROM jsonb_to_recordset($5::jsonb)
+            AS e(entity_type TEXT, entity_id TEXT, action TEXT, before_json JSONB, after_json JSONB)`,
+        [actor.userId, actor.name, actor.tokenId, getAuditSource(req), JSON.stringify(rows)]
+    );
+}
+
+/**
+ * Record an audit entry for one write
+ * @param {Object} req - Request of the user (or API token) making the change
+ * @param {Object} entry - { entityType, entityId, action, before, after }
+ *   before is null for creates, after is null for deletes
+ * @param {Object} executor - db pool or a transaction client (default: db)
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, entry, executor = db) {
+    await recordAuditEntries(req, [entry], executor);
+}
+
+/**
+ * List the fields whose values differ between before and after
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array} [{ field, before, after }]
+ */
+function getAuditChanges(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+    fields.forEach(field => {
+        const beforeValue = before && field in before ? before[field] : null;
+        const afterValue = after && field in after ? after[field] : null;
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            changes.push({ field, before: beforeValue, after: afterValue });
+        }
+    });
+    return changes;
+}
+
+module.exports = {
+    AUDIT_ENTITY_TYPES,
+    AUDIT_ACTIONS,
+    AUDIT_SOURCES,
+    recordAudit,
+    recordAuditEntries,
+    getAuditChanges
+};
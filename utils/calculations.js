@@ -2,17 +2,83 @@
  * Per-Order Calculations
  */
 
+/**
+ * Round an amount to the penny
+ * @param {Number} amount
+ * @returns {Number}
+ */
+function roundToPence(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Calculate the totals of a single order line (qty x unit price, to the penny)
+ * @param {Object} line - Order line ({ qty, unit_rrp, unit_net, unit_build_cost })
+ * @returns {Object} { rrp_total, net_total, build_cost_total }
+ */
+function calculateLineTotals(line) {
+    const qty = parseInt(line.qty) || 0;
+    
+    return {
+        rrp_total: roundToPence(qty * (parseFloat(line.unit_rrp) || 0)),
+        net_total: roundToPence(qty * (parseFloat(line.unit_net) || 0)),
+        build_cost_total: roundToPence(qty * (parseFloat(line.unit_build_cost) || 0))
+    };
+}
+
+/**
+ * Sum an order's lines into the order totals stored on the order. Lines that
+ * carry their totals (validated or stored lines) count those, since a lump sum
+ * split into unit prices keeps its exact total; others are qty x unit price.
+ * @param {Array} lines - Order lines ({ line_type, qty, unit_rrp, unit_net, unit_build_cost, and optionally rrp_total, net_total, build_cost_total })
+ * @returns {Object} { boxes_qty, box_rrp_total, box_net_total, box_build_cost_total, install_revenue, extras_revenue }
+ */
+function calculateOrderTotals(lines) {
+    const totals = {
+        boxes_qty: 0,
+        box_rrp_total: 0,
+        box_net_total: 0,
+        box_build_cost_total: 0,
+        install_revenue: 0,
+        extras_revenue: 0
+    };
+    
+    lines.forEach(line => {
+        const hasTotals = line.net_total !== undefined && line.net_total !== null;
+        const lineTotals = hasTotals ? line : calculateLineTotals(line);
+        if (line.line_type === 'install') {
+            totals.install_revenue += parseFloat(lineTotals.net_total) || 0;
+        } else if (line.line_type === 'extras') {
+            totals.extras_revenue += parseFloat(lineTotals.net_total) || 0;
+        } else {
+            totals.boxes_qty += parseInt(line.qty) || 0;
+            totals.box_rrp_total += parseFloat(lineTotals.rrp_total) || 0;
+            totals.box_net_total += parseFloat(lineTotals.net_total) || 0;
+            totals.box_build_cost_total += parseFloat(lineTotals.build_cost_total) || 0;
+        }
+    });
+    
+    ['box_rrp_total', 'box_net_total', 'box_build_cost_total', 'install_revenue', 'extras_revenue'].forEach(field => {
+        totals[field] = roundToPence(totals[field]);
+    });
+    
+    return totals;
+}
+
 /**
  * Calculate metrics for a single order
- * @param {Object} order - Order object from database
+ * @param {Object} order - Order object from database (totals come from order.lines when loaded)
  * @param {Number} baselineFloorPerBox - Baseline floor per box from settings
  * @returns {Object} Calculated metrics
  */
 function calculateOrderMetrics(order, baselineFloorPerBox) {
-    const boxRrpTotal = parseFloat(order.box_rrp_total) || 0;
-    const boxNetTotal = parseFloat(order.box_net_total) || 0;
-    const boxBuildCostTotal = parseFloat(order.box_build_cost_total) || 0;
-    const boxesQty = parseInt(order.boxes_qty) || 1;
+    const totals = Array.isArray(order.lines) && order.lines.length > 0
+        ? calculateOrderTotals(order.lines)
+        : order;
+    const boxRrpTotal = parseFloat(totals.box_rrp_total) || 0;
+    const boxNetTotal = parseFloat(totals.box_net_total) || 0;
+    const boxBuildCostTotal = parseFloat(totals.box_build_cost_total) || 0;
+    const boxesQty = parseInt(totals.boxes_qty) || 1;
     
     // Expected baseline (if no discount)
     const expectedBaseline = boxRrpTotal - boxBuildCostTotal;
@@ -41,5 +107,8 @@ function calculateOrderMetrics(order, baselineFloorPerBox) {
 }
 
 module.exports = {
+    roundToPence,
+    calculateLineTotals,
+    calculateOrderTotals,
     calculateOrderMetrics
 };
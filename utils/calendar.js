@@ -0,0 +1,224 @@
+/**
+ * Working Calendar Utilities
+ * Working days are Monday-Friday, excluding UK (England & Wales) bank holidays
+ * and any director-defined factory shutdown days.
+ */
+
+const { getFYMonth } = require('./fy');
+
+// One-off changes to the regular bank holiday rules
+const MOVED_BANK_HOLIDAYS = {
+    '2020-05-04': '2020-05-08', // VE Day anniversary
+    '2022-05-30': '2022-06-02'  // Platinum Jubilee
+};
+const EXTRA_BANK_HOLIDAYS = [
+    '2022-06-03', // Platinum Jubilee
+    '2022-09-19', // State funeral
+    '2023-05-08'  // Coronation
+];
+
+const bankHolidayCache = new Map();
+
+/**
+ * Format a date as a YYYY-MM-DD key (local time)
+ * @param {Date|String} date
+ * @returns {String}
+ */
+function toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get Easter Sunday for a year (Gregorian calendar)
+ * @param {Number} year
+ * @returns {Date}
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the first or last Monday of a month
+ * @param {Number} year
+ * @param {Number} monthIndex - 0-11
+ * @param {Boolean} last - Last Monday instead of first
+ * @returns {Date}
+ */
+function getMonday(year, monthIndex, last = false) {
+    const date = last
+        ? new Date(year, monthIndex + 1, 0)
+        : new Date(year, monthIndex, 1);
+    const step = last ? -1 : 1;
+
+    while (date.getDay() !== 1) {
+        date.setDate(date.getDate() + step);
+    }
+    return date;
+}
+
+/**
+ * Get UK (England & Wales) bank holidays for a calendar year.
+ * Weekend holidays are substituted by the next free weekday.
+ * @param {Number} year
+ * @returns {Array} Sorted YYYY-MM-DD keys
+ */
+function getUKBankHolidays(year) {
+    if (bankHolidayCache.has(year)) {
+        return bankHolidayCache.get(year);
+    }
+
+    const easter = getEasterSunday(year);
+    const goodFriday = new Date(easter);
+    goodFriday.setDate(goodFriday.getDate() - 2);
+    const easterMonday = new Date(easter);
+    easterMonday.setDate(easterMonday.getDate() + 1);
+
+    const holidays = [
+        toDateKey(goodFriday),
+        toDateKey(easterMonday),
+        toDateKey(getMonday(year, 4)),       // Early May
+        toDateKey(getMonday(year, 4, true)), // Spring
+        toDateKey(getMonday(year, 7, true))  // Summer
+    ];
+
+    // Fixed-date holidays move to the next weekday not already a holiday
+    [new Date(year, 0, 1), new Date(year, 11, 25), new Date(year, 11, 26)].forEach(date => {
+        while (date.getDay() === 0 || date.getDay() === 6 || holidays.includes(toDateKey(date))) {
+            date.setDate(date.getDate() + 1);
+        }
+        holidays.push(toDateKey(date));
+    });
+
+    const adjusted = holidays
+        .map(key => MOVED_BANK_HOLIDAYS[key] || key)
+        .concat(EXTRA_BANK_HOLIDAYS.filter(key => key.startsWith(`${year}-`)))
+        .sort();
+
+    bankHolidayCache.set(year, adjusted);
+    return adjusted;
+}
+
+/**
+ * Check whether a date is a UK bank holiday
+ * @param {Date} date
+ * @returns {Boolean}
+ */
+function isBankHoliday(date) {
+    return getUKBankHolidays(date.getFullYear()).includes(toDateKey(date));
+}
+
+/**
+ * Check whether a date is a working day
+ * @param {Date} date
+ * @param {Array} shutdownDates - YYYY-MM-DD keys of factory shutdown days
+ * @returns {Boolean}
+ */
+function isWorkingDay(date, shutdownDates = []) {
+    const day = date.getDay();
+    if (day === 0 || day === 6) return false;
+    if (isBankHoliday(date)) return false;
+    return !shutdownDates.includes(toDateKey(date));
+}
+
+/**
+ * Count working days in a date range (inclusive)
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Array} shutdownDates - YYYY-MM-DD keys of factory shutdown days
+ * @returns {Number}
+ */
+function countWorkingDays(start, end, shutdownDates = []) {
+    let count = 0;
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    while (date <= end) {
+        if (isWorkingDay(date, shutdownDates)) count++;
+        date.setDate(date.getDate() + 1);
+    }
+
+    return count;
+}
+
+/**
+ * Share of each calendar month's working days that fall in a date range.
+ * A whole month has a share of 1; a week gets its working days
+ * divided by the month's working days.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Array} shutdownDates - YYYY-MM-DD keys of factory shutdown days
+ * @returns {Object} Map of month name -> share (0-1)
+ */
+function getWorkingDayShares(start, end, shutdownDates = []) {
+    const shares = {};
+    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+    while (cursor <= end) {
+        const monthStart = new Date(cursor);
+        const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+        const rangeStart = start > monthStart ? start : monthStart;
+        const rangeEnd = end < monthEnd ? end : monthEnd;
+
+        const monthDays = countWorkingDays(monthStart, monthEnd, shutdownDates);
+        shares[getFYMonth(monthStart)] = monthDays > 0
+            ? countWorkingDays(rangeStart, rangeEnd, shutdownDates) / monthDays
+            : 0;
+
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return shares;
+}
+
+/**
+ * Working days completed and remaining in a period.
+ * Days before today count as elapsed; today counts as remaining.
+ * @param {Object} dateRange - { start, end }
+ * @param {Array} shutdownDates - YYYY-MM-DD keys of factory shutdown days
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Object} { totalDays, elapsedDays, remainingDays }
+ */
+function getWorkingDayProgress(dateRange, shutdownDates = [], asOf = new Date()) {
+    const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    const totalDays = countWorkingDays(dateRange.start, dateRange.end, shutdownDates);
+    const elapsedEnd = dateRange.end < yesterday ? dateRange.end : yesterday;
+    const elapsedDays = elapsedEnd >= dateRange.start
+        ? countWorkingDays(dateRange.start, elapsedEnd, shutdownDates)
+        : 0;
+
+    return {
+        totalDays,
+        elapsedDays,
+        remainingDays: totalDays - elapsedDays
+    };
+}
+
+module.exports = {
+    toDateKey,
+    getUKBankHolidays,
+    isBankHoliday,
+    isWorkingDay,
+    countWorkingDays,
+    getWorkingDayShares,
+    getWorkingDayProgress
+};
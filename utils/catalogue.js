@@ -0,0 +1,106 @@
+/**
+ * Customers and Box Types
+ * Orders can reference a customer (whose region and channel they are
+ * reported under) and a box type from the catalogue, whose default RRP and
+ * build cost per box pre-fill the order form.
+ */
+
+const db = require('../db');
+
+// Dimensions the sales dashboard can break orders down by
+const SALES_DIMENSIONS = [
+    { key: 'customer', label: 'Customer' },
+    { key: 'box_type', label: 'Box Type' },
+    { key: 'region', label: 'Region' },
+    { key: 'channel', label: 'Channel' }
+];
+
+/**
+ * Load customers for a picker: active ones plus any already referenced
+ * @param {Array} includeIds - Customer IDs to include even if inactive
+ * @returns {Promise<Array>} customers rows ordered by name
+ */
+async function getCustomerOptions(includeIds = []) {
+    const customersResult = await db.query(
+        `SELECT * FROM customers
+         WHERE active OR id = ANY($1::int[])
+         ORDER BY name`,
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return customersResult.rows;
+}
+
+/**
+ * Load box types for a picker: active ones plus any already referenced
+ * @param {Array} includeIds - Box type IDs to include even if inactive
+ * @returns {Promise<Array>} box_types rows ordered by name
+ */
+async function getBoxTypeOptions(includeIds = []) {
+    const boxTypesResult = await db.query(
+        `SELECT * FROM box_types
+         WHERE active OR id = ANY($1::int[])
+         ORDER BY name`,
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return boxTypesResult.rows;
+}
+
+/**
+ * Check the customer chosen for an order and the box types on its lines
+ * @param {*} customerId - Customer ID (blank for none)
+ * @param {Array} boxTypeIds - Box type IDs of the order's lines (null for none)
+ * @returns {Promise<Object>} { customerId } (null when blank) or { error }
+ */
+async function resolveOrderCatalogue(customerId, boxTypeIds = []) {
+    const resolved = {
+        customerId: customerId === undefined || customerId === null || customerId === '' ? null : parseInt(customerId)
+    };
+
+    if (resolved.customerId !== null) {
+        const customerResult = await db.query('SELECT id FROM customers WHERE id = $1', [resolved.customerId || 0]);
+        if (customerResult.rows.length === 0) return { error: 'Customer not found' };
+    }
+
+    const ids = boxTypeIds.filter(id => id !== null);
+    if (ids.length > 0) {
+        const boxTypeResult = await db.query('SELECT id FROM box_types WHERE id = ANY($1::int[])', [ids]);
+        if (ids.some(id => !boxTypeResult.rows.some(row => row.id === id))) return { error: 'Box type not found' };
+    }
+
+    return resolved;
+}
+
+/**
+ * Look up a customer by name (case-insensitive), e.g. for CSV import
+ * @param {String} name
+ * @returns {Promise<Number|null>} Customer ID, or null if not found
+ */
+async function findCustomerId(name) {
+    const customerResult = await db.query(
+        'SELECT id FROM customers WHERE LOWER(name) = LOWER($1)',
+        [name.trim()]
+    );
+    return customerResult.rows[0] ? customerResult.rows[0].id : null;
+}
+
+/**
+ * Look up a box type by name (case-insensitive), e.g. for CSV import
+ * @param {String} name
+ * @returns {Promise<Number|null>} Box type ID, or null if not found
+ */
+async function findBoxTypeId(name) {
+    const boxTypeResult = await db.query(
+        'SELECT id FROM box_types WHERE LOWER(name) = LOWER($1)',
+        [name.trim()]
+    );
+    return boxTypeResult.rows[0] ? boxTypeResult.rows[0].id : null;
+}
+
+module.exports = {
+    SALES_DIMENSIONS,
+    getCustomerOptions,
+    getBoxTypeOptions,
+    resolveOrderCatalogue,
+    findCustomerId,
+    findBoxTypeId
+};
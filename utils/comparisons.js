@@ -0,0 +1,95 @@
+/**
+ * Period Comparisons
+ * Headline metrics for the selected period alongside the same period last
+ * FY and the previous period, with absolute and percentage deltas.
+ */
+
+// Headline metrics per dashboard: label, format and how to read the value
+const SALES_HEADLINE_METRICS = [
+    { label: 'Boxes Sold', format: 'number', value: m => m.boxesSold },
+    { label: 'Baseline Contribution', format: 'currency', value: m => m.baselineActual },
+    { label: 'Average Discount', format: 'percent', value: m => m.averageDiscountPct },
+    { label: 'Equivalent Boxes Lost', format: 'decimal', value: m => m.discountBoxesLostTotal },
+    { label: 'Orders', format: 'number', value: m => m.shapeMetrics.ordersCount },
+    { label: 'Avg Boxes/Order', format: 'decimal', value: m => m.shapeMetrics.avgBoxesPerOrder },
+    { label: 'Avg £ per Box (Baseline)', format: 'currency', value: m => m.shapeMetrics.avgBaselinePerBox }
+];
+
+const PRODUCTION_HEADLINE_METRICS = [
+    { label: 'Boxes Built', format: 'number', value: m => m.boxesBuilt },
+    { label: 'Cost Compliance', format: 'percent', value: m => m.costCompliancePct },
+    { label: 'Boxes Over Cost', format: 'number', value: m => m.costLeakage.boxesOverCost },
+    { label: 'Rework Rate', format: 'percent', value: m => m.qualityMetrics.reworkRate },
+    { label: 'Installed vs Collection', format: 'percent', value: m => m.installShape.installShapePct }
+];
+
+/**
+ * Compare a value with a previous value
+ * @param {Number} current
+ * @param {Number} previous
+ * @returns {Object} { value, delta, deltaPct } (deltaPct null when previous is 0)
+ */
+function compareValue(current, previous) {
+    return {
+        value: previous,
+        delta: current - previous,
+        deltaPct: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null
+    };
+}
+
+/**
+ * Build comparison rows for a dashboard's headline metrics
+ * @param {Array} definitions - SALES_HEADLINE_METRICS or PRODUCTION_HEADLINE_METRICS
+ * @param {Object} current - Metrics for the selected period
+ * @param {Object|null} priorYear - Metrics for the same period last FY
+ * @param {Object|null} priorPeriod - Metrics for the previous period
+ * @returns {Array} Array of { label, format, current, priorYear, priorPeriod }
+ */
+function buildComparisonRows(definitions, current, priorYear, priorPeriod) {
+    return definitions.map(definition => {
+        const value = definition.value(current);
+        return {
+            label: definition.label,
+            format: definition.format,
+            current: value,
+            priorYear: priorYear ? compareValue(value, definition.value(priorYear)) : null,
+            priorPeriod: priorPeriod ? compareValue(value, definition.value(priorPeriod)) : null
+        };
+    });
+}
+
+/**
+ * Format a metric value for display
+ * @param {Number} value
+ * @param {String} format - "number" | "decimal" | "currency" | "percent"
+ * @returns {String}
+ */
+function formatComparisonValue(value, format) {
+    if (format === 'currency') {
+        const sign = value < 0 ? '-' : '';
+        return `${sign}£${Math.abs(value).toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+    if (format === 'percent') return `${value.toFixed(1)}%`;
+    if (format === 'decimal') return value.toFixed(2);
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Format a comparison delta with its sign (percentages as points)
+ * @param {Number} delta
+ * @param {String} format - "number" | "decimal" | "currency" | "percent"
+ * @returns {String}
+ */
+function formatComparisonDelta(delta, format) {
+    const sign = delta > 0 ? '+' : '';
+    if (format === 'percent') return `${sign}${delta.toFixed(1)} pts`;
+    return `${sign}${formatComparisonValue(delta, format)}`;
+}
+
+module.exports = {
+    SALES_HEADLINE_METRICS,
+    PRODUCTION_HEADLINE_METRICS,
+    buildComparisonRows,
+    formatComparisonValue,
+    formatComparisonDelta
+};
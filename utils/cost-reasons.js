@@ -0,0 +1,159 @@
+/**
+ * Over-Cost Reasons
+ * Directors keep a catalogue of over-cost reasons, each in a category. A
+ * production entry records which reasons its over-cost boxes were down to,
+ * with the boxes and £ overrun of each; the boxes must add up to the entry's
+ * boxes over cost. Cost leakage is reported by catalogue reason and category.
+ */
+
+const db = require('../db');
+const { toLineArray } = require('./order-lines');
+
+// Category of reasons carried over from free-text entries
+const UNCATEGORISED = 'Uncategorised';
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Load reasons for a picker: active ones plus any already used
+ * @param {Array} includeIds - Reason IDs to include even if inactive
+ * @returns {Promise<Array>} over_cost_reasons rows ordered by category and name
+ */
+async function getCostReasonOptions(includeIds = []) {
+    const reasonsResult = await db.query(
+        `SELECT * FROM over_cost_reasons
+         WHERE active OR id = ANY($1::int[])
+         ORDER BY category, name`,
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return reasonsResult.rows;
+}
+
+/**
+ * Load the categories in use (for the catalogue form's suggestions)
+ * @returns {Promise<Array>} Category names
+ */
+async function getCostReasonCategories() {
+    const categoriesResult = await db.query(
+        'SELECT DISTINCT category FROM over_cost_reasons ORDER BY category'
+    );
+    return categoriesResult.rows.map(row => row.category);
+}
+
+/**
+ * Parse submitted over-cost reasons (form rows, API array or CSV JSON); blank rows
+ * are skipped. A reason is given by reason_id, or by name as `reason`.
+ * @param {Array|Object|undefined} rawReasons - [{ reason_id | reason, boxes, overrun }]
+ * @returns {Object} { reasons, errors }
+ */
+function parseCostReasons(rawReasons) {
+    const errors = [];
+    const reasons = [];
+
+    toLineArray(rawReasons).forEach((raw, index) => {
+        const label = `Reason ${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (isBlank(raw.reason_id) && isBlank(raw.reason) && isBlank(raw.boxes) && isBlank(raw.overrun)) return;
+
+        const reasonId = isBlank(raw.reason_id) ? null : Number(raw.reason_id);
+        const name = isBlank(raw.reason) ? null : String(raw.reason).trim();
+        if (reasonId === null && name === null) {
+            errors.push(`${label}: choose a reason`);
+        } else if (reasonId !== null && (!Number.isInteger(reasonId) || reasonId < 1)) {
+            errors.push(`${label}: reason must be an ID`);
+        }
+
+        const boxes = isBlank(raw.boxes) ? NaN : Number(raw.boxes);
+        if (!Number.isInteger(boxes) || boxes < 1) {
+            errors.push(`${label}: boxes must be a whole number of at least 1`);
+        }
+        const overrun = isBlank(raw.overrun) ? 0 : Number(raw.overrun);
+        if (isNaN(overrun) || overrun < 0) {
+            errors.push(`${label}: £ overrun must be an amount of at least 0`);
+        }
+
+        reasons.push({ reason_id: reasonId, reason: name, boxes, overrun: Math.round(overrun * 100) / 100 });
+    });
+
+    return { reasons, errors };
+}
+
+/**
+ * Load the over-cost reasons of some production entries
+ * @param {Array} productionIds
+ * @returns {Promise<Object>} Rows (with reason name and category) keyed by production ID
+ */
+async function getProductionCostReasons(productionIds) {
+    const reasonsResult = await db.query(
+        `SELECT pcr.*, r.name as reason, r.category
+         FROM production_cost_reasons pcr
+         JOIN over_cost_reasons r ON pcr.reason_id = r.id
+         WHERE pcr.production_id = ANY($1::int[])
+         ORDER BY pcr.production_id, pcr.id`,
+        [productionIds]
+    );
+
+    const reasonsByEntry = {};
+    reasonsResult.rows.forEach(reason => {
+        (reasonsByEntry[reason.production_id] = reasonsByEntry[reason.production_id] || []).push(reason);
+    });
+    return reasonsByEntry;
+}
+
+/**
+ * Match parsed reasons to the catalogue and check they add up to the boxes over
+ * cost. Inactive reasons can only stay on an entry that already uses them.
+ * @param {Array} reasons - From parseCostReasons
+ * @param {Number} boxesOverCost - Boxes over cost on the entry
+ * @param {Number|null} productionId - Entry being edited (null when creating)
+ * @returns {Promise<Object>} { reasons } with reason_id, reason and category set, or { errors }
+ */
+async function validateCostReasons(reasons, boxesOverCost, productionId = null) {
+    const errors = [];
+    const catalogue = (await db.query('SELECT * FROM over_cost_reasons')).rows;
+    const current = productionId ? (await getProductionCostReasons([productionId]))[productionId] || [] : [];
+
+    const resolved = [];
+    reasons.forEach(reason => {
+        const match = reason.reason_id !== null
+            ? catalogue.find(row => row.id === reason.reason_id)
+            : catalogue.find(row => row.name.toLowerCase() === reason.reason.toLowerCase());
+        if (!match) {
+            errors.push(`Over-cost reason ${reason.reason_id !== null ? reason.reason_id : `"${reason.reason}"`} not found`);
+            return;
+        }
+        if (!match.active && !current.some(row => row.reason_id === match.id)) {
+            errors.push(`Over-cost reason "${match.name}" is no longer in use`);
+        }
+        if (resolved.some(row => row.reason_id === match.id)) {
+            errors.push(`Over-cost reason "${match.name}" is listed twice`);
+        }
+        resolved.push({ ...reason, reason_id: match.id, reason: match.name, category: match.category });
+    });
+
+    const reasonBoxes = reasons.reduce((sum, reason) => sum + reason.boxes, 0);
+    if (reasonBoxes !== boxesOverCost) {
+        errors.push(`Reason boxes (${reasonBoxes}) must add up to boxes over cost (${boxesOverCost})`);
+    }
+
+    return errors.length > 0 ? { errors } : { reasons: resolved };
+}
+
+module.exports = {
+    UNCATEGORISED,
+    getCostReasonOptions,
+    getCostReasonCategories,
+    parseCostReasons,
+    getProductionCostReasons,
+    validateCostReasons
+};
@@ -0,0 +1,213 @@
+/**
+ * Sales Forecast
+ * Projects month-end and FY-end boxes and baseline contribution from
+ * run-rate to date, trailing 4-week rate and seasonality (the same month
+ * in previous FYs, scaled by this year's growth). Orders count when sold
+ * and are reversed when cancelled, as on the dashboards.
+ */
+
+const { getFYDateRange, getFYForDate, getFYMonth, getFYLabel, getFYStartMonth, getFYStartYear, getAllFYMonths } = require('./fy');
+const { countWorkingDays, getWorkingDayProgress } = require('./calendar');
+const { getMonthlyBoxTarget, getRollingWindow } = require('./aggregations');
+
+// Previous FYs used for seasonality
+const HISTORY_YEARS = 2;
+
+/**
+ * Sales dated within a range (inclusive)
+ * @param {Array} orders - Daily sales from querySalesByDay
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array}
+ */
+function ordersInRange(orders, start, end) {
+    return orders.filter(order => {
+        const saleDate = new Date(order.sale_date);
+        return saleDate >= start && saleDate <= end;
+    });
+}
+
+/**
+ * Total boxes of a set of daily sales
+ * @param {Array} orders
+ * @returns {Number}
+ */
+function sumBoxes(orders) {
+    return orders.reduce((sum, order) => sum + (parseInt(order.boxes_qty) || 0), 0);
+}
+
+/**
+ * Shift a date back by whole years
+ * @param {Date} date
+ * @param {Number} years
+ * @returns {Date}
+ */
+function yearsBefore(date, years) {
+    return new Date(date.getFullYear() - years, date.getMonth(), date.getDate());
+}
+
+/**
+ * Average of the non-null values
+ * @param {Array} values
+ * @returns {Number|null}
+ */
+function average(values) {
+    const available = values.filter(value => value !== null);
+    return available.length > 0
+        ? available.reduce((sum, value) => sum + value, 0) / available.length
+        : null;
+}
+
+/**
+ * Round to 1 decimal place
+ * @param {Number} value
+ * @returns {Number}
+ */
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Build seasonal month estimates from previous FYs.
+ * Each previous FY's monthly boxes are scaled by this FY's growth over the
+ * same span of days to date; FYs with no orders are ignored.
+ * @param {Array} orders - Daily sales (from querySalesByDay) covering this FY and previous FYs
+ * @param {String} fyLabel
+ * @param {Number} startMonth
+ * @param {Date} today
+ * @returns {Function} month name -> estimated boxes (or null without history)
+ */
+function buildSeasonalEstimator(orders, fyLabel, startMonth, today) {
+    const fyStart = getFYDateRange(fyLabel, 'FY', startMonth).start;
+    const yearToDate = sumBoxes(ordersInRange(orders, fyStart, today));
+    const startYear = getFYStartYear(fyLabel);
+
+    const history = [];
+    for (let years = 1; years <= HISTORY_YEARS; years++) {
+        const priorLabel = getFYLabel(startYear - years, startMonth);
+        const priorRange = getFYDateRange(priorLabel, 'FY', startMonth);
+        const priorOrders = ordersInRange(orders, priorRange.start, priorRange.end);
+        if (priorOrders.length === 0) continue;
+
+        const priorToDate = sumBoxes(ordersInRange(priorOrders, priorRange.start, yearsBefore(today, years)));
+        history.push({
+            label: priorLabel,
+            orders: priorOrders,
+            growth: priorToDate > 0 ? yearToDate / priorToDate : 1
+        });
+    }
+
+    return month => average(history.map(prior => {
+        const range = getFYDateRange(prior.label, month, startMonth);
+        return sumBoxes(ordersInRange(prior.orders, range.start, range.end)) * prior.growth;
+    }));
+}
+
+/**
+ * Project month-end and FY-end sales for the FY containing today
+ * @param {Array} sales - Daily sales (from querySalesByDay) from the start of the earliest history FY to today
+ * @param {Object} settings - Settings resolved for the current FY (with shutdown_dates)
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Object} { month: {...}, fy: {...} }
+ */
+function forecastSales(sales, settings, asOf = new Date()) {
+    const startMonth = getFYStartMonth(settings);
+    const shutdownDates = settings.shutdown_dates || [];
+    const baselineFloorPerBox = parseFloat(settings.baseline_floor_per_box) || 700;
+    const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+
+    const fyLabel = getFYForDate(today, startMonth).label;
+    const fyRange = getFYDateRange(fyLabel, 'FY', startMonth);
+    const month = getFYMonth(today);
+    const monthRange = getFYDateRange(fyLabel, month, startMonth);
+
+    const seasonalEstimate = buildSeasonalEstimator(sales, fyLabel, startMonth, today);
+
+    // Trailing 4-week rate per working day
+    const rollingWindow = getRollingWindow(monthRange, today);
+    const rollingDays = countWorkingDays(rollingWindow.start, rollingWindow.end, shutdownDates);
+    const trailingRate = rollingDays > 0
+        ? sumBoxes(ordersInRange(sales, rollingWindow.start, rollingWindow.end)) / rollingDays
+        : null;
+
+    // Month end
+    const monthOrders = ordersInRange(sales, monthRange.start, today);
+    const monthActual = sumBoxes(monthOrders);
+    const days = getWorkingDayProgress(monthRange, shutdownDates, today);
+    const runRate = days.elapsedDays > 0 ? monthActual / days.elapsedDays : null;
+    const seasonalMonth = seasonalEstimate(month);
+
+    const methods = {
+        runRate: runRate !== null ? monthActual + runRate * days.remainingDays : null,
+        trailing: trailingRate !== null ? monthActual + trailingRate * days.remainingDays : null,
+        seasonal: seasonalMonth !== null ? Math.max(seasonalMonth, monthActual) : null
+    };
+    const monthProjected = average(Object.values(methods)) ?? monthActual;
+
+    // FY end: actual to date, the rest of this month, then each later month
+    const fyOrders = ordersInRange(sales, fyRange.start, today);
+    const fyActual = sumBoxes(fyOrders);
+    const months = getAllFYMonths(startMonth);
+    const laterMonths = months.slice(months.indexOf(month) + 1);
+
+    const laterProjected = laterMonths.reduce((sum, laterMonth) => {
+        const range = getFYDateRange(fyLabel, laterMonth, startMonth);
+        const workingDays = countWorkingDays(range.start, range.end, shutdownDates);
+        const estimate = average([
+            seasonalEstimate(laterMonth),
+            trailingRate !== null ? trailingRate * workingDays : null
+        ]);
+        return sum + (estimate ?? 0);
+    }, 0);
+
+    const fyProjected = fyActual + (monthProjected - monthActual) + laterProjected;
+
+    // Baseline follows the FY's contribution per box so far
+    const fyBaseline = fyOrders.reduce((sum, day) => sum + day.baseline, 0);
+    const baselinePerBox = fyActual > 0 ? fyBaseline / fyActual : baselineFloorPerBox;
+
+    const monthTarget = getMonthlyBoxTarget(settings, month);
+    const yearlyTarget = parseInt(settings.yearly_box_target) || 0;
+
+    return {
+        month: {
+            month,
+            boxesActual: monthActual,
+            projectedBoxes: round1(monthProjected),
+            projectedBaseline: monthProjected * baselinePerBox,
+            boxTarget: monthTarget,
+            baselineTarget: monthTarget * baselineFloorPerBox,
+            remainingDays: days.remainingDays,
+            methods: {
+                runRate: methods.runRate !== null ? round1(methods.runRate) : null,
+                trailing: methods.trailing !== null ? round1(methods.trailing) : null,
+                seasonal: methods.seasonal !== null ? round1(methods.seasonal) : null
+            }
+        },
+        fy: {
+            fyLabel,
+            boxesActual: fyActual,
+            projectedBoxes: round1(fyProjected),
+            projectedBaseline: fyProjected * baselinePerBox,
+            boxTarget: yearlyTarget,
+            baselineTarget: yearlyTarget * baselineFloorPerBox
+        }
+    };
+}
+
+/**
+ * Start of the order history needed for a forecast
+ * @param {Object} settings
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Date}
+ */
+function getForecastHistoryStart(settings, asOf = new Date()) {
+    const startMonth = getFYStartMonth(settings);
+    const startYear = getFYStartYear(getFYForDate(asOf, startMonth).label);
+    return getFYDateRange(getFYLabel(startYear - HISTORY_YEARS, startMonth), 'FY', startMonth).start;
+}
+
+module.exports = {
+    forecastSales,
+    getForecastHistoryStart
+};
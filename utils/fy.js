@@ -1,162 +1,403 @@
 /**
  * Financial Year Utilities
- * UK Financial Year runs 1 July - 30 June
+ * Financial Year start month is configurable via settings.fy_start_month
+ * (default 7 = UK July-June year). Month names are always calendar month
+ * abbreviations ("Jan".."Dec"); only their order and FY year change.
  */
 
-const MONTH_NAMES = ['Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-const MONTH_NUMBERS = { 'Jul': 1, 'Aug': 2, 'Sep': 3, 'Oct': 4, 'Nov': 5, 'Dec': 6, 'Jan': 7, 'Feb': 8, 'Mar': 9, 'Apr': 10, 'May': 11, 'Jun': 12 };
+const DEFAULT_FY_START_MONTH = 7;
+
+const CALENDAR_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Multi-month periods accepted wherever an FY month name is
+const PERIOD_YTD = 'YTD';
+const PERIOD_FULL_YEAR = 'FY';
+const PERIOD_LABELS = { [PERIOD_YTD]: 'Year to date', [PERIOD_FULL_YEAR]: 'Full year' };
+
+// ISO week periods (Monday-Sunday), e.g. "2025-W43"
+const WEEK_KEY_PATTERN = /^(\d{4})-W(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default (July start) month order and FY month numbers, kept for compatibility
+const MONTH_NAMES = getAllFYMonths(DEFAULT_FY_START_MONTH);
+const MONTH_NUMBERS = MONTH_NAMES.reduce((map, name, index) => {
+    map[name] = index + 1;
+    return map;
+}, {});
+
+/**
+ * Normalise an FY start month value (1-12), falling back to the default
+ * @param {Number|String} startMonth
+ * @returns {Number} 1-12
+ */
+function normaliseStartMonth(startMonth) {
+    const month = parseInt(startMonth);
+    if (isNaN(month) || month < 1 || month > 12) {
+        return DEFAULT_FY_START_MONTH;
+    }
+    return month;
+}
+
+/**
+ * Get FY start month from a settings row
+ * @param {Object} settings
+ * @returns {Number} 1-12
+ */
+function getFYStartMonth(settings) {
+    return normaliseStartMonth(settings && settings.fy_start_month);
+}
+
+/**
+ * Build the FY label for the FY starting in the given year
+ * @param {Number} fyStartYear
+ * @param {Number} startMonth - 1-12
+ * @returns {String} "2025/26" (or "2025" for a January-December year)
+ */
+function getFYLabel(fyStartYear, startMonth = DEFAULT_FY_START_MONTH) {
+    if (normaliseStartMonth(startMonth) === 1) {
+        return String(fyStartYear);
+    }
+    return `${fyStartYear}/${String(fyStartYear + 1).slice(-2)}`;
+}
+
+/**
+ * Get the start year from an FY label
+ * @param {String} fyLabel - e.g. "2025/26"
+ * @returns {Number}
+ */
+function getFYStartYear(fyLabel) {
+    const [startYearStr] = String(fyLabel).split('/');
+    const startYear = parseInt(startYearStr);
+    if (isNaN(startYear)) {
+        throw new Error(`Invalid FY label: ${fyLabel}`);
+    }
+    return startYear;
+}
+
+/**
+ * Build FY object from its start year
+ * @param {Number} fyStartYear
+ * @param {Number} startMonth - 1-12
+ * @returns {Object} { label, start: Date, end: Date }
+ */
+function buildFY(fyStartYear, startMonth) {
+    const start = new Date(fyStartYear, startMonth - 1, 1);
+    const end = new Date(fyStartYear + 1, startMonth - 1, 0); // Last day of month before start
+    const label = getFYLabel(fyStartYear, startMonth);
+
+    return { label, start, end };
+}
 
 /**
  * Get current Financial Year
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Object} { label: "2025/26", start: Date, end: Date }
  */
-function getCurrentFY() {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = now.getMonth() + 1; // 1-12
-    
-    let fyStartYear, fyEndYear;
-    
-    if (currentMonth >= 7) {
-        // July-December: FY starts this year
-        fyStartYear = currentYear;
-        fyEndYear = currentYear + 1;
-    } else {
-        // January-June: FY started last year
-        fyStartYear = currentYear - 1;
-        fyEndYear = currentYear;
-    }
-    
-    const start = new Date(fyStartYear, 6, 1); // July 1
-    const end = new Date(fyEndYear, 5, 30); // June 30
-    
-    const label = `${fyStartYear}/${String(fyEndYear).slice(-2)}`;
-    
-    return { label, start, end };
+function getCurrentFY(startMonth = DEFAULT_FY_START_MONTH) {
+    return getFYForDate(new Date(), startMonth);
 }
 
 /**
  * Get Financial Year month name from a date
  * @param {Date} date
- * @returns {String} "Jul" | "Aug" | ... | "Jun"
+ * @returns {String} "Jan" | "Feb" | ... | "Dec"
  */
 function getFYMonth(date) {
-    const month = date.getMonth() + 1; // 1-12
-    const year = date.getFullYear();
-    
-    // Determine which FY this date belongs to
-    const fy = getFYForDate(date);
-    const fyStartYear = parseInt(fy.label.split('/')[0]);
-    
-    if (month >= 7) {
-        // July-December
-        const index = month - 7;
-        return MONTH_NAMES[index];
-    } else {
-        // January-June (part of FY that started previous July)
-        const index = month + 5; // Jan = 6th month of FY
-        return MONTH_NAMES[index];
-    }
+    return CALENDAR_MONTH_NAMES[date.getMonth()];
 }
 
 /**
  * Get Financial Year for a given date
  * @param {Date} date
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Object} { label: "2025/26", start: Date, end: Date }
  */
-function getFYForDate(date) {
+function getFYForDate(date, startMonth = DEFAULT_FY_START_MONTH) {
+    const fyStartMonth = normaliseStartMonth(startMonth);
     const year = date.getFullYear();
     const month = date.getMonth() + 1;
-    
-    let fyStartYear, fyEndYear;
-    
-    if (month >= 7) {
-        fyStartYear = year;
-        fyEndYear = year + 1;
-    } else {
-        fyStartYear = year - 1;
-        fyEndYear = year;
-    }
-    
-    const start = new Date(fyStartYear, 6, 1);
-    const end = new Date(fyEndYear, 5, 30);
-    const label = `${fyStartYear}/${String(fyEndYear).slice(-2)}`;
-    
-    return { label, start, end };
+
+    const fyStartYear = month >= fyStartMonth ? year : year - 1;
+
+    return buildFY(fyStartYear, fyStartMonth);
 }
 
 /**
- * Get month number within FY (Jul=1, Jun=12)
- * @param {String} monthName - "Jul" | "Aug" | ... | "Jun"
+ * Get month number within FY (first FY month = 1, last = 12)
+ * @param {String} monthName - "Jan" | "Feb" | ... | "Dec"
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Number} 1-12
  */
-function getFYMonthNumber(monthName) {
-    return MONTH_NUMBERS[monthName] || 1;
+function getFYMonthNumber(monthName, startMonth = DEFAULT_FY_START_MONTH) {
+    const index = getAllFYMonths(startMonth).indexOf(monthName);
+    return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Check whether a month selector value is a multi-month period
+ * @param {String} value - Month name or period
+ * @returns {Boolean}
+ */
+function isFYPeriod(value) {
+    return value === PERIOD_YTD || value === PERIOD_FULL_YEAR;
+}
+
+/**
+ * Check whether a period value is an ISO week key
+ * @param {String} value - e.g. "2025-W43"
+ * @returns {Boolean}
+ */
+function isFYWeek(value) {
+    return WEEK_KEY_PATTERN.test(String(value));
+}
+
+/**
+ * Get the Monday of the week containing a date
+ * @param {Date} date
+ * @returns {Date} Monday (local midnight)
+ */
+function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+/**
+ * Get the ISO week key for a date
+ * @param {Date} date
+ * @returns {String} e.g. "2025-W43"
+ */
+function getWeekKey(date) {
+    // ISO weeks belong to the year containing their Thursday
+    const thursday = getWeekStart(date);
+    thursday.setDate(thursday.getDate() + 3);
+    const firstThursday = getWeekStart(new Date(thursday.getFullYear(), 0, 4));
+    firstThursday.setDate(firstThursday.getDate() + 3);
+
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * DAY_MS));
+    return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get date range for an ISO week
+ * @param {String} weekKey - e.g. "2025-W43"
+ * @returns {Object} { start: Monday, end: Sunday }
+ */
+function getWeekDateRange(weekKey) {
+    const match = WEEK_KEY_PATTERN.exec(String(weekKey));
+    if (!match) {
+        throw new Error(`Invalid week: ${weekKey}`);
+    }
+
+    const start = getWeekStart(new Date(parseInt(match[1]), 0, 4));
+    start.setDate(start.getDate() + (parseInt(match[2]) - 1) * 7);
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + 6);
+
+    return { start, end };
+}
+
+/**
+ * Get the Financial Year a week belongs to (the one containing its Thursday)
+ * @param {String} weekKey - e.g. "2025-W43"
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Object} { label: "2025/26", start: Date, end: Date }
+ */
+function getFYForWeek(weekKey, startMonth = DEFAULT_FY_START_MONTH) {
+    const thursday = getWeekDateRange(weekKey).start;
+    thursday.setDate(thursday.getDate() + 3);
+    return getFYForDate(thursday, startMonth);
+}
+
+/**
+ * Get all weeks in a Financial Year.
+ * A week belongs to the FY containing its Thursday, so week 1 is the first
+ * Monday-Sunday week with at least four days in the FY.
+ * @param {String} fyLabel - e.g. "2025/26"
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Array} Array of { key, number, start, end, month }
+ */
+function getFYWeeks(fyLabel, startMonth = DEFAULT_FY_START_MONTH) {
+    const fy = buildFY(getFYStartYear(fyLabel), normaliseStartMonth(startMonth));
+
+    const thursday = getWeekStart(fy.start);
+    thursday.setDate(thursday.getDate() + 3);
+    if (thursday < fy.start) {
+        thursday.setDate(thursday.getDate() + 7);
+    }
+
+    const weeks = [];
+    while (thursday <= fy.end) {
+        const key = getWeekKey(thursday);
+        weeks.push({
+            key,
+            number: weeks.length + 1,
+            ...getWeekDateRange(key),
+            month: getFYMonth(thursday)
+        });
+        thursday.setDate(thursday.getDate() + 7);
+    }
+
+    return weeks;
+}
+
+/**
+ * Get the comparison periods for a month or week: the same period in the
+ * previous FY and the period immediately before it. YTD / full-year views
+ * have no comparisons.
+ * @param {String} fyLabel - e.g. "2025/26"
+ * @param {String} period - Month name or week key
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Object} { priorYear: {fyLabel, period} | null, priorPeriod: {fyLabel, period} | null }
+ */
+function getComparisonPeriods(fyLabel, period, startMonth = DEFAULT_FY_START_MONTH) {
+    const previousFY = getFYLabel(getFYStartYear(fyLabel) - 1, normaliseStartMonth(startMonth));
+
+    if (isFYWeek(period)) {
+        const week = getFYWeeks(fyLabel, startMonth).find(w => w.key === period);
+        if (!week) {
+            return { priorYear: null, priorPeriod: null };
+        }
+
+        const previousWeeks = getFYWeeks(previousFY, startMonth);
+        const sameWeek = previousWeeks[Math.min(week.number, previousWeeks.length) - 1];
+        const weekBefore = new Date(week.start);
+        weekBefore.setDate(weekBefore.getDate() - 7);
+
+        return {
+            priorYear: { fyLabel: previousFY, period: sameWeek.key },
+            priorPeriod: { fyLabel: week.number > 1 ? fyLabel : previousFY, period: getWeekKey(weekBefore) }
+        };
+    }
+
+    const months = getAllFYMonths(startMonth);
+    const index = months.indexOf(period);
+    if (index === -1) {
+        return { priorYear: null, priorPeriod: null };
+    }
+
+    return {
+        priorYear: { fyLabel: previousFY, period },
+        priorPeriod: index > 0
+            ? { fyLabel, period: months[index - 1] }
+            : { fyLabel: previousFY, period: months[months.length - 1] }
+    };
+}
+
+/**
+ * Get the FY months covered by a month selector value
+ * YTD runs from the FY start to the current month (all months for a past FY,
+ * the first month for a future FY); a week covers the month(s) its days fall in.
+ * @param {String} fyLabel - e.g. "2025/26"
+ * @param {String} period - Month name, "YTD", "FY" or week key
+ * @param {Number} startMonth - FY start month (1-12)
+ * @param {Date} asOf - Reference date for YTD (defaults to today)
+ * @returns {Array} Month names in FY order
+ */
+function getFYPeriodMonths(fyLabel, period, startMonth = DEFAULT_FY_START_MONTH, asOf = new Date()) {
+    const months = getAllFYMonths(startMonth);
+
+    if (period === PERIOD_FULL_YEAR) {
+        return months;
+    }
+
+    if (period === PERIOD_YTD) {
+        const currentFYStartYear = getFYStartYear(getFYForDate(asOf, startMonth).label);
+        const fyStartYear = getFYStartYear(fyLabel);
+
+        if (fyStartYear < currentFYStartYear) return months;
+        if (fyStartYear > currentFYStartYear) return months.slice(0, 1);
+        return months.slice(0, months.indexOf(getFYMonth(asOf)) + 1);
+    }
+
+    if (isFYWeek(period)) {
+        const range = getWeekDateRange(period);
+        return [...new Set([getFYMonth(range.start), getFYMonth(range.end)])];
+    }
+
+    return [period];
+}
+
+/**
+ * Get display label for a month selector value
+ * @param {String} period - Month name, "YTD", "FY" or week key
+ * @returns {String}
+ */
+function getFYPeriodLabel(period) {
+    if (isFYWeek(period)) {
+        const start = getWeekDateRange(period).start;
+        return `w/c ${start.getDate()} ${getFYMonth(start)} ${start.getFullYear()}`;
+    }
+    return PERIOD_LABELS[period] || period;
 }
 
 /**
- * Get date range for a specific FY month
+ * Get date range for a specific FY month (or a YTD / full-year / week period)
  * @param {String} fyLabel - e.g. "2025/26"
- * @param {String} monthName - "Jul" | "Aug" | ... | "Jun"
+ * @param {String} monthName - "Jan" | "Feb" | ... | "Dec" | "YTD" | "FY" | week key
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Object} { start: Date, end: Date }
  */
-function getFYDateRange(fyLabel, monthName) {
-    const [startYearStr] = fyLabel.split('/');
-    const startYear = parseInt(startYearStr);
-    
-    const monthIndex = MONTH_NAMES.indexOf(monthName);
-    if (monthIndex === -1) {
+function getFYDateRange(fyLabel, monthName, startMonth = DEFAULT_FY_START_MONTH) {
+    if (isFYWeek(monthName)) {
+        return getWeekDateRange(monthName);
+    }
+
+    if (isFYPeriod(monthName)) {
+        const months = getFYPeriodMonths(fyLabel, monthName, startMonth);
+        return {
+            start: getFYDateRange(fyLabel, months[0], startMonth).start,
+            end: getFYDateRange(fyLabel, months[months.length - 1], startMonth).end
+        };
+    }
+
+    const fyStartMonth = normaliseStartMonth(startMonth);
+    const startYear = getFYStartYear(fyLabel);
+
+    const calendarIndex = CALENDAR_MONTH_NAMES.indexOf(monthName);
+    if (calendarIndex === -1) {
         throw new Error(`Invalid month name: ${monthName}`);
     }
-    
-    let year, month, day, lastDay;
-    
-    if (monthIndex < 6) {
-        // Jul-Dec (months 0-5)
-        year = startYear;
-        month = monthIndex + 6; // Jul = 6 (0-indexed), Aug = 7, etc.
-    } else {
-        // Jan-Jun (months 6-11)
-        year = startYear + 1;
-        month = monthIndex - 6; // Jan = 0 (0-indexed), Feb = 1, etc.
-    }
-    
-    const start = new Date(year, month, 1);
-    
+
+    // Months before the FY start month fall in the following calendar year
+    const year = calendarIndex + 1 >= fyStartMonth ? startYear : startYear + 1;
+
+    const start = new Date(year, calendarIndex, 1);
+
     // Get last day of month
-    lastDay = new Date(year, month + 1, 0).getDate();
-    const end = new Date(year, month, lastDay);
-    
+    const lastDay = new Date(year, calendarIndex + 1, 0).getDate();
+    const end = new Date(year, calendarIndex, lastDay);
+
     return { start, end };
 }
 
 /**
  * Get all available Financial Years (current and past)
  * @param {Number} yearsBack - How many past years to include
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Array} Array of FY label strings
  */
-function getAllFYs(yearsBack = 2) {
-    const currentFY = getCurrentFY();
-    const [startYearStr] = currentFY.label.split('/');
-    const startYear = parseInt(startYearStr);
-    
+function getAllFYs(yearsBack = 2, startMonth = DEFAULT_FY_START_MONTH) {
+    const fyStartMonth = normaliseStartMonth(startMonth);
+    const startYear = getFYStartYear(getCurrentFY(fyStartMonth).label);
+
     const fys = [];
     for (let i = yearsBack; i >= 0; i--) {
-        const year = startYear - i;
-        const endYear = year + 1;
-        const label = `${year}/${String(endYear).slice(-2)}`;
-        fys.push(label);
+        fys.push(getFYLabel(startYear - i, fyStartMonth));
     }
-    
+
     return fys;
 }
 
 /**
  * Get all month names in FY order
- * @returns {Array} ["Jul", "Aug", ..., "Jun"]
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Array} e.g. ["Jul", "Aug", ..., "Jun"] for a July start
  */
-function getAllFYMonths() {
-    return [...MONTH_NAMES];
+function getAllFYMonths(startMonth = DEFAULT_FY_START_MONTH) {
+    const offset = normaliseStartMonth(startMonth) - 1;
+    return CALENDAR_MONTH_NAMES.map((_, i) => CALENDAR_MONTH_NAMES[(i + offset) % 12]);
 }
 
 /**
@@ -164,13 +405,45 @@ function getAllFYMonths() {
  * @param {Date} date
  * @param {String} fyLabel
  * @param {String} monthName
+ * @param {Number} startMonth - FY start month (1-12)
  * @returns {Boolean}
  */
-function isDateInFYMonth(date, fyLabel, monthName) {
-    const range = getFYDateRange(fyLabel, monthName);
+function isDateInFYMonth(date, fyLabel, monthName, startMonth = DEFAULT_FY_START_MONTH) {
+    const range = getFYDateRange(fyLabel, monthName, startMonth);
     return date >= range.start && date <= range.end;
 }
 
+/**
+ * Re-label an FY month when the FY start month changes.
+ * The calendar month is preserved; only the FY it belongs to may move.
+ * @param {String} fyLabel - Label under the old start month
+ * @param {String} monthName - "Jan" | ... | "Dec"
+ * @param {Number} fromStartMonth - Old FY start month
+ * @param {Number} toStartMonth - New FY start month
+ * @returns {String} Label under the new start month
+ */
+function remapFYLabel(fyLabel, monthName, fromStartMonth, toStartMonth) {
+    const range = getFYDateRange(fyLabel, monthName, fromStartMonth);
+    return getFYForDate(range.start, toStartMonth).label;
+}
+
+/**
+ * Re-order a monthly targets object into FY order for a start month.
+ * Targets are keyed by calendar month, so each month keeps its own value;
+ * missing months are filled with 0.
+ * @param {Object|String} targets - { "Jul": 60, ... } or JSON string
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Object} Targets keyed in FY order
+ */
+function remapMonthlyTargets(targets, startMonth = DEFAULT_FY_START_MONTH) {
+    const parsed = typeof targets === 'string' ? JSON.parse(targets) : (targets || {});
+
+    return getAllFYMonths(startMonth).reduce((ordered, month) => {
+        ordered[month] = parseInt(parsed[month]) || 0;
+        return ordered;
+    }, {});
+}
+
 module.exports = {
     getCurrentFY,
     getFYMonth,
@@ -180,6 +453,25 @@ module.exports = {
     getAllFYs,
     getAllFYMonths,
     isDateInFYMonth,
+    getFYStartMonth,
+    getFYLabel,
+    getFYStartYear,
+    remapFYLabel,
+    remapMonthlyTargets,
+    isFYPeriod,
+    getFYPeriodMonths,
+    getFYPeriodLabel,
+    isFYWeek,
+    getWeekStart,
+    getWeekKey,
+    getWeekDateRange,
+    getFYForWeek,
+    getFYWeeks,
+    getComparisonPeriods,
+    PERIOD_YTD,
+    PERIOD_FULL_YEAR,
+    DEFAULT_FY_START_MONTH,
+    CALENDAR_MONTH_NAMES,
     MONTH_NAMES,
     MONTH_NUMBERS
 };
@@ -0,0 +1,278 @@
+/**
+ * KPI Snapshots
+ * Dashboard metrics are recomputed live from current settings and data, so a
+ * snapshot keeps what the board saw: the company metrics, RAG statuses,
+ * targets and settings for an FY month exactly as computed at the time.
+ * Snapshots are only ever inserted. Directors take them on demand and one is
+ * taken automatically for each month once it has ended.
+ */
+
+const db = require('../db');
+const { getFYStartMonth, getFYForDate, getFYMonth, CALENDAR_MONTH_NAMES } = require('./fy');
+const { querySalesMetrics, queryProductionMetrics } = require('./sql-aggregations');
+const { RAG_METRICS, getRAGRules, getMetricRAG, getRAGReadings, describeRAGRule } = require('./rag');
+const { SALES_HEADLINE_METRICS, PRODUCTION_HEADLINE_METRICS } = require('./comparisons');
+const { getSettings, getSettingsForFY } = require('./targets');
+const { getMonthStartKey, getPeriodStartKey, formatPeriodMonth } = require('./period-close');
+const { recordAudit } = require('./audit');
+
+// How often the server checks whether last month's automatic snapshot is due
+const AUTOMATIC_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Targets compared between a snapshot and the live figures
+const SNAPSHOT_TARGETS = [
+    { key: 'salesBoxTarget', label: 'Sales Box Target', format: 'number' },
+    { key: 'baselineTarget', label: 'Baseline Contribution Target', format: 'currency' },
+    { key: 'productionBoxTarget', label: 'Production Box Plan', format: 'number' }
+];
+
+// Settings compared between a snapshot and the current settings
+const SNAPSHOT_SETTINGS = [
+    { label: 'Baseline Floor per Box', value: settings => `£${parseFloat(settings.baseline_floor_per_box) || 0}` },
+    { label: 'Yearly Box Target', value: settings => String(parseInt(settings.yearly_box_target) || 0) },
+    { label: 'RAG Amber Floor', value: settings => `${Math.round((parseFloat(settings.rag_amber_floor_pct) || 0) * 10000) / 100}%` },
+    { label: 'Install Capacity (per week)', value: settings => String(parseInt(settings.install_capacity_high_season_per_week) || 0) },
+    { label: 'FY Start Month', value: settings => CALENDAR_MONTH_NAMES[getFYStartMonth(settings) - 1] }
+];
+
+/**
+ * Compute the company KPI figures for an FY month from current settings and data
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec)
+ * @param {Object} baseSettings - Optional pre-loaded settings row
+ * @returns {Promise<Object>} { settings, targets, ragRules, rag, sales, production }
+ */
+async function computeKPIFigures(fyLabel, month, baseSettings = null) {
+    const settings = await getSettingsForFY(fyLabel, baseSettings);
+    const sales = await querySalesMetrics(settings, fyLabel, month);
+    const production = await queryProductionMetrics(settings, fyLabel, month);
+
+    const ragRules = getRAGRules(settings);
+    const readings = getRAGReadings(sales, production);
+    const rag = Object.fromEntries(RAG_METRICS.map(metric => [
+        metric.key,
+        getMetricRAG(readings[metric.key], ragRules[metric.key])
+    ]));
+
+    return {
+        settings,
+        targets: {
+            salesBoxTarget: sales.boxTarget,
+            baselineTarget: sales.baselineTarget,
+            productionBoxTarget: production.boxTarget
+        },
+        ragRules,
+        rag,
+        sales,
+        production
+    };
+}
+
+/**
+ * Insert a snapshot row for an FY month
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec)
+ * @param {String} snapshotType - "manual" or "automatic"
+ * @param {Number|null} userId - Director taking a manual snapshot
+ * @returns {Promise<Object|null>} Inserted row, or null if the month already has an automatic snapshot
+ */
+async function insertKPISnapshot(fyLabel, month, snapshotType, userId) {
+    const baseSettings = await getSettings();
+    const periodStart = getPeriodStartKey(fyLabel, month, getFYStartMonth(baseSettings));
+    const figures = await computeKPIFigures(fyLabel, month, baseSettings);
+
+    const snapshotResult = await db.query(
+        `INSERT INTO kpi_snapshots (
+            period_start, fy_label, fy_month, snapshot_type, taken_by,
+            settings_json, targets_json, rag_rules_json, rag_json,
+            sales_metrics_json, production_metrics_json
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (period_start) WHERE snapshot_type = 'automatic' DO NOTHING
+        RETURNING *`,
+        [
+            periodStart,
+            fyLabel,
+            month,
+            snapshotType,
+            userId,
+            JSON.stringify(figures.settings),
+            JSON.stringify(figures.targets),
+            JSON.stringify(figures.ragRules),
+            JSON.stringify(figures.rag),
+            JSON.stringify(figures.sales),
+            JSON.stringify(figures.production)
+        ]
+    );
+
+    return snapshotResult.rows[0] || null;
+}
+
+/**
+ * Take a snapshot on demand
+ * @param {Object} req - Request of the director taking the snapshot
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec)
+ * @returns {Promise<Object>} { snapshot } or { error }
+ */
+async function takeKPISnapshot(req, fyLabel, month) {
+    if (!CALENDAR_MONTH_NAMES.includes(month)) {
+        return { error: 'Choose a month to snapshot' };
+    }
+
+    const periodStart = getPeriodStartKey(fyLabel, month, getFYStartMonth(await getSettings()));
+    if (periodStart > getMonthStartKey(new Date())) {
+        return { error: `${formatPeriodMonth(periodStart)} hasn't started yet` };
+    }
+
+    const snapshot = await insertKPISnapshot(fyLabel, month, 'manual', req.session.userId);
+
+    // The figures live in the snapshot itself; the log records that it was taken
+    await recordAudit(req, {
+        entityType: 'kpi_snapshot',
+        entityId: snapshot.id,
+        action: 'create',
+        before: null,
+        after: {
+            id: snapshot.id,
+            fy_label: snapshot.fy_label,
+            fy_month: snapshot.fy_month,
+            snapshot_type: snapshot.snapshot_type
+        }
+    });
+
+    return { snapshot };
+}
+
+/**
+ * Take last month's automatic snapshot if it hasn't been taken yet
+ * @param {Date} asOf - Reference date (defaults to now)
+ * @returns {Promise<Object|null>} New snapshot, or null if it already existed
+ */
+async function takeDueKPISnapshot(asOf = new Date()) {
+    const lastMonth = new Date(asOf.getFullYear(), asOf.getMonth() - 1, 1);
+    const fyStartMonth = getFYStartMonth(await getSettings());
+
+    const existingResult = await db.query(
+        `SELECT id FROM kpi_snapshots WHERE period_start = $1 AND snapshot_type = 'automatic'`,
+        [getMonthStartKey(lastMonth)]
+    );
+    if (existingResult.rows.length > 0) return null;
+
+    return insertKPISnapshot(getFYForDate(lastMonth, fyStartMonth).label, getFYMonth(lastMonth), 'automatic', null);
+}
+
+/**
+ * Check for a due automatic snapshot now and then every hour
+ * @returns {Object} Interval handle (does not keep the process alive)
+ */
+function startKPISnapshotSchedule() {
+    const check = async () => {
+        try {
+            await takeDueKPISnapshot();
+        } catch (error) {
+            console.error('Automatic KPI snapshot error:', error);
+        }
+    };
+
+    check();
+    return setInterval(check, AUTOMATIC_SNAPSHOT_INTERVAL_MS).unref();
+}
+
+/**
+ * List the snapshots taken for the months of an FY
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Promise<Array>} kpi_snapshots rows with taken_by_name, newest first
+ */
+async function getFYKPISnapshots(fyLabel, startMonth) {
+    const months = CALENDAR_MONTH_NAMES.map(month => getPeriodStartKey(fyLabel, month, startMonth));
+
+    const snapshotsResult = await db.query(
+        `SELECT s.*, u.name as taken_by_name
+         FROM kpi_snapshots s
+         LEFT JOIN users u ON s.taken_by = u.id
+         WHERE s.period_start = ANY($1::date[])
+         ORDER BY s.period_start DESC, s.taken_at DESC`,
+        [months]
+    );
+
+    return snapshotsResult.rows;
+}
+
+/**
+ * Load one snapshot
+ * @param {Number} id
+ * @returns {Promise<Object|null>} kpi_snapshots row with taken_by_name
+ */
+async function getKPISnapshot(id) {
+    const snapshotResult = await db.query(
+        `SELECT s.*, u.name as taken_by_name
+         FROM kpi_snapshots s
+         LEFT JOIN users u ON s.taken_by = u.id
+         WHERE s.id = $1`,
+        [id]
+    );
+
+    return snapshotResult.rows[0] || null;
+}
+
+/**
+ * Compare a snapshot with the live figures for the same calendar month
+ * (looked up under the current FY start month, so it follows a remap)
+ * @param {Object} snapshot - kpi_snapshots row
+ * @returns {Promise<Object>} { fy, month, rag, metrics, targets, settings } drift rows
+ */
+async function getKPISnapshotDrift(snapshot) {
+    const baseSettings = await getSettings();
+    const periodStart = new Date(`${getMonthStartKey(snapshot.period_start)}T00:00:00`);
+    const fy = getFYForDate(periodStart, getFYStartMonth(baseSettings)).label;
+    const month = getFYMonth(periodStart);
+    const live = await computeKPIFigures(fy, month, baseSettings);
+
+    const metricRows = (definitions, snapshotMetrics, liveMetrics) => definitions.map(definition => {
+        const snapshotValue = definition.value(snapshotMetrics);
+        const liveValue = definition.value(liveMetrics);
+        return { label: definition.label, format: definition.format, snapshot: snapshotValue, live: liveValue, delta: liveValue - snapshotValue };
+    });
+
+    return {
+        fy,
+        month,
+        rag: RAG_METRICS.map(metric => ({
+            label: metric.label,
+            snapshot: snapshot.rag_json[metric.key],
+            live: live.rag[metric.key],
+            // Snapshots taken before an indicator existed have no status or rule for it
+            snapshotRule: snapshot.rag_rules_json[metric.key]
+                ? describeRAGRule(snapshot.rag_rules_json[metric.key], metric.unit === 'boxes' ? '' : '%')
+                : '-',
+            liveRule: describeRAGRule(live.ragRules[metric.key], metric.unit === 'boxes' ? '' : '%')
+        })),
+        metrics: [
+            ...metricRows(SALES_HEADLINE_METRICS, snapshot.sales_metrics_json, live.sales),
+            ...metricRows(PRODUCTION_HEADLINE_METRICS, snapshot.production_metrics_json, live.production)
+        ],
+        targets: SNAPSHOT_TARGETS.map(target => ({
+            label: target.label,
+            format: target.format,
+            snapshot: snapshot.targets_json[target.key],
+            live: live.targets[target.key],
+            delta: live.targets[target.key] - snapshot.targets_json[target.key]
+        })),
+        settings: SNAPSHOT_SETTINGS.map(setting => ({
+            label: setting.label,
+            snapshot: setting.value(snapshot.settings_json),
+            live: setting.value(live.settings)
+        }))
+    };
+}
+
+module.exports = {
+    computeKPIFigures,
+    takeKPISnapshot,
+    takeDueKPISnapshot,
+    startKPISnapshotSchedule,
+    getFYKPISnapshots,
+    getKPISnapshot,
+    getKPISnapshotDrift
+};
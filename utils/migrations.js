@@ -0,0 +1,73 @@
+/**
+ * Schema and Data Migrations
+ * db/schema.sql only holds idempotent DDL and is applied on every start. Data
+ * backfills live in db/migrations as numbered SQL files that run once each, in
+ * name order, and are recorded in schema_migrations so a restart never runs
+ * them again (and never undoes what users have changed since).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../db');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'db', 'schema.sql');
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+/**
+ * Apply db/schema.sql (creates missing tables, columns and indexes)
+ * @returns {Promise<void>}
+ */
+async function applySchema() {
+    const schemaSQL = await fs.readFile(SCHEMA_FILE, 'utf8');
+    await db.query(schemaSQL);
+}
+
+/**
+ * List the migration files in the order they run
+ * @returns {Promise<Array>} File names, e.g. "001-order-lines.sql"
+ */
+async function getMigrationNames() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    return files.filter(file => file.endsWith('.sql')).sort();
+}
+
+/**
+ * Run the migrations not yet applied, each in its own transaction.
+ * The table lock keeps two servers starting together from running one twice.
+ * @returns {Promise<Array>} Names of the migrations applied
+ */
+async function runMigrations() {
+    const applied = [];
+
+    for (const name of await getMigrationNames()) {
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+
+            const doneResult = await client.query('SELECT 1 FROM schema_migrations WHERE name = $1', [name]);
+            if (doneResult.rows.length > 0) {
+                await client.query('COMMIT');
+                continue;
+            }
+
+            await client.query(await fs.readFile(path.join(MIGRATIONS_DIR, name), 'utf8'));
+            await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+            await client.query('COMMIT');
+            applied.push(name);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Migration ${name} failed: ${error.message}`);
+        } finally {
+            client.release();
+        }
+    }
+
+    return applied;
+}
+
+module.exports = {
+    applySchema,
+    getMigrationNames,
+    runMigrations
+};
@@ -0,0 +1,337 @@
+/**
+ * Order Lines
+ * An order is made of box lines (box type, qty, unit RRP, unit net and unit
+ * build cost) plus install and extras lines. The totals stored on the order
+ * (boxes_qty, box_*_total, install_revenue, extras_revenue) are summed from
+ * its lines on every save, so dashboards and aggregates keep reading orders.
+ */
+
+const db = require('../db');
+const { roundToPence, calculateLineTotals, calculateOrderTotals } = require('./calculations');
+const { recordAudit } = require('./audit');
+const { getMovedStatusDates } = require('./order-status');
+
+// Kinds of order line; only box lines count towards boxes, RRP and build cost
+const ORDER_LINE_TYPES = [
+    { key: 'box', label: 'Boxes' },
+    { key: 'install', label: 'Install' },
+    { key: 'extras', label: 'Extras' }
+];
+
+// Fields a blank form row leaves empty (such rows are skipped)
+const LINE_INPUT_FIELDS = ['box_type_id', 'description', 'qty', 'unit_rrp', 'unit_net', 'unit_build_cost'];
+
+// Line totals and the unit price each is qty x
+const LINE_TOTAL_UNITS = { rrp_total: 'unit_rrp', net_total: 'unit_net', build_cost_total: 'unit_build_cost' };
+
+/**
+ * Turn submitted lines into an array (form bodies with more than 20 lines parse as an object)
+ * @param {Array|Object|undefined} rawLines
+ * @returns {Array}
+ */
+function toLineArray(rawLines) {
+    if (Array.isArray(rawLines)) return rawLines;
+    if (rawLines && typeof rawLines === 'object') return Object.values(rawLines);
+    return [];
+}
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Parse a submitted amount (blank or non-numeric values give NaN)
+ * @param {*} value
+ * @returns {Number}
+ */
+function parseAmount(value) {
+    return isBlank(value) ? NaN : Number(value);
+}
+
+/**
+ * Pick a line total. A total sent with the line (a lump sum, or a stored line
+ * saved again) is kept while its unit price is still that total split over the
+ * quantity, which unit prices stored to 4dp can only approximate; otherwise the
+ * total is qty x unit price.
+ * @param {*} givenTotal - Total sent with the line (blank for none)
+ * @param {Number} qty
+ * @param {Number} unit - Unit price
+ * @param {Number} calculatedTotal - qty x unit price to the penny
+ * @returns {Number}
+ */
+function resolveLineTotal(givenTotal, qty, unit, calculatedTotal) {
+    const total = parseAmount(givenTotal);
+    if (isNaN(total) || Math.abs(total - qty * unit) > qty * 0.00005 + 0.005) {
+        return calculatedTotal;
+    }
+    return roundToPence(total);
+}
+
+/**
+ * Validate submitted order lines. Unit prices on box lines can't be negative;
+ * install and extras lines can, for credits.
+ * @param {Array|Object} rawLines - Lines from the form, API or CSV import
+ * @returns {Object} { lines, errors } - lines are numbered from 1 with their totals
+ */
+function validateOrderLines(rawLines) {
+    const errors = [];
+    const lines = [];
+
+    toLineArray(rawLines).forEach((raw, index) => {
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`Line ${index + 1}: must be an object`);
+            return;
+        }
+
+        const label = `Line ${index + 1}`;
+        const lineType = isBlank(raw.line_type) ? 'box' : String(raw.line_type).trim();
+        const isKnownType = ORDER_LINE_TYPES.some(type => type.key === lineType);
+        if (isKnownType && LINE_INPUT_FIELDS.every(field => isBlank(raw[field]))) return;
+        if (!isKnownType) {
+            errors.push(`${label}: line type must be one of ${ORDER_LINE_TYPES.map(type => type.key).join(', ')}`);
+            return;
+        }
+        const isBox = lineType === 'box';
+
+        const qty = isBlank(raw.qty) && !isBox ? 1 : parseAmount(raw.qty);
+        if (!Number.isInteger(qty) || qty < 1) {
+            errors.push(`${label}: quantity must be a whole number of at least 1`);
+        }
+
+        const units = {
+            unit_rrp: isBox ? parseAmount(raw.unit_rrp) : 0,
+            unit_net: parseAmount(raw.unit_net),
+            unit_build_cost: isBox ? parseAmount(raw.unit_build_cost) : 0
+        };
+        const unitLabels = { unit_rrp: 'unit RRP', unit_net: isBox ? 'unit net price' : 'unit price', unit_build_cost: 'unit build cost' };
+        Object.keys(units).forEach(field => {
+            if (isNaN(units[field])) {
+                errors.push(`${label}: ${unitLabels[field]} must be a number`);
+            } else if (isBox && units[field] < 0) {
+                errors.push(`${label}: ${unitLabels[field]} must be a number of at least 0`);
+            }
+        });
+
+        const boxTypeId = isBox && !isBlank(raw.box_type_id) ? parseInt(raw.box_type_id) : null;
+        if (boxTypeId !== null && isNaN(boxTypeId)) {
+            errors.push(`${label}: box type must be an ID`);
+        }
+
+        const line = {
+            line_no: lines.length + 1,
+            line_type: lineType,
+            box_type_id: boxTypeId,
+            description: isBlank(raw.description) ? null : String(raw.description).trim(),
+            qty,
+            ...units
+        };
+        const calculatedTotals = calculateLineTotals(line);
+        Object.keys(LINE_TOTAL_UNITS).forEach(field => {
+            line[field] = resolveLineTotal(raw[field], qty, units[LINE_TOTAL_UNITS[field]], calculatedTotals[field]);
+        });
+        lines.push(line);
+    });
+
+    if (errors.length === 0 && !lines.some(line => line.line_type === 'box')) {
+        errors.push('An order needs at least one box line');
+    }
+
+    return { lines, errors };
+}
+
+/**
+ * Build lines for an order given as lump sums (older CSV files and API clients).
+ * The box line's unit prices are the lump sums split over its boxes to 4dp and
+ * it keeps the lump sums as its totals, so the order totals come out as given.
+ * @param {Object} totals - { boxes_qty, box_rrp_total, box_net_total, box_build_cost_total, install_revenue, extras_revenue }
+ * @param {Number|null} boxTypeId - Box type of the box line
+ * @returns {Array} Raw lines for validateOrderLines
+ */
+function buildLumpSumLines(totals, boxTypeId = null) {
+    const qty = parseInt(totals.boxes_qty);
+    const perBox = value => (qty > 0 && !isBlank(value) ? Math.round(Number(value) / qty * 10000) / 10000 : value);
+
+    const lines = [{
+        line_type: 'box',
+        box_type_id: boxTypeId,
+        qty: totals.boxes_qty,
+        unit_rrp: perBox(totals.box_rrp_total),
+        unit_net: perBox(totals.box_net_total),
+        unit_build_cost: perBox(totals.box_build_cost_total),
+        rrp_total: totals.box_rrp_total,
+        net_total: totals.box_net_total,
+        build_cost_total: totals.box_build_cost_total
+    }];
+    [['install', totals.install_revenue], ['extras', totals.extras_revenue]].forEach(([lineType, revenue]) => {
+        if (parseFloat(revenue)) {
+            lines.push({ line_type: lineType, qty: 1, unit_net: revenue, net_total: revenue });
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Load the lines of some orders
+ * @param {Array} orderIds
+ * @returns {Promise<Object>} Lines (with box_type_name) keyed by order ID, in line order
+ */
+async function getOrderLines(orderIds) {
+    const linesResult = await db.query(
+        `SELECT l.*, bt.name as box_type_name
+         FROM order_lines l
+         LEFT JOIN box_types bt ON l.box_type_id = bt.id
+         WHERE l.order_id = ANY($1::int[])
+         ORDER BY l.order_id, l.line_no`,
+        [orderIds]
+    );
+
+    const linesByOrder = {};
+    linesResult.rows.forEach(line => {
+        (linesByOrder[line.order_id] = linesByOrder[line.order_id] || []).push(line);
+    });
+    return linesByOrder;
+}
+
+/**
+ * Create or update an order and replace its lines, deriving the order totals
+ * from the lines; the audit entry records the order with its lines. A new
+ * order starts as a quote or confirmed on its order date; an update keeps the
+ * status, moving status dates on the old order date to the new one.
+ * @param {Object} req - Request of the user (or API token) saving the order
+ * @param {Object} existing - Stored orders row being updated (null to create)
+ * @param {Object} fields - { order_date, order_ref, sales_rep_id, customer_id, notes, status (create only) }
+ * @param {Array} lines - Lines from validateOrderLines
+ * @returns {Promise<Object>} Saved orders row with its lines
+ */
+async function saveOrder(req, existing, fields, lines) {
+    const totals = calculateOrderTotals(lines);
+    const values = [
+        fields.order_date,
+        fields.order_ref || null,
+        fields.sales_rep_id,
+        fields.customer_id,
+        totals.boxes_qty,
+        totals.box_rrp_total,
+        totals.box_net_total,
+        totals.box_build_cost_total,
+        totals.install_revenue,
+        totals.extras_revenue,
+        fields.notes || null
+    ];
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        let orderResult;
+        let linesBefore = [];
+        if (existing) {
+            const linesBeforeResult = await client.query(
+                'SELECT * FROM order_lines WHERE order_id = $1 ORDER BY line_no',
+                [existing.id]
+            );
+            linesBefore = linesBeforeResult.rows;
+
+            const statusDates = getMovedStatusDates(existing, fields.order_date);
+            orderResult = await client.query(
+                `UPDATE orders SET
+                    order_date = $1,
+                    order_ref = $2,
+                    sales_rep_id = $3,
+                    customer_id = $4,
+                    boxes_qty = $5,
+                    box_rrp_total = $6,
+                    box_net_total = $7,
+                    box_build_cost_total = $8,
+                    install_revenue = $9,
+                    extras_revenue = $10,
+                    notes = $11,
+                    confirmed_date = $12,
+                    built_date = $13,
+                    installed_date = $14,
+                    cancelled_date = $15,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $16
+                 RETURNING *`,
+                [
+                    ...values,
+                    statusDates.confirmed_date,
+                    statusDates.built_date,
+                    statusDates.installed_date,
+                    statusDates.cancelled_date,
+                    existing.id
+                ]
+            );
+            await client.query('DELETE FROM order_lines WHERE order_id = $1', [existing.id]);
+        } else {
+            const status = fields.status || 'confirmed';
+            orderResult = await client.query(
+                `INSERT INTO orders (
+                    order_date, order_ref, sales_rep_id, customer_id, boxes_qty,
+                    box_rrp_total, box_net_total, box_build_cost_total,
+                    install_revenue, extras_revenue, notes, status, confirmed_date
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                RETURNING *`,
+                [...values, status, status === 'confirmed' ? fields.order_date : null]
+            );
+        }
+        const order = orderResult.rows[0];
+
+        const savedLines = [];
+        for (const line of lines) {
+            const lineResult = await client.query(
+                `INSERT INTO order_lines (
+                    order_id, line_no, line_type, box_type_id, description, qty,
+                    unit_rrp, unit_net, unit_build_cost, rrp_total, net_total, build_cost_total
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING *`,
+                [
+                    order.id,
+                    line.line_no,
+                    line.line_type,
+                    line.box_type_id,
+                    line.description,
+                    line.qty,
+                    line.unit_rrp,
+                    line.unit_net,
+                    line.unit_build_cost,
+                    line.rrp_total,
+                    line.net_total,
+                    line.build_cost_total
+                ]
+            );
+            savedLines.push(lineResult.rows[0]);
+        }
+
+        await recordAudit(req, {
+            entityType: 'order',
+            entityId: order.id,
+            action: existing ? 'update' : 'create',
+            before: existing ? { ...existing, lines: linesBefore } : null,
+            after: { ...order, lines: savedLines }
+        }, client);
+
+        await client.query('COMMIT');
+        return { ...order, lines: savedLines };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    ORDER_LINE_TYPES,
+    toLineArray,
+    validateOrderLines,
+    buildLumpSumLines,
+    getOrderLines,
+    saveOrder
+};
@@ -0,0 +1,315 @@
+/**
+ * Order Status
+ * Orders move quote -> confirmed -> built -> installed, and can be cancelled
+ * from any of those. Each status keeps the date it was reached (a quote's is
+ * the order date). Directors choose which statuses count as sold: an order
+ * counts towards boxes sold on the first date it reached one of them, and a
+ * sold order that is cancelled is reversed on its cancellation date, so
+ * earlier months keep the figures they reported.
+ */
+
+const db = require('../db');
+const { toDateKey } = require('./calendar');
+const { recordAudit } = require('./audit');
+
+// Lifecycle in order, with the orders column holding the date each was reached
+const ORDER_STATUSES = [
+    { key: 'quote', label: 'Quote', dateColumn: 'order_date' },
+    { key: 'confirmed', label: 'Confirmed', dateColumn: 'confirmed_date' },
+    { key: 'built', label: 'Built', dateColumn: 'built_date' },
+    { key: 'installed', label: 'Installed', dateColumn: 'installed_date' },
+    { key: 'cancelled', label: 'Cancelled', dateColumn: 'cancelled_date' }
+];
+
+// Statuses an order works forward through (cancelled can follow any of them)
+const LIFECYCLE_STATUSES = ORDER_STATUSES.filter(status => status.key !== 'cancelled');
+
+// Statuses a new order can be entered with
+const NEW_ORDER_STATUSES = ['quote', 'confirmed'];
+
+// Statuses that count as sold unless settings say otherwise
+const DEFAULT_SOLD_STATUSES = ['confirmed', 'built', 'installed'];
+
+// Amounts reversed when a sold order is cancelled (build_cost_variance when attached, see getOrderBuildCostVariances)
+const SALE_AMOUNT_FIELDS = ['boxes_qty', 'box_rrp_total', 'box_net_total', 'box_build_cost_total', 'install_revenue', 'extras_revenue', 'build_cost_variance'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Look up a status
+ * @param {String} key
+ * @returns {Object|null} Entry of ORDER_STATUSES
+ */
+function getOrderStatus(key) {
+    return ORDER_STATUSES.find(status => status.key === key) || null;
+}
+
+/**
+ * Get a date as YYYY-MM-DD (DATE columns load as local midnight)
+ * @param {Date|String|null} date
+ * @returns {String|null}
+ */
+function toStatusDateKey(date) {
+    if (!date) return null;
+    if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) return date.slice(0, 10);
+    return toDateKey(date);
+}
+
+/**
+ * Get the statuses that count as sold
+ * @param {Object} settings - Settings row (sold_statuses_json)
+ * @returns {Array} Status keys in lifecycle order
+ */
+function getSoldStatuses(settings) {
+    const stored = typeof settings.sold_statuses_json === 'string'
+        ? JSON.parse(settings.sold_statuses_json)
+        : settings.sold_statuses_json;
+    const statuses = Array.isArray(stored)
+        ? LIFECYCLE_STATUSES.filter(status => stored.includes(status.key)).map(status => status.key)
+        : [];
+    return statuses.length > 0 ? statuses : DEFAULT_SOLD_STATUSES;
+}
+
+/**
+ * Validate the sold statuses chosen on the settings form
+ * @param {String|Array|undefined} values - Checked status keys
+ * @returns {Object} { soldStatuses } or { error }
+ */
+function parseSoldStatuses(values) {
+    const checked = [].concat(values || []);
+    const soldStatuses = LIFECYCLE_STATUSES.filter(status => checked.includes(status.key)).map(status => status.key);
+    if (soldStatuses.length === 0) {
+        return { error: 'Choose at least one order status that counts as sold' };
+    }
+    return { soldStatuses };
+}
+
+/**
+ * Get every date recorded on an order's statuses (for month locks)
+ * @param {Object} order - orders row
+ * @returns {Array} Non-null dates
+ */
+function getOrderStatusDates(order) {
+    return ORDER_STATUSES.map(status => order[status.dateColumn]).filter(Boolean);
+}
+
+/**
+ * Get the date an order first counted as sold
+ * @param {Object} order - orders row
+ * @param {Array} soldStatuses - From getSoldStatuses
+ * @returns {Date|String|null} Earliest date of a sold status, or null if never sold
+ */
+function getOrderSoldDate(order, soldStatuses) {
+    return soldStatuses
+        .map(key => order[getOrderStatus(key).dateColumn])
+        .filter(Boolean)
+        .reduce((earliest, date) => (earliest === null || toStatusDateKey(date) < toStatusDateKey(earliest) ? date : earliest), null);
+}
+
+/**
+ * Turn orders into the sales they count as: a sale dated when the order was
+ * sold, and a reversal (negative amounts) dated when a sold order was cancelled
+ * @param {Array} orders - orders rows
+ * @param {Object} settings - Settings row (sold_statuses_json)
+ * @returns {Array} Order-shaped rows with sale_date and sale_sign (1 or -1); lines are dropped
+ */
+function getSalesEvents(orders, settings) {
+    const soldStatuses = getSoldStatuses(settings);
+
+    return orders.flatMap(order => {
+        const soldDate = getOrderSoldDate(order, soldStatuses);
+        if (!soldDate) return [];
+
+        const { lines, ...sale } = order;
+        const events = [{ ...sale, sale_date: soldDate, sale_sign: 1 }];
+        if (order.cancelled_date) {
+            const reversal = { ...sale, sale_date: order.cancelled_date, sale_sign: -1 };
+            SALE_AMOUNT_FIELDS.forEach(field => {
+                reversal[field] = -(parseFloat(order[field]) || 0);
+            });
+            events.push(reversal);
+        }
+        return events;
+    });
+}
+
+/**
+ * SQL source of sales events (see getSalesEvents): orders rows with sale_date
+ * and sale_sign; multiply amounts by sale_sign when summing
+ * @param {Object} settings - Settings row (sold_statuses_json)
+ * @returns {String} Parenthesised subquery (column names come from ORDER_STATUSES)
+ */
+function getSalesEventsSQL(settings) {
+    const soldDate = `LEAST(${getSoldStatuses(settings).map(key => `o.${getOrderStatus(key).dateColumn}`).join(', ')})`;
+
+    return `(SELECT o.*, sale.sale_date, sale.sale_sign
+             FROM orders o
+             CROSS JOIN LATERAL (VALUES
+                (${soldDate}, 1),
+                (CASE WHEN ${soldDate} IS NOT NULL THEN o.cancelled_date END, -1)
+             ) AS sale(sale_date, sale_sign)
+             WHERE sale.sale_date IS NOT NULL)`;
+}
+
+// Array of an order's status dates (alias o), e.g. to find orders with activity in a range
+const ORDER_STATUS_DATES_SQL = `ARRAY[${ORDER_STATUSES.map(status => `o.${status.dateColumn}`).join(', ')}]`;
+
+/**
+ * Get the statuses an order can move to next
+ * @param {Object} order - orders row
+ * @returns {Array} Entries of ORDER_STATUSES
+ */
+function getNextOrderStatuses(order) {
+    if (order.status === 'cancelled') return [];
+    const current = LIFECYCLE_STATUSES.findIndex(status => status.key === order.status);
+    return ORDER_STATUSES.filter((status, index) => status.key === 'cancelled' || index > current);
+}
+
+/**
+ * Get the date an order reached its current status
+ * @param {Object} order - orders row
+ * @returns {Date|String}
+ */
+function getCurrentStatusDate(order) {
+    const status = getOrderStatus(order.status) || ORDER_STATUSES[0];
+    return order[status.dateColumn] || order.order_date;
+}
+
+/**
+ * Validate a status change
+ * @param {Object} order - orders row
+ * @param {String} status - New status key
+ * @param {String} date - Date it was reached (YYYY-MM-DD)
+ * @returns {String|null} Error message, or null when valid
+ */
+function validateStatusChange(order, status, date) {
+    const target = getOrderStatus(status);
+    if (!target) {
+        return `Status must be one of ${ORDER_STATUSES.map(s => s.key).join(', ')}`;
+    }
+    if (!getNextOrderStatuses(order).some(next => next.key === status)) {
+        return order.status === 'cancelled'
+            ? 'This order is cancelled'
+            : `A ${getOrderStatus(order.status).label.toLowerCase()} order can't move to ${target.label.toLowerCase()}`;
+    }
+
+    const dateKey = toStatusDateKey(date);
+    if (!dateKey || toDateKey(new Date(`${dateKey}T00:00:00`)) !== dateKey) {
+        return 'Status date must be a date';
+    }
+    if (dateKey > toDateKey(new Date())) {
+        return "Status date can't be in the future";
+    }
+    const currentDate = getCurrentStatusDate(order);
+    if (dateKey < toStatusDateKey(currentDate)) {
+        return `Status date can't be before the order became ${getOrderStatus(order.status).label.toLowerCase()} (${toStatusDateKey(currentDate)})`;
+    }
+    return null;
+}
+
+/**
+ * Status dates of an order after its order date changes: statuses reached on
+ * the old order date (e.g. entered as confirmed) move to the new one
+ * @param {Object} order - Stored orders row
+ * @param {String} orderDate - New order date
+ * @returns {Object} { confirmed_date, built_date, installed_date, cancelled_date }
+ */
+function getMovedStatusDates(order, orderDate) {
+    const oldOrderDate = toStatusDateKey(order.order_date);
+    return Object.fromEntries(ORDER_STATUSES
+        .filter(status => status.dateColumn !== 'order_date')
+        .map(status => {
+            const date = order[status.dateColumn];
+            return [status.dateColumn, date && toStatusDateKey(date) === oldOrderDate ? orderDate : (date || null)];
+        }));
+}
+
+/**
+ * Check that a new order date doesn't come after the order's later statuses.
+ * Status dates on the old order date move with it (see getMovedStatusDates).
+ * @param {Object} order - Stored orders row
+ * @param {String} orderDate - New order date
+ * @returns {String|null} Error message, or null when valid
+ */
+function getOrderDateError(order, orderDate) {
+    const moved = getMovedStatusDates(order, orderDate);
+    const earlier = ORDER_STATUSES
+        .filter(status => status.dateColumn !== 'order_date' && moved[status.dateColumn])
+        .find(status => toStatusDateKey(moved[status.dateColumn]) < toStatusDateKey(orderDate));
+    return earlier
+        ? `Order date can't be after the order became ${earlier.label.toLowerCase()} (${toStatusDateKey(moved[earlier.dateColumn])})`
+        : null;
+}
+
+/**
+ * Move an order to a new status. Statuses skipped on the way forward are
+ * dated the same day, so an order built straight from a quote was also confirmed.
+ * @param {Object} req - Request of the user (or API token) changing the status
+ * @param {Object} order - Stored orders row (checked with validateStatusChange)
+ * @param {String} status - New status key
+ * @param {String} date - Date it was reached (YYYY-MM-DD)
+ * @returns {Promise<Object>} Updated orders row
+ */
+async function changeOrderStatus(req, order, status, date) {
+    const target = LIFECYCLE_STATUSES.findIndex(lifecycle => lifecycle.key === status);
+    const dates = {};
+    ORDER_STATUSES.forEach((lifecycle, index) => {
+        if (lifecycle.dateColumn === 'order_date') return;
+        const reached = lifecycle.key === status || index <= target;
+        dates[lifecycle.dateColumn] = reached && !order[lifecycle.dateColumn] ? date : order[lifecycle.dateColumn];
+    });
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const orderResult = await client.query(
+            `UPDATE orders SET
+                status = $1,
+                confirmed_date = $2,
+                built_date = $3,
+                installed_date = $4,
+                cancelled_date = $5,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6
+             RETURNING *`,
+            [status, dates.confirmed_date, dates.built_date, dates.installed_date, dates.cancelled_date, order.id]
+        );
+
+        await recordAudit(req, {
+            entityType: 'order',
+            entityId: order.id,
+            action: 'status',
+            before: order,
+            after: orderResult.rows[0]
+        }, client);
+
+        await client.query('COMMIT');
+        return orderResult.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    LIFECYCLE_STATUSES,
+    NEW_ORDER_STATUSES,
+    DEFAULT_SOLD_STATUSES,
+    ORDER_STATUS_DATES_SQL,
+    getOrderStatus,
+    getSoldStatuses,
+    parseSoldStatuses,
+    getOrderStatusDates,
+    getOrderSoldDate,
+    getSalesEvents,
+    getSalesEventsSQL,
+    getNextOrderStatuses,
+    validateStatusChange,
+    getOrderDateError,
+    getMovedStatusDates,
+    changeOrderStatus
+};
@@ -0,0 +1,286 @@
+/**
+ * Month Close
+ * Directors close a month once it has been reported. A closed month is keyed
+ * by its first calendar day (so it stays put if the FY start month changes)
+ * and its orders and production entries can't be created, edited, deleted or
+ * restored until a director reopens it.
+ */
+
+const db = require('../db');
+const { getFYDateRange, getFYStartMonth, CALENDAR_MONTH_NAMES } = require('./fy');
+const { toDateKey } = require('./calendar');
+const { RECYCLE_BIN_TYPES } = require('./recycle-bin');
+const { querySalesMetrics, queryProductionMetrics } = require('./sql-aggregations');
+const { getSettingsForFY } = require('./targets');
+const { recordAudit } = require('./audit');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Get the first day of the calendar month a date falls in
+ * @param {Date|String} date - Date or YYYY-MM-DD string
+ * @returns {String|null} YYYY-MM-01, or null for a missing/invalid date
+ */
+function getMonthStartKey(date) {
+    if (!date) return null;
+    if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) {
+        return `${date.slice(0, 7)}-01`;
+    }
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return null;
+    return toDateKey(new Date(d.getFullYear(), d.getMonth(), 1));
+}
+
+/**
+ * Get the month start key for an FY month
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec)
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {String} YYYY-MM-01
+ */
+function getPeriodStartKey(fyLabel, month, startMonth) {
+    return toDateKey(getFYDateRange(fyLabel, month, startMonth).start);
+}
+
+/**
+ * Format a month start as "Mar 2026"
+ * @param {Date|String} periodStart
+ * @returns {String}
+ */
+function formatPeriodMonth(periodStart) {
+    const [year, month] = getMonthStartKey(periodStart).split('-');
+    return `${CALENDAR_MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+}
+
+/**
+ * Build the error shown when a change touches closed months
+ * @param {Array} periodStarts - Closed month starts
+ * @returns {String}
+ */
+function getPeriodLockMessage(periodStarts) {
+    const months = periodStarts.map(formatPeriodMonth);
+    const list = months.length > 1
+        ? `${months.slice(0, -1).join(', ')} and ${months[months.length - 1]} are`
+        : `${months[0]} is`;
+    return `${list} closed. Ask a director to reopen ${months.length > 1 ? 'them' : 'it'} before changing records dated there.`;
+}
+
+/**
+ * Check whether any of the given dates fall in a closed month
+ * @param {Array} dates - Dates or YYYY-MM-DD strings (blank values are ignored)
+ * @returns {Promise<String|null>} Error message, or null when all are open
+ */
+async function getPeriodLockError(dates) {
+    const keys = dates.map(getMonthStartKey).filter((key, index, all) => key && all.indexOf(key) === index);
+    if (keys.length === 0) return null;
+
+    const closedResult = await db.query(
+        `SELECT period_start FROM period_closes
+         WHERE reopened_at IS NULL AND period_start = ANY($1::date[])
+         ORDER BY period_start`,
+        [keys]
+    );
+
+    return closedResult.rows.length > 0
+        ? getPeriodLockMessage(closedResult.rows.map(row => row.period_start))
+        : null;
+}
+
+/**
+ * Check whether any of the given records are dated in a closed month
+ * (an order on any of its status dates)
+ * @param {String} type - "orders" or "production" (see RECYCLE_BIN_TYPES)
+ * @param {Array|null} ids - Record IDs, or null for all
+ * @param {Boolean} inRecycleBin - Check deleted records instead of live ones
+ * @returns {Promise<String|null>} Error message, or null when all are open
+ */
+async function getRecordsLockError(type, ids, inRecycleBin = false) {
+    const recordType = RECYCLE_BIN_TYPES[type];
+    const recordDates = `ARRAY[${recordType.dateColumns.map(column => `r.${column}`).join(', ')}]`;
+
+    const closedResult = await db.query(
+        `SELECT DISTINCT pc.period_start
+         FROM period_closes pc
+         JOIN ${recordType.table} r
+            ON EXISTS (SELECT 1 FROM unnest(${recordDates}) AS record_date WHERE date_trunc('month', record_date)::date = pc.period_start)
+         WHERE pc.reopened_at IS NULL
+         AND (r.deleted_at IS NOT NULL) = $1
+         AND ($2::int[] IS NULL OR r.id = ANY($2))
+         ORDER BY pc.period_start`,
+        [inRecycleBin, ids]
+    );
+
+    return closedResult.rows.length > 0
+        ? getPeriodLockMessage(closedResult.rows.map(row => row.period_start))
+        : null;
+}
+
+/**
+ * Load the close for an FY month if it is currently closed
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec); YTD, FY and weeks are never closed
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Promise<Object|null>} period_closes row with closed_by_name
+ */
+async function getPeriodClose(fyLabel, month, startMonth) {
+    if (!CALENDAR_MONTH_NAMES.includes(month)) return null;
+
+    const closeResult = await db.query(
+        `SELECT pc.*, u.name as closed_by_name
+         FROM period_closes pc
+         LEFT JOIN users u ON pc.closed_by = u.id
+         WHERE pc.period_start = $1 AND pc.reopened_at IS NULL`,
+        [getPeriodStartKey(fyLabel, month, startMonth)]
+    );
+
+    return closeResult.rows[0] || null;
+}
+
+/**
+ * Load every close (open or reopened) for the months of an FY
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Promise<Array>} period_closes rows with closed_by_name and reopened_by_name
+ */
+async function getFYPeriodCloses(fyLabel, startMonth) {
+    const fyRange = getFYDateRange(fyLabel, 'FY', startMonth);
+
+    const closesResult = await db.query(
+        `SELECT pc.*, cu.name as closed_by_name, ru.name as reopened_by_name
+         FROM period_closes pc
+         LEFT JOIN users cu ON pc.closed_by = cu.id
+         LEFT JOIN users ru ON pc.reopened_by = ru.id
+         WHERE pc.period_start BETWEEN $1 AND $2
+         ORDER BY pc.period_start`,
+        [toDateKey(fyRange.start), toDateKey(fyRange.end)]
+    );
+
+    return closesResult.rows;
+}
+
+/**
+ * Close an FY month, snapshotting the company sales and production metrics.
+ * A reopened month can be closed again; its snapshot is retaken.
+ * @param {Object} req - Request of the director closing the month
+ * @param {String} fyLabel
+ * @param {String} month - Month name (Jan-Dec)
+ * @returns {Promise<Object>} { close } or { error }
+ */
+async function closePeriod(req, fyLabel, month) {
+    if (!CALENDAR_MONTH_NAMES.includes(month)) {
+        return { error: 'Choose a month to close' };
+    }
+
+    const fySettings = await getSettingsForFY(fyLabel);
+    const periodStart = getPeriodStartKey(fyLabel, month, getFYStartMonth(fySettings));
+    if (periodStart > getMonthStartKey(new Date())) {
+        return { error: `${formatPeriodMonth(periodStart)} hasn't started yet` };
+    }
+
+    const salesSnapshot = await querySalesMetrics(fySettings, fyLabel, month);
+    const productionSnapshot = await queryProductionMetrics(fySettings, fyLabel, month);
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+            'SELECT * FROM period_closes WHERE period_start = $1 FOR UPDATE',
+            [periodStart]
+        );
+        const existing = existingResult.rows[0] || null;
+        if (existing && !existing.reopened_at) {
+            await client.query('ROLLBACK');
+            return { error: `${formatPeriodMonth(periodStart)} is already closed` };
+        }
+
+        const closeResult = await client.query(
+            `INSERT INTO period_closes (
+                period_start, closed_by, sales_snapshot_json, production_snapshot_json
+            ) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (period_start) DO UPDATE SET
+                closed_at = CURRENT_TIMESTAMP,
+                closed_by = $2,
+                reopened_at = NULL,
+                reopened_by = NULL,
+                sales_snapshot_json = $3,
+                production_snapshot_json = $4
+            RETURNING *`,
+            [periodStart, req.session.userId, JSON.stringify(salesSnapshot), JSON.stringify(productionSnapshot)]
+        );
+
+        await recordAudit(req, {
+            entityType: 'period_close',
+            entityId: closeResult.rows[0].id,
+            action: 'close',
+            before: existing,
+            after: closeResult.rows[0]
+        }, client);
+
+        await client.query('COMMIT');
+        return { close: closeResult.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Reopen a closed month so its records can be changed again
+ * @param {Object} req - Request of the director reopening the month
+ * @param {String} periodStart - YYYY-MM-01
+ * @returns {Promise<Object>} { close } or { error }
+ */
+async function reopenPeriod(req, periodStart) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+            'SELECT * FROM period_closes WHERE period_start = $1 AND reopened_at IS NULL FOR UPDATE',
+            [periodStart]
+        );
+        if (existingResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { error: `${formatPeriodMonth(periodStart)} is not closed` };
+        }
+
+        const reopenResult = await client.query(
+            `UPDATE period_closes
+             SET reopened_at = CURRENT_TIMESTAMP, reopened_by = $1
+             WHERE id = $2
+             RETURNING *`,
+            [req.session.userId, existingResult.rows[0].id]
+        );
+
+        await recordAudit(req, {
+            entityType: 'period_close',
+            entityId: reopenResult.rows[0].id,
+            action: 'reopen',
+            before: existingResult.rows[0],
+            after: reopenResult.rows[0]
+        }, client);
+
+        await client.query('COMMIT');
+        return { close: reopenResult.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    getMonthStartKey,
+    getPeriodStartKey,
+    formatPeriodMonth,
+    getPeriodLockError,
+    getRecordsLockError,
+    getPeriodClose,
+    getFYPeriodCloses,
+    closePeriod,
+    reopenPeriod
+};
@@ -0,0 +1,300 @@
+/**
+ * Production Allocations
+ * A production entry can allocate its built boxes to orders, in part or in
+ * full; boxes left unallocated were built for no particular order. An order's
+ * outstanding boxes are its quantity less the boxes allocated to it, and the
+ * backlog is the outstanding boxes of confirmed orders that aren't cancelled
+ * or marked built. Orders marked built count as fully built, so orders from
+ * before allocations (or built without them) don't sit in the backlog.
+ */
+
+const db = require('../db');
+const { toLineArray } = require('./order-lines');
+
+// Ageing bands of the backlog report, by days since the order date
+const BACKLOG_AGE_BANDS = [
+    { label: '0-30 days', min: 0, max: 30 },
+    { label: '31-60 days', min: 31, max: 60 },
+    { label: '61-90 days', min: 61, max: 90 },
+    { label: 'Over 90 days', min: 91, max: null }
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Label an order in messages and pickers
+ * @param {Object} order - orders row
+ * @returns {String}
+ */
+function getOrderLabel(order) {
+    return order.order_ref || `Order #${order.id}`;
+}
+
+/**
+ * Parse submitted allocations (form rows or API array); blank rows are skipped
+ * @param {Array|Object|undefined} rawAllocations - [{ order_id, boxes }]
+ * @returns {Object} { allocations, errors }
+ */
+function parseAllocations(rawAllocations) {
+    const errors = [];
+    const allocations = [];
+
+    toLineArray(rawAllocations).forEach((raw, index) => {
+        const label = `Allocation ${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (isBlank(raw.order_id) && isBlank(raw.boxes)) return;
+
+        const orderId = Number(raw.order_id);
+        const boxes = isBlank(raw.boxes) ? NaN : Number(raw.boxes);
+        if (!Number.isInteger(orderId) || orderId < 1) {
+            errors.push(`${label}: choose an order`);
+        } else if (allocations.some(allocation => allocation.order_id === orderId)) {
+            errors.push(`${label}: order ${orderId} is already allocated above`);
+        }
+        if (!Number.isInteger(boxes) || boxes < 1) {
+            errors.push(`${label}: boxes must be a whole number of at least 1`);
+        }
+        allocations.push({ order_id: orderId, boxes });
+    });
+
+    return { allocations, errors };
+}
+
+/**
+ * Load the allocations of some production entries
+ * @param {Array} productionIds
+ * @param {Object} client - Database client (defaults to the pool)
+ * @returns {Promise<Object>} Allocations (with order_ref and customer_name) keyed by production ID
+ */
+async function getProductionAllocations(productionIds, client = db) {
+    const allocationsResult = await client.query(
+        `SELECT a.*, o.order_ref, c.name as customer_name
+         FROM production_allocations a
+         JOIN orders o ON a.order_id = o.id
+         LEFT JOIN customers c ON o.customer_id = c.id
+         WHERE a.production_id = ANY($1::int[])
+         ORDER BY a.production_id, a.id`,
+        [productionIds]
+    );
+
+    const allocationsByEntry = {};
+    allocationsResult.rows.forEach(allocation => {
+        (allocationsByEntry[allocation.production_id] = allocationsByEntry[allocation.production_id] || []).push(allocation);
+    });
+    return allocationsByEntry;
+}
+
+/**
+ * Get the boxes built for some orders (allocations of live production entries)
+ * @param {Array} orderIds
+ * @param {Number|null} excludeProductionId - Entry to leave out (the one being edited)
+ * @param {Object} client - Database client (defaults to the pool)
+ * @returns {Promise<Object>} Boxes allocated keyed by order ID (orders with none are left out)
+ */
+async function getOrderBuiltBoxes(orderIds, excludeProductionId = null, client = db) {
+    const builtResult = await client.query(
+        `SELECT a.order_id, SUM(a.boxes) AS boxes
+         FROM production_allocations a
+         JOIN production_boxes p ON a.production_id = p.id
+         WHERE a.order_id = ANY($1::int[])
+         AND p.deleted_at IS NULL
+         AND ($2::int IS NULL OR p.id <> $2::int)
+         GROUP BY a.order_id`,
+        [orderIds, excludeProductionId]
+    );
+
+    return Object.fromEntries(builtResult.rows.map(row => [row.order_id, parseInt(row.boxes)]));
+}
+
+/**
+ * Get an order's boxes left to build: none once it is marked built or cancelled.
+ * Quotes show their boxes but only join the backlog once confirmed.
+ * @param {Object} order - orders row
+ * @param {Number} boxesBuilt - Boxes allocated to it (see getOrderBuiltBoxes)
+ * @returns {Number}
+ */
+function getOutstandingBoxes(order, boxesBuilt) {
+    if (order.built_date || order.cancelled_date) return 0;
+    return Math.max((parseInt(order.boxes_qty) || 0) - boxesBuilt, 0);
+}
+
+/**
+ * Check allocations against the entry's boxes built and the orders' outstanding
+ * boxes. New allocations must be to confirmed orders that aren't cancelled;
+ * allocations the entry already has are kept even if their order has since moved
+ * on, but not once it is deleted. The orders are locked FOR UPDATE, so inside a
+ * transaction (see saveProductionEntry) concurrent saves allocating to the same
+ * orders check their outstanding boxes one at a time.
+ * @param {Array} allocations - From parseAllocations
+ * @param {Number} boxesBuilt - Boxes built on the entry
+ * @param {Number|null} productionId - Entry being edited (null when creating)
+ * @param {Object} client - Database client (defaults to the pool)
+ * @returns {Promise<Array>} Error messages
+ */
+async function validateAllocations(allocations, boxesBuilt, productionId = null, client = db) {
+    const errors = [];
+    if (allocations.length === 0) return errors;
+
+    const allocatedTotal = allocations.reduce((sum, allocation) => sum + allocation.boxes, 0);
+    if (allocatedTotal > boxesBuilt) {
+        errors.push(`Boxes allocated to orders (${allocatedTotal}) can't be more than boxes built (${boxesBuilt})`);
+    }
+
+    const orderIds = allocations.map(allocation => allocation.order_id);
+    const ordersResult = await client.query(
+        'SELECT * FROM orders WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+        [orderIds]
+    );
+    const builtElsewhere = await getOrderBuiltBoxes(orderIds, productionId, client);
+    const current = productionId ? (await getProductionAllocations([productionId], client))[productionId] || [] : [];
+
+    allocations.forEach(allocation => {
+        const order = ordersResult.rows.find(row => row.id === allocation.order_id);
+        const isNew = !current.some(existing => existing.order_id === allocation.order_id);
+        if (!order || (isNew && order.deleted_at)) {
+            errors.push(`Order ${allocation.order_id} not found`);
+            return;
+        }
+        if (order.deleted_at) {
+            errors.push(`${getOrderLabel(order)} has been deleted; restore it from the recycle bin or remove its allocation`);
+            return;
+        }
+
+        if (isNew && order.status === 'quote') {
+            errors.push(`${getOrderLabel(order)} is a quote; confirm it before allocating boxes`);
+        } else if (isNew && order.status === 'cancelled') {
+            errors.push(`${getOrderLabel(order)} is cancelled`);
+        }
+
+        const outstanding = Math.max((parseInt(order.boxes_qty) || 0) - (builtElsewhere[order.id] || 0), 0);
+        if (allocation.boxes > outstanding) {
+            errors.push(`${getOrderLabel(order)} has ${outstanding} box${outstanding === 1 ? '' : 'es'} left to build`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Load the orders boxes can be allocated to: confirmed orders (not yet built,
+ * installed or cancelled) with boxes left to build, plus any already allocated
+ * (even if since deleted, so the form can show what the entry is allocated to)
+ * @param {Number|null} productionId - Entry being edited (its allocations don't count as built)
+ * @param {Array} includeIds - Order IDs to include regardless
+ * @returns {Promise<Array>} orders rows with customer_name, boxes_allocated and boxes_outstanding, oldest first
+ */
+async function getAllocatableOrders(productionId = null, includeIds = []) {
+    const ids = includeIds.filter(Boolean).map(id => parseInt(id));
+    const ordersResult = await db.query(
+        `SELECT o.*, c.name as customer_name
+         FROM orders o
+         LEFT JOIN customers c ON o.customer_id = c.id
+         WHERE (o.deleted_at IS NULL AND o.status = 'confirmed')
+         OR o.id = ANY($1::int[])
+         ORDER BY o.order_date, o.id`,
+        [ids]
+    );
+
+    const built = await getOrderBuiltBoxes(ordersResult.rows.map(order => order.id), productionId);
+    return ordersResult.rows
+        .map(order => ({
+            ...order,
+            boxes_allocated: built[order.id] || 0,
+            boxes_outstanding: getOutstandingBoxes(order, built[order.id] || 0)
+        }))
+        .filter(order => order.boxes_outstanding > 0 || ids.includes(order.id));
+}
+
+/**
+ * SQL source of the backlog on a date: orders confirmed by then and not yet
+ * cancelled or marked built, with the boxes allocated to them by production
+ * entries dated up to then
+ * @param {String} dateParam - Placeholder of the date, e.g. "$1::date"
+ * @returns {String} Parenthesised subquery of orders rows with boxes_allocated and boxes_outstanding
+ */
+function getBacklogSQL(dateParam) {
+    return `(SELECT o.*, COALESCE(built.boxes, 0) AS boxes_allocated,
+                    GREATEST(o.boxes_qty - COALESCE(built.boxes, 0), 0) AS boxes_outstanding
+             FROM orders o
+             LEFT JOIN LATERAL (
+                SELECT SUM(a.boxes) AS boxes
+                FROM production_allocations a
+                JOIN production_boxes p ON a.production_id = p.id
+                WHERE a.order_id = o.id
+                AND p.deleted_at IS NULL
+                AND p.production_date <= ${dateParam}
+             ) built ON true
+             WHERE o.deleted_at IS NULL
+             AND o.confirmed_date <= ${dateParam}
+             AND (o.cancelled_date IS NULL OR o.cancelled_date > ${dateParam})
+             AND (o.built_date IS NULL OR o.built_date > ${dateParam}))`;
+}
+
+/**
+ * Load the orders in the backlog on a date, with their age
+ * @param {String} asOf - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Backlog rows with sales_rep_name, customer_name and age_days, oldest first
+ */
+async function queryBacklogOrders(asOf) {
+    const backlogResult = await db.query(
+        `SELECT b.*, u.name as sales_rep_name, c.name as customer_name
+         FROM ${getBacklogSQL('$1::date')} b
+         LEFT JOIN users u ON b.sales_rep_id = u.id
+         LEFT JOIN customers c ON b.customer_id = c.id
+         WHERE b.boxes_outstanding > 0
+         ORDER BY b.order_date, b.id`,
+        [asOf]
+    );
+
+    const asOfTime = new Date(`${asOf}T00:00:00`).getTime();
+    return backlogResult.rows.map(order => ({
+        ...order,
+        boxes_allocated: parseInt(order.boxes_allocated) || 0,
+        boxes_outstanding: parseInt(order.boxes_outstanding) || 0,
+        age_days: Math.round((asOfTime - new Date(order.order_date).getTime()) / MS_PER_DAY)
+    }));
+}
+
+/**
+ * Sum backlog orders into the ageing bands
+ * @param {Array} backlogOrders - From queryBacklogOrders
+ * @returns {Array} { label, ordersCount, boxes } per band of BACKLOG_AGE_BANDS
+ */
+function summarizeBacklogAges(backlogOrders) {
+    return BACKLOG_AGE_BANDS.map(band => {
+        const inBand = backlogOrders.filter(order =>
+            order.age_days >= band.min && (band.max === null || order.age_days <= band.max)
+        );
+        return {
+            label: band.label,
+            ordersCount: inBand.length,
+            boxes: inBand.reduce((sum, order) => sum + order.boxes_outstanding, 0)
+        };
+    });
+}
+
+module.exports = {
+    BACKLOG_AGE_BANDS,
+    getOrderLabel,
+    parseAllocations,
+    getProductionAllocations,
+    getOrderBuiltBoxes,
+    getOutstandingBoxes,
+    validateAllocations,
+    getAllocatableOrders,
+    getBacklogSQL,
+    queryBacklogOrders,
+    summarizeBacklogAges
+};
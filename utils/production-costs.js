@@ -0,0 +1,247 @@
+/**
+ * Production Costs
+ * A production entry can record what its boxes cost to build against the
+ * standard cost, in cost lines per box type. A line's standard cost defaults
+ * to the box type's default build cost; its overrun is the actual cost above
+ * standard (a line under standard doesn't offset another line's overrun).
+ * The entry's totals (standard_build_cost, actual_build_cost, cost_overrun)
+ * are summed from its lines on every save, so aggregates keep reading entries.
+ *
+ * Orders restate their build cost on actuals through their allocations: each
+ * box built by a costed entry costs the order's standard cost per box scaled by
+ * that entry's actual-to-standard ratio; boxes not yet built stay at standard.
+ */
+
+const db = require('../db');
+const { toLineArray } = require('./order-lines');
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Round an amount to the penny
+ * @param {Number} amount
+ * @returns {Number}
+ */
+function roundToPence(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parse submitted cost lines (form rows, API array or CSV JSON); blank rows are skipped
+ * @param {Array|Object|undefined} rawLines - [{ box_type_id, boxes, standard_cost, actual_cost }]
+ * @returns {Object} { lines, errors } - standard_cost is null when left for the box type default
+ */
+function parseCostLines(rawLines) {
+    const errors = [];
+    const lines = [];
+
+    toLineArray(rawLines).forEach((raw, index) => {
+        const label = `Cost line ${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (['box_type_id', 'boxes', 'standard_cost', 'actual_cost'].every(field => isBlank(raw[field]))) return;
+
+        const boxTypeId = isBlank(raw.box_type_id) ? null : Number(raw.box_type_id);
+        if (boxTypeId !== null && (!Number.isInteger(boxTypeId) || boxTypeId < 1)) {
+            errors.push(`${label}: box type must be an ID`);
+        }
+
+        const boxes = isBlank(raw.boxes) ? NaN : Number(raw.boxes);
+        if (!Number.isInteger(boxes) || boxes < 1) {
+            errors.push(`${label}: boxes must be a whole number of at least 1`);
+        }
+
+        const standardCost = isBlank(raw.standard_cost) ? null : Number(raw.standard_cost);
+        if (standardCost !== null && (isNaN(standardCost) || standardCost < 0)) {
+            errors.push(`${label}: standard cost must be an amount of at least 0`);
+        } else if (standardCost === null && boxTypeId === null) {
+            errors.push(`${label}: enter the standard cost or choose a box type`);
+        }
+
+        const actualCost = isBlank(raw.actual_cost) ? NaN : Number(raw.actual_cost);
+        if (isNaN(actualCost) || actualCost < 0) {
+            errors.push(`${label}: actual cost must be an amount of at least 0`);
+        }
+
+        lines.push({
+            box_type_id: boxTypeId,
+            boxes,
+            standard_cost: standardCost === null ? null : roundToPence(standardCost),
+            actual_cost: roundToPence(actualCost)
+        });
+    });
+
+    return { lines, errors };
+}
+
+/**
+ * Match parsed cost lines to their box types, fill blank standard costs from
+ * the box type's default build cost and check the lines cover the boxes built
+ * @param {Array} lines - From parseCostLines
+ * @param {Number} boxesBuilt - Boxes built on the entry
+ * @returns {Promise<Object>} { lines } numbered from 1 with standard_cost and overrun set, or { errors }
+ */
+async function validateCostLines(lines, boxesBuilt) {
+    if (lines.length === 0) return { lines };
+
+    const errors = [];
+    const boxTypesResult = await db.query(
+        'SELECT * FROM box_types WHERE id = ANY($1::int[])',
+        [lines.map(line => line.box_type_id).filter(id => id !== null)]
+    );
+
+    const resolved = lines.map((line, index) => {
+        const boxType = boxTypesResult.rows.find(row => row.id === line.box_type_id);
+        if (line.box_type_id !== null && !boxType) {
+            errors.push(`Box type ${line.box_type_id} not found`);
+        }
+        const standardCost = line.standard_cost !== null
+            ? line.standard_cost
+            : roundToPence(line.boxes * (boxType ? parseFloat(boxType.default_build_cost) || 0 : 0));
+        return {
+            ...line,
+            line_no: index + 1,
+            standard_cost: standardCost,
+            overrun: roundToPence(Math.max(line.actual_cost - standardCost, 0))
+        };
+    });
+
+    const costedBoxes = lines.reduce((sum, line) => sum + line.boxes, 0);
+    if (costedBoxes !== boxesBuilt) {
+        errors.push(`Cost line boxes (${costedBoxes}) must add up to boxes built (${boxesBuilt})`);
+    }
+
+    return errors.length > 0 ? { errors } : { lines: resolved };
+}
+
+/**
+ * Sum an entry's cost lines into the totals stored on the entry
+ * @param {Array} lines - From validateCostLines
+ * @returns {Object} { standard_build_cost, actual_build_cost, cost_overrun } (all null without lines)
+ */
+function calculateCostTotals(lines) {
+    if (lines.length === 0) {
+        return { standard_build_cost: null, actual_build_cost: null, cost_overrun: null };
+    }
+
+    return {
+        standard_build_cost: roundToPence(lines.reduce((sum, line) => sum + line.standard_cost, 0)),
+        actual_build_cost: roundToPence(lines.reduce((sum, line) => sum + line.actual_cost, 0)),
+        cost_overrun: roundToPence(lines.reduce((sum, line) => sum + line.overrun, 0))
+    };
+}
+
+/**
+ * Load the cost lines of some production entries
+ * @param {Array} productionIds
+ * @returns {Promise<Object>} Lines (with box_type_name) keyed by production ID, in line order
+ */
+async function getProductionCostLines(productionIds) {
+    const linesResult = await db.query(
+        `SELECT l.*, bt.name as box_type_name
+         FROM production_cost_lines l
+         LEFT JOIN box_types bt ON l.box_type_id = bt.id
+         WHERE l.production_id = ANY($1::int[])
+         ORDER BY l.production_id, l.line_no`,
+        [productionIds]
+    );
+
+    const linesByEntry = {};
+    linesResult.rows.forEach(line => {
+        (linesByEntry[line.production_id] = linesByEntry[line.production_id] || []).push(line);
+    });
+    return linesByEntry;
+}
+
+/**
+ * Load the box types for a cost line picker: active ones plus any already used
+ * @param {Array} includeIds - Box type IDs to include even if inactive
+ * @returns {Promise<Array>} box_types rows by name
+ */
+async function getCostLineBoxTypes(includeIds = []) {
+    const boxTypesResult = await db.query(
+        'SELECT * FROM box_types WHERE active OR id = ANY($1::int[]) ORDER BY name',
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return boxTypesResult.rows;
+}
+
+/**
+ * Get how much an order's build cost moves when restated on actuals
+ * @param {Object} order - orders row
+ * @param {Array} costedAllocations - Its allocations from costed entries ({ boxes, standard_build_cost, actual_build_cost })
+ * @returns {Number} Actual less standard build cost (negative when built under standard)
+ */
+function calculateBuildCostVariance(order, costedAllocations) {
+    const boxesQty = parseInt(order.boxes_qty) || 0;
+    if (boxesQty === 0) return 0;
+
+    const standardPerBox = (parseFloat(order.box_build_cost_total) || 0) / boxesQty;
+    return costedAllocations.reduce((sum, allocation) =>
+        sum + allocation.boxes * standardPerBox * (parseFloat(allocation.actual_build_cost) / parseFloat(allocation.standard_build_cost) - 1), 0
+    );
+}
+
+/**
+ * Load the build cost variance of some orders (see calculateBuildCostVariance)
+ * @param {Array} orders - orders rows
+ * @returns {Promise<Object>} Variance keyed by order ID (orders with no costed allocations are left out)
+ */
+async function getOrderBuildCostVariances(orders) {
+    const allocationsResult = await db.query(
+        `SELECT a.order_id, a.boxes, p.standard_build_cost, p.actual_build_cost
+         FROM production_allocations a
+         JOIN production_boxes p ON a.production_id = p.id
+         WHERE a.order_id = ANY($1::int[])
+         AND p.deleted_at IS NULL
+         AND p.standard_build_cost > 0
+         AND p.actual_build_cost IS NOT NULL`,
+        [orders.map(order => order.id)]
+    );
+
+    const variances = {};
+    orders.forEach(order => {
+        const allocations = allocationsResult.rows.filter(allocation => allocation.order_id === order.id);
+        if (allocations.length > 0) {
+            variances[order.id] = calculateBuildCostVariance(order, allocations);
+        }
+    });
+    return variances;
+}
+
+/**
+ * SQL expression of an order's build cost variance (see calculateBuildCostVariance)
+ * @param {String} alias - Alias of the orders row, e.g. "o"
+ * @returns {String}
+ */
+function getBuildCostVarianceSQL(alias) {
+    return `COALESCE((
+                SELECT SUM(a.boxes * (p.actual_build_cost / p.standard_build_cost - 1))
+                FROM production_allocations a
+                JOIN production_boxes p ON a.production_id = p.id
+                WHERE a.order_id = ${alias}.id
+                AND p.deleted_at IS NULL
+                AND p.standard_build_cost > 0
+                AND p.actual_build_cost IS NOT NULL
+            ) * ${alias}.box_build_cost_total / NULLIF(${alias}.boxes_qty, 0), 0)`;
+}
+
+module.exports = {
+    parseCostLines,
+    validateCostLines,
+    calculateCostTotals,
+    getProductionCostLines,
+    getCostLineBoxTypes,
+    calculateBuildCostVariance,
+    getOrderBuildCostVariances,
+    getBuildCostVarianceSQL
+};
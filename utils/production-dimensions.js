@@ -0,0 +1,201 @@
+/**
+ * Production Lines, Teams and Shifts
+ * A production entry can record the line, team and shift that built its
+ * boxes, so crews building on the same day keep separate entries. Lines and
+ * teams come from catalogues directors keep; shifts are fixed. The production
+ * dashboard breaks boxes built, cost compliance and rework rate down by each,
+ * and each team gets a share of the monthly build plan as its target.
+ */
+
+const db = require('../db');
+
+// Shifts a production entry can be recorded against
+const PRODUCTION_SHIFTS = [
+    { key: 'day', label: 'Day' },
+    { key: 'late', label: 'Late' },
+    { key: 'night', label: 'Night' }
+];
+
+// Dimensions the production dashboard can break entries down by
+const PRODUCTION_DIMENSIONS = [
+    { key: 'team', label: 'Team' },
+    { key: 'line', label: 'Line' },
+    { key: 'shift', label: 'Shift' }
+];
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Look up a shift
+ * @param {String} key
+ * @returns {Object|undefined} { key, label }
+ */
+function getProductionShift(key) {
+    return PRODUCTION_SHIFTS.find(shift => shift.key === key);
+}
+
+/**
+ * Load production lines for a picker: active ones plus any already used
+ * @param {Array} includeIds - Line IDs to include even if inactive
+ * @returns {Promise<Array>} production_lines rows by name
+ */
+async function getProductionLineOptions(includeIds = []) {
+    const linesResult = await db.query(
+        'SELECT * FROM production_lines WHERE active OR id = ANY($1::int[]) ORDER BY name',
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return linesResult.rows;
+}
+
+/**
+ * Load production teams for a picker: active ones plus any already used
+ * @param {Array} includeIds - Team IDs to include even if inactive
+ * @returns {Promise<Array>} production_teams rows by name
+ */
+async function getProductionTeamOptions(includeIds = []) {
+    const teamsResult = await db.query(
+        'SELECT * FROM production_teams WHERE active OR id = ANY($1::int[]) ORDER BY name',
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return teamsResult.rows;
+}
+
+/**
+ * Check the line, team and shift submitted for a production entry. Inactive
+ * lines and teams can only stay on an entry that already uses them.
+ * @param {Object} raw - { line_id, team_id, shift } (blank for none)
+ * @param {Object|null} existing - Stored production_boxes row being updated (null when creating)
+ * @returns {Promise<Object>} { values: { line_id, team_id, shift } } or { error }
+ */
+async function resolveProductionDimensions(raw, existing = null) {
+    const values = {
+        line_id: isBlank(raw.line_id) ? null : Number(raw.line_id),
+        team_id: isBlank(raw.team_id) ? null : Number(raw.team_id),
+        shift: isBlank(raw.shift) ? null : String(raw.shift).trim().toLowerCase()
+    };
+
+    if (values.shift !== null && !getProductionShift(values.shift)) {
+        return { error: `Shift must be one of ${PRODUCTION_SHIFTS.map(shift => shift.key).join(', ')}` };
+    }
+
+    const catalogues = [
+        { field: 'line_id', table: 'production_lines', label: 'Line' },
+        { field: 'team_id', table: 'production_teams', label: 'Team' }
+    ];
+    for (const { field, table, label } of catalogues) {
+        const id = values[field];
+        if (id === null) continue;
+        if (!Number.isInteger(id) || id < 1) return { error: `${label} must be an ID` };
+
+        const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+        if (result.rows.length === 0) return { error: `${label} not found` };
+        if (!result.rows[0].active && !(existing && existing[field] === id)) {
+            return { error: `${label} "${result.rows[0].name}" is no longer in use` };
+        }
+    }
+
+    return { values };
+}
+
+/**
+ * Look up a production line by name (case-insensitive), e.g. for CSV import
+ * @param {String} name
+ * @returns {Promise<Number|null>} Line ID, or null if not found
+ */
+async function findProductionLineId(name) {
+    const lineResult = await db.query(
+        'SELECT id FROM production_lines WHERE LOWER(name) = LOWER($1)',
+        [name.trim()]
+    );
+    return lineResult.rows[0] ? lineResult.rows[0].id : null;
+}
+
+/**
+ * Look up a production team by name (case-insensitive), e.g. for CSV import
+ * @param {String} name
+ * @returns {Promise<Number|null>} Team ID, or null if not found
+ */
+async function findProductionTeamId(name) {
+    const teamResult = await db.query(
+        'SELECT id FROM production_teams WHERE LOWER(name) = LOWER($1)',
+        [name.trim()]
+    );
+    return teamResult.rows[0] ? teamResult.rows[0].id : null;
+}
+
+/**
+ * Resolve each team's box target for a period from the build plan.
+ * Teams with a plan share get that share of the plan; teams without one
+ * split whatever share the others leave evenly.
+ * @param {Array} teams - production_teams rows
+ * @param {Number} planBoxes - Boxes planned for the period
+ * @returns {Object} Map of team id -> { boxTarget, sharePct, isDefault }
+ */
+function getTeamTargets(teams, planBoxes) {
+    const withShare = teams.filter(team => team.plan_share_pct !== null && team.plan_share_pct !== undefined);
+    const withoutShare = teams.length - withShare.length;
+    const sharedPct = withShare.reduce((sum, team) => sum + (parseFloat(team.plan_share_pct) || 0), 0);
+    const evenSplitPct = withoutShare > 0 ? Math.max(100 - sharedPct, 0) / withoutShare : 0;
+
+    return teams.reduce((targets, team) => {
+        const isDefault = !withShare.includes(team);
+        const sharePct = isDefault ? evenSplitPct : parseFloat(team.plan_share_pct) || 0;
+        targets[team.id] = {
+            boxTarget: Math.round(planBoxes * sharePct / 100 * 10) / 10,
+            sharePct,
+            isDefault
+        };
+        return targets;
+    }, {});
+}
+
+/**
+ * Add team targets to a breakdown by team. Active teams with nothing built in
+ * the period are listed too; entries without a team, or with a team no longer
+ * active, have no target.
+ * @param {Array} rows - From queryProductionDimensionBreakdown by team
+ * @param {Array} teams - Active production_teams rows
+ * @param {Number} planBoxes - Boxes planned for the period
+ * @returns {Array} Rows with target ({ boxTarget, sharePct, isDefault } or null)
+ */
+function addTeamTargets(rows, teams, planBoxes) {
+    const targets = getTeamTargets(teams, planBoxes);
+    const idle = teams
+        .filter(team => !rows.some(row => row.label === team.name))
+        .map(team => ({
+            label: team.name,
+            boxesBuilt: 0,
+            boxesOverCost: 0,
+            reworkBoxes: 0,
+            costCompliancePct: 100,
+            valueCompliancePct: 100,
+            reworkRate: 0
+        }));
+
+    const assigned = rows.filter(row => row.label !== null);
+    const unassigned = rows.filter(row => row.label === null);
+    return [...assigned, ...idle, ...unassigned].map(row => {
+        const team = teams.find(option => option.name === row.label);
+        return { ...row, target: team ? targets[team.id] : null };
+    });
+}
+
+module.exports = {
+    PRODUCTION_SHIFTS,
+    PRODUCTION_DIMENSIONS,
+    getProductionShift,
+    getProductionLineOptions,
+    getProductionTeamOptions,
+    resolveProductionDimensions,
+    findProductionLineId,
+    findProductionTeamId,
+    getTeamTargets,
+    addTeamTargets
+};
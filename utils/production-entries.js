@@ -0,0 +1,195 @@
+/**
+ * Production Entries
+ * Saving a production entry writes the entry, its over-cost reasons, its cost
+ * lines, its rework log and its allocations to orders in one transaction, with
+ * one audit entry recording them all.
+ */
+
+const db = require('../db');
+const { recordAudit } = require('./audit');
+const { calculateCostTotals } = require('./production-costs');
+const { validateAllocations } = require('./production-allocations');
+
+/**
+ * Create or update a production entry and replace its over-cost reasons, cost
+ * lines, rework log (and allocations, when given); the cost totals are summed
+ * from the cost lines. The legacy over_cost_reasons_json column is left as it is:
+ * production_cost_reasons is the only store of an entry's reasons. New
+ * allocations are checked again inside the transaction, with their orders
+ * locked, so two saves can't both take an order's last boxes; if they no longer
+ * fit, nothing is saved and the error thrown carries them as validationErrors.
+ * @param {Object} req - Request of the user (or API token) saving the entry
+ * @param {Object} existing - Stored production_boxes row being updated (null to create)
+ * @param {Object} fields - { production_date, line_id, team_id, shift, boxes_built, boxes_over_cost, rework_boxes, notes }
+ * @param {Array} reasons - From validateCostReasons
+ * @param {Array} costLines - From validateCostLines
+ * @param {Array} rework - From validateReworkLog
+ * @param {Array|null} allocations - From parseAllocations (null keeps the current ones)
+ * @returns {Promise<Object>} Saved production_boxes row with its over_cost_reasons (named), cost_lines, rework_log (defect types and teams named) and allocations
+ */
+async function saveProductionEntry(req, existing, fields, reasons, costLines, rework, allocations = null) {
+    const costTotals = calculateCostTotals(costLines);
+    const values = [
+        fields.production_date,
+        fields.boxes_built,
+        fields.boxes_over_cost,
+        fields.rework_boxes,
+        fields.notes,
+        costTotals.standard_build_cost,
+        costTotals.actual_build_cost,
+        costTotals.cost_overrun,
+        fields.line_id,
+        fields.team_id,
+        fields.shift
+    ];
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        if (allocations) {
+            const allocationErrors = await validateAllocations(allocations, fields.boxes_built, existing ? existing.id : null, client);
+            if (allocationErrors.length > 0) {
+                const error = new Error(allocationErrors.join('. '));
+                error.validationErrors = allocationErrors;
+                throw error;
+            }
+        }
+
+        let entryResult;
+        let reasonsBefore = [];
+        let costLinesBefore = [];
+        let reworkBefore = [];
+        let allocationsBefore = [];
+        if (existing) {
+            const reasonsBeforeResult = await client.query(
+                'SELECT * FROM production_cost_reasons WHERE production_id = $1 ORDER BY id',
+                [existing.id]
+            );
+            reasonsBefore = reasonsBeforeResult.rows;
+            const costLinesBeforeResult = await client.query(
+                'SELECT * FROM production_cost_lines WHERE production_id = $1 ORDER BY line_no',
+                [existing.id]
+            );
+            costLinesBefore = costLinesBeforeResult.rows;
+            const reworkBeforeResult = await client.query(
+                'SELECT * FROM production_rework WHERE production_id = $1 ORDER BY id',
+                [existing.id]
+            );
+            reworkBefore = reworkBeforeResult.rows;
+            const allocationsBeforeResult = await client.query(
+                'SELECT * FROM production_allocations WHERE production_id = $1 ORDER BY id',
+                [existing.id]
+            );
+            allocationsBefore = allocationsBeforeResult.rows;
+
+            entryResult = await client.query(
+                `UPDATE production_boxes SET
+                    production_date = $1,
+                    boxes_built = $2,
+                    boxes_over_cost = $3,
+                    rework_boxes = $4,
+                    notes = $5,
+                    standard_build_cost = $6,
+                    actual_build_cost = $7,
+                    cost_overrun = $8,
+                    line_id = $9,
+                    team_id = $10,
+                    shift = $11
+                 WHERE id = $12
+                 RETURNING *`,
+                [...values, existing.id]
+            );
+            await client.query('DELETE FROM production_cost_reasons WHERE production_id = $1', [existing.id]);
+            await client.query('DELETE FROM production_cost_lines WHERE production_id = $1', [existing.id]);
+            await client.query('DELETE FROM production_rework WHERE production_id = $1', [existing.id]);
+        } else {
+            entryResult = await client.query(
+                `INSERT INTO production_boxes (
+                    production_date, boxes_built, boxes_over_cost,
+                    rework_boxes, notes,
+                    standard_build_cost, actual_build_cost, cost_overrun,
+                    line_id, team_id, shift
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *`,
+                values
+            );
+        }
+        const entry = entryResult.rows[0];
+
+        const savedReasons = [];
+        for (const reason of reasons) {
+            const reasonResult = await client.query(
+                `INSERT INTO production_cost_reasons (production_id, reason_id, boxes, overrun)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING *`,
+                [entry.id, reason.reason_id, reason.boxes, reason.overrun]
+            );
+            savedReasons.push(reasonResult.rows[0]);
+        }
+
+        const savedCostLines = [];
+        for (const line of costLines) {
+            const lineResult = await client.query(
+                `INSERT INTO production_cost_lines (
+                    production_id, line_no, box_type_id, boxes, standard_cost, actual_cost, overrun
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *`,
+                [entry.id, line.line_no, line.box_type_id, line.boxes, line.standard_cost, line.actual_cost, line.overrun]
+            );
+            savedCostLines.push(lineResult.rows[0]);
+        }
+
+        const savedRework = [];
+        for (const row of rework) {
+            const reworkResult = await client.query(
+                `INSERT INTO production_rework (production_id, defect_type_id, stage, team_id, team, boxes, cost, hours)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [entry.id, row.defect_type_id, row.stage, row.team_id, row.team_id ? null : row.team, row.boxes, row.cost, row.hours]
+            );
+            savedRework.push(reworkResult.rows[0]);
+        }
+
+        let savedAllocations = allocationsBefore;
+        if (allocations) {
+            await client.query('DELETE FROM production_allocations WHERE production_id = $1', [entry.id]);
+            savedAllocations = [];
+            for (const allocation of allocations) {
+                const allocationResult = await client.query(
+                    `INSERT INTO production_allocations (production_id, order_id, boxes)
+                     VALUES ($1, $2, $3)
+                     RETURNING *`,
+                    [entry.id, allocation.order_id, allocation.boxes]
+                );
+                savedAllocations.push(allocationResult.rows[0]);
+            }
+        }
+
+        await recordAudit(req, {
+            entityType: 'production_entry',
+            entityId: entry.id,
+            action: existing ? 'update' : 'create',
+            before: existing ? { ...existing, over_cost_reasons: reasonsBefore, cost_lines: costLinesBefore, rework_log: reworkBefore, allocations: allocationsBefore } : null,
+            after: { ...entry, over_cost_reasons: savedReasons, cost_lines: savedCostLines, rework_log: savedRework, allocations: savedAllocations }
+        }, client);
+
+        await client.query('COMMIT');
+        return {
+            ...entry,
+            over_cost_reasons: savedReasons.map((saved, index) => ({ ...saved, reason: reasons[index].reason, category: reasons[index].category })),
+            cost_lines: savedCostLines,
+            rework_log: savedRework.map((saved, index) => ({ ...saved, defect_type: rework[index].defect_type, team: rework[index].team })),
+            allocations: savedAllocations
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    saveProductionEntry
+};
@@ -0,0 +1,162 @@
+/**
+ * Production Plan
+ * The build plan production works to is kept apart from the sales target, as
+ * capacity and ambition differ: boxes planned per month and, where production
+ * plans that closely, per week. A month without a plan falls back to its sales
+ * target; a week without one gets its working-day share of the month plans it
+ * spans. Plans are stored against the month's first day and the week's Monday,
+ * so they stay put when the FY start month changes.
+ */
+
+const db = require('../db');
+const { getAllFYMonths, getFYDateRange, getFYMonth, getFYWeeks, getWeekKey, PERIOD_FULL_YEAR } = require('./fy');
+const { toDateKey } = require('./calendar');
+const { recordAudit } = require('./audit');
+
+/**
+ * Load the production plan of an FY
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Promise<Object>} { months: month name -> boxes, weeks: week key -> boxes } (periods without a plan are left out)
+ */
+async function getProductionPlan(fyLabel, startMonth) {
+    const fyRange = getFYDateRange(fyLabel, PERIOD_FULL_YEAR, startMonth);
+    const weekKeys = getFYWeeks(fyLabel, startMonth).map(week => week.key);
+    const planResult = await db.query(
+        `SELECT * FROM production_plan
+         WHERE period_start BETWEEN $1::date - 6 AND $2::date
+         ORDER BY period_type, period_start`,
+        [toDateKey(fyRange.start), toDateKey(fyRange.end)]
+    );
+
+    const plan = { months: {}, weeks: {} };
+    planResult.rows.forEach(row => {
+        const periodStart = new Date(row.period_start);
+        if (row.period_type === 'month' && periodStart >= fyRange.start) {
+            plan.months[getFYMonth(periodStart)] = parseInt(row.boxes);
+        } else if (row.period_type === 'week' && weekKeys.includes(getWeekKey(periodStart))) {
+            plan.weeks[getWeekKey(periodStart)] = parseInt(row.boxes);
+        }
+    });
+    return plan;
+}
+
+/**
+ * Parse the plan form; blank fields leave a month or week without a plan
+ * @param {Object} body - Request body (month_<Mon> and week_<week key> fields)
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Object} { plan: { months, weeks }, errors }
+ */
+function parseProductionPlan(body, fyLabel, startMonth) {
+    const plan = { months: {}, weeks: {} };
+    const errors = [];
+
+    const fields = [
+        ...getAllFYMonths(startMonth).map(month => ({ name: `month_${month}`, target: plan.months, key: month, label: month })),
+        ...getFYWeeks(fyLabel, startMonth).map(week => ({ name: `week_${week.key}`, target: plan.weeks, key: week.key, label: `Week ${week.number}` }))
+    ];
+    fields.forEach(({ name, target, key, label }) => {
+        const raw = body[name];
+        if (raw === undefined || raw === null || String(raw).trim() === '') return;
+
+        const boxes = Number(raw);
+        if (!Number.isInteger(boxes) || boxes < 0) {
+            errors.push(`${label}: plan must be a whole number of boxes of at least 0`);
+            return;
+        }
+        target[key] = boxes;
+    });
+
+    return { plan, errors };
+}
+
+/**
+ * Get the dates of the months and weeks whose plan differs between two plans
+ * (so the change can be checked against closed months)
+ * @param {Object} before - From getProductionPlan
+ * @param {Object} after - From parseProductionPlan
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @returns {Array} Dates (a month's first day, or a week's Monday and Sunday)
+ */
+function getChangedPlanDates(before, after, fyLabel, startMonth) {
+    const dates = [];
+    getAllFYMonths(startMonth).forEach(month => {
+        if (before.months[month] !== after.months[month]) {
+            dates.push(getFYDateRange(fyLabel, month, startMonth).start);
+        }
+    });
+    getFYWeeks(fyLabel, startMonth).forEach(week => {
+        if (before.weeks[week.key] !== after.weeks[week.key]) {
+            dates.push(week.start, week.end);
+        }
+    });
+    return dates;
+}
+
+/**
+ * Replace the production plan of an FY
+ * @param {Object} req - Request of the user saving the plan
+ * @param {String} fyLabel
+ * @param {Number} startMonth - FY start month (1-12)
+ * @param {Object} plan - From parseProductionPlan
+ * @param {Object} before - Current plan (from getProductionPlan), for the audit log
+ * @returns {Promise<Object>} The saved plan
+ */
+async function saveProductionPlan(req, fyLabel, startMonth, plan, before) {
+    const rows = [
+        ...Object.entries(plan.months).map(([month, boxes]) => ({
+            periodType: 'month',
+            periodStart: getFYDateRange(fyLabel, month, startMonth).start,
+            boxes
+        })),
+        ...getFYWeeks(fyLabel, startMonth)
+            .filter(week => plan.weeks[week.key] !== undefined)
+            .map(week => ({ periodType: 'week', periodStart: week.start, boxes: plan.weeks[week.key] }))
+    ];
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const monthStarts = getAllFYMonths(startMonth).map(month => toDateKey(getFYDateRange(fyLabel, month, startMonth).start));
+        const weekStarts = getFYWeeks(fyLabel, startMonth).map(week => toDateKey(week.start));
+        await client.query(
+            `DELETE FROM production_plan
+             WHERE (period_type = 'month' AND period_start = ANY($1::date[]))
+             OR (period_type = 'week' AND period_start = ANY($2::date[]))`,
+            [monthStarts, weekStarts]
+        );
+        for (const row of rows) {
+            await client.query(
+                `INSERT INTO production_plan (period_type, period_start, boxes, updated_by)
+                 VALUES ($1, $2, $3, $4)`,
+                [row.periodType, toDateKey(row.periodStart), row.boxes, req.session.userId || null]
+            );
+        }
+
+        await recordAudit(req, {
+            entityType: 'production_plan',
+            entityId: fyLabel,
+            action: Object.keys(before.months).length + Object.keys(before.weeks).length > 0 ? 'update' : 'create',
+            before,
+            after: plan
+        }, client);
+
+        await client.query('COMMIT');
+        return plan;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    getProductionPlan,
+    parseProductionPlan,
+    getChangedPlanDates,
+    saveProductionPlan
+};
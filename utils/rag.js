@@ -1,83 +1,267 @@
 /**
  * RAG (Traffic Light) Logic
- * GREEN: >= 100%
- * AMBER: >= rag_amber_floor_pct AND < 100%
- * RED: < rag_amber_floor_pct
+ * Each RAG indicator is scored against a rule: a direction (higher or lower
+ * is better) and green/amber thresholds. Rules are stored in
+ * settings.rag_rules_json; metrics without a stored rule use the defaults.
+ * Target metrics are scored as a percentage of target.
  */
 
+const RAG_DIRECTIONS = ['higher', 'lower'];
+
+// Every RAG indicator with its unit and default rule.
+// A null amber threshold on a target metric means the FY's rag_amber_floor_pct.
+const RAG_METRICS = [
+    {
+        key: 'sales_boxes',
+        label: 'Boxes Sold vs Target',
+        dashboard: 'sales',
+        unit: 'target',
+        defaultRule: { direction: 'higher', green: 100, amber: null }
+    },
+    {
+        key: 'sales_baseline',
+        label: 'Baseline Contribution vs Target',
+        dashboard: 'sales',
+        unit: 'target',
+        defaultRule: { direction: 'higher', green: 100, amber: null }
+    },
+    {
+        key: 'discount_boxes_lost',
+        label: 'Discount Impact (equivalent boxes lost)',
+        dashboard: 'sales',
+        unit: 'boxes',
+        defaultRule: { direction: 'lower', green: 1, amber: 3 }
+    },
+    {
+        key: 'production_boxes',
+        label: 'Boxes Built vs Plan',
+        dashboard: 'production',
+        unit: 'target',
+        defaultRule: { direction: 'higher', green: 100, amber: null }
+    },
+    {
+        key: 'cost_compliance',
+        label: 'Cost Compliance %',
+        dashboard: 'production',
+        unit: 'percent',
+        defaultRule: { direction: 'higher', green: 95, amber: 90 }
+    },
+    {
+        key: 'cost_value_compliance',
+        label: 'Cost Compliance by Value %',
+        dashboard: 'production',
+        unit: 'percent',
+        defaultRule: { direction: 'higher', green: 95, amber: 90 }
+    },
+    {
+        key: 'rework_rate',
+        label: 'Quality (Rework Rate %)',
+        dashboard: 'production',
+        unit: 'percent',
+        defaultRule: { direction: 'lower', green: 3, amber: 5 }
+    }
+];
+
+const DEFAULT_RAG_RULES = Object.fromEntries(RAG_METRICS.map(metric => [metric.key, metric.defaultRule]));
+
+// Used when scoring against a target without a configured rule
+const DEFAULT_TARGET_RULE = { direction: 'higher', green: 100, amber: 90 };
+
+/**
+ * Get the stored rules merged over the defaults (amber blanks left as null)
+ * @param {Object} settings - Settings row
+ * @returns {Object} Map of metric key -> { direction, green, amber }
+ */
+function getStoredRAGRules(settings) {
+    const stored = (settings && settings.rag_rules_json) || {};
+    const rules = {};
+    
+    RAG_METRICS.forEach(metric => {
+        rules[metric.key] = { ...DEFAULT_RAG_RULES[metric.key], ...(stored[metric.key] || {}) };
+    });
+    
+    return rules;
+}
+
+/**
+ * Resolve the rules used for scoring.
+ * Target metrics without an amber threshold use the FY's amber floor.
+ * @param {Object} settings - Settings resolved for an FY
+ * @param {Object} rules - Optional unresolved rules (defaults to the stored rules)
+ * @returns {Object} Map of metric key -> { direction, green, amber }
+ */
+function getRAGRules(settings, rules = null) {
+    const amberFloorPct = parseFloat(settings && settings.rag_amber_floor_pct);
+    const floor = isNaN(amberFloorPct) ? DEFAULT_TARGET_RULE.amber : amberFloorPct * 100;
+    const unresolved = rules || getStoredRAGRules(settings);
+    const resolved = {};
+    
+    RAG_METRICS.forEach(metric => {
+        const rule = unresolved[metric.key];
+        resolved[metric.key] = {
+            ...rule,
+            amber: rule.amber === null && metric.unit === 'target' ? floor : rule.amber
+        };
+    });
+    
+    return resolved;
+}
+
+/**
+ * Score a value against a rule's bands
+ * @param {Number} value
+ * @param {Object} rule - { direction, green, amber }
+ * @returns {String} "green" | "amber" | "red"
+ */
+function getThresholdRAG(value, rule) {
+    if (rule.direction === 'lower') {
+        if (value <= rule.green) return 'green';
+        if (value <= rule.amber) return 'amber';
+        return 'red';
+    }
+    
+    if (value >= rule.green) return 'green';
+    if (value >= rule.amber) return 'amber';
+    return 'red';
+}
+
 /**
- * Get RAG status for a value vs target
+ * Get RAG status for a value vs target (scored as a percentage of target)
  * @param {Number} value - Actual value
  * @param {Number} target - Target value
- * @param {Number} amberFloorPct - Amber floor percentage (e.g. 0.90 for 90%)
+ * @param {Object} rule - { direction, green, amber } in % of target
  * @returns {String} "green" | "amber" | "red"
  */
-function getRAGStatus(value, target, amberFloorPct = 0.90) {
+function getRAGStatus(value, target, rule = DEFAULT_TARGET_RULE) {
     if (target === 0) return 'green'; // No target means no issue
     
-    const percentage = value / target;
-    
-    if (percentage >= 1.0) {
-        return 'green';
-    } else if (percentage >= amberFloorPct) {
-        return 'amber';
-    } else {
-        return 'red';
-    }
+    return getThresholdRAG((value / target) * 100, rule);
 }
 
 /**
- * Get RAG status for discount boxes lost
- * Green: ≤1 box
- * Amber: 1–3 boxes
- * Red: >3 boxes
+ * Get RAG status for discount boxes lost (default: green ≤1, amber ≤3)
  * @param {Number} boxesLost - Equivalent boxes lost
+ * @param {Object} rule - discount_boxes_lost rule
  * @returns {String} "green" | "amber" | "red"
  */
-function getDiscountRAG(boxesLost) {
-    if (boxesLost <= 1) {
-        return 'green';
-    } else if (boxesLost <= 3) {
-        return 'amber';
-    } else {
-        return 'red';
-    }
+function getDiscountRAG(boxesLost, rule = DEFAULT_RAG_RULES.discount_boxes_lost) {
+    return getThresholdRAG(boxesLost, rule);
 }
 
 /**
- * Get RAG status for cost compliance
- * Green: ≥95%
- * Amber: 90–94%
- * Red: <90%
+ * Get RAG status for cost compliance (default: green ≥95%, amber ≥90%)
  * @param {Number} percentage - Cost compliance percentage
+ * @param {Object} rule - cost_compliance rule
  * @returns {String} "green" | "amber" | "red"
  */
-function getCostComplianceRAG(percentage) {
-    if (percentage >= 95) {
-        return 'green';
-    } else if (percentage >= 90) {
-        return 'amber';
-    } else {
-        return 'red';
-    }
+function getCostComplianceRAG(percentage, rule = DEFAULT_RAG_RULES.cost_compliance) {
+    return getThresholdRAG(percentage, rule);
 }
 
 /**
- * Get RAG status for quality (rework rate)
- * Green: ≤3%
- * Amber: 3–5%
- * Red: >5%
+ * Get RAG status for quality (default: green ≤3%, amber ≤5%)
  * @param {Number} percentage - Rework rate percentage
+ * @param {Object} rule - rework_rate rule
  * @returns {String} "green" | "amber" | "red"
  */
-function getQualityRAG(percentage) {
-    if (percentage <= 3) {
-        return 'green';
-    } else if (percentage <= 5) {
-        return 'amber';
-    } else {
-        return 'red';
+function getQualityRAG(percentage, rule = DEFAULT_RAG_RULES.rework_rate) {
+    return getThresholdRAG(percentage, rule);
+}
+
+/**
+ * Score a metric reading: readings with a target are scored as % of target
+ * @param {Object} reading - { value, target? }
+ * @param {Object} rule - { direction, green, amber }
+ * @returns {String} "green" | "amber" | "red"
+ */
+function getMetricRAG(reading, rule) {
+    return reading.target !== undefined
+        ? getRAGStatus(reading.value, reading.target, rule)
+        : getThresholdRAG(reading.value, rule);
+}
+
+/**
+ * Get the reading behind each RAG indicator from the company dashboard metrics
+ * @param {Object} sales - Sales metrics (querySalesMetrics)
+ * @param {Object} production - Production metrics (queryProductionMetrics)
+ * @returns {Object} Map of metric key -> { value, target? }
+ */
+function getRAGReadings(sales, production) {
+    return {
+        sales_boxes: { value: sales.boxesSold, target: sales.boxTarget },
+        sales_baseline: { value: sales.baselineActual, target: sales.baselineTarget },
+        discount_boxes_lost: { value: sales.discountBoxesLostTotal },
+        production_boxes: { value: production.boxesBuilt, target: production.boxTarget },
+        cost_compliance: { value: production.costCompliancePct },
+        cost_value_compliance: { value: production.valueCompliancePct },
+        rework_rate: { value: production.qualityMetrics.reworkRate }
+    };
+}
+
+/**
+ * Parse and validate RAG rules from the settings form.
+ * Fields per metric: <key>_direction, <key>_green, <key>_amber.
+ * @param {Object} body - Request body
+ * @param {Number} amberFloorPct - FY amber floor (e.g. 0.90) used for blank target ambers
+ * @returns {Object} { rules, errors }
+ */
+function parseRAGRules(body, amberFloorPct) {
+    const rules = {};
+    const errors = [];
+    
+    RAG_METRICS.forEach(metric => {
+        const direction = body[`${metric.key}_direction`];
+        const greenInput = String(body[`${metric.key}_green`] ?? '').trim();
+        const amberInput = String(body[`${metric.key}_amber`] ?? '').trim();
+        const green = parseFloat(greenInput);
+        const amber = amberInput === '' ? null : parseFloat(amberInput);
+        
+        // Keep what was typed so an invalid form can be shown again
+        rules[metric.key] = {
+            direction,
+            green: isNaN(green) ? greenInput : green,
+            amber: amber !== null && isNaN(amber) ? amberInput : amber
+        };
+        
+        if (!RAG_DIRECTIONS.includes(direction)) {
+            errors.push(`${metric.label}: choose whether higher or lower is better`);
+            return;
+        }
+        if (isNaN(green) || (amber !== null && isNaN(amber))) {
+            errors.push(`${metric.label}: thresholds must be numbers`);
+            return;
+        }
+        if (amber === null && (metric.unit !== 'target' || direction !== 'higher')) {
+            errors.push(`${metric.label}: amber threshold is required`);
+            return;
+        }
+        
+        const effectiveAmber = amber === null ? amberFloorPct * 100 : amber;
+        if (green < 0 || effectiveAmber < 0) {
+            errors.push(`${metric.label}: thresholds cannot be negative`);
+        } else if (metric.unit === 'percent' && (green > 100 || effectiveAmber > 100)) {
+            errors.push(`${metric.label}: thresholds cannot exceed 100%`);
+        } else if (direction === 'higher' && effectiveAmber >= green) {
+            errors.push(`${metric.label}: amber threshold (${effectiveAmber}) must be below green (${green}) when higher is better`);
+        } else if (direction === 'lower' && effectiveAmber <= green) {
+            errors.push(`${metric.label}: amber threshold (${effectiveAmber}) must be above green (${green}) when lower is better`);
+        }
+    });
+    
+    return { rules, errors };
+}
+
+/**
+ * Describe a rule's bands, e.g. "Green ≥ 95, Amber ≥ 90, Red < 90"
+ * @param {Object} rule - Resolved rule
+ * @param {String} suffix - Unit suffix (e.g. "%")
+ * @returns {String}
+ */
+function describeRAGRule(rule, suffix = '') {
+    if (rule.direction === 'lower') {
+        return `Green ≤ ${rule.green}${suffix}, Amber ≤ ${rule.amber}${suffix}, Red > ${rule.amber}${suffix}`;
     }
+    return `Green ≥ ${rule.green}${suffix}, Amber ≥ ${rule.amber}${suffix}, Red < ${rule.amber}${suffix}`;
 }
 
 /**
@@ -109,10 +293,20 @@ function formatStatusText(value, target, ragStatus) {
 }
 
 module.exports = {
+    RAG_METRICS,
+    RAG_DIRECTIONS,
+    DEFAULT_RAG_RULES,
+    getStoredRAGRules,
+    getRAGRules,
+    getThresholdRAG,
     getRAGStatus,
     getDiscountRAG,
     getCostComplianceRAG,
     getQualityRAG,
+    getMetricRAG,
+    getRAGReadings,
+    parseRAGRules,
+    describeRAGRule,
     getRAGClass,
     formatStatusText
 };
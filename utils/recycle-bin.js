@@ -0,0 +1,135 @@
+/**
+ * Recycle Bin
+ * Orders and production entries are soft deleted: deleted_at/deleted_by are
+ * set and every list and aggregate skips them until they are restored.
+ * Purging removes them for good. Each change is written to the audit log.
+ */
+
+const db = require('../db');
+const { getAuthUser } = require('../middleware/auth');
+const { recordAuditEntries } = require('./audit');
+const { ORDER_STATUSES } = require('./order-status');
+
+// Record types that can be soft deleted (dateColumns are the dates a record counts on;
+// an order counts on each of its status dates)
+const RECYCLE_BIN_TYPES = {
+    orders: { table: 'orders', dateColumns: ORDER_STATUSES.map(status => status.dateColumn), entityType: 'order', label: 'orders' },
+    production: { table: 'production_boxes', dateColumns: ['production_date'], entityType: 'production_entry', label: 'production entries' }
+};
+
+/**
+ * Run a recycle bin change and its audit entries in one transaction
+ * @param {Object} req - Request of the user (or API token) making the change
+ * @param {String} type - Key of RECYCLE_BIN_TYPES
+ * @param {String} action - Audit action
+ * @param {Function} change - async (client, recordType) => [{ before, after }]
+ * @returns {Promise<Array>} Changed rows (after values, or before values for purges)
+ */
+async function runRecycleBinChange(req, type, action, change) {
+    const recordType = RECYCLE_BIN_TYPES[type];
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const changes = await change(client, recordType);
+        await recordAuditEntries(req, changes.map(({ before, after }) => ({
+            entityType: recordType.entityType,
+            entityId: (after || before).id,
+            action,
+            before,
+            after
+        })), client);
+
+        await client.query('COMMIT');
+        return changes.map(({ before, after }) => after || before);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Move records to the recycle bin
+ * @param {Object} req
+ * @param {String} type - "orders" or "production"
+ * @param {Array|null} ids - Record IDs, or null for every record
+ * @returns {Promise<Array>} Deleted rows (already deleted rows are skipped)
+ */
+async function softDeleteRecords(req, type, ids) {
+    return runRecycleBinChange(req, type, 'delete', async (client, recordType) => {
+        const deleteResult = await client.query(
+            `UPDATE ${recordType.table}
+             SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1
+             WHERE deleted_at IS NULL
+             AND ($2::int[] IS NULL OR id = ANY($2))
+             RETURNING *`,
+            [getAuthUser(req).userId, ids]
+        );
+        return deleteResult.rows.map(row => ({
+            before: { ...row, deleted_at: null, deleted_by: null },
+            after: row
+        }));
+    });
+}
+
+/**
+ * Restore records from the recycle bin
+ * @param {Object} req
+ * @param {String} type - "orders" or "production"
+ * @param {Array|null} ids - Record IDs, or null for everything in the bin
+ * @returns {Promise<Array>} Restored rows
+ */
+async function restoreRecords(req, type, ids) {
+    return runRecycleBinChange(req, type, 'restore', async (client, recordType) => {
+        const binResult = await client.query(
+            `SELECT * FROM ${recordType.table}
+             WHERE deleted_at IS NOT NULL
+             AND ($1::int[] IS NULL OR id = ANY($1))
+             FOR UPDATE`,
+            [ids]
+        );
+        if (binResult.rows.length === 0) return [];
+
+        const restoreResult = await client.query(
+            `UPDATE ${recordType.table}
+             SET deleted_at = NULL, deleted_by = NULL
+             WHERE id = ANY($1)
+             RETURNING *`,
+            [binResult.rows.map(row => row.id)]
+        );
+        return restoreResult.rows.map(row => ({
+            before: binResult.rows.find(binRow => binRow.id === row.id),
+            after: row
+        }));
+    });
+}
+
+/**
+ * Permanently delete records that are in the recycle bin
+ * @param {Object} req
+ * @param {String} type - "orders" or "production"
+ * @param {Array} ids - Record IDs
+ * @returns {Promise<Array>} Purged rows
+ */
+async function purgeRecords(req, type, ids) {
+    return runRecycleBinChange(req, type, 'purge', async (client, recordType) => {
+        const purgeResult = await client.query(
+            `DELETE FROM ${recordType.table}
+             WHERE deleted_at IS NOT NULL
+             AND id = ANY($1)
+             RETURNING *`,
+            [ids]
+        );
+        return purgeResult.rows.map(row => ({ before: row, after: null }));
+    });
+}
+
+module.exports = {
+    RECYCLE_BIN_TYPES,
+    softDeleteRecords,
+    restoreRecords,
+    purgeRecords
+};
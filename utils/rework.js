@@ -0,0 +1,265 @@
+/**
+ * Rework Log
+ * A production entry's rework boxes can be logged instance by instance: the
+ * defect type (from a catalogue directors keep), the stage the defect was
+ * found at, the production team responsible, and the boxes, £ cost and hours
+ * of the rework. Rework logged before the team catalogue may name a team that
+ * isn't in it as free text, which can stay on its entry. When any is logged the boxes must add up to the entry's rework
+ * boxes. The production dashboard reports rework by defect type (Pareto),
+ * stage and team, with the weekly trend of the rework rate.
+ */
+
+const db = require('../db');
+const { toLineArray } = require('./order-lines');
+const { getWeekStart, getWeekKey } = require('./fy');
+const { toDateKey } = require('./calendar');
+
+// Stages a defect can be found at
+const REWORK_STAGES = [
+    { key: 'factory', label: 'Factory' },
+    { key: 'install', label: 'Install' },
+    { key: 'customer', label: 'Customer' }
+];
+
+// Weeks shown in the rework rate trend
+const REWORK_TREND_WEEKS = 13;
+
+/**
+ * Check whether a submitted value is blank
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Look up a rework stage
+ * @param {String} key
+ * @returns {Object|undefined} { key, label }
+ */
+function getReworkStage(key) {
+    return REWORK_STAGES.find(stage => stage.key === key);
+}
+
+/**
+ * Load defect types for a picker: active ones plus any already used
+ * @param {Array} includeIds - Defect type IDs to include even if inactive
+ * @returns {Promise<Array>} defect_types rows by name
+ */
+async function getDefectTypeOptions(includeIds = []) {
+    const defectTypesResult = await db.query(
+        'SELECT * FROM defect_types WHERE active OR id = ANY($1::int[]) ORDER BY name',
+        [includeIds.filter(Boolean).map(id => parseInt(id))]
+    );
+    return defectTypesResult.rows;
+}
+
+/**
+ * Parse submitted rework (form rows, API array or CSV JSON); blank rows are
+ * skipped. A defect type is given by defect_type_id, or by name as `defect_type`;
+ * the team likewise by team_id, or by name as `team`.
+ * @param {Array|Object|undefined} rawRework - [{ defect_type_id | defect_type, stage, team_id | team, boxes, cost, hours }]
+ * @returns {Object} { rework, errors }
+ */
+function parseReworkLog(rawRework) {
+    const errors = [];
+    const rework = [];
+
+    toLineArray(rawRework).forEach((raw, index) => {
+        const label = `Rework ${index + 1}`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (['defect_type_id', 'defect_type', 'stage', 'team_id', 'team', 'boxes', 'cost', 'hours'].every(field => isBlank(raw[field]))) return;
+
+        const defectTypeId = isBlank(raw.defect_type_id) ? null : Number(raw.defect_type_id);
+        const name = isBlank(raw.defect_type) ? null : String(raw.defect_type).trim();
+        if (defectTypeId === null && name === null) {
+            errors.push(`${label}: choose a defect type`);
+        } else if (defectTypeId !== null && (!Number.isInteger(defectTypeId) || defectTypeId < 1)) {
+            errors.push(`${label}: defect type must be an ID`);
+        }
+
+        const stage = isBlank(raw.stage) ? null : String(raw.stage).trim().toLowerCase();
+        if (!getReworkStage(stage)) {
+            errors.push(`${label}: stage found must be one of ${REWORK_STAGES.map(option => option.key).join(', ')}`);
+        }
+
+        const teamId = isBlank(raw.team_id) ? null : Number(raw.team_id);
+        const team = isBlank(raw.team) ? null : String(raw.team).trim();
+        if (teamId === null && team === null) {
+            errors.push(`${label}: choose the team responsible`);
+        } else if (teamId !== null && (!Number.isInteger(teamId) || teamId < 1)) {
+            errors.push(`${label}: team must be an ID`);
+        }
+
+        const boxes = isBlank(raw.boxes) ? NaN : Number(raw.boxes);
+        if (!Number.isInteger(boxes) || boxes < 1) {
+            errors.push(`${label}: boxes must be a whole number of at least 1`);
+        }
+        const cost = isBlank(raw.cost) ? 0 : Number(raw.cost);
+        if (isNaN(cost) || cost < 0) {
+            errors.push(`${label}: £ cost must be an amount of at least 0`);
+        }
+        const hours = isBlank(raw.hours) ? 0 : Number(raw.hours);
+        if (isNaN(hours) || hours < 0) {
+            errors.push(`${label}: hours must be at least 0`);
+        }
+
+        rework.push({
+            defect_type_id: defectTypeId,
+            defect_type: name,
+            stage,
+            team_id: teamId,
+            team,
+            boxes,
+            cost: Math.round(cost * 100) / 100,
+            hours: Math.round(hours * 100) / 100
+        });
+    });
+
+    return { rework, errors };
+}
+
+/**
+ * Load the rework logged against some production entries
+ * @param {Array} productionIds
+ * @returns {Promise<Object>} Rows (with defect_type name, and team as the team's name or legacy text) keyed by production ID
+ */
+async function getProductionRework(productionIds) {
+    const reworkResult = await db.query(
+        `SELECT w.id, w.production_id, w.defect_type_id, w.stage, w.team_id,
+                COALESCE(pt.name, w.team) AS team, w.boxes, w.cost, w.hours,
+                d.name as defect_type
+         FROM production_rework w
+         JOIN defect_types d ON w.defect_type_id = d.id
+         LEFT JOIN production_teams pt ON w.team_id = pt.id
+         WHERE w.production_id = ANY($1::int[])
+         ORDER BY w.production_id, w.id`,
+        [productionIds]
+    );
+
+    const reworkByEntry = {};
+    reworkResult.rows.forEach(row => {
+        (reworkByEntry[row.production_id] = reworkByEntry[row.production_id] || []).push(row);
+    });
+    return reworkByEntry;
+}
+
+/**
+ * Match a parsed rework row's team to the team catalogue. Inactive teams, and
+ * legacy free-text teams matching none, can only stay on an entry that already has them.
+ * @param {Object} row - From parseReworkLog
+ * @param {Array} teams - production_teams rows
+ * @param {Array} current - The entry's stored rework (from getProductionRework)
+ * @returns {Object} { team_id, team } (team_id null for a legacy team) or { error }
+ */
+function resolveReworkTeam(row, teams, current) {
+    const match = row.team_id !== null
+        ? teams.find(team => team.id === row.team_id)
+        : teams.find(team => team.name.toLowerCase() === row.team.toLowerCase());
+    if (!match) {
+        const legacy = row.team_id === null
+            && current.find(existing => existing.team_id === null && existing.team.toLowerCase() === row.team.toLowerCase());
+        if (legacy) return { team_id: null, team: legacy.team };
+        return { error: `Team ${row.team_id !== null ? row.team_id : `"${row.team}"`} not found` };
+    }
+    if (!match.active && !current.some(existing => existing.team_id === match.id)) {
+        return { error: `Team "${match.name}" is no longer in use` };
+    }
+    return { team_id: match.id, team: match.name };
+}
+
+/**
+ * Match parsed rework to the defect type and team catalogues and check it adds
+ * up to the rework boxes. Inactive defect types can only stay on an entry that already uses them.
+ * @param {Array} rework - From parseReworkLog
+ * @param {Number} reworkBoxes - Rework boxes on the entry
+ * @param {Number|null} productionId - Entry being edited (null when creating)
+ * @returns {Promise<Object>} { rework } with defect_type_id, defect_type, team_id and team set, or { errors }
+ */
+async function validateReworkLog(rework, reworkBoxes, productionId = null) {
+    if (rework.length === 0) return { rework };
+
+    const errors = [];
+    const catalogue = (await db.query('SELECT * FROM defect_types')).rows;
+    const teams = (await db.query('SELECT * FROM production_teams')).rows;
+    const current = productionId ? (await getProductionRework([productionId]))[productionId] || [] : [];
+
+    const resolved = [];
+    rework.forEach(row => {
+        const match = row.defect_type_id !== null
+            ? catalogue.find(defectType => defectType.id === row.defect_type_id)
+            : catalogue.find(defectType => defectType.name.toLowerCase() === row.defect_type.toLowerCase());
+        if (!match) {
+            errors.push(`Defect type ${row.defect_type_id !== null ? row.defect_type_id : `"${row.defect_type}"`} not found`);
+            return;
+        }
+        if (!match.active && !current.some(existing => existing.defect_type_id === match.id)) {
+            errors.push(`Defect type "${match.name}" is no longer in use`);
+        }
+        const team = resolveReworkTeam(row, teams, current);
+        if (team.error) {
+            errors.push(team.error);
+            return;
+        }
+        resolved.push({ ...row, defect_type_id: match.id, defect_type: match.name, ...team });
+    });
+
+    const loggedBoxes = rework.reduce((sum, row) => sum + row.boxes, 0);
+    if (loggedBoxes !== reworkBoxes) {
+        errors.push(`Rework log boxes (${loggedBoxes}) must add up to rework boxes (${reworkBoxes})`);
+    }
+
+    return errors.length > 0 ? { errors } : { rework: resolved };
+}
+
+/**
+ * Load the weekly rework rate for the REWORK_TREND_WEEKS weeks up to a date
+ * @param {Date} asOf - Last day of the trend (its week is the last one)
+ * @returns {Promise<Array>} { key, start, boxesBuilt, reworkBoxes, reworkRate, firstTimeRightPct } per week, oldest first
+ */
+async function queryReworkTrend(asOf) {
+    const firstWeek = getWeekStart(asOf);
+    firstWeek.setDate(firstWeek.getDate() - (REWORK_TREND_WEEKS - 1) * 7);
+
+    const trendResult = await db.query(
+        `SELECT date_trunc('week', production_date)::date AS week_start,
+                SUM(boxes_built) AS boxes_built,
+                SUM(rework_boxes) AS rework_boxes
+         FROM production_boxes
+         WHERE production_date BETWEEN $1::date AND $2::date
+         AND deleted_at IS NULL
+         GROUP BY 1`,
+        [toDateKey(firstWeek), toDateKey(asOf)]
+    );
+
+    return Array.from({ length: REWORK_TREND_WEEKS }, (_, index) => {
+        const start = new Date(firstWeek);
+        start.setDate(start.getDate() + index * 7);
+        const row = trendResult.rows.find(week => toDateKey(week.week_start) === toDateKey(start));
+        const boxesBuilt = row ? parseInt(row.boxes_built) || 0 : 0;
+        const reworkBoxes = row ? parseInt(row.rework_boxes) || 0 : 0;
+        return {
+            key: getWeekKey(start),
+            start,
+            boxesBuilt,
+            reworkBoxes,
+            reworkRate: boxesBuilt > 0 ? (reworkBoxes / boxesBuilt) * 100 : 0,
+            firstTimeRightPct: boxesBuilt > 0 ? ((boxesBuilt - reworkBoxes) / boxesBuilt) * 100 : 100
+        };
+    });
+}
+
+module.exports = {
+    REWORK_STAGES,
+    REWORK_TREND_WEEKS,
+    getReworkStage,
+    getDefectTypeOptions,
+    parseReworkLog,
+    getProductionRework,
+    validateReworkLog,
+    queryReworkTrend
+};
@@ -0,0 +1,536 @@
+/**
+ * SQL Dashboard Aggregations
+ * Same metrics as utils/aggregations.js, but the totals are computed by
+ * PostgreSQL aggregates instead of loading every row into Node. Both share
+ * buildSalesMetrics / buildProductionMetrics, so only the sums differ.
+ * Check the two agree with: node scripts/verify-aggregations.js
+ */
+
+const db = require('../db');
+const { getAllFYMonths, getFYDateRange, getFYMonth, getFYStartMonth, PERIOD_FULL_YEAR } = require('./fy');
+const { toDateKey } = require('./calendar');
+const { buildSalesMetrics, buildProductionMetrics, getMonthlyPlanBoxes, getRollingWindow } = require('./aggregations');
+const { ORDER_STATUS_DATES_SQL, getSalesEventsSQL } = require('./order-status');
+const { getBacklogSQL } = require('./production-allocations');
+const { getBuildCostVarianceSQL } = require('./production-costs');
+
+// Grouping expression for each sales dashboard dimension (see SALES_DIMENSIONS);
+// box types are on the order's box lines, so that breakdown sums lines instead of orders
+const SALES_DIMENSION_SQL = {
+    customer: 'c.name',
+    box_type: 'bt.name',
+    region: "NULLIF(TRIM(c.region), '')",
+    channel: "NULLIF(TRIM(c.channel), '')"
+};
+
+// Grouping expression for each production dashboard dimension (see PRODUCTION_DIMENSIONS)
+const PRODUCTION_DIMENSION_SQL = {
+    line: 'pl.name',
+    team: 'pt.name',
+    shift: 'p.shift'
+};
+
+/**
+ * Date keys for a period and its trailing 4-week window
+ * @param {Object} settings
+ * @param {String} fyLabel
+ * @param {String} fyMonth
+ * @returns {Object} { start, end, windowStart, windowEnd } as YYYY-MM-DD
+ */
+function getPeriodDateKeys(settings, fyLabel, fyMonth) {
+    const dateRange = getFYDateRange(fyLabel, fyMonth, getFYStartMonth(settings));
+    const rollingWindow = getRollingWindow(dateRange);
+
+    return {
+        start: toDateKey(dateRange.start),
+        end: toDateKey(dateRange.end),
+        windowStart: toDateKey(rollingWindow.start),
+        windowEnd: toDateKey(rollingWindow.end)
+    };
+}
+
+/**
+ * Query sales totals for a period (orders count when sold and are reversed when cancelled)
+ * @param {Object} settings - Settings object (which statuses count as sold)
+ * @param {Object} dates - Output of getPeriodDateKeys
+ * @param {Number|null} salesRepId - Limit to one rep's orders (null for all)
+ * @returns {Promise<Object>} Totals for buildSalesMetrics
+ */
+async function querySalesTotals(settings, dates, salesRepId = null) {
+    const result = await db.query(
+        `SELECT
+            COALESCE(SUM(boxes_qty * sale_sign) FILTER (WHERE in_period), 0) AS boxes_sold,
+            COALESCE(SUM(sale_sign) FILTER (WHERE in_period), 0) AS orders_count,
+            COALESCE(SUM((COALESCE(box_net_total, 0) - COALESCE(box_build_cost_total, 0)) * sale_sign) FILTER (WHERE in_period), 0) AS baseline_actual,
+            COALESCE(SUM(build_cost_variance * sale_sign) FILTER (WHERE in_period), 0) AS build_cost_variance,
+            COALESCE(SUM((COALESCE(box_rrp_total, 0) - COALESCE(box_net_total, 0)) * sale_sign) FILTER (WHERE in_period), 0) AS discount_impact_total,
+            COALESCE(SUM(box_rrp_total * sale_sign) FILTER (WHERE in_period), 0) AS total_rrp,
+            COALESCE(SUM(box_net_total * sale_sign) FILTER (WHERE in_period), 0) AS box_revenue,
+            COALESCE(SUM(install_revenue * sale_sign) FILTER (WHERE in_period), 0) AS install_revenue,
+            COALESCE(SUM(extras_revenue * sale_sign) FILTER (WHERE in_period), 0) AS extras_revenue,
+            COALESCE(SUM(boxes_qty * sale_sign) FILTER (WHERE in_window), 0) AS rolling_boxes
+         FROM (
+            SELECT o.*,
+                   o.sale_date BETWEEN $1::date AND $2::date AS in_period,
+                   o.sale_date BETWEEN $3::date AND $4::date AS in_window,
+                   ${getBuildCostVarianceSQL('o')} AS build_cost_variance
+            FROM ${getSalesEventsSQL(settings)} o
+            WHERE o.sale_date BETWEEN LEAST($1::date, $3::date) AND GREATEST($2::date, $4::date)
+            AND o.deleted_at IS NULL
+            AND ($5::int IS NULL OR o.sales_rep_id = $5)
+         ) period_orders`,
+        [dates.start, dates.end, dates.windowStart, dates.windowEnd, salesRepId]
+    );
+    const row = result.rows[0];
+
+    return {
+        boxesSold: parseInt(row.boxes_sold) || 0,
+        ordersCount: parseInt(row.orders_count) || 0,
+        baselineActual: parseFloat(row.baseline_actual) || 0,
+        buildCostVariance: parseFloat(row.build_cost_variance) || 0,
+        discountImpactTotal: parseFloat(row.discount_impact_total) || 0,
+        totalRrp: parseFloat(row.total_rrp) || 0,
+        boxRevenue: parseFloat(row.box_revenue) || 0,
+        installRevenue: parseFloat(row.install_revenue) || 0,
+        extrasRevenue: parseFloat(row.extras_revenue) || 0,
+        rollingBoxes: parseInt(row.rolling_boxes) || 0
+    };
+}
+
+/**
+ * Sales metrics for a period, aggregated in SQL (see aggregateSalesMetrics)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {Object} options - { salesRepId: limit to one rep, targets: override company target }
+ * @returns {Promise<Object>} Aggregated metrics
+ */
+async function querySalesMetrics(settings, fyLabel, fyMonth, { salesRepId = null, targets = null } = {}) {
+    const totals = await querySalesTotals(settings, getPeriodDateKeys(settings, fyLabel, fyMonth), salesRepId);
+    return buildSalesMetrics(totals, settings, fyLabel, fyMonth, targets);
+}
+
+/**
+ * Break a period's sales down by customer, box type, region or channel
+ * (an order with several box types counts as an order under each; cancellations
+ * are reversed in the month they were cancelled)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {String} dimension - Key of SALES_DIMENSION_SQL
+ * @param {Number|null} salesRepId - Limit to one rep's orders (null for all)
+ * @returns {Promise<Array>} { label, boxesSold, ordersCount, baselineActual, discountImpactTotal }
+ *   by boxes sold; label is null for orders without one
+ */
+async function querySalesDimensionBreakdown(settings, fyLabel, fyMonth, dimension, salesRepId = null) {
+    const dates = getPeriodDateKeys(settings, fyLabel, fyMonth);
+    const sales = getSalesEventsSQL(settings);
+    const source = dimension === 'box_type'
+        ? `(SELECT s.id, s.sale_date, s.sale_sign, s.deleted_at, s.sales_rep_id, s.customer_id, l.box_type_id,
+                   l.qty AS boxes_qty, l.rrp_total AS box_rrp_total, l.net_total AS box_net_total, l.build_cost_total AS box_build_cost_total
+            FROM ${sales} s
+            JOIN order_lines l ON l.order_id = s.id AND l.line_type = 'box')`
+        : sales;
+    const result = await db.query(
+        `SELECT
+            ${SALES_DIMENSION_SQL[dimension]} AS label,
+            COALESCE(SUM(o.boxes_qty * o.sale_sign), 0) AS boxes_sold,
+            COUNT(DISTINCT o.id) FILTER (WHERE o.sale_sign > 0) - COUNT(DISTINCT o.id) FILTER (WHERE o.sale_sign < 0) AS orders_count,
+            COALESCE(SUM((COALESCE(o.box_net_total, 0) - COALESCE(o.box_build_cost_total, 0)) * o.sale_sign), 0) AS baseline_actual,
+            COALESCE(SUM((COALESCE(o.box_rrp_total, 0) - COALESCE(o.box_net_total, 0)) * o.sale_sign), 0) AS discount_impact_total
+         FROM ${source} o
+         LEFT JOIN customers c ON o.customer_id = c.id
+         LEFT JOIN box_types bt ON o.box_type_id = bt.id
+         WHERE o.sale_date BETWEEN $1::date AND $2::date
+         AND o.deleted_at IS NULL
+         AND ($3::int IS NULL OR o.sales_rep_id = $3)
+         GROUP BY 1
+         ORDER BY boxes_sold DESC, label NULLS LAST`,
+        [dates.start, dates.end, salesRepId]
+    );
+
+    return result.rows.map(row => ({
+        label: row.label,
+        boxesSold: parseInt(row.boxes_sold) || 0,
+        ordersCount: parseInt(row.orders_count) || 0,
+        baselineActual: parseFloat(row.baseline_actual) || 0,
+        discountImpactTotal: parseFloat(row.discount_impact_total) || 0
+    }));
+}
+
+/**
+ * Month-by-month sales metrics, aggregated in SQL (see aggregateSalesBreakdown)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {Array} months - FY month names to include
+ * @param {Object} options - { salesRepId: limit to one rep, monthTargets: targets per month, in the order of months }
+ * @returns {Promise<Array>} Array of { month, metrics }
+ */
+async function querySalesBreakdown(settings, fyLabel, months, { salesRepId = null, monthTargets = null } = {}) {
+    return Promise.all(months.map(async (month, index) => ({
+        month,
+        metrics: await querySalesMetrics(settings, fyLabel, month, {
+            salesRepId,
+            targets: monthTargets ? monthTargets[index] : null
+        })
+    })));
+}
+
+/**
+ * Sales metrics per rep for the director leaderboard, aggregated in SQL (see aggregateRepLeaderboard).
+ * Anyone else with orders entered, sold or moved on in the period (e.g. directors) is included.
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {Array} reps - Array of {id, name} sales reps
+ * @param {Object} repTargets - Map of rep id -> { boxTarget, baselineTarget }
+ * @returns {Promise<Array>} Array of { rep, hasTarget, metrics } sorted by boxes sold
+ */
+async function queryRepLeaderboard(settings, fyLabel, fyMonth, reps, repTargets) {
+    const dates = getPeriodDateKeys(settings, fyLabel, fyMonth);
+    const repsById = new Map(reps.map(rep => [rep.id, rep]));
+
+    const othersResult = await db.query(
+        `SELECT DISTINCT o.sales_rep_id AS id, u.name
+         FROM orders o
+         LEFT JOIN users u ON o.sales_rep_id = u.id
+         WHERE EXISTS (SELECT 1 FROM unnest(${ORDER_STATUS_DATES_SQL}) AS status_date WHERE status_date BETWEEN $1::date AND $2::date)
+         AND o.sales_rep_id IS NOT NULL
+         AND o.deleted_at IS NULL`,
+        [dates.start, dates.end]
+    );
+    othersResult.rows.forEach(row => {
+        if (!repsById.has(row.id)) {
+            repsById.set(row.id, { id: row.id, name: row.name || 'Unknown' });
+        }
+    });
+
+    const leaderboard = await Promise.all([...repsById.values()].map(async rep => {
+        const target = repTargets[rep.id] || null;
+        return {
+            rep,
+            hasTarget: target !== null,
+            metrics: await querySalesMetrics(settings, fyLabel, fyMonth, {
+                salesRepId: rep.id,
+                targets: target || { boxTarget: 0, baselineTarget: 0 }
+            })
+        };
+    }));
+    return leaderboard.sort((a, b) => b.metrics.boxesSold - a.metrics.boxesSold);
+}
+
+/**
+ * Boxes sold and baseline contribution per day (net of cancellations), for the forecast
+ * @param {Object} settings - Settings object (which statuses count as sold)
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Promise<Array>} Array of { sale_date, boxes_qty, baseline } in date order
+ */
+async function querySalesByDay(settings, start, end) {
+    const result = await db.query(
+        `SELECT o.sale_date,
+                SUM(o.boxes_qty * o.sale_sign) AS boxes_qty,
+                SUM((COALESCE(o.box_net_total, 0) - COALESCE(o.box_build_cost_total, 0)) * o.sale_sign) AS baseline
+         FROM ${getSalesEventsSQL(settings)} o
+         WHERE o.sale_date BETWEEN $1::date AND $2::date
+         AND o.deleted_at IS NULL
+         GROUP BY o.sale_date
+         ORDER BY o.sale_date`,
+        [toDateKey(start), toDateKey(end)]
+    );
+
+    return result.rows.map(row => ({
+        sale_date: row.sale_date,
+        boxes_qty: parseInt(row.boxes_qty) || 0,
+        baseline: parseFloat(row.baseline) || 0
+    }));
+}
+
+/**
+ * Query boxes built, cost compliance and rework rate for a period by line, team or shift
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @param {String} dimension - Key of PRODUCTION_DIMENSION_SQL
+ * @returns {Promise<Array>} Array of { label, boxesBuilt, boxesOverCost, reworkBoxes, costCompliancePct, valueCompliancePct, reworkRate } (label null for entries without one), most boxes first
+ */
+async function queryProductionDimensionBreakdown(settings, fyLabel, fyMonth, dimension) {
+    const dates = getPeriodDateKeys(settings, fyLabel, fyMonth);
+    const result = await db.query(
+        `SELECT
+            ${PRODUCTION_DIMENSION_SQL[dimension]} AS label,
+            COALESCE(SUM(p.boxes_built), 0) AS boxes_built,
+            COALESCE(SUM(p.boxes_over_cost), 0) AS boxes_over_cost,
+            COALESCE(SUM(p.rework_boxes), 0) AS rework_boxes,
+            COALESCE(SUM(p.standard_build_cost), 0) AS standard_cost,
+            COALESCE(SUM(p.cost_overrun), 0) AS cost_overrun
+         FROM production_boxes p
+         LEFT JOIN production_lines pl ON p.line_id = pl.id
+         LEFT JOIN production_teams pt ON p.team_id = pt.id
+         WHERE p.production_date BETWEEN $1::date AND $2::date
+         AND p.deleted_at IS NULL
+         GROUP BY 1
+         ORDER BY boxes_built DESC, label NULLS LAST`,
+        [dates.start, dates.end]
+    );
+
+    return result.rows.map(row => {
+        const boxesBuilt = parseInt(row.boxes_built) || 0;
+        const boxesOverCost = parseInt(row.boxes_over_cost) || 0;
+        const reworkBoxes = parseInt(row.rework_boxes) || 0;
+        const standardCost = parseFloat(row.standard_cost) || 0;
+        const costOverrun = parseFloat(row.cost_overrun) || 0;
+        return {
+            label: row.label,
+            boxesBuilt,
+            boxesOverCost,
+            reworkBoxes,
+            costCompliancePct: boxesBuilt > 0 ? ((boxesBuilt - boxesOverCost) / boxesBuilt) * 100 : 100,
+            valueCompliancePct: standardCost > 0 ? Math.max(1 - costOverrun / standardCost, 0) * 100 : 100,
+            reworkRate: boxesBuilt > 0 ? (reworkBoxes / boxesBuilt) * 100 : 0
+        };
+    });
+}
+
+/**
+ * Query cost leakage for a period by catalogue reason and by category
+ * @param {Object} dates - Output of getPeriodDateKeys
+ * @returns {Promise<Object>} { reasons: [{ reason, category, count, boxes, overrun }], categories: [{ category, count, boxes, overrun }] }
+ */
+async function queryCostLeakage(dates) {
+    const result = await db.query(
+        `SELECT r.name AS reason, r.category,
+                COUNT(*) AS count,
+                SUM(pcr.boxes) AS boxes,
+                SUM(pcr.overrun) AS overrun
+         FROM production_cost_reasons pcr
+         JOIN production_boxes p ON pcr.production_id = p.id
+         JOIN over_cost_reasons r ON pcr.reason_id = r.id
+         WHERE p.production_date BETWEEN $1::date AND $2::date
+         AND p.deleted_at IS NULL
+         GROUP BY r.id, r.name, r.category
+         ORDER BY boxes DESC, r.name COLLATE "C"`,
+        [dates.start, dates.end]
+    );
+
+    const reasons = result.rows.map(row => ({
+        reason: row.reason,
+        category: row.category,
+        count: parseInt(row.count) || 0,
+        boxes: parseInt(row.boxes) || 0,
+        overrun: parseFloat(row.overrun) || 0
+    }));
+
+    // Categories are summed from the reasons (ties by name, as for reasons)
+    const categories = {};
+    reasons.forEach(reason => {
+        const category = categories[reason.category] || { category: reason.category, count: 0, boxes: 0, overrun: 0 };
+        category.count += reason.count;
+        category.boxes += reason.boxes;
+        category.overrun += reason.overrun;
+        categories[reason.category] = category;
+    });
+
+    return {
+        reasons,
+        categories: Object.values(categories)
+            .sort((a, b) => (b.boxes - a.boxes) || (a.category < b.category ? -1 : a.category > b.category ? 1 : 0))
+    };
+}
+
+/**
+ * Query the rework logged in a period, grouped by defect type, stage and team
+ * (the team's name, or its legacy text) (buildProductionMetrics sums the groups as it does aggregateReworkLog's rows)
+ * @param {Object} dates - Output of getPeriodDateKeys
+ * @returns {Promise<Array>} Array of { defect_type, stage, team, count, boxes, cost, hours }
+ */
+async function queryReworkLog(dates) {
+    const result = await db.query(
+        `SELECT d.name AS defect_type, w.stage, COALESCE(pt.name, w.team) AS team,
+                COUNT(*) AS count,
+                SUM(w.boxes) AS boxes,
+                SUM(w.cost) AS cost,
+                SUM(w.hours) AS hours
+         FROM production_rework w
+         JOIN production_boxes p ON w.production_id = p.id
+         JOIN defect_types d ON w.defect_type_id = d.id
+         LEFT JOIN production_teams pt ON w.team_id = pt.id
+         WHERE p.production_date BETWEEN $1::date AND $2::date
+         AND p.deleted_at IS NULL
+         GROUP BY d.id, d.name, w.stage, COALESCE(pt.name, w.team)`,
+        [dates.start, dates.end]
+    );
+
+    return result.rows.map(row => ({
+        defect_type: row.defect_type,
+        stage: row.stage,
+        team: row.team,
+        count: parseInt(row.count) || 0,
+        boxes: parseInt(row.boxes) || 0,
+        cost: parseFloat(row.cost) || 0,
+        hours: parseFloat(row.hours) || 0
+    }));
+}
+
+/**
+ * Query production totals for a period
+ * @param {Object} settings - Settings object (which statuses count as sold)
+ * @param {Object} dates - Output of getPeriodDateKeys
+ * @returns {Promise<Object>} Totals for buildProductionMetrics
+ */
+async function queryProductionTotals(settings, dates) {
+    const productionResult = await db.query(
+        `SELECT
+            COALESCE(SUM(boxes_built) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS boxes_built,
+            COALESCE(SUM(boxes_built) FILTER (WHERE production_date BETWEEN $1::date AND $2::date AND standard_build_cost IS NOT NULL), 0) AS costed_boxes,
+            COALESCE(SUM(standard_build_cost) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS standard_cost,
+            COALESCE(SUM(actual_build_cost) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS actual_cost,
+            COALESCE(SUM(cost_overrun) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS cost_overrun,
+            COALESCE(SUM(boxes_over_cost) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS boxes_over_cost,
+            COALESCE(SUM(rework_boxes) FILTER (WHERE production_date BETWEEN $1::date AND $2::date), 0) AS rework_boxes,
+            COALESCE(SUM(boxes_built) FILTER (WHERE production_date BETWEEN $3::date AND $4::date), 0) AS rolling_boxes
+         FROM production_boxes
+         WHERE production_date BETWEEN LEAST($1::date, $3::date) AND GREATEST($2::date, $4::date)
+         AND deleted_at IS NULL`,
+        [dates.start, dates.end, dates.windowStart, dates.windowEnd]
+    );
+
+    // The rolling window never ends after the period, so sales up to the period end cover it
+    const ordersResult = await db.query(
+        `SELECT
+            COALESCE(SUM(boxes_qty * sale_sign) FILTER (
+                WHERE sale_date >= $1::date AND COALESCE(install_revenue, 0) > 0
+            ), 0) AS installed_boxes,
+            COALESCE(SUM(boxes_qty * sale_sign) FILTER (
+                WHERE sale_date BETWEEN $3::date AND $4::date AND COALESCE(install_revenue, 0) > 0
+            ), 0) AS rolling_installed_boxes
+         FROM ${getSalesEventsSQL(settings)} sales
+         WHERE sale_date <= $2::date
+         AND deleted_at IS NULL`,
+        [dates.start, dates.end, dates.windowStart, dates.windowEnd]
+    );
+
+    const backlogResult = await db.query(
+        `SELECT COALESCE(SUM(boxes_outstanding), 0) AS backlog_boxes
+         FROM ${getBacklogSQL('$1::date')} backlog`,
+        [dates.end]
+    );
+
+    const production = productionResult.rows[0];
+    const orders = ordersResult.rows[0];
+
+    return {
+        boxesBuilt: parseInt(production.boxes_built) || 0,
+        boxesOverCost: parseInt(production.boxes_over_cost) || 0,
+        reworkBoxes: parseInt(production.rework_boxes) || 0,
+        costedBoxes: parseInt(production.costed_boxes) || 0,
+        standardCost: parseFloat(production.standard_cost) || 0,
+        actualCost: parseFloat(production.actual_cost) || 0,
+        costOverrun: parseFloat(production.cost_overrun) || 0,
+        ...await queryCostLeakage(dates),
+        rework: await queryReworkLog(dates),
+        rollingBoxes: parseInt(production.rolling_boxes) || 0,
+        backlogBoxes: parseInt(backlogResult.rows[0].backlog_boxes) || 0,
+        installedBoxes: parseInt(orders.installed_boxes) || 0,
+        rollingInstalledBoxes: parseInt(orders.rolling_installed_boxes) || 0
+    };
+}
+
+/**
+ * Production metrics for a period, aggregated in SQL (see aggregateProductionMetrics)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {String} fyMonth - Month name (Jan-Dec), "YTD", "FY" or week key
+ * @returns {Promise<Object>} Aggregated metrics
+ */
+async function queryProductionMetrics(settings, fyLabel, fyMonth) {
+    const totals = await queryProductionTotals(settings, getPeriodDateKeys(settings, fyLabel, fyMonth));
+    return buildProductionMetrics(totals, settings, fyLabel, fyMonth);
+}
+
+/**
+ * Month-by-month production metrics, aggregated in SQL (see aggregateProductionBreakdown)
+ * @param {Object} settings - Settings object
+ * @param {String} fyLabel - Financial year label
+ * @param {Array} months - FY month names to include
+ * @returns {Promise<Array>} Array of { month, boxTarget, metrics }
+ */
+async function queryProductionBreakdown(settings, fyLabel, months) {
+    return Promise.all(months.map(async month => ({
+        month,
+        boxTarget: getMonthlyPlanBoxes(settings, month),
+        metrics: await queryProductionMetrics(settings, fyLabel, month)
+    })));
+}
+
+/**
+ * Build plan, boxes sold and boxes built for each month of an FY, to show
+ * where the plan lags demand (sold boxes are net of cancellations)
+ * @param {Object} settings - Settings object (production_plan)
+ * @param {String} fyLabel - Financial year label
+ * @returns {Promise<Array>} Array of { month, planBoxes, soldBoxes, builtBoxes, planGap, planLagsDemand,
+ *   cumulativePlan, cumulativeSold, cumulativeBuilt } in FY order (planGap is plan less sold)
+ */
+async function queryPlanVsDemand(settings, fyLabel) {
+    const fyRange = getFYDateRange(fyLabel, PERIOD_FULL_YEAR, getFYStartMonth(settings));
+    const dates = [toDateKey(fyRange.start), toDateKey(fyRange.end)];
+
+    const soldResult = await db.query(
+        `SELECT date_trunc('month', o.sale_date)::date AS month_start,
+                COALESCE(SUM(o.boxes_qty * o.sale_sign), 0) AS boxes_sold
+         FROM ${getSalesEventsSQL(settings)} o
+         WHERE o.sale_date BETWEEN $1::date AND $2::date
+         AND o.deleted_at IS NULL
+         GROUP BY 1`,
+        dates
+    );
+    const builtResult = await db.query(
+        `SELECT date_trunc('month', p.production_date)::date AS month_start,
+                COALESCE(SUM(p.boxes_built), 0) AS boxes_built
+         FROM production_boxes p
+         WHERE p.production_date BETWEEN $1::date AND $2::date
+         AND p.deleted_at IS NULL
+         GROUP BY 1`,
+        dates
+    );
+
+    const byMonth = (rows, column) => rows.reduce((totals, row) => {
+        totals[getFYMonth(new Date(row.month_start))] = parseInt(row[column]) || 0;
+        return totals;
+    }, {});
+    const sold = byMonth(soldResult.rows, 'boxes_sold');
+    const built = byMonth(builtResult.rows, 'boxes_built');
+
+    const cumulative = { plan: 0, sold: 0, built: 0 };
+    return getAllFYMonths(getFYStartMonth(settings)).map(month => {
+        const planBoxes = getMonthlyPlanBoxes(settings, month);
+        const soldBoxes = sold[month] || 0;
+        const builtBoxes = built[month] || 0;
+        cumulative.plan += planBoxes;
+        cumulative.sold += soldBoxes;
+        cumulative.built += builtBoxes;
+        return {
+            month,
+            planBoxes,
+            soldBoxes,
+            builtBoxes,
+            planGap: planBoxes - soldBoxes,
+            planLagsDemand: planBoxes < soldBoxes,
+            cumulativePlan: cumulative.plan,
+            cumulativeSold: cumulative.sold,
+            cumulativeBuilt: cumulative.built
+        };
+    });
+}
+
+module.exports = {
+    querySalesMetrics,
+    querySalesDimensionBreakdown,
+    querySalesBreakdown,
+    queryRepLeaderboard,
+    querySalesByDay,
+    queryProductionDimensionBreakdown,
+    queryProductionMetrics,
+    queryProductionBreakdown,
+    queryPlanVsDemand
+};
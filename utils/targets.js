@@ -0,0 +1,260 @@
+/**
+ * Target Resolution
+ * Targets are stored per FY in fy_targets; the settings row supplies
+ * defaults for any FY without its own row.
+ */
+
+const db = require('../db');
+const { getAllFYMonths, getFYDateRange, getFYForDate, getFYStartMonth, remapMonthlyTargets } = require('./fy');
+const { getMonthlyBoxTarget } = require('./aggregations');
+const { toDateKey } = require('./calendar');
+const { getProductionPlan } = require('./production-plan');
+
+const DEFAULT_SETTINGS = {
+    baseline_floor_per_box: 700,
+    yearly_box_target: 900,
+    rag_amber_floor_pct: 0.90,
+    monthly_box_targets_json: {},
+    install_capacity_high_season_per_week: 15,
+    fy_start_month: 7
+};
+
+/**
+ * Merge an FY targets row over the settings defaults
+ * @param {Object} settings - Settings row
+ * @param {Object|null} fyTargets - fy_targets row for the FY (or null)
+ * @returns {Object} Settings-shaped object with the FY's targets applied
+ */
+function mergeFYTargets(settings, fyTargets) {
+    if (!fyTargets) {
+        return { ...settings, has_fy_targets: false };
+    }
+
+    return {
+        ...settings,
+        yearly_box_target: fyTargets.yearly_box_target,
+        monthly_box_targets_json: fyTargets.monthly_box_targets_json,
+        baseline_floor_per_box: fyTargets.baseline_floor_per_box,
+        rag_amber_floor_pct: fyTargets.rag_amber_floor_pct,
+        has_fy_targets: true
+    };
+}
+
+/**
+ * Load the settings row (or defaults if none exists)
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+    const settingsResult = await db.query('SELECT * FROM settings LIMIT 1');
+    return settingsResult.rows[0] || { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Load factory shutdown days
+ * @returns {Promise<Array>} YYYY-MM-DD keys
+ */
+async function getShutdownDates() {
+    const shutdownResult = await db.query('SELECT shutdown_date FROM shutdown_days ORDER BY shutdown_date');
+    return shutdownResult.rows.map(row => toDateKey(row.shutdown_date));
+}
+
+/**
+ * Load settings with targets resolved for a specific FY
+ * @param {String} fyLabel - e.g. "2025/26"
+ * @param {Object} settings - Optional pre-loaded settings row
+ * @returns {Promise<Object>} Settings-shaped object (includes fy_label, shutdown_dates and production_plan)
+ */
+async function getSettingsForFY(fyLabel, settings = null) {
+    const baseSettings = settings || await getSettings();
+
+    const targetsResult = await db.query(
+        'SELECT * FROM fy_targets WHERE fy_label = $1',
+        [fyLabel]
+    );
+
+    return {
+        ...mergeFYTargets(baseSettings, targetsResult.rows[0] || null),
+        fy_label: fyLabel,
+        shutdown_dates: await getShutdownDates(),
+        production_plan: await getProductionPlan(fyLabel, getFYStartMonth(baseSettings))
+    };
+}
+
+/**
+ * Load active sales reps
+ * @returns {Promise<Array>} Array of {id, name}
+ */
+async function getSalesReps() {
+    const repsResult = await db.query(
+        "SELECT id, name FROM users WHERE role = 'sales' ORDER BY name"
+    );
+    return repsResult.rows;
+}
+
+/**
+ * Load stored rep target rows for an FY month
+ * @param {String} fyLabel
+ * @param {String} fyMonth
+ * @returns {Promise<Array>}
+ */
+async function getRepTargetRows(fyLabel, fyMonth) {
+    const targetsResult = await db.query(
+        'SELECT * FROM rep_targets WHERE fy_label = $1 AND fy_month = $2',
+        [fyLabel, fyMonth]
+    );
+    return targetsResult.rows;
+}
+
+/**
+ * Load all stored rep target rows for an FY
+ * @param {String} fyLabel
+ * @returns {Promise<Array>}
+ */
+async function getRepTargetRowsForFY(fyLabel) {
+    const targetsResult = await db.query(
+        'SELECT * FROM rep_targets WHERE fy_label = $1',
+        [fyLabel]
+    );
+    return targetsResult.rows;
+}
+
+/**
+ * Resolve rep targets for each month of a period
+ * @param {Array} reps - Array of {id, name}
+ * @param {Array} repTargetRows - rep_targets rows for the FY
+ * @param {Object} settings - Settings resolved for the FY
+ * @param {Array} months - Month names in the period
+ * @returns {Object} Map of month -> (rep id -> target)
+ */
+function getRepTargetsByMonth(reps, repTargetRows, settings, months) {
+    return months.reduce((byMonth, month) => {
+        byMonth[month] = getRepTargets(reps, repTargetRows.filter(row => row.fy_month === month), settings, month);
+        return byMonth;
+    }, {});
+}
+
+/**
+ * Sum per-month rep targets into period targets
+ * @param {Object} targetsByMonth - Output of getRepTargetsByMonth
+ * @param {Object} shares - Optional map of month -> share of the month in the period (e.g. a week)
+ * @returns {Object} Map of rep id -> { boxTarget, baselineTarget, isDefault }
+ */
+function sumRepTargets(targetsByMonth, shares = null) {
+    const totals = {};
+
+    Object.entries(targetsByMonth).forEach(([month, monthTargets]) => {
+        const share = shares ? shares[month] || 0 : 1;
+
+        Object.entries(monthTargets).forEach(([repId, target]) => {
+            if (!totals[repId]) {
+                totals[repId] = { boxTarget: 0, baselineTarget: 0, isDefault: true };
+            }
+            totals[repId].boxTarget += target.boxTarget * share;
+            totals[repId].baselineTarget += target.baselineTarget * share;
+            totals[repId].isDefault = totals[repId].isDefault && target.isDefault;
+        });
+    });
+
+    if (shares) {
+        Object.values(totals).forEach(total => {
+            total.boxTarget = Math.round(total.boxTarget * 10) / 10;
+            total.baselineTarget = Math.round(total.baselineTarget * 100) / 100;
+        });
+    }
+
+    return totals;
+}
+
+/**
+ * Resolve each rep's monthly targets.
+ * Reps without a stored target get an even split of the company monthly target;
+ * a blank baseline target defaults to box target x baseline floor per box.
+ * @param {Array} reps - Array of {id, name}
+ * @param {Array} repTargetRows - rep_targets rows for the FY month
+ * @param {Object} settings - Settings resolved for the FY
+ * @param {String} fyMonth
+ * @returns {Object} Map of rep id -> { boxTarget, baselineTarget, isDefault }
+ */
+function getRepTargets(reps, repTargetRows, settings, fyMonth) {
+    const baselineFloorPerBox = parseFloat(settings.baseline_floor_per_box) || 700;
+    const companyTarget = getMonthlyBoxTarget(settings, fyMonth);
+    const evenSplit = reps.length > 0
+        ? Math.round((companyTarget / reps.length) * 10) / 10
+        : 0;
+
+    const rowsByRep = new Map(repTargetRows.map(row => [row.sales_rep_id, row]));
+
+    return reps.reduce((targets, rep) => {
+        const row = rowsByRep.get(rep.id);
+        const boxTarget = row ? parseFloat(row.box_target) || 0 : evenSplit;
+        const baselineTarget = row && row.baseline_target !== null && row.baseline_target !== undefined
+            ? parseFloat(row.baseline_target) || 0
+            : boxTarget * baselineFloorPerBox;
+
+        targets[rep.id] = { boxTarget, baselineTarget, isDefault: !row };
+        return targets;
+    }, {});
+}
+
+/**
+ * Re-key FY target rows after the FY start month changes.
+ * Each calendar month's target moves to the FY that now contains it; months
+ * with no stored source take the settings default. Scalar targets come from
+ * the row with the same label where one exists.
+ * @param {Array} rows - fy_targets rows
+ * @param {Object} settings - Settings row (defaults)
+ * @param {Number} fromStartMonth
+ * @param {Number} toStartMonth
+ * @returns {Array} New fy_targets rows (without ids)
+ */
+function remapFYTargetRows(rows, settings, fromStartMonth, toStartMonth) {
+    const defaultMonthly = remapMonthlyTargets(settings.monthly_box_targets_json, toStartMonth);
+    const remapped = {};
+
+    rows.forEach(row => {
+        const monthly = remapMonthlyTargets(row.monthly_box_targets_json, fromStartMonth);
+
+        Object.keys(monthly).forEach(month => {
+            const monthStart = getFYDateRange(row.fy_label, month, fromStartMonth).start;
+            const newLabel = getFYForDate(monthStart, toStartMonth).label;
+
+            if (!remapped[newLabel]) {
+                remapped[newLabel] = { fy_label: newLabel, months: {}, source: row };
+            }
+            if (newLabel === row.fy_label) {
+                remapped[newLabel].source = row;
+            }
+            remapped[newLabel].months[month] = monthly[month];
+        });
+    });
+
+    return Object.values(remapped).map(entry => {
+        const monthlyTargets = getAllFYMonths(toStartMonth).reduce((targets, month) => {
+            targets[month] = month in entry.months ? entry.months[month] : defaultMonthly[month];
+            return targets;
+        }, {});
+
+        return {
+            fy_label: entry.fy_label,
+            yearly_box_target: Object.values(monthlyTargets).reduce((sum, value) => sum + value, 0),
+            monthly_box_targets_json: monthlyTargets,
+            baseline_floor_per_box: entry.source.baseline_floor_per_box,
+            rag_amber_floor_pct: entry.source.rag_amber_floor_pct
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    mergeFYTargets,
+    getSettings,
+    getSettingsForFY,
+    getShutdownDates,
+    getSalesReps,
+    getRepTargetRows,
+    getRepTargetRowsForFY,
+    getRepTargets,
+    getRepTargetsByMonth,
+    sumRepTargets,
+    remapFYTargetRows
+};